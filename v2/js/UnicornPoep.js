@@ -7,7 +7,14 @@ import Views from './core/view-constants.js';
 import uiManager from './ui/UIManager.js';
 import gameCoordinator from './services/GameCoordinator.js';
 import questionsManager from './services/QuestionsManager.js';
+import sheetTransferService from './services/SheetTransferService.js';
 import highscoreManager from './services/HighscoreManager.js';
+import storageService from './services/StorageService.js';
+import statisticsService from './services/StatisticsService.js';
+import profileService from './services/ProfileService.js';
+import dailyChallengeService from './services/DailyChallengeService.js';
+import achievementService from './services/AchievementService.js';
+import worksheetService from './services/WorksheetService.js';
 import webRTCManager from './services/WebRTCManager.js';
 import multiplayerClientManager from './services/MultiplayerClientManager.js';
 // Import other services as they are created
@@ -39,6 +46,12 @@ class UnicornPoepApp {
             gameCoordinator,
             questionsManager,
             highscoreManager,
+            storageService,
+            statisticsService,
+            profileService,
+            dailyChallengeService,
+            achievementService,
+            worksheetService,
             webRTCManager,
             multiplayerClientManager
         };
@@ -57,6 +70,10 @@ class UnicornPoepApp {
 
             // Trigger the initial view - Main Menu
             eventBus.emit(Events.Navigation.ShowView, { viewName: Views.MainMenu });
+
+            // Opened through a shared sheet link? Offer to add it (also when the link is opened in a running app)
+            this.handleSharedSheetLink();
+            window.addEventListener('hashchange', () => this.handleSharedSheetLink());
             console.info("[UnicornPoepApp] Application initialization flow complete. Initial view requested.");
         });
     }
@@ -74,6 +91,15 @@ class UnicornPoepApp {
         eventBus.on(Events.UI.MainMenu.HighscoresClicked, () => {
             eventBus.emit(Events.Navigation.ShowView, { viewName: Views.Highscores });
         });
+        eventBus.on(Events.UI.MainMenu.StatisticsClicked, () => {
+            eventBus.emit(Events.Navigation.ShowView, { viewName: Views.Statistics });
+        });
+        eventBus.on(Events.UI.MainMenu.DailyChallengeClicked, () => {
+            eventBus.emit(Events.Navigation.ShowView, { viewName: Views.DailyChallenge });
+        });
+        eventBus.on(Events.UI.MainMenu.AchievementsClicked, () => {
+            eventBus.emit(Events.Navigation.ShowView, { viewName: Views.Achievements });
+        });
         eventBus.on(Events.UI.MainMenu.CustomQuestionsClicked, () => {
             eventBus.emit(Events.Navigation.ShowView, { viewName: Views.CustomQuestions });
         });
@@ -88,7 +114,7 @@ class UnicornPoepApp {
         // eventBus.on(Events.UI.MainMenu.StartSinglePlayerClicked, () => { ... });
 
         // --- Question Management Coordination ---
-        eventBus.on(Events.UI.CustomQuestions.SaveClicked, async ({ name, questionsText, sheetId }) => {
+        eventBus.on(Events.UI.CustomQuestions.SaveClicked, async ({ name, questionsText, sheetId, ownerProfileId = null }) => {
              console.log(`[Coordinator] Handling UI SaveClicked for sheet: ${name}`);
              // Generate a simple unique ID if one is not provided (for creation)
              const idToSave = sheetId || `custom_${Date.now()}`;
@@ -97,7 +123,7 @@ class UnicornPoepApp {
                  // ** Call QuestionsManager to parse and save **
                  // Assuming saveCustomSheet is updated or a new method is created
                  // to handle raw text parsing.
-                 const success = await questionsManager.saveCustomSheetFromText(idToSave, name, questionsText);
+                 const success = await questionsManager.saveCustomSheetFromText(idToSave, name, questionsText, { ownerProfileId });
 
                 if (success) {
                     console.log(`[Coordinator] Custom sheet saved successfully via QuestionsManager: ${name} (${idToSave})`);
@@ -183,7 +209,8 @@ class UnicornPoepApp {
                     eventBus.emit(Events.Menu.CustomQuestions.SheetLoadedForEdit, {
                         sheetId: sheetId,
                         name: sheetData.name,
-                        questionsText: questionsText
+                        questionsText: questionsText,
+                        ownerProfileId: sheetData.ownerProfileId || null
                     });
                 } else {
                     throw new Error(`Sheet data not found or invalid for ID: ${sheetId}`);
@@ -196,9 +223,101 @@ class UnicornPoepApp {
             }
         });
 
+        // Import: parse the selected files and let the user review names and errors
+        eventBus.on(Events.UI.CustomQuestions.ImportFilesSelected, async ({ files }) => {
+            console.log(`[Coordinator] Handling UI ImportFilesSelected for ${files?.length || 0} file(s).`);
+            try {
+                await questionsManager._ensureInitialized();
+                const results = (files || []).map(({ name, content }) => sheetTransferService.parseImportFile(name, content));
+                this._emitImportPrepared(results, 'file');
+            } catch (error) {
+                console.error("[Coordinator] Failed to prepare import:", error);
+                eventBus.emit(Events.System.ShowFeedback, { message: 'Fout bij lezen van de bestanden.', level: 'error' });
+            }
+        });
+
+        // Import confirmed: save every reviewed sheet as a new custom sheet
+        eventBus.on(Events.UI.CustomQuestions.ImportConfirmed, async ({ sheets }) => {
+            console.log(`[Coordinator] Handling UI ImportConfirmed for ${sheets?.length || 0} sheet(s).`);
+            const sheetIds = [];
+            try {
+                for (const [index, sheet] of (sheets || []).entries()) {
+                    const sheetId = `custom_${Date.now()}_${index}`;
+                    if (await questionsManager.saveCustomSheet(sheetId, sheet.name, sheet.questions)) {
+                        sheetIds.push(sheetId);
+                    }
+                }
+                eventBus.emit(Events.Menu.CustomQuestions.ImportSuccess, { sheetIds });
+                const message = sheetIds.length === 1 ? `Vragenlijst '${sheets[0].name}' geïmporteerd.` : `${sheetIds.length} vragenlijsten geïmporteerd.`;
+                eventBus.emit(Events.System.ShowFeedback, { message, level: 'success' });
+            } catch (error) {
+                console.error("[Coordinator] Failed to save imported sheets:", error);
+                eventBus.emit(Events.Menu.CustomQuestions.ImportSuccess, { sheetIds }); // Refresh for the sheets that did save
+                eventBus.emit(Events.System.ShowFeedback, { message: 'Fout bij importeren van vragenlijsten.', level: 'error' });
+            }
+        });
+
+        // Share: create a self-contained link for the dialog
+        eventBus.on(Events.UI.CustomQuestions.ShareClicked, async ({ sheetId }) => {
+            console.log(`[Coordinator] Handling UI ShareClicked for sheet ID: ${sheetId}`);
+            try {
+                const { name, url } = await sheetTransferService.createShareLink(sheetId);
+                eventBus.emit(Events.Menu.CustomQuestions.ShareLinkReady, { name, url });
+            } catch (error) {
+                console.error(`[Coordinator] Failed to create share link for '${sheetId}':`, error);
+                eventBus.emit(Events.System.ShowFeedback, { message: error.message || 'Kon geen deellink maken.', level: 'error', duration: 5000 });
+            }
+        });
+
          console.debug("[UnicornPoepApp] Coordination listeners set up.");
     }
 
+    /**
+     * Offers the sheet from a share link (#sheet=...) for review in the import dialog.
+     * The fragment is removed first, so reloading the page does not ask again.
+     */
+    async handleSharedSheetLink() {
+        const hash = window.location.hash;
+        if (!sheetTransferService.isShareFragment(hash)) return;
+
+        console.log("[UnicornPoepApp] Shared sheet link detected.");
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        try {
+            await questionsManager._ensureInitialized();
+            const result = await sheetTransferService.parseShareFragment(hash);
+            this._emitImportPrepared([result], 'link');
+        } catch (error) {
+            console.error("[UnicornPoepApp] Could not read shared sheet link:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: error.message || 'Deze deellink werkt niet.', level: 'error', duration: 5000 });
+        }
+    }
+
+    /**
+     * Combines parse results into one import review, suggesting free names for sheets
+     * whose name is already used (by an existing sheet or another sheet in the same import).
+     * @param {Array<{sheets: Array<{name: string, questions: Array<object>}>, errors: Array<object>}>} results
+     * @param {'file' | 'link'} source - Where the sheets come from.
+     * @private
+     */
+    _emitImportPrepared(results, source) {
+        const sheets = [];
+        const errors = [];
+        results.forEach(result => {
+            errors.push(...result.errors);
+            result.sheets.forEach(sheet => {
+                const suggestedName = questionsManager.getUniqueCustomSheetName(sheet.name, sheets.map(s => s.name));
+                sheets.push({
+                    name: suggestedName,
+                    originalName: sheet.name,
+                    nameClash: suggestedName !== sheet.name,
+                    questions: sheet.questions
+                });
+            });
+        });
+        const existingNames = [...questionsManager.customSheets.values()].map(sheet => sheet.name);
+        eventBus.emit(Events.Menu.CustomQuestions.ImportPrepared, { sheets, errors, existingNames, source });
+    }
+
     /**
      * Sets up basic global error handlers to catch unhandled exceptions.
      * @private
@@ -0,0 +1,116 @@
+import BaseComponent from './base-component.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import Views from '../core/view-constants.js';
+
+/**
+ * Component managing the badge gallery (#achievements).
+ * Shows every badge of the active profile; badges not earned yet are greyed out with how to earn them.
+ * The data comes from AchievementService.
+ */
+export default class AchievementsComponent extends BaseComponent {
+    /**
+     * Initializes the AchievementsComponent.
+     */
+    constructor() {
+        super('#achievements', Views.Achievements);
+
+        this.summaryElement = this.rootElement.querySelector('#achievementsSummary');
+        this.galleryElement = this.rootElement.querySelector('#achievementsGallery');
+        this.backButton = this.rootElement.querySelector('.backToMain');
+
+        if (!this.summaryElement || !this.galleryElement || !this.backButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        this._bindMethods();
+        this._addEventListeners();
+        this.listen(Events.Menu.Achievements.Loaded, this.handleLoaded);
+        this.listen(Events.Menu.Achievements.LoadFailed, this.handleLoadFailed);
+        console.log(`[${this.name}] Initialized.`);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleLoaded = this.handleLoaded.bind(this);
+        this.handleLoadFailed = this.handleLoadFailed.bind(this);
+        this.handleBack = this.handleBack.bind(this);
+    }
+
+    /** Adds DOM event listeners. */
+    _addEventListeners() {
+        this.backButton.addEventListener('click', this.handleBack);
+    }
+
+    /** Removes DOM event listeners. */
+    _removeEventListeners() {
+        this.backButton.removeEventListener('click', this.handleBack);
+    }
+
+    /**
+     * Renders the badges.
+     * @param {object} payload - The Events.Menu.Achievements.Loaded payload.
+     */
+    handleLoaded({ profile, badges, unlockedCount }) {
+        console.debug(`[${this.name}] Badges loaded: ${unlockedCount} of ${badges.length} earned.`);
+        this.summaryElement.textContent = profile
+            ? `${profile.avatar} ${profile.name} heeft ${unlockedCount} van de ${badges.length} badges verdiend.`
+            : 'Kies eerst wie er speelt, dan zie je hier welke badges je hebt verdiend.';
+
+        this.galleryElement.innerHTML = '';
+        badges.forEach(badge => {
+            const item = document.createElement('li');
+            item.className = 'badge';
+            item.classList.toggle('locked', !badge.unlockedAt);
+
+            const icon = document.createElement('span');
+            icon.className = 'badge-icon';
+            icon.textContent = badge.icon;
+            const title = document.createElement('strong');
+            title.textContent = badge.title;
+            const description = document.createElement('span');
+            description.className = 'badge-description';
+            description.textContent = badge.description;
+            item.append(icon, title, description);
+
+            if (badge.unlockedAt) {
+                const date = document.createElement('span');
+                date.className = 'badge-date';
+                date.textContent = new Date(badge.unlockedAt).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+                item.appendChild(date);
+            }
+            this.galleryElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the load error instead of the badges.
+     * @param {object} payload - The Events.Menu.Achievements.LoadFailed payload.
+     * @param {string} payload.message
+     */
+    handleLoadFailed({ message }) {
+        console.error(`[${this.name}] Load failed: ${message}`);
+        this.summaryElement.textContent = `Fout: ${message}`;
+        this.galleryElement.innerHTML = '';
+    }
+
+    /** Handles the back button click. */
+    handleBack() {
+        eventBus.emit(Events.UI.Achievements.BackClicked);
+        eventBus.emit(Events.Navigation.ShowView, { viewName: Views.MainMenu });
+    }
+
+    /**
+     * Shows the view and requests the badges of the active profile.
+     */
+    show() {
+        super.show();
+        eventBus.emit(Events.Menu.Achievements.ShowRequested);
+    }
+
+    /** Removes DOM listeners on destroy. */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
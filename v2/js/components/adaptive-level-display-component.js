@@ -0,0 +1,43 @@
+import BaseComponent from './base-component.js';
+import Events from '../core/event-constants.js';
+
+/**
+ * @class AdaptiveLevelDisplayComponent
+ * @extends BaseComponent
+ * Shows the current level in the game header while playing on the 'adaptive' difficulty.
+ * Hidden in all other games.
+ */
+class AdaptiveLevelDisplayComponent extends BaseComponent {
+    /**
+     * Creates an instance of AdaptiveLevelDisplayComponent.
+     */
+    constructor() {
+        super('#adaptiveLevelDisplay', 'AdaptiveLevelDisplay');
+
+        this.handleLevelUpdated = this.handleLevelUpdated.bind(this);
+        this.listen(Events.Game.Started, this.hide); // Only shown once an adaptive game announces its level
+        this.listen(Events.Game.AdaptiveLevelUpdated, this.handleLevelUpdated);
+        this.listen(Events.Game.Finished, this.hide);
+
+        this.hide();
+    }
+
+    /**
+     * Shows the level, and marks whether it just went up or down.
+     * @param {object} payload - Event payload from Events.Game.AdaptiveLevelUpdated.
+     * @param {number} payload.level
+     * @param {number} payload.levelCount
+     * @param {number} payload.questionDurationMs
+     * @param {-1 | 0 | 1} payload.change
+     */
+    handleLevelUpdated({ level, levelCount, questionDurationMs, change }) {
+        const arrow = change > 0 ? ' ▲' : change < 0 ? ' ▼' : '';
+        this.rootElement.textContent = `Niveau ${level}/${levelCount}${arrow}`;
+        this.rootElement.title = `${Math.round(questionDurationMs / 1000)} seconden per vraag`;
+        this.rootElement.classList.toggle('level-up', change > 0);
+        this.rootElement.classList.toggle('level-down', change < 0);
+        this.show();
+    }
+}
+
+export default AdaptiveLevelDisplayComponent;
@@ -0,0 +1,147 @@
+import BaseComponent from './base-component.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import answerMatcher from '../services/AnswerMatcher.js';
+
+// Feedback classes shared with the answer buttons (matches V1 CSS)
+const CORRECT_CLASS = 'correct-answer';
+const INCORRECT_CLASS = 'wrong-answer';
+
+/**
+ * Manages the text input used for open (typed) answers in the game area.
+ * Only visible when the current question is presented in 'typed' answer mode;
+ * multiple choice questions are handled by AnswerListComponent.
+ * Emits an event when the player submits a typed answer.
+ * @extends BaseComponent
+ */
+class AnswerInputComponent extends BaseComponent {
+    /**
+     * Creates an instance of AnswerInputComponent.
+     */
+    constructor() {
+        super('#answerInput', 'AnswerInput');
+        this.inputField = this.rootElement.querySelector('#answerInputField');
+        this.submitButton = this.rootElement.querySelector('#answerInputSubmit');
+        this.feedbackElement = this.rootElement.querySelector('#answerInputFeedback');
+        this.isAnswerable = false;
+
+        if (!this.inputField) throw new Error(`[${this.name}] Missing required child element: #answerInputField`);
+        if (!this.submitButton) throw new Error(`[${this.name}] Missing required child element: #answerInputSubmit`);
+
+        this._bindMethods();
+        this._addEventListeners();
+
+        this.listen(Events.Game.QuestionNew, this.handleNewQuestion);
+        this.listen(Events.Game.AnswerChecked, this._handleFeedback);
+        this.listen(Events.Game.Finished, this.hide);
+
+        this.hide(); // Start hidden, shown per question in typed mode
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleNewQuestion = this.handleNewQuestion.bind(this);
+        this._handleFeedback = this._handleFeedback.bind(this);
+        this._handleSubmit = this._handleSubmit.bind(this);
+    }
+
+    /** Adds DOM event listeners. */
+    _addEventListeners() {
+        this.rootElement.addEventListener('submit', this._handleSubmit);
+    }
+
+    /** Removes DOM event listeners. */
+    _removeEventListeners() {
+        this.rootElement?.removeEventListener('submit', this._handleSubmit);
+    }
+
+    /**
+     * Resets and shows the input for typed questions, hides it for multiple choice questions.
+     * @param {object} payload - The event payload.
+     * @param {object} payload.questionData - Data for the new question.
+     * @param {'choice' | 'typed'} [payload.questionData.answerMode] - How the question should be answered.
+     */
+    handleNewQuestion({ questionData }) {
+        if (questionData.answerMode !== 'typed') {
+            this.isAnswerable = false;
+            this.hide();
+            return;
+        }
+
+        console.debug(`[${this.name}] Preparing input for typed answer.`);
+        this.inputField.value = '';
+        this.inputField.disabled = false;
+        this.submitButton.disabled = false;
+        this.inputField.classList.remove(CORRECT_CLASS, INCORRECT_CLASS);
+        if (this.feedbackElement) this.feedbackElement.textContent = '';
+        this.isAnswerable = true;
+        this.show();
+
+        try {
+            this.inputField.focus();
+        } catch (e) {
+            console.warn(`[${this.name}] Could not focus answer input.`, e);
+        }
+    }
+
+    /**
+     * Handles the form submit (Enter key or button click) and emits the typed answer.
+     * Empty input is ignored so an accidental Enter does not cost a question.
+     * @param {Event} event - The submit event.
+     * @private
+     */
+    _handleSubmit(event) {
+        event.preventDefault();
+        if (!this.isAnswerable) return;
+
+        const typedAnswer = this.inputField.value.trim();
+        if (!typedAnswer) {
+            this.inputField.focus();
+            return;
+        }
+
+        console.debug(`[${this.name}] Answer typed:`, typedAnswer);
+        this.isAnswerable = false;
+        this.inputField.disabled = true;
+        this.submitButton.disabled = true;
+
+        eventBus.emit(Events.UI.GameArea.AnswerSubmitted, { answer: typedAnswer });
+    }
+
+    /**
+     * Shows whether the typed answer was correct and reveals the correct answer.
+     * @param {object} payload - The Events.Game.AnswerChecked payload.
+     * @param {boolean} payload.isCorrect - Whether the submitted answer was correct.
+     * @param {boolean} [payload.isExact] - False when the answer was accepted despite small typos.
+     * @param {string} payload.correctAnswer - The correct answer text.
+     * @private
+     */
+    _handleFeedback({ isCorrect, isExact, correctAnswer }) {
+        if (!this.isVisible) return;
+
+        this.isAnswerable = false;
+        this.inputField.disabled = true;
+        this.submitButton.disabled = true;
+        this.inputField.classList.add(isCorrect ? CORRECT_CLASS : INCORRECT_CLASS);
+
+        if (!this.feedbackElement) return;
+        const displayAnswer = answerMatcher.getPrimaryAnswer(correctAnswer);
+        if (isCorrect && isExact === false) {
+            this.feedbackElement.textContent = `Goed! Let op de spelling: ${displayAnswer}`;
+        } else if (isCorrect) {
+            this.feedbackElement.textContent = 'Goed zo!';
+        } else {
+            this.feedbackElement.textContent = `Het goede antwoord is: ${displayAnswer}`;
+        }
+    }
+
+    /**
+     * Overrides base destroy method to remove specific DOM listeners.
+     */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
+
+export default AnswerInputComponent;
@@ -8,6 +8,7 @@ const ANSWER_BUTTON_CLASS = 'answer-button';
 const CORRECT_CLASS = 'correct-answer';
 const INCORRECT_CLASS = 'wrong-answer';
 const SELECTED_CLASS = 'selected'; // Used for immediate feedback
+const REMOVED_CLASS = 'removed-answer'; // Taken away by the 50/50 joker
 
 /**
  * Manages the display and interaction of the answer list/buttons in the game area.
@@ -47,6 +48,7 @@ class AnswerListComponent extends BaseComponent {
         this.listen(Events.Game.QuestionNew, this.handleNewQuestion);
         this.listen(Events.Game.AnswerChecked, this._handleFeedback);
         this.listen('multiplayer:client:answerResult', this._handleFeedback);
+        this.listen(Events.Game.LifelineUsed, this._handleLifelineUsed);
     }
 
     /** Binds component methods to the class instance. */
@@ -55,6 +57,7 @@ class AnswerListComponent extends BaseComponent {
         this.handleAnswerClick = this.handleAnswerClick.bind(this);
         this.handleNewQuestion = this.handleNewQuestion.bind(this);
         this._handleFeedback = this._handleFeedback.bind(this);
+        this._handleLifelineUsed = this._handleLifelineUsed.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this); 
     }
 
@@ -158,6 +161,7 @@ class AnswerListComponent extends BaseComponent {
      * @param {object} payload - The event payload.
      * @param {object} payload.questionData - Data for the new question.
      * @param {string[]} payload.questionData.answers - Array of answer strings.
+     * @param {'choice' | 'typed' | 'flashcard'} [payload.questionData.answerMode] - Typed questions are handled by AnswerInputComponent, flashcards by FlashcardComponent.
      */
     handleNewQuestion({ questionData }) {
         // --- REPLACE Template Logic with Button Creation ---
@@ -166,6 +170,12 @@ class AnswerListComponent extends BaseComponent {
         
         if (!this.rootElement) return; 
 
+        if (questionData.answerMode === 'typed' || questionData.answerMode === 'flashcard') {
+            this.isAnswerable = false;
+            this.hide(); // AnswerInputComponent or FlashcardComponent takes over
+            return;
+        }
+
         if (!questionData?.answers || !Array.isArray(questionData.answers)) {
              console.warn(`[${this.name}] Invalid or missing answers in QuestionNew payload.`);
              this.isAnswerable = false;
@@ -262,6 +272,26 @@ class AnswerListComponent extends BaseComponent {
         this.isAnswerable = false; 
     }
 
+    /**
+     * Takes away the wrong answers removed by the 50/50 joker: they stay in place but can't be chosen.
+     * @param {object} payload - The Events.Game.LifelineUsed payload.
+     * @param {string} payload.lifeline
+     * @param {string[]} [payload.removedAnswers]
+     * @private
+     */
+    _handleLifelineUsed({ lifeline, removedAnswers }) {
+        if (lifeline !== 'fiftyFifty' || !Array.isArray(removedAnswers) || !this.rootElement) return;
+        this.rootElement.querySelectorAll(`button.${ANSWER_BUTTON_CLASS}`).forEach(button => {
+            if (!removedAnswers.includes(button.dataset.answer)) return;
+            button.disabled = true;
+            button.classList.add(REMOVED_CLASS);
+        });
+        const focused = document.activeElement;
+        if (!focused || focused.disabled) {
+            this.rootElement.querySelector(`button.${ANSWER_BUTTON_CLASS}:not([disabled])`)?.focus();
+        }
+    }
+
      /** Disables all answer buttons. */
      disableInteraction() {
          if (!this.rootElement) return;
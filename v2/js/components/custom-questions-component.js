@@ -2,10 +2,17 @@ import BaseComponent from "./base-component.js";
 import eventBus from "../core/event-bus.js";
 import Events from "../core/event-constants.js";
 import questionsManager from "../services/QuestionsManager.js"; // Import the service
+import sheetTransferService from "../services/SheetTransferService.js";
+import profileService from "../services/ProfileService.js";
 import Views from "../core/view-constants.js";
+
+const LINT_DELAY_MS = 250; // Wait for a short typing pause before linting
+const MAX_LISTED_LINT_ISSUES = 50;
 /**
  * Component managing the Custom Questions view (#customQuestionsManager).
  * Handles input for creating/editing question lists and displays existing ones.
+ * Shows lint issues (errors and warnings per line) live while typing, and
+ * offers export of sheets (txt/csv/json), share links and import via file picker or drag-and-drop.
  */
 export default class CustomQuestionsComponent extends BaseComponent {
     /**
@@ -20,6 +27,16 @@ export default class CustomQuestionsComponent extends BaseComponent {
         this.backButton = this.rootElement?.querySelector(".backToMain");
         this.customSheetListContainer = this.rootElement?.querySelector("#customSheetList");
         this.sheetItemTemplate = this.rootElement?.querySelector("#custom-sheet-item-template");
+        this.importButton = this.rootElement?.querySelector("#importCustomSheetsButton");
+        this.importInput = this.rootElement?.querySelector("#importCustomSheetsInput");
+        this.dropZone = this.rootElement?.querySelector("#customSheetDropZone");
+        this.exportAllButton = this.rootElement?.querySelector("#exportAllCustomSheetsButton");
+        this.lintList = this.rootElement?.querySelector("#customQuestionsLint");
+        this.highlightBackdrop = this.rootElement?.querySelector("#customQuestionsHighlights");
+        this.privateLabel = this.rootElement?.querySelector("#customSheetPrivateLabel");
+        this.privateCheckbox = this.rootElement?.querySelector("#customSheetPrivate");
+        this.privateNameElement = this.rootElement?.querySelector("#customSheetPrivateName");
+        this.lintTimeoutId = null;
 
         // Store the ID of the sheet being edited
         this.editingSheetId = null;
@@ -41,6 +58,19 @@ export default class CustomQuestionsComponent extends BaseComponent {
     addEventListeners() {
         this.saveButton?.addEventListener("click", this.handleSaveClick.bind(this));
 
+        // Live lint while typing; keep the highlight backdrop scrolled with the textarea
+        this.questionsTextarea?.addEventListener("input", () => {
+            clearTimeout(this.lintTimeoutId);
+            this.lintTimeoutId = setTimeout(() => this.updateLint(), LINT_DELAY_MS);
+        });
+        this.questionsTextarea?.addEventListener("scroll", () => {
+            if (this.highlightBackdrop) this.highlightBackdrop.scrollTop = this.questionsTextarea.scrollTop;
+        });
+        this.lintList?.addEventListener("click", (event) => {
+            const issueItem = event.target.closest("li[data-line]");
+            if (issueItem) this.selectPosition(Number(issueItem.dataset.line), Number(issueItem.dataset.column));
+        });
+
         this.backButton?.addEventListener("click", () => {
             console.log("[CustomQuestionsComponent] Back button clicked.");
             eventBus.emit(Events.UI.CustomQuestions.BackClicked);
@@ -59,8 +89,37 @@ export default class CustomQuestionsComponent extends BaseComponent {
                 this.handleDeleteClick(sheetId);
             } else if (targetButton.classList.contains("edit-button")) {
                 this.handleEditClick(sheetId);
+            } else if (targetButton.classList.contains("share-sheet-button")) {
+                console.log(`[CustomQuestionsComponent] Share button clicked for sheet: ${sheetId}`);
+                eventBus.emit(Events.UI.CustomQuestions.ShareClicked, { sheetId });
+            } else if (targetButton.classList.contains("export-button")) {
+                this.handleExportClick([sheetId], targetButton.dataset.format);
             }
         });
+
+        // Import via file picker (the native input is hidden behind a styled button)
+        this.importButton?.addEventListener("click", () => this.importInput?.click());
+        this.importInput?.addEventListener("change", () => {
+            this.handleImportFiles(this.importInput.files);
+            this.importInput.value = ""; // Allow picking the same file again
+        });
+
+        // Import via drag-and-drop
+        this.dropZone?.addEventListener("dragover", (event) => {
+            event.preventDefault();
+            this.dropZone.classList.add("drag-over");
+        });
+        this.dropZone?.addEventListener("dragleave", () => this.dropZone.classList.remove("drag-over"));
+        this.dropZone?.addEventListener("drop", (event) => {
+            event.preventDefault();
+            this.dropZone.classList.remove("drag-over");
+            this.handleImportFiles(event.dataTransfer?.files);
+        });
+
+        this.exportAllButton?.addEventListener("click", () => {
+            const customSheetIds = questionsManager.getAvailableSheets().filter(sheet => sheet.isCustom).map(sheet => sheet.id);
+            this.handleExportClick(customSheetIds, "json");
+        });
     }
 
     /**
@@ -74,6 +133,7 @@ export default class CustomQuestionsComponent extends BaseComponent {
         // TODO: Listen for LoadSuccess/LoadFailed, DeleteSuccess/DeleteFailed for the list
         this.listen(Events.Menu.CustomQuestions.DeleteSuccess, this.handleDeleteSuccess);
         this.listen(Events.Menu.CustomQuestions.DeleteFailed, this.handleDeleteFailed);
+        this.listen(Events.Menu.CustomQuestions.ImportSuccess, this.loadAndDisplaySheets);
 
         // Listen for sheet data loaded for editing
         this.listen(Events.Menu.CustomQuestions.SheetLoadedForEdit, this.populateFormForEdit);
@@ -113,10 +173,12 @@ export default class CustomQuestionsComponent extends BaseComponent {
 
         console.log(`[CustomQuestionsComponent] Save button clicked. Emitting UI.CustomQuestions.SaveClicked. Name: ${sheetName}`);
         // Emit UI event with RAW TEXT for the coordinator/manager
+        const activeProfile = profileService.getActiveProfile();
         eventBus.emit(Events.UI.CustomQuestions.SaveClicked, {
             name: sheetName,
             questionsText: questionsText, // Send raw text
-            sheetId: this.editingSheetId
+            sheetId: this.editingSheetId,
+            ownerProfileId: activeProfile && this.privateCheckbox?.checked ? activeProfile.id : null
         });
 
         // Optimistically clear inputs (feedback handled by coordinator)
@@ -160,6 +222,8 @@ export default class CustomQuestionsComponent extends BaseComponent {
     clearInputs() {
         if (this.sheetNameInput) this.sheetNameInput.value = "";
         if (this.questionsTextarea) this.questionsTextarea.value = "";
+        this._updatePrivateOption(false);
+        this.updateLint();
         // Reset the editing state when clearing inputs manually (e.g., after save)
         this.editingSheetId = null;
         console.debug("[CustomQuestionsComponent] Inputs cleared.");
@@ -192,6 +256,8 @@ export default class CustomQuestionsComponent extends BaseComponent {
             const allSheets = questionsManager.getAvailableSheets();
             const customSheets = allSheets.filter(sheet => sheet.isCustom);
 
+            if (this.exportAllButton) this.exportAllButton.disabled = customSheets.length === 0;
+
             if (customSheets.length === 0) {
                 this.customSheetListContainer.innerHTML = "<p><i>Nog geen eigen vragenlijsten opgeslagen.</i></p>";
                 return;
@@ -229,6 +295,10 @@ export default class CustomQuestionsComponent extends BaseComponent {
                     deleteButton.disabled = false; // Enable delete button
                 }
 
+                listItem.querySelectorAll(".export-button, .share-sheet-button").forEach(transferButton => {
+                    transferButton.dataset.sheetId = sheet.id;
+                });
+
                 // Append the populated clone to the fragment
                 listFragment.appendChild(templateClone); // Append the whole template clone which contains the li
             });
@@ -272,6 +342,64 @@ export default class CustomQuestionsComponent extends BaseComponent {
         }
     }
 
+    /**
+     * Exports one or more custom sheets and starts the download.
+     * @param {string[]} sheetIds - The sheets to export ('txt' and 'csv' use the first one).
+     * @param {'txt' | 'csv' | 'json'} format - The file format.
+     * @private
+     */
+    handleExportClick(sheetIds, format) {
+        console.log(`[CustomQuestionsComponent] Export clicked (${format}) for sheets: ${sheetIds.join(", ")}`);
+        if (sheetIds.length === 0) {
+            eventBus.emit(Events.System.ShowFeedback, { message: "Je hebt nog geen eigen vragenlijsten om te exporteren.", level: "warn" });
+            return;
+        }
+        try {
+            const { fileName, content, mimeType } = sheetTransferService.createExport(sheetIds, format);
+            this.downloadFile(fileName, content, mimeType);
+        } catch (error) {
+            console.error("[CustomQuestionsComponent] Export failed:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: "Exporteren is mislukt.", level: "error" });
+        }
+    }
+
+    /**
+     * Offers text content as a file download through a temporary link.
+     * @param {string} fileName
+     * @param {string} content
+     * @param {string} mimeType
+     * @private
+     */
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke later so the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Reads picked or dropped files and emits them for the coordinator to parse.
+     * @param {FileList | File[] | null | undefined} fileList
+     * @private
+     */
+    async handleImportFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+        console.log(`[CustomQuestionsComponent] Importing ${files.length} file(s): ${files.map(file => file.name).join(", ")}`);
+        try {
+            const readFiles = await Promise.all(files.map(async file => ({ name: file.name, content: await file.text() })));
+            eventBus.emit(Events.UI.CustomQuestions.ImportFilesSelected, { files: readFiles });
+        } catch (error) {
+            console.error("[CustomQuestionsComponent] Could not read import files:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: "Kon het bestand niet lezen.", level: "error" });
+        }
+    }
+
     /**
      * Handles successful deletion of a custom sheet.
      * @param {object} payload
@@ -319,9 +447,10 @@ export default class CustomQuestionsComponent extends BaseComponent {
      * @param {string} payload.sheetId - The ID of the sheet being edited.
      * @param {string} payload.name - The name of the sheet.
      * @param {string} payload.questionsText - The raw questions text.
+     * @param {string | null} [payload.ownerProfileId] - Profile the sheet is private to.
      * @private
      */
-    populateFormForEdit({ sheetId, name, questionsText }) {
+    populateFormForEdit({ sheetId, name, questionsText, ownerProfileId = null }) {
         if (sheetId !== this.editingSheetId) {
             console.warn(`[CustomQuestionsComponent] Received SheetLoadedForEdit for ${sheetId}, but currently editing ${this.editingSheetId}. Ignoring.`);
             return;
@@ -329,5 +458,100 @@ export default class CustomQuestionsComponent extends BaseComponent {
         console.log(`[CustomQuestionsComponent] Populating form for editing sheet: ${name} (${sheetId})`);
         if (this.sheetNameInput) this.sheetNameInput.value = name;
         if (this.questionsTextarea) this.questionsTextarea.value = questionsText;
+        this._updatePrivateOption(!!ownerProfileId);
+        this.updateLint();
+    }
+
+    /**
+     * Shows the "only for me" option when a profile is active, with the profile name.
+     * @param {boolean} checked - Whether the sheet is private to the active profile.
+     * @private
+     */
+    _updatePrivateOption(checked) {
+        if (!this.privateLabel || !this.privateCheckbox || !this.privateNameElement) return;
+        const activeProfile = profileService.getActiveProfile();
+        this.privateLabel.classList.toggle("hidden", !activeProfile);
+        this.privateNameElement.textContent = activeProfile?.name || "";
+        this.privateCheckbox.checked = !!activeProfile && checked;
+    }
+
+    /**
+     * Lints the textarea content and shows the issues in the list and as line highlights.
+     * @private
+     */
+    updateLint() {
+        clearTimeout(this.lintTimeoutId);
+        if (!this.questionsTextarea || !this.lintList) return;
+
+        const text = this.questionsTextarea.value;
+        const { issues } = text.trim() ? questionsManager.parseCustomSheetText(text) : { issues: [] };
+
+        this.lintList.innerHTML = "";
+        this.lintList.classList.toggle("hidden", issues.length === 0);
+        issues.slice(0, MAX_LISTED_LINT_ISSUES).forEach(({ line, column, severity, message }) => {
+            const issueItem = document.createElement("li");
+            issueItem.className = `lint-${severity}`;
+            issueItem.dataset.line = line;
+            issueItem.dataset.column = column;
+            issueItem.title = "Klik om naar deze regel te gaan";
+            issueItem.textContent = `Regel ${line}, kolom ${column}: ${message}`;
+            this.lintList.appendChild(issueItem);
+        });
+        if (issues.length > MAX_LISTED_LINT_ISSUES) {
+            const moreItem = document.createElement("li");
+            moreItem.textContent = `... en nog ${issues.length - MAX_LISTED_LINT_ISSUES} meldingen`;
+            this.lintList.appendChild(moreItem);
+        }
+
+        this.renderHighlights(text, issues);
+    }
+
+    /**
+     * Mirrors the textarea text in the backdrop, marking lines with errors or warnings.
+     * @param {string} text - The textarea content.
+     * @param {Array<{line: number, severity: 'error' | 'warning'}>} issues
+     * @private
+     */
+    renderHighlights(text, issues) {
+        if (!this.highlightBackdrop) return;
+
+        const severityByLine = new Map();
+        issues.forEach(({ line, severity }) => {
+            // An error outweighs a warning on the same line
+            if (severityByLine.get(line) !== "error") severityByLine.set(line, severity);
+        });
+
+        const fragment = document.createDocumentFragment();
+        text.split("\n").forEach((lineText, index) => {
+            if (index > 0) fragment.appendChild(document.createTextNode("\n"));
+            const severity = severityByLine.get(index + 1);
+            if (!severity) {
+                fragment.appendChild(document.createTextNode(lineText));
+                return;
+            }
+            const mark = document.createElement("mark");
+            mark.className = `lint-${severity}`;
+            mark.textContent = lineText || " "; // Keep empty flagged lines visible
+            fragment.appendChild(mark);
+        });
+        // A trailing newline needs content after it to take up height, like in the textarea
+        fragment.appendChild(document.createTextNode(" "));
+
+        this.highlightBackdrop.replaceChildren(fragment);
+        this.highlightBackdrop.scrollTop = this.questionsTextarea.scrollTop;
+    }
+
+    /**
+     * Moves the cursor in the textarea to a line and column and selects the rest of that line.
+     * @param {number} line - 1-based line.
+     * @param {number} column - 1-based column.
+     * @private
+     */
+    selectPosition(line, column) {
+        const lines = this.questionsTextarea.value.split("\n");
+        const lineStart = lines.slice(0, line - 1).reduce((offset, lineText) => offset + lineText.length + 1, 0);
+        const lineEnd = lineStart + (lines[line - 1] ?? "").length;
+        this.questionsTextarea.focus();
+        this.questionsTextarea.setSelectionRange(Math.min(lineStart + column - 1, lineEnd), lineEnd);
     }
 } 
\ No newline at end of file
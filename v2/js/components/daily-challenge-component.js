@@ -0,0 +1,279 @@
+import BaseComponent from './base-component.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import Views from '../core/view-constants.js';
+
+const WEEKDAY_NAMES = ['ma', 'di', 'wo', 'do', 'vr', 'za', 'zo'];
+
+/**
+ * Formats a YYYY-MM-DD key as a Dutch date, e.g. "19 oktober".
+ * @param {string} dateKey
+ * @returns {string}
+ */
+function formatDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long' });
+}
+
+/**
+ * Component managing the daily challenge view (#dailyChallenge).
+ * Starts today's challenge, shows a day's leaderboard and the player's result with a share button,
+ * and a calendar of the days the player completed. The data comes from DailyChallengeService.
+ */
+export default class DailyChallengeComponent extends BaseComponent {
+    /**
+     * Initializes the DailyChallengeComponent.
+     */
+    constructor() {
+        super('#dailyChallenge', Views.DailyChallenge);
+
+        this.statusElement = this.rootElement.querySelector('#dailyChallengeStatus');
+        this.startButton = this.rootElement.querySelector('#dailyChallengeStart');
+        this.shareSection = this.rootElement.querySelector('#dailyChallengeShare');
+        this.shareTextElement = this.rootElement.querySelector('#dailyChallengeShareText');
+        this.shareButton = this.rootElement.querySelector('#dailyChallengeShareButton');
+        this.leaderboardTitle = this.rootElement.querySelector('#dailyChallengeLeaderboardTitle');
+        this.leaderboardList = this.rootElement.querySelector('#dailyChallengeLeaderboard');
+        this.leaderboardEmpty = this.rootElement.querySelector('#dailyChallengeLeaderboardEmpty');
+        this.monthLabel = this.rootElement.querySelector('#dailyChallengeMonth');
+        this.previousMonthButton = this.rootElement.querySelector('#dailyChallengePreviousMonth');
+        this.nextMonthButton = this.rootElement.querySelector('#dailyChallengeNextMonth');
+        this.calendarElement = this.rootElement.querySelector('#dailyChallengeCalendar');
+        this.backButton = this.rootElement.querySelector('.backToMain');
+
+        if (!this.statusElement || !this.startButton || !this.shareSection || !this.shareTextElement || !this.shareButton
+            || !this.leaderboardTitle || !this.leaderboardList || !this.leaderboardEmpty || !this.monthLabel
+            || !this.previousMonthButton || !this.nextMonthButton || !this.calendarElement || !this.backButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        this.requestedDate = null; // Day to show when the view opens, e.g. the challenge just played
+        this.shareText = null;
+        this.today = null;
+        this.completedDates = new Set();
+        this.calendarMonth = null; // First day of the month shown in the calendar
+
+        this._bindMethods();
+        this._addEventListeners();
+        this.listen(Events.Menu.DailyChallenge.Loaded, this.handleLoaded);
+        this.listen(Events.Menu.DailyChallenge.LoadFailed, this.handleLoadFailed);
+        console.log(`[${this.name}] Initialized.`);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleLoaded = this.handleLoaded.bind(this);
+        this.handleLoadFailed = this.handleLoadFailed.bind(this);
+        this.handleStart = this.handleStart.bind(this);
+        this.handleShare = this.handleShare.bind(this);
+        this.handleCalendarClick = this.handleCalendarClick.bind(this);
+        this.handlePreviousMonth = this.handlePreviousMonth.bind(this);
+        this.handleNextMonth = this.handleNextMonth.bind(this);
+        this.handleBack = this.handleBack.bind(this);
+    }
+
+    /** Adds DOM event listeners. */
+    _addEventListeners() {
+        this.startButton.addEventListener('click', this.handleStart);
+        this.shareButton.addEventListener('click', this.handleShare);
+        this.calendarElement.addEventListener('click', this.handleCalendarClick);
+        this.previousMonthButton.addEventListener('click', this.handlePreviousMonth);
+        this.nextMonthButton.addEventListener('click', this.handleNextMonth);
+        this.backButton.addEventListener('click', this.handleBack);
+    }
+
+    /** Removes DOM event listeners. */
+    _removeEventListeners() {
+        this.startButton.removeEventListener('click', this.handleStart);
+        this.shareButton.removeEventListener('click', this.handleShare);
+        this.calendarElement.removeEventListener('click', this.handleCalendarClick);
+        this.previousMonthButton.removeEventListener('click', this.handlePreviousMonth);
+        this.nextMonthButton.removeEventListener('click', this.handleNextMonth);
+        this.backButton.removeEventListener('click', this.handleBack);
+    }
+
+    /**
+     * Called by UIManager with the ShowView data before the view is shown.
+     * @param {object} data
+     * @param {string} [data.date] - Day to show (YYYY-MM-DD).
+     */
+    prepareToShow(data) {
+        this.requestedDate = data?.date || null;
+    }
+
+    /**
+     * Renders a day's leaderboard, the player's result and the calendar.
+     * @param {object} payload - The Events.Menu.DailyChallenge.Loaded payload.
+     */
+    handleLoaded({ date, today, playerResult, shareText, leaderboard, completedDates }) {
+        console.debug(`[${this.name}] Daily challenge of ${date} loaded (${leaderboard.length} results).`);
+        this.today = today;
+        this.completedDates = new Set(completedDates);
+        this.shareText = shareText;
+
+        const isToday = date === today;
+        if (playerResult) {
+            this.statusElement.textContent = `${isToday ? 'Jouw score van vandaag' : `Jouw score op ${formatDate(date)}`}: ${playerResult.score} punten (${playerResult.correctAnswers} van de ${playerResult.totalQuestions} goed).`;
+        } else {
+            this.statusElement.textContent = isToday
+                ? 'Elke dag 10 vragen, voor iedereen dezelfde. Wie haalt de hoogste score?'
+                : `Je hebt de uitdaging van ${formatDate(date)} niet gespeeld.`;
+        }
+        this.startButton.classList.toggle('hidden', !isToday || !!playerResult);
+        this.shareSection.classList.toggle('hidden', !shareText);
+        this.shareTextElement.textContent = shareText || '';
+
+        this._renderLeaderboard(isToday ? 'Vandaag' : formatDate(date), leaderboard);
+        if (!this.calendarMonth) {
+            const [year, month] = date.split('-').map(Number);
+            this.calendarMonth = new Date(year, month - 1, 1);
+        }
+        this._renderCalendar(date);
+    }
+
+    /**
+     * Shows the load error instead of the leaderboard.
+     * @param {object} payload - The Events.Menu.DailyChallenge.LoadFailed payload.
+     * @param {string} payload.message
+     */
+    handleLoadFailed({ message }) {
+        console.error(`[${this.name}] Load failed: ${message}`);
+        this.statusElement.textContent = `Fout: ${message}`;
+        this.leaderboardList.innerHTML = '';
+        this.shareSection.classList.add('hidden');
+    }
+
+    /** Asks GameCoordinator to start today's challenge. */
+    handleStart() {
+        eventBus.emit(Events.UI.DailyChallenge.StartClicked);
+    }
+
+    /**
+     * Shares the result line through the share sheet of the device, or copies it to the clipboard.
+     */
+    async handleShare() {
+        if (!this.shareText) return;
+        try {
+            if (navigator.share) {
+                await navigator.share({ text: this.shareText });
+                return;
+            }
+            await navigator.clipboard.writeText(this.shareText);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Resultaat gekopieerd!', level: 'success', duration: 1500 });
+        } catch (error) {
+            if (error?.name === 'AbortError') return; // Share sheet closed
+            console.error(`[${this.name}] Failed to share the result:`, error);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Delen mislukt', level: 'error' });
+        }
+    }
+
+    /**
+     * Shows the leaderboard of a day clicked in the calendar.
+     * @param {MouseEvent} event
+     */
+    handleCalendarClick(event) {
+        const dayButton = event.target.closest('button[data-date]');
+        if (dayButton) {
+            eventBus.emit(Events.Menu.DailyChallenge.ShowRequested, { date: dayButton.dataset.date });
+        }
+    }
+
+    /** Shows the previous month in the calendar. */
+    handlePreviousMonth() {
+        this.calendarMonth = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() - 1, 1);
+        this._renderCalendar();
+    }
+
+    /** Shows the next month in the calendar. */
+    handleNextMonth() {
+        this.calendarMonth = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() + 1, 1);
+        this._renderCalendar();
+    }
+
+    /** Handles the back button click. */
+    handleBack() {
+        eventBus.emit(Events.UI.DailyChallenge.BackClicked);
+        eventBus.emit(Events.Navigation.ShowView, { viewName: Views.MainMenu });
+    }
+
+    /**
+     * @param {string} title
+     * @param {Array<{name: string, avatar: string | null, score: number, correctAnswers: number, totalQuestions: number, isCurrentPlayer: boolean}>} leaderboard
+     * @private
+     */
+    _renderLeaderboard(title, leaderboard) {
+        this.leaderboardTitle.textContent = title;
+        this.leaderboardList.innerHTML = '';
+        this.leaderboardEmpty.classList.toggle('hidden', leaderboard.length > 0);
+        leaderboard.forEach(entry => {
+            const item = document.createElement('li');
+            item.classList.toggle('current-player', entry.isCurrentPlayer);
+            item.textContent = `${entry.avatar ? `${entry.avatar} ` : ''}${entry.name}: ${entry.score} (${entry.correctAnswers}/${entry.totalQuestions})`;
+            this.leaderboardList.appendChild(item);
+        });
+    }
+
+    /**
+     * Renders the calendar month in this.calendarMonth: completed days get a star and can be
+     * clicked to see their leaderboard, as can today. Weeks start on Monday.
+     * @param {string} [selectedDate] - Day whose leaderboard is shown.
+     * @private
+     */
+    _renderCalendar(selectedDate = this.calendarElement.dataset.selectedDate) {
+        this.calendarElement.dataset.selectedDate = selectedDate || '';
+        const year = this.calendarMonth.getFullYear();
+        const month = this.calendarMonth.getMonth();
+        this.monthLabel.textContent = this.calendarMonth.toLocaleDateString('nl-NL', { month: 'long', year: 'numeric' });
+        const pad = (value) => String(value).padStart(2, '0');
+        const monthPrefix = `${year}-${pad(month + 1)}`;
+        this.nextMonthButton.disabled = !!this.today && monthPrefix >= this.today.slice(0, 7);
+
+        this.calendarElement.innerHTML = '';
+        WEEKDAY_NAMES.forEach(name => {
+            const heading = document.createElement('span');
+            heading.className = 'calendar-weekday';
+            heading.textContent = name;
+            this.calendarElement.appendChild(heading);
+        });
+        const leadingBlanks = (new Date(year, month, 1).getDay() + 6) % 7; // Monday = 0
+        for (let i = 0; i < leadingBlanks; i++) {
+            this.calendarElement.appendChild(document.createElement('span'));
+        }
+
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateKey = `${monthPrefix}-${pad(day)}`;
+            const isCompleted = this.completedDates.has(dateKey);
+            const isToday = dateKey === this.today;
+            const cell = document.createElement(isCompleted || isToday ? 'button' : 'span');
+            cell.className = 'calendar-day';
+            cell.classList.toggle('completed', isCompleted);
+            cell.classList.toggle('today', isToday);
+            cell.classList.toggle('selected', dateKey === selectedDate);
+            cell.textContent = isCompleted ? `${day} ⭐` : String(day);
+            if (cell.tagName === 'BUTTON') {
+                cell.type = 'button';
+                cell.dataset.date = dateKey;
+                cell.title = isCompleted ? `Uitslag van ${formatDate(dateKey)}` : 'Vandaag';
+            }
+            this.calendarElement.appendChild(cell);
+        }
+    }
+
+    /**
+     * Shows the view and requests the data of the requested day (default today).
+     * The calendar opens on the month of that day.
+     */
+    show() {
+        super.show();
+        this.calendarMonth = null;
+        eventBus.emit(Events.Menu.DailyChallenge.ShowRequested, this.requestedDate ? { date: this.requestedDate } : {});
+        this.requestedDate = null;
+    }
+
+    /** Removes DOM listeners on destroy. */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
@@ -0,0 +1,148 @@
+import BaseComponent from './base-component.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import answerMatcher from '../services/AnswerMatcher.js';
+
+const FLIPPED_CLASS = 'flipped';
+
+/**
+ * Shows the current question as a flashcard in the game area (#flashcard).
+ * Only visible when the question is presented in 'flashcard' answer mode. The player taps the card
+ * to flip it and see the answer, then grades themselves; the grade is emitted as
+ * Events.UI.GameArea.SelfGraded for FlashcardGame.
+ * @extends BaseComponent
+ */
+class FlashcardComponent extends BaseComponent {
+    /**
+     * Creates an instance of FlashcardComponent.
+     */
+    constructor() {
+        super('#flashcard', 'Flashcard');
+        this.cardButton = this.rootElement.querySelector('#flashcardCard');
+        this.questionElement = this.rootElement.querySelector('#flashcardQuestion');
+        this.answerElement = this.rootElement.querySelector('#flashcardAnswer');
+        this.hintElement = this.rootElement.querySelector('#flashcardHint');
+        this.gradesContainer = this.rootElement.querySelector('#flashcardGrades');
+        this.knewItButton = this.rootElement.querySelector('#flashcardKnewIt');
+        this.didNotKnowButton = this.rootElement.querySelector('#flashcardDidNot');
+
+        if (!this.cardButton || !this.questionElement || !this.answerElement || !this.hintElement
+            || !this.gradesContainer || !this.knewItButton || !this.didNotKnowButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        this.isGradable = false;
+
+        this._bindMethods();
+        this._addEventListeners();
+
+        this.listen(Events.Game.QuestionNew, this.handleNewQuestion);
+        this.listen(Events.Game.Finished, this.hide);
+
+        this.hide(); // Start hidden, shown per question in flashcard mode
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleNewQuestion = this.handleNewQuestion.bind(this);
+        this._handleFlip = this._handleFlip.bind(this);
+        this._handleKnewIt = this._handleKnewIt.bind(this);
+        this._handleDidNotKnow = this._handleDidNotKnow.bind(this);
+    }
+
+    /** Adds DOM event listeners. */
+    _addEventListeners() {
+        this.cardButton.addEventListener('click', this._handleFlip);
+        this.knewItButton.addEventListener('click', this._handleKnewIt);
+        this.didNotKnowButton.addEventListener('click', this._handleDidNotKnow);
+    }
+
+    /** Removes DOM event listeners. */
+    _removeEventListeners() {
+        this.cardButton?.removeEventListener('click', this._handleFlip);
+        this.knewItButton?.removeEventListener('click', this._handleKnewIt);
+        this.didNotKnowButton?.removeEventListener('click', this._handleDidNotKnow);
+    }
+
+    /**
+     * Puts a new card on the table, question side up, or hides the card for other answer modes.
+     * @param {object} payload - The event payload.
+     * @param {object} payload.questionData - Data for the new question.
+     * @param {string} payload.questionData.question - The question text.
+     * @param {string} [payload.questionData.answer] - The answer, only sent in flashcard mode.
+     * @param {'choice' | 'typed' | 'flashcard'} [payload.questionData.answerMode]
+     */
+    handleNewQuestion({ questionData }) {
+        if (questionData.answerMode !== 'flashcard') {
+            this.isGradable = false;
+            this.hide();
+            return;
+        }
+
+        console.debug(`[${this.name}] Showing new card.`);
+        this.questionElement.textContent = questionData.question;
+        this.answerElement.textContent = answerMatcher.getPrimaryAnswer(questionData.answer ?? '');
+        this.cardButton.classList.remove(FLIPPED_CLASS);
+        this.cardButton.disabled = false;
+        this.hintElement.classList.remove('hidden');
+        this.gradesContainer.classList.add('hidden');
+        this.knewItButton.disabled = false;
+        this.didNotKnowButton.disabled = false;
+        this.isGradable = false;
+        this.show();
+
+        try {
+            this.cardButton.focus();
+        } catch (e) {
+            console.warn(`[${this.name}] Could not focus the card.`, e);
+        }
+    }
+
+    /**
+     * Turns the card over. The grade buttons appear once the answer has been seen.
+     * @private
+     */
+    _handleFlip() {
+        const isFlipped = this.cardButton.classList.toggle(FLIPPED_CLASS);
+        if (isFlipped && !this.isGradable) {
+            this.isGradable = true;
+            this.hintElement.classList.add('hidden');
+            this.gradesContainer.classList.remove('hidden');
+        }
+    }
+
+    /** @private */
+    _handleKnewIt() {
+        this._grade(true);
+    }
+
+    /** @private */
+    _handleDidNotKnow() {
+        this._grade(false);
+    }
+
+    /**
+     * Emits the self-grade for the current card; the card is locked until the next one arrives.
+     * @param {boolean} knewIt
+     * @private
+     */
+    _grade(knewIt) {
+        if (!this.isGradable) return;
+        console.debug(`[${this.name}] Self-graded:`, knewIt);
+        this.isGradable = false;
+        this.cardButton.disabled = true;
+        this.knewItButton.disabled = true;
+        this.didNotKnowButton.disabled = true;
+        eventBus.emit(Events.UI.GameArea.SelfGraded, { knewIt });
+    }
+
+    /**
+     * Overrides base destroy method to remove specific DOM listeners.
+     */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
+
+export default FlashcardComponent;
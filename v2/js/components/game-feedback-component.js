@@ -37,13 +37,14 @@ class GameFeedbackComponent extends BaseComponent {
      * Handles the AnswerChecked event to provide global feedback.
      * @param {object} payload
      * @param {boolean} payload.isCorrect
+     * @param {boolean} [payload.selfGraded] - Flashcards; a card the player did not know is no mistake to flash red for.
      * @private
      */
-    handleAnswerChecked({ isCorrect }) {
+    handleAnswerChecked({ isCorrect, selfGraded }) {
         if (isCorrect) {
             console.debug(`[${this.name}] Triggering positive feedback.`);
             this.triggerConfetti();
-        } else {
+        } else if (!selfGraded) {
             console.debug(`[${this.name}] Triggering negative feedback.`);
             this.triggerIncorrectFeedback();
         }
@@ -2,13 +2,17 @@ import BaseComponent from './base-component.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import Views from '../core/view-constants.js';
+import ScoringStrategies, { DEFAULT_SCORING } from '../core/scoring-strategies.js';
 
 import HighscoreManager from '../services/HighscoreManager.js';
+import profileService from '../services/ProfileService.js';
 import easterEggActivator from '../utils/easter-egg-activator.js';
 
 /**
  * Component managing the Highscores view (#highscores).
- * Displays the list of high scores.
+ * Displays the list of high scores: a tab per table (test, sprint, survival) and dropdowns to
+ * filter on sheet set, difficulty, scoring (for the test) and length (for sprints). The "Gespeelde potjes" tab shows the
+ * multiplayer match history and the wins and losses per opponent instead.
  */
 export default class HighscoresComponent extends BaseComponent {
     /**
@@ -21,12 +25,31 @@ export default class HighscoresComponent extends BaseComponent {
         this.scoreListBody = this.rootElement.querySelector('#scoreList');
         this.backButton = this.rootElement.querySelector('.backToMain');
         this.rowTemplate = this.rootElement.querySelector('#highscore-row-template');
+        this.onlyMineLabel = this.rootElement.querySelector('#highscoresOnlyMineLabel');
+        this.onlyMineCheckbox = this.rootElement.querySelector('#highscoresOnlyMine');
+        this.tabButtons = [...this.rootElement.querySelectorAll('#highscoresTabs [data-table]')];
+        this.sheetSelect = this.rootElement.querySelector('#highscoresSheet');
+        this.difficultySelect = this.rootElement.querySelector('#highscoresDifficulty');
+        this.scoringLabel = this.rootElement.querySelector('#highscoresScoringLabel');
+        this.scoringSelect = this.rootElement.querySelector('#highscoresScoring');
+        this.durationLabel = this.rootElement.querySelector('#highscoresDurationLabel');
+        this.durationSelect = this.rootElement.querySelector('#highscoresDuration');
+        this.scoreTable = this.rootElement.querySelector('#highscoresScoreTable');
+        this.matchHistorySection = this.rootElement.querySelector('#matchHistory');
+        this.opponentListBody = this.rootElement.querySelector('#opponentList');
+        this.matchListBody = this.rootElement.querySelector('#matchList');
 
         // Throw if essential child elements are missing
-        if (!this.scoreListBody || !this.backButton || !this.rowTemplate) {
-            throw new Error(`[${this.name}] Missing required child elements (#scoreList, .backToMain, #highscore-row-template). Component cannot function.`);
+        if (!this.scoreListBody || !this.backButton || !this.rowTemplate || !this.onlyMineLabel || !this.onlyMineCheckbox
+            || this.tabButtons.length === 0 || !this.sheetSelect || !this.difficultySelect || !this.scoringLabel || !this.scoringSelect
+            || !this.durationLabel || !this.durationSelect
+            || !this.scoreTable || !this.matchHistorySection || !this.opponentListBody || !this.matchListBody) {
+            throw new Error(`[${this.name}] Missing required child elements (#scoreList, .backToMain, #highscore-row-template, #highscoresOnlyMine, #highscoresTabs, #highscoresSheet, #highscoresDifficulty, #highscoresScoring, #highscoresDuration, #highscoresScoreTable, #matchHistory, #opponentList, #matchList). Component cannot function.`);
         }
 
+        this.selectedTable = 'single';
+        Object.entries(ScoringStrategies).forEach(([id, strategy]) => this.scoringSelect.add(new Option(strategy.name, id)));
+
         this._bindMethods();
         this.addEventListeners();
         this.listenForEvents();
@@ -37,6 +60,8 @@ export default class HighscoresComponent extends BaseComponent {
         this.handleScoresLoaded = this.handleScoresLoaded.bind(this);
         this.handleLoadFailed = this.handleLoadFailed.bind(this);
         this.clearDisplay = this.clearDisplay.bind(this);
+        this.requestScores = this.requestScores.bind(this);
+        this.handleTabClick = this.handleTabClick.bind(this);
     }
 
     /**
@@ -49,6 +74,30 @@ export default class HighscoresComponent extends BaseComponent {
             eventBus.emit(Events.UI.Highscores.BackClicked);
             eventBus.emit(Events.Navigation.ShowView, { viewName: Views.MainMenu }); // Use imported constant
         });
+        this.onlyMineCheckbox.addEventListener('change', this.requestScores);
+        this.tabButtons.forEach(button => button.addEventListener('click', this.handleTabClick));
+        this.sheetSelect.addEventListener('change', this.requestScores);
+        this.difficultySelect.addEventListener('change', this.requestScores);
+        this.scoringSelect.addEventListener('change', this.requestScores);
+        this.durationSelect.addEventListener('change', this.requestScores);
+    }
+
+    /**
+     * Switches to the table of the clicked tab. The sheet filter is reset, as the tables have different sheet sets.
+     * @param {MouseEvent} event
+     * @private
+     */
+    handleTabClick(event) {
+        const table = event.currentTarget.dataset.table;
+        if (table === this.selectedTable) return;
+        this.selectedTable = table;
+        this.sheetSelect.value = '';
+        this.tabButtons.forEach(button => button.setAttribute('aria-selected', String(button.dataset.table === table)));
+        this.scoringLabel.classList.toggle('hidden', table !== 'single'); // Only the test is scored with a strategy
+        this.durationLabel.classList.toggle('hidden', table !== 'sprint');
+        this.scoreTable.classList.toggle('hidden', table === 'matches');
+        this.matchHistorySection.classList.toggle('hidden', table !== 'matches');
+        this.requestScores();
     }
 
     /**
@@ -70,14 +119,55 @@ export default class HighscoresComponent extends BaseComponent {
     }
 
     /**
-     * Handles the Highscores.Loaded event by rendering the scores.
+     * Handles the Highscores.Loaded event by rendering the scores, or the match history for the 'matches' tab.
+     * Answers for another tab than the selected one (after switching quickly) are ignored.
      * @param {object} payload
-     * @param {Array<object>} payload.scores - Array of score objects ({ name, score, date, level? }).
+     * @param {Array<object>} payload.scores - Array of score objects ({ name, score, date, level?, difficulty? }).
+     * @param {string} [payload.table] - The table the scores come from.
+     * @param {Array<{sheetKey: string, level: string}>} [payload.sheetSets] - Sheet sets with scores in the table.
+     * @param {Array<object>} [payload.matches] - ('matches') Past multiplayer games, most recent first.
+     * @param {Array<{name: string, wins: number, losses: number, draws: number}>} [payload.opponents] - ('matches') Results per opponent.
      * @private
      */
-    handleScoresLoaded({ scores }) {
+    handleScoresLoaded({ scores, table, sheetSets = [], matches = [], opponents = [] }) {
+        if (table && table !== this.selectedTable) return;
         console.log("[HighscoresComponent] Scores loaded event received:", scores);
-        this.renderScores(scores);
+        this.renderSheetOptions(sheetSets);
+        if (table === 'matches') {
+            this.renderMatchHistory(matches, opponents);
+        } else {
+            this.renderScores(scores);
+        }
+    }
+
+    /**
+     * Fills the sheet filter with the sheet sets of the table, keeping the selected one.
+     * @param {Array<{sheetKey: string, level: string}>} sheetSets
+     * @private
+     */
+    renderSheetOptions(sheetSets) {
+        const selected = this.sheetSelect.value;
+        this.sheetSelect.options.length = 1; // Keep "Alle lijsten"
+        sheetSets.forEach(({ sheetKey, level }) => this.sheetSelect.add(new Option(level, sheetKey)));
+        this.sheetSelect.value = sheetSets.some(set => set.sheetKey === selected) ? selected : '';
+    }
+
+    /**
+     * Describes the list a score belongs to, e.g. "Tafel van 2, Tafel van 3 (Moeilijk, Reeksbonus)".
+     * The scoring is only named when it is not the default one.
+     * @param {object} score - A score entry.
+     * @returns {string}
+     * @private
+     */
+    _formatLevel(score) {
+        const details = [
+            score.difficulty
+                ? [...this.difficultySelect.options].find(option => option.value === score.difficulty)?.textContent || score.difficulty
+                : null,
+            score.scoring && score.scoring !== DEFAULT_SCORING ? ScoringStrategies[score.scoring]?.name || score.scoring : null
+        ].filter(Boolean).join(', ');
+        if (!score.level) return details || '-';
+        return details ? `${score.level} (${details})` : score.level;
     }
 
     /**
@@ -120,7 +210,7 @@ export default class HighscoresComponent extends BaseComponent {
 
             // Populate the cells within the cloned row using their class names
             rowElement.querySelector('.rank').textContent = index + 1;
-            rowElement.querySelector('.level').textContent = score.level || '-'; // Handle optional level
+            rowElement.querySelector('.level').textContent = this._formatLevel(score); // Level and difficulty are optional
             rowElement.querySelector('.name').textContent = score.name;
             rowElement.querySelector('.score').textContent = score.score;
             rowElement.querySelector('.date').textContent = score.date ? new Date(score.date).toLocaleDateString('nl-NL') : '-'; // Format date
@@ -131,14 +221,66 @@ export default class HighscoresComponent extends BaseComponent {
     }
 
     /**
-     * Renders an error message in the table body.
+     * Adds a row with the given cell texts to a table body.
+     * @param {HTMLTableSectionElement} body
+     * @param {Array<string | number>} texts
+     * @private
+     */
+    _addRow(body, texts) {
+        const row = body.insertRow();
+        texts.forEach(text => { row.insertCell().textContent = text; });
+    }
+
+    /**
+     * Adds a row with a message spanning all columns to a table body.
+     * @param {HTMLTableSectionElement} body
+     * @param {number} columnCount
+     * @param {string} message
+     * @private
+     */
+    _addMessageRow(body, columnCount, message) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = columnCount;
+        cell.textContent = message;
+        cell.style.textAlign = "center";
+    }
+
+    /**
+     * Renders the wins and losses per opponent and the most recent multiplayer games.
+     * @param {Array<object>} matches - Stored matches ({ date, level, difficulty, placement, playerCount, score, opponents }).
+     * @param {Array<{name: string, wins: number, losses: number, draws: number}>} opponents
+     * @private
+     */
+    renderMatchHistory(matches, opponents) {
+        this.opponentListBody.innerHTML = '';
+        this.matchListBody.innerHTML = '';
+
+        if (matches.length === 0) {
+            this._addMessageRow(this.opponentListBody, 4, "Nog geen potjes gespeeld!");
+            this._addMessageRow(this.matchListBody, 5, "Nog geen potjes gespeeld!");
+            return;
+        }
+
+        opponents.forEach(({ name, wins, losses, draws }) => this._addRow(this.opponentListBody, [name, wins, losses, draws]));
+        matches.forEach(match => this._addRow(this.matchListBody, [
+            match.date ? new Date(match.date).toLocaleDateString('nl-NL') : '-',
+            this._formatLevel(match),
+            `${match.placement} van ${match.playerCount}`,
+            match.score,
+            match.opponents.map(opponent => `${opponent.name} (${opponent.score})`).join(', ')
+        ]));
+    }
+
+    /**
+     * Renders an error message in the table body (the match list on the match history tab).
      * @param {string} message
      * @private
      */
     renderError(message) {
-        if (!this.scoreListBody) return;
-        this.scoreListBody.innerHTML = ''; // Clear previous entries
-        const row = this.scoreListBody.insertRow();
+        const body = this.selectedTable === 'matches' ? this.matchListBody : this.scoreListBody;
+        if (!body) return;
+        body.innerHTML = ''; // Clear previous entries
+        const row = body.insertRow();
         const cell = row.insertCell();
         cell.colSpan = 5; // Match column count
         cell.textContent = `Fout: ${message}`;
@@ -153,18 +295,44 @@ export default class HighscoresComponent extends BaseComponent {
     clearDisplay() {
         if (this.scoreListBody) {
             this.scoreListBody.innerHTML = '';
+            this.opponentListBody.innerHTML = '';
+            this.matchListBody.innerHTML = '';
             console.debug("[HighscoresComponent] Display cleared.");
         }
     }
 
+    /**
+     * Requests the scores of the selected tab (the test, sprints of one length, the longest survival runs or the match history),
+     * filtered on the selected sheet set and difficulty, and only those of the active profile when
+     * "Alleen mijn scores" is checked. HighscoreManager listens for ShowRequested.
+     * @private
+     */
+    requestScores() {
+        const activeProfile = profileService.getActiveProfile();
+        const profileId = activeProfile && this.onlyMineCheckbox.checked ? activeProfile.id : undefined;
+        const table = this.selectedTable;
+        const durationSeconds = table === 'sprint' ? parseInt(this.durationSelect.value, 10) : undefined;
+        eventBus.emit(Events.Menu.Highscores.ShowRequested, {
+            profileId,
+            table,
+            sheetKey: this.sheetSelect.value || undefined,
+            difficulty: this.difficultySelect.value || undefined,
+            scoring: table === 'single' ? this.scoringSelect.value || undefined : undefined,
+            durationSeconds
+        });
+    }
+
     /**
      * Override show to trigger loading scores when the view becomes visible.
-     * HighscoreManager listens for ShowRequested.
+     * The "only mine" filter is offered when a profile is active.
      */
     show() {
         super.show();
         console.log("[HighscoresComponent] Shown. Requesting scores...");
-        eventBus.emit(Events.Menu.Highscores.ShowRequested);
+        const activeProfile = profileService.getActiveProfile();
+        this.onlyMineLabel.classList.toggle('hidden', !activeProfile);
+        if (!activeProfile) this.onlyMineCheckbox.checked = false;
+        this.requestScores();
         // Add Konami listener when shown
         easterEggActivator.addKonamiListener();
     }
@@ -181,6 +349,12 @@ export default class HighscoresComponent extends BaseComponent {
      * Override destroy to remove listeners.
      */
     destroy() {
+        this.onlyMineCheckbox.removeEventListener('change', this.requestScores);
+        this.tabButtons.forEach(button => button.removeEventListener('click', this.handleTabClick));
+        this.sheetSelect.removeEventListener('change', this.requestScores);
+        this.difficultySelect.removeEventListener('change', this.requestScores);
+        this.scoringSelect.removeEventListener('change', this.requestScores);
+        this.durationSelect.removeEventListener('change', this.requestScores);
         easterEggActivator.deactivate();
         super.destroy();
     }
@@ -2,6 +2,7 @@ import BaseComponent from './base-component.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import Views from '../core/view-constants.js';
+import { getScoringStrategy } from '../core/scoring-strategies.js';
 
 /**
  * @class JoinLobbyComponent
@@ -137,6 +138,7 @@ class JoinLobbyComponent extends BaseComponent {
                 <p><strong>Host:</strong> ${players.get(settings.hostId)?.name || 'Host'}</p>
                 <p><strong>Sheets:</strong> ${settings.sheetIds?.join(', ') || 'Default'}</p>
                 <p><strong>Difficulty:</strong> ${settings.difficulty || 'Medium'}</p>
+                <p><strong>Punten:</strong> ${getScoringStrategy(settings.scoring).name}</p>
                 <p><strong>Players:</strong> ${playerNames}</p>
             `;
         }
@@ -0,0 +1,79 @@
+import BaseComponent from './base-component.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+/**
+ * @class LifelinesComponent
+ * @extends BaseComponent
+ * Shows the jokers ("hulplijnen") in the game header, with how many uses are left,
+ * and emits Events.UI.GameArea.LifelineClicked when one is clicked.
+ * Only visible in games that announce their jokers with Events.Game.LifelinesUpdated.
+ */
+class LifelinesComponent extends BaseComponent {
+    /**
+     * Creates an instance of LifelinesComponent.
+     */
+    constructor() {
+        super('#lifelines', 'Lifelines');
+        this.buttons = [...this.rootElement.querySelectorAll('button[data-lifeline]')];
+        if (this.buttons.length === 0) {
+            throw new Error(`[${this.name}] Missing joker buttons (button[data-lifeline]) within ${this.selector}.`);
+        }
+
+        this.handleLifelinesUpdated = this.handleLifelinesUpdated.bind(this);
+        this.disableAll = this.disableAll.bind(this);
+        this._handleClick = this._handleClick.bind(this);
+        this.rootElement.addEventListener('click', this._handleClick);
+
+        this.listen(Events.Game.Started, this.hide); // Only shown once a game announces its jokers
+        this.listen(Events.Game.LifelinesUpdated, this.handleLifelinesUpdated);
+        this.listen(Events.Game.AnswerChecked, this.disableAll);
+        this.listen(Events.Game.Finished, this.hide);
+
+        this.hide();
+    }
+
+    /**
+     * Updates the uses left per joker and which ones can be used on this question.
+     * @param {object} payload - Event payload from Events.Game.LifelinesUpdated.
+     * @param {Object<string, {remaining: number, usable: boolean}>} payload.lifelines
+     */
+    handleLifelinesUpdated({ lifelines }) {
+        this.buttons.forEach(button => {
+            const state = lifelines[button.dataset.lifeline];
+            button.classList.toggle('hidden', !state);
+            if (!state) return;
+            const countElement = button.querySelector('.lifeline-count');
+            if (countElement) countElement.textContent = `×${state.remaining}`;
+            button.classList.toggle('used-up', state.remaining === 0);
+            button.disabled = !state.usable;
+        });
+        this.show();
+    }
+
+    /** Disables the jokers until the next question. */
+    disableAll() {
+        this.buttons.forEach(button => { button.disabled = true; });
+    }
+
+    /**
+     * @param {MouseEvent} event
+     * @private
+     */
+    _handleClick(event) {
+        const button = event.target.closest('button[data-lifeline]');
+        if (!button || button.disabled) return;
+        button.disabled = true; // Until the game confirms with LifelinesUpdated
+        eventBus.emit(Events.UI.GameArea.LifelineClicked, { lifeline: button.dataset.lifeline });
+    }
+
+    /**
+     * Overrides base destroy method to remove the click listener.
+     */
+    destroy() {
+        this.rootElement?.removeEventListener('click', this._handleClick);
+        super.destroy();
+    }
+}
+
+export default LifelinesComponent;
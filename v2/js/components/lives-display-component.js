@@ -0,0 +1,53 @@
+import BaseComponent from './base-component.js';
+import Events from '../core/event-constants.js';
+
+const HEART_IMAGE = 'img/heart.gif';
+const LOST_CLASS = 'lost';
+
+/**
+ * @class LivesDisplayComponent
+ * @extends BaseComponent
+ * Shows the hearts left in the game header during a survival run; a lost heart is greyed out.
+ * Only visible in games that announce their lives with Events.Game.LivesUpdated.
+ */
+class LivesDisplayComponent extends BaseComponent {
+    /**
+     * Creates an instance of LivesDisplayComponent.
+     */
+    constructor() {
+        super('#livesDisplay', 'LivesDisplay');
+
+        this.handleLivesUpdated = this.handleLivesUpdated.bind(this);
+        this.listen(Events.Game.Started, this.hide); // Only shown once a game announces its lives
+        this.listen(Events.Game.LivesUpdated, this.handleLivesUpdated);
+        this.listen(Events.Game.Finished, this.hide);
+
+        this.hide();
+    }
+
+    /**
+     * Draws a heart per life, greyed out for the lives already lost.
+     * @param {object} payload - Event payload from Events.Game.LivesUpdated.
+     * @param {number} payload.lives
+     * @param {number} payload.maxLives
+     */
+    handleLivesUpdated({ lives, maxLives }) {
+        if (this.rootElement.children.length !== maxLives) {
+            this.rootElement.innerHTML = '';
+            for (let i = 0; i < maxLives; i++) {
+                const heart = document.createElement('img');
+                heart.src = HEART_IMAGE;
+                heart.alt = '';
+                heart.className = 'life';
+                this.rootElement.appendChild(heart);
+            }
+        }
+        [...this.rootElement.children].forEach((heart, index) => {
+            heart.classList.toggle(LOST_CLASS, index >= lives);
+        });
+        this.rootElement.title = `${lives} van de ${maxLives} levens over`;
+        this.show();
+    }
+}
+
+export default LivesDisplayComponent;
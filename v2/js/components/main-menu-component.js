@@ -2,6 +2,7 @@ import BaseComponent from './base-component.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import Views from '../core/view-constants.js';
+import profileService from '../services/ProfileService.js';
 
 
 /**
@@ -19,34 +20,71 @@ class MainMenuComponent extends BaseComponent {
 
         // Find buttons within the main menu
         this.practiceButton = this.rootElement.querySelector('#practice');
+        this.flashcardsButton = this.rootElement.querySelector('#flashcards');
+        this.sprintButton = this.rootElement.querySelector('#sprint');
+        this.survivalButton = this.rootElement.querySelector('#survival');
         this.singlePlayerButton = this.rootElement.querySelector('#takeTest'); // Assuming #takeTest is Single Player
         this.multiplayerButton = this.rootElement.querySelector('#multiplayer');
         this.customQuestionsButton = this.rootElement.querySelector('#myQuestions');
         this.highscoresButton = this.rootElement.querySelector('#viewHighscores');
+        this.statisticsButton = this.rootElement.querySelector('#viewStatistics');
+        this.dailyChallengeButton = this.rootElement.querySelector('#dailyChallengeButton');
+        this.achievementsButton = this.rootElement.querySelector('#viewAchievements');
         this.aboutButton = this.rootElement.querySelector('#hoeDan'); // Assuming #hoeDan is About
+        this.profileSwitcher = this.rootElement.querySelector('#profileSwitcher');
+        this.profileAvatar = this.rootElement.querySelector('#profileSwitcherAvatar');
+        this.profileName = this.rootElement.querySelector('#profileSwitcherName');
 
         this._bindEvents();
+        this.handleProfileChanged = this.handleProfileChanged.bind(this);
+        this.listen(Events.Profile.Changed, this.handleProfileChanged);
+        this.handleProfileChanged({ activeProfile: profileService.getActiveProfile() }); // Profiles may have loaded before this component
         console.log(`[${this.name}] Initialized`);
     }
 
     /** Binds DOM event listeners to menu buttons. @private */
     _bindEvents() {
         this._addButtonListener(this.practiceButton, Events.UI.MainMenu.StartPracticeClicked);
+        this._addButtonListener(this.flashcardsButton, Events.UI.MainMenu.StartFlashcardsClicked);
+        this._addButtonListener(this.sprintButton, Events.UI.MainMenu.StartSprintClicked);
+        this._addButtonListener(this.survivalButton, Events.UI.MainMenu.StartSurvivalClicked);
         this._addButtonListener(this.singlePlayerButton, Events.UI.MainMenu.StartSinglePlayerClicked);
         this._addButtonListener(this.multiplayerButton, Events.UI.MainMenu.JoinMultiplayerClicked); // Changed from StartMultiplayerHostClicked based on refactor-plan
         this._addButtonListener(this.customQuestionsButton, Events.UI.MainMenu.CustomQuestionsClicked);
         this._addButtonListener(this.highscoresButton, Events.UI.MainMenu.HighscoresClicked);
+        this._addButtonListener(this.statisticsButton, Events.UI.MainMenu.StatisticsClicked);
+        this._addButtonListener(this.dailyChallengeButton, Events.UI.MainMenu.DailyChallengeClicked);
+        this._addButtonListener(this.achievementsButton, Events.UI.MainMenu.AchievementsClicked);
         this._addButtonListener(this.aboutButton, Events.UI.MainMenu.AboutClicked);
+        this._addButtonListener(this.profileSwitcher, Events.UI.MainMenu.ProfileSwitcherClicked);
     }
 
     /** Removes DOM event listeners. @private */
     _unbindEvents() {
         this._removeButtonListener(this.practiceButton, Events.UI.MainMenu.StartPracticeClicked);
+        this._removeButtonListener(this.flashcardsButton, Events.UI.MainMenu.StartFlashcardsClicked);
+        this._removeButtonListener(this.sprintButton, Events.UI.MainMenu.StartSprintClicked);
+        this._removeButtonListener(this.survivalButton, Events.UI.MainMenu.StartSurvivalClicked);
         this._removeButtonListener(this.singlePlayerButton, Events.UI.MainMenu.StartSinglePlayerClicked);
         this._removeButtonListener(this.multiplayerButton, Events.UI.MainMenu.JoinMultiplayerClicked);
         this._removeButtonListener(this.customQuestionsButton, Events.UI.MainMenu.CustomQuestionsClicked);
         this._removeButtonListener(this.highscoresButton, Events.UI.MainMenu.HighscoresClicked);
+        this._removeButtonListener(this.statisticsButton, Events.UI.MainMenu.StatisticsClicked);
+        this._removeButtonListener(this.dailyChallengeButton, Events.UI.MainMenu.DailyChallengeClicked);
+        this._removeButtonListener(this.achievementsButton, Events.UI.MainMenu.AchievementsClicked);
         this._removeButtonListener(this.aboutButton, Events.UI.MainMenu.AboutClicked);
+        this._removeButtonListener(this.profileSwitcher, Events.UI.MainMenu.ProfileSwitcherClicked);
+    }
+
+    /**
+     * Shows the avatar and name of the active profile on the profile switcher.
+     * @param {object} payload - Events.Profile.Changed payload.
+     * @param {object | null} payload.activeProfile
+     */
+    handleProfileChanged({ activeProfile }) {
+        if (!this.profileAvatar || !this.profileName) return;
+        this.profileAvatar.textContent = activeProfile?.avatar || '👤';
+        this.profileName.textContent = activeProfile?.name || 'Wie speelt er?';
     }
 
     /**
@@ -2,6 +2,8 @@ import BaseComponent from './base-component.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import Views from '../core/view-constants.js';
+import profileService from '../services/ProfileService.js';
+import ScoringStrategies, { DEFAULT_SCORING } from '../core/scoring-strategies.js';
 
 
 /**
@@ -25,7 +27,9 @@ class MultiplayerChoiceComponent extends BaseComponent {
         this.errorDisplay = this.rootElement.querySelector('#choiceError');
         // Reference the difficulty radio buttons
         this.difficultyRadios = this.rootElement.querySelectorAll('input[name="mpDifficulty"]');
+        this.scoringSelection = this.rootElement.querySelector('#mpScoringSelection');
 
+        this._renderScoringOptions();
         this._bindEvents();
         this.hide(); // Start hidden
         console.log(`[${this.name}] Initialized`);
@@ -34,6 +38,26 @@ class MultiplayerChoiceComponent extends BaseComponent {
         this.listen(Events.Navigation.ShowView, this.handleShowView);
     }
 
+    /**
+     * Adds a radio button per scoring strategy, with its description as tooltip.
+     * @private
+     */
+    _renderScoringOptions() {
+        if (!this.scoringSelection) return;
+        this.scoringSelection.innerHTML = '';
+        Object.entries(ScoringStrategies).forEach(([id, strategy]) => {
+            const label = document.createElement('label');
+            label.title = strategy.description;
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'mpScoring';
+            radio.value = id;
+            radio.checked = id === DEFAULT_SCORING;
+            label.append(radio, ` ${strategy.name}`);
+            this.scoringSelection.appendChild(label);
+        });
+    }
+
     /** Binds DOM event listeners. @private */
     _bindEvents() {
         this.hostButton?.addEventListener('click', this._handleHostClick);
@@ -65,9 +89,9 @@ class MultiplayerChoiceComponent extends BaseComponent {
         }
     }
 
-    /** Clears the input field and error message. @private */
+    /** Resets the name input to the active profile's name and clears the error message. @private */
     _clearForm() {
-        if (this.nameInput) this.nameInput.value = '';
+        if (this.nameInput) this.nameInput.value = profileService.getActiveProfile()?.name || '';
         this._clearError();
     }
 
@@ -119,12 +143,16 @@ class MultiplayerChoiceComponent extends BaseComponent {
             }
         });
 
+        // The scoring is sent to the clients with the other settings; the host scores every player with it
+        const selectedScoring = this.scoringSelection?.querySelector('input[name="mpScoring"]:checked')?.value || DEFAULT_SCORING;
+
         // TODO: Need to get settings for hosting (SHEET IDs specifically).
         // Sheet selection should probably happen *before* this screen,
         // or be presented to the host here.
         const settings = {
             sheetIds: ['default_basis'], // STILL USING DEFAULT SHEET
-            difficulty: selectedDifficulty // Use the selected difficulty
+            difficulty: selectedDifficulty, // Use the selected difficulty
+            scoring: selectedScoring
         };
 
         eventBus.emit(Events.UI.MultiplayerChoice.HostClicked, {
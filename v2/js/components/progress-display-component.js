@@ -53,12 +53,19 @@ class ProgressDisplayComponent extends BaseComponent {
      * Assumes progressBar and progressText exist due to constructor check.
      * @param {object} payload - The event payload.
      * @param {number} payload.questionIndex - 0-based index of the current question.
-     * @param {number} payload.totalQuestions - Total number of questions.
+     * @param {number | null} payload.totalQuestions - Total number of questions; null when the round has no fixed length.
      */
     handleNewQuestion({ questionIndex, totalQuestions }) {
         const currentQuestionNumber = questionIndex + 1; 
         console.debug(`[${this.name}] Updating progress: ${currentQuestionNumber} / ${totalQuestions}`);
 
+        this.progressBarElement.classList.toggle('hidden', totalQuestions === null);
+        if (totalQuestions === null) {
+            this.progressTextElement.textContent = `Vraag ${currentQuestionNumber}`;
+            this.show();
+            return;
+        }
+
         // No need for null checks here due to constructor guarantee
         this.progressTextElement.textContent = `Vraag ${currentQuestionNumber} / ${totalQuestions}`;
         this.progressBarElement.max = totalQuestions;
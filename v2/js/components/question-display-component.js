@@ -37,8 +37,13 @@ class QuestionDisplayComponent extends BaseComponent {
      * @param {object} payload - The event payload.
      * @param {object} payload.questionData - Data for the new question.
      * @param {string} payload.questionData.question - The question text.
+     * @param {'choice' | 'typed' | 'flashcard'} [payload.questionData.answerMode] - Flashcards show the question on the card itself.
      */
     handleNewQuestion({ questionData }) {
+        if (questionData.answerMode === 'flashcard') {
+            this.hide();
+            return;
+        }
         console.debug(`[${this.name}] Displaying new question.`);
         // Use textContent for safety, assuming questions are plain text.
         this.rootElement.textContent = questionData.question; 
@@ -3,12 +3,17 @@ import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import Views from '../core/view-constants.js'; // Import Views constants
 import questionsManager from '../services/QuestionsManager.js'; // Assuming we might fetch sheet list
+import answerMatcher from '../services/AnswerMatcher.js';
+import ScoringStrategies, { DEFAULT_SCORING } from '../core/scoring-strategies.js';
+
+const SCORED_MODES = ['single', 'survival']; // Modes scored with a scoring strategy; the others keep their own scoring
 
 /**
  * @class SheetSelectionComponent
  * @extends BaseComponent
  * Manages the sheet selection view (#sheetSelection), allowing users to pick question sheets
  * and difficulty levels, triggering game start, and managing the sheet navigation visibility.
+ * Sheets are shown in collapsible groups (from config.json metadata) and can be filtered with a search box.
  */
 class SheetSelectionComponent extends BaseComponent {
     /**
@@ -19,26 +24,39 @@ class SheetSelectionComponent extends BaseComponent {
 
         // Element references
         this.sheetsContainer = this.rootElement.querySelector('#sheetsCheckboxes');
+        this.searchInput = this.rootElement.querySelector('#sheetSearch');
+        this.noResultsElement = this.rootElement.querySelector('#sheetSearchEmpty');
         this.difficultyContainer = this.rootElement.querySelector('#difficultyCol');
         this.difficultyRadios = this.rootElement.querySelectorAll('input[name="difficulty"]');
+        this.answerModeContainer = this.rootElement.querySelector('#answerModeCol');
+        this.answerModeRadios = this.rootElement.querySelectorAll('input[name="answerMode"]');
+        this.scoringContainer = this.rootElement.querySelector('#scoringCol');
+        this.scoringSelection = this.rootElement.querySelector('#scoringSelection');
+        this.sprintDurationContainer = this.rootElement.querySelector('#sprintDurationCol');
         this.startButton = this.rootElement.querySelector('#startGame');
+        this.printButton = this.rootElement.querySelector('#printWorksheet');
         this.backButton = this.rootElement.querySelector('#sheetSelectBack');
         // *** CORRECTED: Reference the container that needs animation ***
         this.sheetNavigationContainer = this.rootElement.querySelector('#sheetNavigation'); // Correct ID
 
         // ** Throw error if critical child elements are missing **
         if (!this.sheetsContainer) throw new Error(`[${this.name}] Missing required child element: #sheetsCheckboxes`);
+        if (!this.searchInput || !this.noResultsElement) throw new Error(`[${this.name}] Missing required child elements: #sheetSearch, #sheetSearchEmpty`);
         if (!this.difficultyContainer) throw new Error(`[${this.name}] Missing required child element: #difficultyCol`);
         if (!this.startButton) throw new Error(`[${this.name}] Missing required child element: #startGame`);
+        if (!this.printButton) throw new Error(`[${this.name}] Missing required child element: #printWorksheet`);
         if (!this.backButton) throw new Error(`[${this.name}] Missing required child element: #sheetSelectBack`);
         // *** CORRECTED: Validation for the navigation container ***
         if (!this.sheetNavigationContainer) console.warn(`[${this.name}] Optional child element #sheetNavigation not found. Sheet navigation animation will not work.`); // Warn or throw if mandatory
 
         this.selectedSheets = new Set();
         this.selectedDifficulty = 'medium'; // Default difficulty
-        this.gameMode = null; // 'practice' or 'single' - set when shown
+        this.selectedAnswerMode = 'choice'; // 'choice' (multiple choice) or 'typed'
+        this.selectedScoring = DEFAULT_SCORING; // Scoring strategy id, see core/scoring-strategies.js
+        this.gameMode = null; // 'practice', 'flashcards', 'sprint', 'survival' or 'single' - set when shown
 
         this._bindMethods();
+        this._renderScoringOptions();
         this._addEventListeners();
         this.hide(); // Start hidden
         console.log(`[${this.name}] Initialized`);
@@ -51,30 +69,46 @@ class SheetSelectionComponent extends BaseComponent {
         this.handleShowView = this.handleShowView.bind(this);
         this._populateSheetList = this._populateSheetList.bind(this);
         this._handleSheetSelectionChange = this._handleSheetSelectionChange.bind(this);
+        this._handleSearchInput = this._handleSearchInput.bind(this);
         this._handleDifficultyChange = this._handleDifficultyChange.bind(this);
+        this._handleAnswerModeChange = this._handleAnswerModeChange.bind(this);
+        this._handleScoringChange = this._handleScoringChange.bind(this);
         this._handleStartClick = this._handleStartClick.bind(this);
+        this._handlePrintClick = this._handlePrintClick.bind(this);
         this._handleBackClick = this._handleBackClick.bind(this);
     }
 
     _addEventListeners() {
         // Use correct handler name
         this.sheetsContainer.addEventListener('change', this._handleSheetSelectionChange);
+        this.searchInput.addEventListener('input', this._handleSearchInput);
 
         // Add listeners for radio buttons
         this.difficultyRadios.forEach(radio => {
             radio.addEventListener('change', this._handleDifficultyChange);
         });
+        this.answerModeRadios.forEach(radio => {
+            radio.addEventListener('change', this._handleAnswerModeChange);
+        });
+        this.scoringSelection?.addEventListener('change', this._handleScoringChange);
 
         this.startButton.addEventListener('click', this._handleStartClick);
+        this.printButton.addEventListener('click', this._handlePrintClick);
         this.backButton.addEventListener('click', this._handleBackClick);
     }
 
     _removeEventListeners() {
         this.sheetsContainer.removeEventListener('change', this._handleSheetSelectionChange);
+        this.searchInput.removeEventListener('input', this._handleSearchInput);
         this.difficultyRadios.forEach(radio => {
             radio.removeEventListener('change', this._handleDifficultyChange);
         });
+        this.answerModeRadios.forEach(radio => {
+            radio.removeEventListener('change', this._handleAnswerModeChange);
+        });
+        this.scoringSelection?.removeEventListener('change', this._handleScoringChange);
         this.startButton.removeEventListener('click', this._handleStartClick);
+        this.printButton.removeEventListener('click', this._handlePrintClick);
         this.backButton.removeEventListener('click', this._handleBackClick);
     }
 
@@ -83,7 +117,7 @@ class SheetSelectionComponent extends BaseComponent {
      * Also ensures the sheet navigation is initially hidden if no sheets are pre-selected.
      * @param {object} payload
      * @param {string} payload.viewName
-     * @param {object} [payload.data] - Optional data passed, e.g., { mode: 'practice' | 'single' }
+     * @param {object} [payload.data] - Optional data passed, e.g., { mode: 'practice' | 'flashcards' | 'sprint' | 'survival' | 'single' }
      */
     handleShowView({ viewName, data }) {
         if (viewName === this.name) { // Use component name as view identifier
@@ -102,12 +136,15 @@ class SheetSelectionComponent extends BaseComponent {
     }
 
     /**
-     * Populates the checkbox list with available sheets from QuestionsManager.
+     * Populates the checkbox list with available sheets from QuestionsManager,
+     * grouped per sheet group in the order the groups first appear.
      * @private
      */
     _populateSheetList() {
         this.sheetsContainer.innerHTML = ''; // Clear previous list
         this.selectedSheets.clear(); // Use correct set name
+        this.searchInput.value = '';
+        this.noResultsElement.classList.add('hidden');
 
         try {
             // Get sheets synchronously from the manager
@@ -116,29 +153,22 @@ class SheetSelectionComponent extends BaseComponent {
 
             if (!Array.isArray(allSheets) || allSheets.length === 0) {
                 this.sheetsContainer.innerHTML = '<p><i>Geen vragenlijsten beschikbaar.</i></p>';
+                this.searchInput.classList.add('hidden');
                 this._updateStartButtonState(); // Ensure button is disabled
                 return;
             }
+            this.searchInput.classList.remove('hidden');
 
-            const fragment = document.createDocumentFragment();
+            /** @type {Map<string, Array<object>>} */
+            const groups = new Map();
             allSheets.forEach(sheet => {
-                const label = document.createElement('label');
-                const checkbox = document.createElement('input');
-                
-                checkbox.type = 'checkbox';
-                checkbox.value = sheet.id; // Use sheet ID as value
-                checkbox.id = `sheet-${sheet.id}`;
-                checkbox.dataset.sheetName = sheet.name; // Store name for potential use
-                // Checkbox is initially unchecked
-
-                label.appendChild(checkbox);
-                label.appendChild(document.createTextNode(` ${sheet.name || sheet.id}`)); // Use name, fallback to ID
-                label.htmlFor = checkbox.id;
-                
-                fragment.appendChild(label);
-                
+                const groupName = sheet.group || sheet.sheetTitle || 'Overig';
+                if (!groups.has(groupName)) groups.set(groupName, []);
+                groups.get(groupName).push(sheet);
             });
 
+            const fragment = document.createDocumentFragment();
+            groups.forEach((sheets, groupName) => fragment.appendChild(this._createGroup(groupName, sheets)));
             this.sheetsContainer.appendChild(fragment);
         } catch (error) {
             console.error(`[${this.name}] Error populating sheet list:`, error);
@@ -147,13 +177,107 @@ class SheetSelectionComponent extends BaseComponent {
         this._updateStartButtonState(); // Update button state after populating
     }
 
-    /** Updates visibility of the difficulty selection based on game mode. @private */
-    updateDifficultyVisibility() {
-        if (this.gameMode === 'practice') {
-            this.difficultyContainer?.classList.add('hidden');
-        } else {
-            this.difficultyContainer?.classList.remove('hidden');
+    /**
+     * Creates a collapsible group with a checkbox per sheet.
+     * @param {string} groupName
+     * @param {Array<{id: string, name: string, sheetTitle?: string, grade?: string | null, tags?: string[], icon?: string | null}>} sheets
+     * @returns {HTMLDetailsElement}
+     * @private
+     */
+    _createGroup(groupName, sheets) {
+        const details = document.createElement('details');
+        details.className = 'sheet-group';
+        details.open = true;
+
+        const summary = document.createElement('summary');
+        const icon = sheets.find(sheet => sheet.icon)?.icon;
+        summary.textContent = icon ? `${icon} ${groupName}` : groupName;
+        const countSpan = document.createElement('span');
+        countSpan.className = 'sheet-group-count';
+        countSpan.textContent = ` (${sheets.length})`;
+        summary.appendChild(countSpan);
+        details.appendChild(summary);
+
+        const itemsContainer = document.createElement('div');
+        itemsContainer.className = 'sheet-group-items';
+        sheets.forEach(sheet => itemsContainer.appendChild(this._createSheetLabel(sheet, groupName)));
+        details.appendChild(itemsContainer);
+        return details;
+    }
+
+    /**
+     * Creates the checkbox label for one sheet. The label keeps a normalized search text
+     * with the name, sheet title, group, grade and tags.
+     * @param {{id: string, name: string, sheetTitle?: string, grade?: string | null, tags?: string[]}} sheet
+     * @param {string} groupName
+     * @returns {HTMLLabelElement}
+     * @private
+     */
+    _createSheetLabel(sheet, groupName) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+
+        checkbox.type = 'checkbox';
+        checkbox.value = sheet.id; // Use sheet ID as value
+        checkbox.id = `sheet-${sheet.id}`;
+        checkbox.dataset.sheetName = sheet.name; // Store name for potential use
+        // Checkbox is initially unchecked
+
+        const textSpan = document.createElement('span');
+        textSpan.textContent = sheet.name || sheet.id; // Use name, fallback to ID
+        if (sheet.grade) {
+            const gradeSpan = document.createElement('span');
+            gradeSpan.className = 'sheet-grade';
+            gradeSpan.textContent = sheet.grade;
+            textSpan.append(' ', gradeSpan);
         }
+
+        label.appendChild(checkbox);
+        label.appendChild(textSpan);
+        label.htmlFor = checkbox.id;
+        label.dataset.search = answerMatcher.normalize(
+            [sheet.name, sheet.sheetTitle, groupName, sheet.grade, ...(sheet.tags || [])].filter(Boolean).join(' ')
+        );
+        return label;
+    }
+
+    /**
+     * Filters the sheet list on the search text. Every word must match the name, title, group,
+     * grade or tags. Groups without matches are hidden, groups with matches are opened.
+     * Hidden sheets stay selected.
+     * @private
+     */
+    _handleSearchInput() {
+        const words = answerMatcher.normalize(this.searchInput.value).split(' ').filter(Boolean);
+        let visibleCount = 0;
+
+        this.sheetsContainer.querySelectorAll('.sheet-group').forEach(group => {
+            let groupMatches = 0;
+            group.querySelectorAll('label').forEach(label => {
+                const matches = words.every(word => label.dataset.search.includes(word));
+                label.classList.toggle('hidden', !matches);
+                if (matches) groupMatches++;
+            });
+            group.classList.toggle('hidden', groupMatches === 0);
+            if (words.length > 0 && groupMatches > 0) group.open = true;
+            visibleCount += groupMatches;
+        });
+
+        this.noResultsElement.classList.toggle('hidden', visibleCount > 0);
+    }
+
+    /**
+     * Updates visibility of the difficulty selection based on game mode.
+     * Difficulty also changes the answer options and round length, so practice mode shows it as well.
+     * Flashcards are graded by the player, so there is no answer mode to pick.
+     * Only a sprint asks for its length, and only the modes scored with a scoring strategy ask for one.
+     * @private
+     */
+    updateDifficultyVisibility() {
+        this.difficultyContainer?.classList.remove('hidden');
+        this.answerModeContainer?.classList.toggle('hidden', this.gameMode === 'flashcards');
+        this.scoringContainer?.classList.toggle('hidden', !SCORED_MODES.includes(this.gameMode));
+        this.sprintDurationContainer?.classList.toggle('hidden', this.gameMode !== 'sprint');
     }
 
     /** Handles changes to sheet selection checkboxes. @private */
@@ -183,6 +307,42 @@ class SheetSelectionComponent extends BaseComponent {
         }
     }
 
+    /** Handles changes to the answer mode radio buttons (multiple choice or typed). @private */
+    _handleAnswerModeChange = (event) => {
+        if (event.target.type === 'radio' && event.target.name === 'answerMode') {
+            this.selectedAnswerMode = event.target.value === 'typed' ? 'typed' : 'choice';
+            console.log(`[${this.name}] Answer mode changed:`, this.selectedAnswerMode);
+        }
+    }
+
+    /**
+     * Adds a radio button per scoring strategy, with its description as tooltip.
+     * @private
+     */
+    _renderScoringOptions() {
+        if (!this.scoringSelection) return;
+        this.scoringSelection.innerHTML = '';
+        Object.entries(ScoringStrategies).forEach(([id, strategy]) => {
+            const label = document.createElement('label');
+            label.title = strategy.description;
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'scoring';
+            radio.value = id;
+            radio.checked = id === this.selectedScoring;
+            label.append(radio, ` ${strategy.name}`);
+            this.scoringSelection.appendChild(label);
+        });
+    }
+
+    /** Handles changes to the scoring radio buttons. @private */
+    _handleScoringChange(event) {
+        if (event.target.type === 'radio' && event.target.name === 'scoring') {
+            this.selectedScoring = event.target.value;
+            console.log(`[${this.name}] Scoring changed:`, this.selectedScoring);
+        }
+    }
+
     /**
      * Enables/disables the start button based on selection and shows/hides the sheet navigation container.
      * @private
@@ -194,6 +354,7 @@ class SheetSelectionComponent extends BaseComponent {
 
         // Update the button's disabled state
         this.startButton.disabled = !canStart;
+        this.printButton.disabled = !canStart;
         console.log(`[${this.name}] Start button ${canStart ? 'enabled' : 'disabled'}.`);
 
         // *** CORRECTED: Directly control the navigation container's classes ***
@@ -218,7 +379,10 @@ class SheetSelectionComponent extends BaseComponent {
 
         const settings = {
             sheetIds: [...this.selectedSheets],
-            difficulty: this.gameMode === 'practice' ? null : this.selectedDifficulty,
+            difficulty: this.selectedDifficulty,
+            answerMode: this.selectedAnswerMode,
+            ...(this.gameMode === 'sprint' && { durationSeconds: this._getSprintDurationSeconds() }),
+            ...(SCORED_MODES.includes(this.gameMode) && { scoring: this.selectedScoring }),
             // Add other relevant settings if needed
         };
 
@@ -227,12 +391,31 @@ class SheetSelectionComponent extends BaseComponent {
         // Emit the generic Game.StartRequested event
         // GameCoordinator will pick this up and decide which game mode to start
         eventBus.emit(Events.Game.StartRequested, {
-            mode: this.gameMode, // 'practice' or 'single'
+            mode: this.gameMode, // 'practice', 'flashcards', 'sprint', 'survival' or 'single'
             settings: settings,
             // playerName might be needed here if not prompted earlier
         });
     }
 
+    /**
+     * @returns {number} The chosen length of a sprint in seconds.
+     * @private
+     */
+    _getSprintDurationSeconds() {
+        const checked = this.sprintDurationContainer?.querySelector('input[name="sprintDuration"]:checked');
+        return parseInt(checked?.value, 10) || 60;
+    }
+
+    /** Handles the print worksheet button click: WorksheetDialog asks for the worksheet options. @private */
+    _handlePrintClick() {
+        if (this.selectedSheets.size === 0) return;
+        eventBus.emit(Events.UI.SheetSelection.PrintWorksheetClicked, {
+            sheetIds: [...this.selectedSheets],
+            difficulty: this.selectedDifficulty,
+            answerMode: this.selectedAnswerMode
+        });
+    }
+
     /** Handles the back button click. @private */
     _handleBackClick = () => {
         console.log(`[${this.name}] Back button clicked.`);
@@ -0,0 +1,275 @@
+import BaseComponent from './base-component.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import Views from '../core/view-constants.js';
+import chartUtils from '../utils/chartUtils.js';
+import answerLogUtils from '../utils/answerLogUtils.js';
+
+const MODE_NAMES = { single: 'Test', practice: 'Oefenen', flashcards: 'Kaartjes', daily: 'Uitdaging', sprint: 'Sprint', survival: 'Overleven' };
+const MAX_SPEED_CATEGORIES = 6; // More bars would not leave room for their labels
+
+/**
+ * Formats a fraction (0-1) as a percentage.
+ * @param {number | null} fraction
+ * @returns {string}
+ */
+function formatPercentage(fraction) {
+    return typeof fraction === 'number' ? `${Math.round(fraction * 100)}%` : '-';
+}
+
+/**
+ * Formats a YYYY-MM-DD day key as a short Dutch date, e.g. "3 mrt".
+ * @param {string} dayKey
+ * @returns {string}
+ */
+function formatDay(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short' });
+}
+
+/**
+ * Component managing the Statistics view (#statistics).
+ * Shows how a player is doing: accuracy per category over time, answer speed,
+ * the hardest questions and the games played. The data comes from StatisticsService.
+ */
+export default class StatisticsComponent extends BaseComponent {
+    /**
+     * Initializes the StatisticsComponent.
+     */
+    constructor() {
+        super('#statistics', Views.Statistics);
+
+        this.playerLabel = this.rootElement.querySelector('#statisticsPlayerLabel');
+        this.playerSelect = this.rootElement.querySelector('#statisticsPlayer');
+        this.emptyMessage = this.rootElement.querySelector('#statisticsEmpty');
+        this.contentElement = this.rootElement.querySelector('#statisticsContent');
+        this.summaryList = this.rootElement.querySelector('#statisticsSummary');
+        this.accuracyChart = this.rootElement.querySelector('#statisticsAccuracyChart');
+        this.accuracyLegend = this.rootElement.querySelector('#statisticsAccuracyLegend');
+        this.speedChart = this.rootElement.querySelector('#statisticsSpeedChart');
+        this.hardestQuestionsBody = this.rootElement.querySelector('#statisticsHardestQuestions');
+        this.gamesChart = this.rootElement.querySelector('#statisticsGamesChart');
+        this.recentGamesList = this.rootElement.querySelector('#statisticsRecentGames');
+        this.backButton = this.rootElement.querySelector('.backToMain');
+
+        if (!this.playerLabel || !this.playerSelect || !this.emptyMessage || !this.contentElement || !this.summaryList
+            || !this.accuracyChart || !this.accuracyLegend || !this.speedChart || !this.hardestQuestionsBody
+            || !this.gamesChart || !this.recentGamesList || !this.backButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        this._bindMethods();
+        this._addEventListeners();
+        this.listen(Events.Menu.Statistics.Loaded, this.handleStatisticsLoaded);
+        this.listen(Events.Menu.Statistics.LoadFailed, this.handleLoadFailed);
+        console.log(`[${this.name}] Initialized.`);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleStatisticsLoaded = this.handleStatisticsLoaded.bind(this);
+        this.handleLoadFailed = this.handleLoadFailed.bind(this);
+        this.handlePlayerChange = this.handlePlayerChange.bind(this);
+        this.handleBack = this.handleBack.bind(this);
+    }
+
+    /** Adds DOM event listeners. */
+    _addEventListeners() {
+        this.playerSelect.addEventListener('change', this.handlePlayerChange);
+        this.backButton.addEventListener('click', this.handleBack);
+    }
+
+    /** Removes DOM event listeners. */
+    _removeEventListeners() {
+        this.playerSelect.removeEventListener('change', this.handlePlayerChange);
+        this.backButton.removeEventListener('click', this.handleBack);
+    }
+
+    /**
+     * Renders the statistics of a player, or the empty message when nobody has played yet.
+     * @param {object} payload - The Events.Menu.Statistics.Loaded payload.
+     * @param {Array<{key: string, name: string, avatar: string | null}>} payload.players
+     * @param {string | null} payload.playerKey
+     * @param {object | null} payload.statistics
+     */
+    handleStatisticsLoaded({ players, playerKey, statistics }) {
+        console.debug(`[${this.name}] Statistics loaded for '${playerKey}'.`);
+        this._renderPlayers(players, playerKey);
+        const hasData = !!statistics && statistics.overall.attempts > 0;
+        this.emptyMessage.textContent = 'Nog geen gegevens. Speel een spelletje (oefenen of test) en kom daarna terug!';
+        this.emptyMessage.classList.toggle('hidden', hasData);
+        this.contentElement.classList.toggle('hidden', !hasData);
+        if (!hasData) return;
+
+        this._renderSummary(statistics.overall);
+        this._renderAccuracyChart(statistics.accuracyOverTime);
+        this._renderSpeedChart(statistics.categories);
+        this._renderHardestQuestions(statistics.hardestQuestions);
+        this._renderGames(statistics.gamesPerDay, statistics.recentGames);
+    }
+
+    /**
+     * Shows the load error instead of the statistics.
+     * @param {object} payload - The Events.Menu.Statistics.LoadFailed payload.
+     * @param {string} payload.message
+     */
+    handleLoadFailed({ message }) {
+        console.error(`[${this.name}] Load failed: ${message}`);
+        this.playerLabel.classList.add('hidden');
+        this.contentElement.classList.add('hidden');
+        this.emptyMessage.textContent = `Fout: ${message}`;
+        this.emptyMessage.classList.remove('hidden');
+    }
+
+    /**
+     * Requests the statistics of the chosen player.
+     */
+    handlePlayerChange() {
+        eventBus.emit(Events.Menu.Statistics.ShowRequested, { playerKey: this.playerSelect.value });
+    }
+
+    /**
+     * Goes back to the main menu.
+     */
+    handleBack() {
+        eventBus.emit(Events.UI.Statistics.BackClicked);
+        eventBus.emit(Events.Navigation.ShowView, { viewName: Views.MainMenu });
+    }
+
+    /**
+     * Fills the player picker; it is only shown when there is more than one player.
+     * @param {Array<{key: string, name: string, avatar: string | null}>} players
+     * @param {string | null} selectedKey
+     * @private
+     */
+    _renderPlayers(players, selectedKey) {
+        this.playerSelect.innerHTML = '';
+        players.forEach(({ key, name, avatar }) => {
+            const label = avatar ? `${avatar} ${name}` : name;
+            this.playerSelect.add(new Option(label, key, false, key === selectedKey));
+        });
+        this.playerLabel.classList.toggle('hidden', players.length < 2);
+    }
+
+    /**
+     * Renders the overall figures.
+     * @param {{gamesPlayed: number, attempts: number, accuracy: number | null, averageTimeMs: number | null}} overall
+     * @private
+     */
+    _renderSummary(overall) {
+        const figures = [
+            ['Spelletjes', overall.gamesPlayed],
+            ['Vragen beantwoord', overall.attempts],
+            ['Goed', formatPercentage(overall.accuracy)],
+            ['Gemiddelde tijd', answerLogUtils.formatSeconds(overall.averageTimeMs) || '-']
+        ];
+        this.summaryList.innerHTML = '';
+        figures.forEach(([label, value]) => {
+            const item = document.createElement('li');
+            const valueElement = document.createElement('strong');
+            valueElement.textContent = value;
+            item.append(valueElement, document.createTextNode(` ${label}`));
+            this.summaryList.appendChild(item);
+        });
+    }
+
+    /**
+     * Renders the accuracy per category per day, with a legend naming the lines.
+     * @param {{days: string[], series: Array<{name: string, points: Array<number | null>}>}} accuracyOverTime
+     * @private
+     */
+    _renderAccuracyChart({ days, series }) {
+        this.accuracyChart.replaceChildren(chartUtils.createLineChart(series, {
+            labels: days.map(formatDay),
+            maxValue: 1,
+            formatValue: formatPercentage,
+            ariaLabel: 'Percentage goede antwoorden per onderwerp per dag'
+        }));
+        this.accuracyLegend.innerHTML = '';
+        series.forEach(({ name }, index) => {
+            const item = document.createElement('li');
+            item.className = `chart-series-${index % 4}`;
+            item.textContent = name;
+            this.accuracyLegend.appendChild(item);
+        });
+    }
+
+    /**
+     * Renders the average answer time per category.
+     * @param {Array<{name: string, averageTimeMs: number | null}>} categories
+     * @private
+     */
+    _renderSpeedChart(categories) {
+        const bars = categories
+            .filter(category => category.averageTimeMs !== null)
+            .slice(0, MAX_SPEED_CATEGORIES)
+            .map(category => ({
+                label: category.name.length > 12 ? `${category.name.slice(0, 11)}…` : category.name,
+                title: category.name,
+                value: category.averageTimeMs / 1000
+            }));
+        this.speedChart.replaceChildren(chartUtils.createBarChart(bars, {
+            formatValue: (seconds) => answerLogUtils.formatSeconds(seconds * 1000),
+            ariaLabel: 'Gemiddelde antwoordtijd in seconden per onderwerp'
+        }));
+    }
+
+    /**
+     * Renders the table with the questions answered wrong most often.
+     * @param {Array<{question: string, category: string, attempts: number, accuracy: number}>} hardestQuestions
+     * @private
+     */
+    _renderHardestQuestions(hardestQuestions) {
+        this.hardestQuestionsBody.innerHTML = '';
+        if (hardestQuestions.length === 0) {
+            const cell = this.hardestQuestionsBody.insertRow().insertCell();
+            cell.colSpan = 3;
+            cell.textContent = 'Nog geen moeilijke vragen gevonden. Goed bezig!';
+            return;
+        }
+        hardestQuestions.forEach(({ question, category, attempts, accuracy }) => {
+            const row = this.hardestQuestionsBody.insertRow();
+            row.insertCell().textContent = question;
+            row.insertCell().textContent = category;
+            row.insertCell().textContent = `${Math.round(accuracy * attempts)} van ${attempts}`;
+        });
+    }
+
+    /**
+     * Renders the games-per-day chart and the list of the latest games.
+     * @param {Array<{day: string, count: number}>} gamesPerDay
+     * @param {Array<object>} recentGames - Newest first.
+     * @private
+     */
+    _renderGames(gamesPerDay, recentGames) {
+        this.gamesChart.replaceChildren(chartUtils.createBarChart(
+            gamesPerDay.map(({ day, count }) => ({ label: formatDay(day), value: count })),
+            { formatValue: (count) => String(Math.round(count)), ariaLabel: 'Aantal gespeelde spelletjes per dag' }
+        ));
+        this.recentGamesList.innerHTML = '';
+        recentGames.forEach(game => {
+            const item = document.createElement('li');
+            const date = new Date(game.at).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short' });
+            const score = game.score !== null ? `, ${game.score} punten` : '';
+            item.textContent = `${date} · ${MODE_NAMES[game.mode] || game.mode} · ${game.categories.join(', ')}: ` +
+                `${game.correctAnswers} van ${game.totalQuestions} goed${score}`;
+            this.recentGamesList.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the view and requests the statistics (of the player who played last).
+     */
+    show() {
+        super.show();
+        eventBus.emit(Events.Menu.Statistics.ShowRequested);
+    }
+
+    /**
+     * Overrides base destroy method to remove specific DOM listeners.
+     */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
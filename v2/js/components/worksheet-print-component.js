@@ -0,0 +1,113 @@
+import BaseComponent from './base-component.js';
+import Events from '../core/event-constants.js';
+
+const OPTION_LETTERS = 'ABCDEFGH';
+
+/**
+ * Component that prints worksheets (#worksheetPrint).
+ * Renders the worksheet from WorksheetService into a page that is only visible on paper
+ * (see the print styles), then opens the print dialog of the browser. While printing, the body gets
+ * the class 'printing-worksheet', so printing the app itself still works as before.
+ * The element is shown only for that time; on screen the print styles keep it out of sight.
+ */
+export default class WorksheetPrintComponent extends BaseComponent {
+    /**
+     * Initializes the WorksheetPrintComponent.
+     */
+    constructor() {
+        super('#worksheetPrint', 'WorksheetPrint');
+        this.handleWorksheetReady = this.handleWorksheetReady.bind(this);
+        this.handleAfterPrint = this.handleAfterPrint.bind(this);
+        this.listen(Events.Menu.Worksheet.Ready, this.handleWorksheetReady);
+        console.log(`[${this.name}] Initialized.`);
+    }
+
+    /**
+     * Renders and prints a worksheet.
+     * @param {object} payload - The Events.Menu.Worksheet.Ready payload.
+     * @param {import('../services/WorksheetService.js').Worksheet} payload.worksheet
+     */
+    handleWorksheetReady({ worksheet }) {
+        this.rootElement.innerHTML = '';
+        this.rootElement.appendChild(this._createQuestionPage(worksheet));
+        if (worksheet.includeAnswerKey) {
+            this.rootElement.appendChild(this._createAnswerKey(worksheet));
+        }
+        this.show();
+        document.body.classList.add('printing-worksheet');
+        window.addEventListener('afterprint', this.handleAfterPrint, { once: true });
+        window.print();
+    }
+
+    /** Clears the worksheet once the print dialog is closed. */
+    handleAfterPrint() {
+        document.body.classList.remove('printing-worksheet');
+        this.hide();
+        this.rootElement.innerHTML = '';
+    }
+
+    /**
+     * @param {import('../services/WorksheetService.js').Worksheet} worksheet
+     * @returns {HTMLElement} The page(s) with the questions, a name line and a date line.
+     * @private
+     */
+    _createQuestionPage({ title, layout, questions }) {
+        const page = document.createElement('section');
+        page.className = 'worksheet-page';
+
+        const heading = document.createElement('h1');
+        heading.textContent = title;
+        const nameLine = document.createElement('p');
+        nameLine.className = 'worksheet-name-line';
+        nameLine.textContent = 'Naam: ______________________   Datum: ______________';
+        page.append(heading, nameLine);
+
+        const list = document.createElement('ol');
+        list.className = `worksheet-questions worksheet-${layout}`;
+        questions.forEach(({ question, options }) => {
+            const item = document.createElement('li');
+            const questionText = document.createElement('p');
+            questionText.textContent = question;
+            item.appendChild(questionText);
+            if (layout === 'choice') {
+                const optionList = document.createElement('ul');
+                optionList.className = 'worksheet-options';
+                options.forEach((option, index) => {
+                    const optionItem = document.createElement('li');
+                    optionItem.textContent = `☐ ${OPTION_LETTERS[index]}. ${option}`;
+                    optionList.appendChild(optionItem);
+                });
+                item.appendChild(optionList);
+            } else {
+                const blank = document.createElement('span');
+                blank.className = 'worksheet-blank';
+                item.appendChild(blank);
+            }
+            list.appendChild(item);
+        });
+        page.appendChild(list);
+        return page;
+    }
+
+    /**
+     * @param {import('../services/WorksheetService.js').Worksheet} worksheet
+     * @returns {HTMLElement} The answer key, starting on a new page. Multiple choice answers include their letter.
+     * @private
+     */
+    _createAnswerKey({ title, layout, questions }) {
+        const page = document.createElement('section');
+        page.className = 'worksheet-page worksheet-answer-key';
+
+        const heading = document.createElement('h1');
+        heading.textContent = `Antwoorden: ${title}`;
+        const list = document.createElement('ol');
+        questions.forEach(({ answer, options }) => {
+            const item = document.createElement('li');
+            const letter = layout === 'choice' ? OPTION_LETTERS[options.indexOf(answer)] : null;
+            item.textContent = letter ? `${letter}. ${answer}` : answer;
+            list.appendChild(item);
+        });
+        page.append(heading, list);
+        return page;
+    }
+}
@@ -0,0 +1,166 @@
+import Events from './event-constants.js';
+import { AdaptiveTiming } from './difficulty-constants.js';
+
+/**
+ * What AchievementService passes to a rule's condition.
+ * @typedef {object} AchievementContext
+ * @property {object} payload - Payload of the event that triggered the check.
+ * @property {object} game - The game being played: { mode, correctStreak }. correctStreak only counts
+ *           the player's own answers, so it stays 0 in multiplayer.
+ * @property {object} player - Totals kept per profile: { gamesFinished, correctAnswers, dayStreak,
+ *           multiplayerGames, multiplayerWins, dailyChallenges }. Updated before the rules are checked.
+ */
+
+/**
+ * @typedef {object} AchievementRule
+ * @property {string} id - Stable ID, stored with the unlocks.
+ * @property {string} icon - Emoji shown on the badge.
+ * @property {string} title - Badge name.
+ * @property {string} description - How to earn the badge.
+ * @property {string} event - The event after which the condition is checked.
+ * @property {function(AchievementContext): boolean} condition - True when the badge is earned.
+ */
+
+/** Modes in which the player answers every question themselves (a flashcard by grading it). Also used by AchievementService. */
+export const SOLO_MODES = Object.freeze(['single', 'practice', 'flashcards', 'daily', 'sprint', 'survival']);
+
+/**
+ * The badges a player can earn, in the order of the badge gallery.
+ * Each rule is checked by AchievementService after its event, until the active profile has earned it.
+ * @type {ReadonlyArray<AchievementRule>}
+ */
+const AchievementRules = Object.freeze([
+    {
+        id: 'firstGame',
+        icon: '🎉',
+        title: 'Eerste spelletje',
+        description: 'Speel je eerste spelletje helemaal uit.',
+        event: Events.Game.Finished,
+        condition: ({ player }) => player.gamesFinished >= 1
+    },
+    {
+        id: 'streak5',
+        icon: '⭐',
+        title: 'Vijf op een rij',
+        description: 'Beantwoord 5 vragen achter elkaar goed.',
+        event: Events.Game.AnswerChecked,
+        condition: ({ game }) => game.correctStreak >= 5
+    },
+    {
+        id: 'streak10',
+        icon: '🔥',
+        title: 'Tien op een rij',
+        description: 'Beantwoord 10 vragen achter elkaar goed.',
+        event: Events.Game.AnswerChecked,
+        condition: ({ game }) => game.correctStreak >= 10
+    },
+    {
+        id: 'streak25',
+        icon: '🚀',
+        title: 'Niet te stoppen',
+        description: 'Beantwoord 25 vragen achter elkaar goed.',
+        event: Events.Game.AnswerChecked,
+        condition: ({ game }) => game.correctStreak >= 25
+    },
+    {
+        id: 'lightning',
+        icon: '⚡',
+        title: 'Bliksemsnel',
+        description: 'Geef binnen 2 seconden het goede antwoord.',
+        event: Events.Game.AnswerChecked,
+        condition: ({ payload, game }) => SOLO_MODES.includes(game.mode) && payload.isCorrect
+            && typeof payload.timeMs === 'number' && payload.timeMs < 2000
+    },
+    {
+        id: 'perfectRound',
+        icon: '💯',
+        title: 'Foutloos',
+        description: 'Beantwoord in een toets van minstens 10 vragen alles goed.',
+        event: Events.Game.Finished,
+        condition: ({ payload: { mode, results } }) => (mode === 'single' || mode === 'daily')
+            && results.totalQuestions >= 10 && results.correctAnswers === results.totalQuestions
+    },
+    {
+        id: 'correct100',
+        icon: '🧮',
+        title: 'Rekenwonder',
+        description: 'Geef in totaal 100 goede antwoorden.',
+        event: Events.Game.Finished,
+        condition: ({ player }) => player.correctAnswers >= 100
+    },
+    {
+        id: 'correct1000',
+        icon: '🏆',
+        title: 'Duizendpoot',
+        description: 'Geef in totaal 1000 goede antwoorden.',
+        event: Events.Game.Finished,
+        condition: ({ player }) => player.correctAnswers >= 1000
+    },
+    {
+        id: 'allMastered',
+        icon: '🧠',
+        title: 'Alles in je hoofd',
+        description: 'Beheers bij het oefenen alle vragen van de gekozen tafels en onderwerpen.',
+        event: Events.Game.Finished,
+        condition: ({ payload: { mode, results } }) => mode === 'practice'
+            && results.sheetMastery?.totalCount > 0 && results.sheetMastery.masteredCount === results.sheetMastery.totalCount
+    },
+    {
+        id: 'adaptiveTop',
+        icon: '🐆',
+        title: 'Sneller dan de klok',
+        description: `Haal bij "Past zich aan" het snelste niveau (${AdaptiveTiming.levelDurationsMs.length}).`,
+        event: Events.Game.Finished,
+        condition: ({ payload: { results } }) => results.adaptiveLevel === AdaptiveTiming.levelDurationsMs.length
+    },
+    {
+        id: 'dayStreak3',
+        icon: '📅',
+        title: 'Drie dagen op rij',
+        description: 'Speel 3 dagen achter elkaar.',
+        event: Events.Game.Finished,
+        condition: ({ player }) => player.dayStreak >= 3
+    },
+    {
+        id: 'dayStreak7',
+        icon: '🗓️',
+        title: 'Een hele week',
+        description: 'Speel 7 dagen achter elkaar.',
+        event: Events.Game.Finished,
+        condition: ({ player }) => player.dayStreak >= 7
+    },
+    {
+        id: 'dailyChallenge',
+        icon: '🦄',
+        title: 'Uitdager',
+        description: 'Speel de dagelijkse uitdaging.',
+        event: Events.Game.Finished,
+        condition: ({ player }) => player.dailyChallenges >= 1
+    },
+    {
+        id: 'multiplayerJoined',
+        icon: '👥',
+        title: 'Samen is leuker',
+        description: 'Doe mee met een spelletje samen spelen.',
+        event: Events.Multiplayer.Client.ConnectedToHost,
+        condition: () => true
+    },
+    {
+        id: 'multiplayerHost',
+        icon: '📣',
+        title: 'Gastheer',
+        description: 'Start een spelletje samen spelen waar iemand aan meedoet.',
+        event: Events.Multiplayer.Host.ClientConnected,
+        condition: () => true
+    },
+    {
+        id: 'firstMultiplayerWin',
+        icon: '👑',
+        title: 'Eerste overwinning',
+        description: 'Win een spelletje samen spelen.',
+        event: Events.Game.Finished,
+        condition: ({ player }) => player.multiplayerWins >= 1
+    },
+]);
+
+export default AchievementRules;
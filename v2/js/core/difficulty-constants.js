@@ -0,0 +1,85 @@
+/**
+ * Defines what each difficulty level changes in a quiz round.
+ * Used by QuizEngine (answer options, distractor choice, round length) and by the
+ * timed game modes (time per question), so practice, single player and the multiplayer
+ * host all interpret a difficulty the same way.
+ *
+ * - optionCount:         Total number of answer buttons shown (correct answer + distractors).
+ * - distractorCloseness: 'far' picks wrong answers least like the correct one, 'close' the most alike,
+ *                        'mixed' picks them at random.
+ * - maxQuestions:        Maximum questions per round (null = all loaded questions).
+ * - questionDurationMs:  Time allowed per question in timed modes. For 'adaptive' this is only
+ *                        the starting time; see AdaptiveTiming.
+ */
+const Difficulties = Object.freeze({
+    easy: Object.freeze({
+        optionCount: 2,
+        distractorCloseness: 'far',
+        maxQuestions: 10,
+        questionDurationMs: 60000,
+    }),
+    medium: Object.freeze({
+        optionCount: 4,
+        distractorCloseness: 'mixed',
+        maxQuestions: 20,
+        questionDurationMs: 30000,
+    }),
+    hard: Object.freeze({
+        optionCount: 6,
+        distractorCloseness: 'close',
+        maxQuestions: null,
+        questionDurationMs: 10000,
+    }),
+    adaptive: Object.freeze({
+        optionCount: 4,
+        distractorCloseness: 'mixed',
+        maxQuestions: 20,
+        questionDurationMs: 30000,
+    }),
+});
+
+/**
+ * How the time per question changes in the 'adaptive' difficulty (single player).
+ *
+ * - levelDurationsMs:     Time per question for each level; level 1 is the slowest.
+ * - startLevel:           Level a game starts at (matches questionDurationMs of the adaptive profile).
+ * - fastStreakToLevelUp:  Fast correct answers in a row needed to go one level up (less time).
+ * - fastAnswerRatio:      An answer counts as fast when it took at most this part of the available time.
+ *
+ * Every wrong answer or time-up goes one level down (more time).
+ */
+export const AdaptiveTiming = Object.freeze({
+    levelDurationsMs: Object.freeze([60000, 45000, 30000, 20000, 15000, 10000]),
+    startLevel: 3,
+    fastStreakToLevelUp: 3,
+    fastAnswerRatio: 0.5,
+});
+
+/**
+ * How the time per question shrinks during a survival run (see SurvivalGame).
+ *
+ * - startDurationMs:   Time for the first questions.
+ * - stepMs:            Time taken off after every `questionsPerStep` questions.
+ * - questionsPerStep:  Questions between two steps.
+ * - minDurationMs:     The time per question never gets shorter than this.
+ */
+export const SurvivalTiming = Object.freeze({
+    startDurationMs: 20000,
+    stepMs: 1000,
+    questionsPerStep: 3,
+    minDurationMs: 5000,
+});
+
+export const DEFAULT_DIFFICULTY = 'medium';
+
+/**
+ * Returns the profile for a difficulty level, falling back to the default level
+ * for unknown or missing values (e.g. older settings without a difficulty).
+ * @param {string | null | undefined} difficulty
+ * @returns {{optionCount: number, distractorCloseness: 'far' | 'mixed' | 'close', maxQuestions: number | null, questionDurationMs: number}}
+ */
+export function getDifficultyProfile(difficulty) {
+    return Difficulties[difficulty] || Difficulties[DEFAULT_DIFFICULTY];
+}
+
+export default Difficulties;
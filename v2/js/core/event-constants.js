@@ -111,7 +111,7 @@ const Events = {
           * Request to start a new game. Handled by GameCoordinator.
           * @event Events.Game.StartRequested
           * @type {object}
-          * @property {'single' | 'multiplayer-host' | 'multiplayer-join' | 'practice'} mode - The requested game mode.
+          * @property {'single' | 'multiplayer-host' | 'multiplayer-join' | 'practice' | 'flashcards' | 'daily' | 'sprint' | 'survival'} mode - The requested game mode.
           * @property {object} [settings] - Game settings (e.g., sheet ID, difficulty). Specific structure depends on mode.
           * @property {string} [hostId] - Required for 'multiplayer-join' mode.
           * @property {string} [playerName] - Player's chosen name.
@@ -121,7 +121,7 @@ const Events = {
          * Fired by the active Game Mode class when a game has successfully started and is ready.
          * @event Events.Game.Started
          * @type {object}
-         * @property {'single' | 'multiplayer' | 'practice'} mode - The mode of the game that started.
+         * @property {'single' | 'multiplayer' | 'practice' | 'flashcards' | 'daily' | 'sprint' | 'survival'} mode - The mode of the game that started.
          * @property {object} settings - The final settings used for the game.
          */
         Started: 'game:started',
@@ -129,8 +129,10 @@ const Events = {
          * Fired by the active Game Mode class when a game finishes.
          * @event Events.Game.Finished
          * @type {object}
-         * @property {'single' | 'multiplayer' | 'practice'} mode - The mode of the game that finished.
-         * @property {object} results - Game results (e.g., score, rankings). Structure varies by mode.
+         * @property {'single' | 'multiplayer' | 'practice' | 'flashcards' | 'daily' | 'sprint' | 'survival'} mode - The mode of the game that finished.
+         * @property {object} results - Game results (e.g., score, rankings). Structure varies by mode; multiplayer
+         *           results carry `localPeerId`, the ranking of the local player.
+         *           Single player and practice include `answerLog`: one AnswerLogEntry per answered question (see BaseGameMode).
          */
         Finished: 'game:finished',
         /**
@@ -138,10 +140,13 @@ const Events = {
          * @event Events.Game.QuestionNew
          * @type {object}
          * @property {number} questionIndex - 0-based index of the current question.
-         * @property {number} totalQuestions - Total number of questions in the quiz.
+         * @property {number | null} totalQuestions - Total number of questions in the quiz; null in a sprint or survival run, which have no fixed length.
          * @property {object} questionData - The question details.
          * @property {string} questionData.question - The question text.
-         * @property {string[]} questionData.answers - Shuffled array of possible answers.
+         * @property {'choice' | 'typed' | 'flashcard'} [questionData.answerMode='choice'] - Whether the player picks an option,
+         *           types the answer, or flips a flashcard and grades themselves.
+         * @property {string[]} questionData.answers - Shuffled array of possible answers (empty in 'typed' and 'flashcard' mode).
+         * @property {string} [questionData.answer] - The correct answer, only in 'flashcard' mode (the back of the card).
          */
         QuestionNew: 'game:questionNew',
         /**
@@ -149,9 +154,15 @@ const Events = {
          * @event Events.Game.AnswerChecked
          * @type {object}
          * @property {boolean} isCorrect - Whether the submitted answer was correct.
+         * @property {boolean} [isExact] - False when a typed answer was accepted despite small typos.
          * @property {number} scoreDelta - Change in score resulting from this answer.
          * @property {string} correctAnswer - The correct answer text.
-         * @property {any} submittedAnswer - The answer submitted by the player.
+         * @property {any} submittedAnswer - The answer submitted by the player (null for a self-graded flashcard).
+         * @property {boolean} [selfGraded] - True for flashcards, where the player said whether they knew the answer.
+         * @property {string} [questionId] - Stable ID of the answered question (single player and practice).
+         * @property {string} [question] - The question text (single player and practice).
+         * @property {string} [sheetId] - The sheet the question came from (single player and practice).
+         * @property {number | null} [timeMs] - Time taken to answer (single player and practice).
          */
         AnswerChecked: 'game:answerChecked',
         /**
@@ -177,6 +188,43 @@ const Events = {
          * @property {string} [timerId] - Optional identifier if multiple timers exist.
          */
         TimeUp: 'game:timeUp',
+        /**
+         * Fired by SinglePlayerGame with every new question when playing on the 'adaptive' difficulty.
+         * @event Events.Game.AdaptiveLevelUpdated
+         * @type {object}
+         * @property {number} level - Current level, 1 is the most time per question.
+         * @property {number} levelCount - Number of levels.
+         * @property {number} questionDurationMs - Time allowed for the current question.
+         * @property {-1 | 0 | 1} change - 1 when the level just went up, -1 when it went down, 0 otherwise.
+         */
+        AdaptiveLevelUpdated: 'game:adaptiveLevelUpdated',
+        /**
+         * Fired by SinglePlayerGame with every new question and after a joker was used, with the jokers
+         * the player has left. Not fired in games without jokers.
+         * @event Events.Game.LifelinesUpdated
+         * @type {object}
+         * @property {Object<string, {remaining: number, usable: boolean}>} lifelines - Per joker id (see core/lifeline-constants.js):
+         *           uses left in this game, and whether it can be used on the current question.
+         */
+        LifelinesUpdated: 'game:lifelinesUpdated',
+        /**
+         * Fired by SinglePlayerGame when the player used a joker on the current question.
+         * @event Events.Game.LifelineUsed
+         * @type {object}
+         * @property {'fiftyFifty' | 'extraTime'} lifeline - The joker used.
+         * @property {string[]} [removedAnswers] - (fiftyFifty) The wrong answer options that were taken away.
+         * @property {number} [extraTimeMs] - (extraTime) Time added to the current question.
+         */
+        LifelineUsed: 'game:lifelineUsed',
+        /**
+         * Fired by SurvivalGame with the first question and whenever the player loses a heart.
+         * @event Events.Game.LivesUpdated
+         * @type {object}
+         * @property {number} lives - Hearts left; the run ends after the answer that takes the last one.
+         * @property {number} maxLives - Hearts at the start of the run.
+         * @property {boolean} lost - True when a heart was just lost.
+         */
+        LivesUpdated: 'game:livesUpdated',
          /**
          * Fired *by the QuizEngine* when all questions have been answered.
          * @event Events.Game.AllQuestionsAnswered
@@ -305,6 +353,65 @@ const Events = {
             DataReceived: 'multiplayer:common:dataReceived',
         },
     },
+    /**
+     * Events about the local player profiles.
+     * Emitted BY ProfileService.
+     * @namespace Events.Profile
+     */
+    Profile: {
+        /**
+         * Fired when the profiles are loaded and after every change (create, rename, switch, delete).
+         * @event Events.Profile.Changed
+         * @type {object}
+         * @property {object | null} activeProfile - The profile that is playing ({ id, name, avatar }), null when there are none.
+         * @property {Array<object>} profiles - All profiles ({ id, name, avatar, createdAt }), in creation order.
+         */
+        Changed: 'profile:changed',
+        /**
+         * Fired after a profile was deleted, so services can remove the data they keep for it.
+         * @event Events.Profile.Deleted
+         * @type {object}
+         * @property {string} profileId
+         */
+        Deleted: 'profile:deleted',
+        /**
+         * Fired *by GameCoordinator* when a game needs a profile but none is active.
+         * Listened for by ProfileDialog, which opens so the player can pick or create one. Payload: None
+         * @event Events.Profile.SelectionRequested
+         */
+        SelectionRequested: 'profile:selectionRequested',
+    },
+    /**
+     * Events about badges (achievements).
+     * Emitted BY AchievementService.
+     * @namespace Events.Achievement
+     */
+    Achievement: {
+        /**
+         * Fired when a profile earns a badge (see core/achievement-rules.js).
+         * @event Events.Achievement.Unlocked
+         * @type {object}
+         * @property {string} profileId - The profile that earned the badge.
+         * @property {{id: string, icon: string, title: string, description: string}} achievement
+         */
+        Unlocked: 'achievement:unlocked',
+    },
+    /**
+     * Events about the highscore tables.
+     * Emitted BY HighscoreManager.
+     * @namespace Events.Highscore
+     */
+    Highscore: {
+        /**
+         * Fired when a finished game set the best score of its list (same table, sheet set, difficulty and scoring).
+         * Listened for by SinglePlayerEndDialog, which shows "Nieuw record voor deze lijst!".
+         * @event Events.Highscore.RecordSet
+         * @type {object}
+         * @property {'single' | 'sprint' | 'survival'} table - The table the record is in.
+         * @property {object} entry - The stored score entry ({ name, score, date, profileId, sheetKey, level, difficulty, scoring? }).
+         */
+        RecordSet: 'highscore:recordSet',
+    },
     /**
      * Events generated BY UI components interacting with the user.
      * @namespace Events.UI
@@ -320,10 +427,24 @@ const Events = {
             JoinMultiplayerClicked: 'ui:mainMenu:joinMultiplayerClicked',
              /** Fired when the practice mode button is clicked. Payload: None */
              StartPracticeClicked: 'ui:mainMenu:startPracticeClicked',
+            /** Fired when the flashcards button is clicked. Payload: None */
+            StartFlashcardsClicked: 'ui:mainMenu:startFlashcardsClicked',
+            /** Fired when the sprint button is clicked. Payload: None */
+            StartSprintClicked: 'ui:mainMenu:startSprintClicked',
+            /** Fired when the survival button is clicked. Payload: None */
+            StartSurvivalClicked: 'ui:mainMenu:startSurvivalClicked',
              /** Fired when the custom questions button is clicked. Payload: None */
             CustomQuestionsClicked: 'ui:mainMenu:customQuestionsClicked',
             /** Fired when the highscores button is clicked. Payload: None */
             HighscoresClicked: 'ui:mainMenu:highscoresClicked',
+            /** Fired when the statistics button is clicked. Payload: None */
+            StatisticsClicked: 'ui:mainMenu:statisticsClicked',
+            /** Fired when the daily challenge button is clicked. Payload: None */
+            DailyChallengeClicked: 'ui:mainMenu:dailyChallengeClicked',
+            /** Fired when the badges button is clicked. Payload: None */
+            AchievementsClicked: 'ui:mainMenu:achievementsClicked',
+            /** Fired when the profile switcher (avatar and name of the active profile) is clicked. Payload: None */
+            ProfileSwitcherClicked: 'ui:mainMenu:profileSwitcherClicked',
              /** Fired when the about button is clicked. Payload: None */
             AboutClicked: 'ui:mainMenu:aboutClicked',
         },
@@ -336,6 +457,20 @@ const Events = {
              * @property {string} answer - The answer text selected/submitted by the user.
              */
             AnswerSubmitted: 'ui:gameArea:answerSubmitted',
+            /**
+             * Fired when the player grades themselves on a flipped flashcard. Handled by FlashcardGame.
+             * @event Events.UI.GameArea.SelfGraded
+             * @type {object}
+             * @property {boolean} knewIt - True for "knew it", false for "didn't".
+             */
+            SelfGraded: 'ui:gameArea:selfGraded',
+            /**
+             * Fired when the player clicks a joker button in the game header. Handled by SinglePlayerGame.
+             * @event Events.UI.GameArea.LifelineClicked
+             * @type {object}
+             * @property {'fiftyFifty' | 'extraTime'} lifeline - The joker to use.
+             */
+            LifelineClicked: 'ui:gameArea:lifelineClicked',
             /** Fired when the user clicks the button to leave the current game. Payload: None */
             LeaveGameClicked: 'ui:gameArea:leaveGameClicked',
         },
@@ -390,7 +525,7 @@ const Events = {
              * @event Events.UI.MultiplayerChoice.HostClicked
              * @type {object}
              * @property {string} playerName - The host's chosen name.
-             * @property {object} settings - Selected game settings (e.g., { sheetId: '...', difficulty: '...' }).
+             * @property {object} settings - Selected game settings (e.g., { sheetId: '...', difficulty: '...', scoring: 'classic' }).
              */
             HostClicked: 'ui:mpChoice:hostClicked',
             /**
@@ -435,9 +570,19 @@ const Events = {
               * Listened for by GameCoordinator.
               * @event Events.UI.EndDialog.PlayAgainClicked
               * @type {object}
-              * @property {'single' | 'practice'} mode - The mode of the game to restart.
+              * @property {'single' | 'practice' | 'flashcards' | 'sprint' | 'survival'} mode - The mode of the game to restart.
               */
              PlayAgainClicked: 'ui:endDialog:playAgainClicked',
+             /**
+              * Fired when user clicks the button to practise the questions they missed.
+              * Listened for by GameCoordinator, which starts a PracticeGame with only these questions.
+              * @event Events.UI.EndDialog.ReviewMistakesClicked
+              * @type {object}
+              * @property {Array<object>} questions - The missed questions (QuizEngine question objects).
+              * @property {'practice' | 'flashcards'} [mode='practice'] - Mode of the review round; flashcards are studied again as flashcards.
+              * @property {object} settings - Settings of the finished game (difficulty, answerMode, sheetIds).
+              */
+             ReviewMistakesClicked: 'ui:endDialog:reviewMistakesClicked',
         },
         /** @namespace Events.UI.CustomQuestions */
         CustomQuestions: {
@@ -448,6 +593,7 @@ const Events = {
              * @property {string} sheetId - The ID of the sheet being saved (might be new or existing).
              * @property {string} name - The name of the sheet.
              * @property {string} questionsText - The raw text from the textarea.
+             * @property {string | null} ownerProfileId - Profile the sheet is private to; null when every profile may use it.
              */
             SaveClicked: 'ui:customQuestions:saveClicked',
             /**
@@ -464,14 +610,118 @@ const Events = {
             * @property {string} sheetId - The ID of the sheet to edit.
             */
             EditClicked: 'ui:customQuestions:editClicked',
+            /**
+            * Fired when the user picks or drops files to import as custom sheets.
+            * @event Events.UI.CustomQuestions.ImportFilesSelected
+            * @type {object}
+            * @property {Array<{name: string, content: string}>} files - The file names and their text contents.
+            */
+            ImportFilesSelected: 'ui:customQuestions:importFilesSelected',
+            /**
+            * Fired when the user confirms the import dialog.
+            * @event Events.UI.CustomQuestions.ImportConfirmed
+            * @type {object}
+            * @property {Array<{name: string, questions: Array<object>}>} sheets - The sheets to save, with their (possibly renamed) names.
+            */
+            ImportConfirmed: 'ui:customQuestions:importConfirmed',
+            /**
+            * Fired when user clicks share for a specific custom sheet.
+            * @event Events.UI.CustomQuestions.ShareClicked
+            * @type {object}
+            * @property {string} sheetId - The ID of the sheet to share.
+            */
+            ShareClicked: 'ui:customQuestions:shareClicked',
             /** Fired when the user clicks the button to go back to the main menu. */
             BackClicked: 'ui:customQuestions:backClicked',
         },
+        /**
+         * Events from ProfileDialog. Handled by ProfileService.
+         * @namespace Events.UI.Profiles
+         */
+        Profiles: {
+            /**
+             * Fired when the user creates a profile. The new profile becomes the active one.
+             * @event Events.UI.Profiles.CreateClicked
+             * @type {object}
+             * @property {string} name
+             * @property {string} avatar - An emoji from PROFILE_AVATARS.
+             */
+            CreateClicked: 'ui:profiles:createClicked',
+            /**
+             * Fired when the user picks the profile that is going to play.
+             * @event Events.UI.Profiles.SelectClicked
+             * @type {object}
+             * @property {string} profileId
+             */
+            SelectClicked: 'ui:profiles:selectClicked',
+            /**
+             * Fired when the user renames a profile or picks another avatar.
+             * @event Events.UI.Profiles.UpdateClicked
+             * @type {object}
+             * @property {string} profileId
+             * @property {string} name
+             * @property {string} avatar
+             */
+            UpdateClicked: 'ui:profiles:updateClicked',
+            /**
+             * Fired when the user confirmed deleting a profile.
+             * @event Events.UI.Profiles.DeleteClicked
+             * @type {object}
+             * @property {string} profileId
+             */
+            DeleteClicked: 'ui:profiles:deleteClicked',
+        },
+        /** @namespace Events.UI.SheetSelection */
+        SheetSelection: {
+            /**
+             * Fired when the user wants to print a worksheet of the selected sheets. Opens WorksheetDialog.
+             * @event Events.UI.SheetSelection.PrintWorksheetClicked
+             * @type {object}
+             * @property {string[]} sheetIds
+             * @property {string} difficulty - Decides the number of answer options.
+             * @property {'choice' | 'typed'} answerMode - The answer mode picked for playing; preselects the worksheet layout.
+             */
+            PrintWorksheetClicked: 'ui:sheetSelection:printWorksheetClicked',
+        },
+        /**
+         * Events from WorksheetDialog. Handled by WorksheetService.
+         * @namespace Events.UI.Worksheet
+         */
+        Worksheet: {
+            /**
+             * Fired when the user confirms the worksheet options.
+             * @event Events.UI.Worksheet.PrintClicked
+             * @type {object}
+             * @property {string[]} sheetIds
+             * @property {string} difficulty
+             * @property {number} questionCount
+             * @property {'choice' | 'open'} layout - Multiple choice options, or a blank line to write the answer on.
+             * @property {boolean} includeAnswerKey
+             */
+            PrintClicked: 'ui:worksheet:printClicked',
+        },
         /** @namespace Events.UI.Highscores */
         Highscores: {
              /** Fired when user clicks back/cancel. Payload: None */
              BackClicked: 'ui:highscores:backClicked',
         },
+        /** @namespace Events.UI.Statistics */
+        Statistics: {
+             /** Fired when user clicks back. Payload: None */
+             BackClicked: 'ui:statistics:backClicked',
+        },
+        /** @namespace Events.UI.DailyChallenge */
+        DailyChallenge: {
+             /** Fired when the player wants to play today's challenge. Handled by GameCoordinator. Payload: None */
+             StartClicked: 'ui:dailyChallenge:startClicked',
+             /** Fired when user clicks back. Payload: None */
+             BackClicked: 'ui:dailyChallenge:backClicked',
+        },
+        /** @namespace Events.UI.Achievements */
+        Achievements: {
+             /** Fired when user clicks back. Payload: None */
+             BackClicked: 'ui:achievements:backClicked',
+        },
         /** @namespace Events.UI.About */
         About: {
              /** Fired when user clicks back/cancel. Payload: None */
@@ -521,7 +771,14 @@ const Events = {
              * Fired *by HighscoresComponent* when the high score view is shown and needs data.
              * Listened for by HighscoreManager.
              * @event Events.Menu.Highscores.ShowRequested
-             * @type {object} - Payload is empty.
+             * @type {object}
+             * @property {string} [profileId] - Only show the scores of this profile; all scores when omitted.
+             * @property {'single' | 'sprint' | 'survival' | 'matches'} [table='single'] - Which highscore table to show; 'survival' holds
+             *           the longest runs, 'matches' the multiplayer match history.
+             * @property {string} [sheetKey] - Only scores on this sheet set (see HighscoreManager); all sheet sets when omitted.
+             * @property {string} [difficulty] - Only scores on this difficulty; all difficulties when omitted.
+             * @property {string} [scoring] - ('single') Only scores with this scoring strategy; all strategies when omitted.
+             * @property {number} [durationSeconds] - (sprint) Only scores of sprints of this length.
              */
             ShowRequested: 'menu:highscores:showRequested',
             /**
@@ -530,6 +787,10 @@ const Events = {
              * @event Events.Menu.Highscores.Loaded
              * @type {object}
              * @property {Array<object>} scores - Array of score objects.
+             * @property {'single' | 'sprint' | 'survival' | 'matches'} table - The table the scores come from.
+             * @property {Array<{sheetKey: string, level: string}>} sheetSets - The sheet sets with scores in the table, for the sheet filter.
+             * @property {Array<object>} [matches] - ('matches') Past multiplayer games, most recent first (see HighscoreManager.getMatchHistory).
+             * @property {Array<{name: string, wins: number, losses: number, draws: number}>} [opponents] - ('matches') Results per opponent name.
              */
             Loaded: 'menu:highscores:loaded',
              /**
@@ -540,6 +801,105 @@ const Events = {
              * @property {string} message - Error message describing the failure.
              */
             LoadFailed: 'menu:highscores:loadFailed',
+        },
+         /** @namespace Events.Menu.Statistics */
+        Statistics: {
+             /**
+             * Fired *by StatisticsComponent* when the statistics view is shown or another player is picked.
+             * Listened for by StatisticsService.
+             * @event Events.Menu.Statistics.ShowRequested
+             * @type {object}
+             * @property {string} [playerKey] - The player to show; defaults to the active profile, or the player who played last.
+             */
+            ShowRequested: 'menu:statistics:showRequested',
+            /**
+             * Fired *by StatisticsService* with the statistics of a player.
+             * Listened for by StatisticsComponent.
+             * @event Events.Menu.Statistics.Loaded
+             * @type {object}
+             * @property {Array<{key: string, name: string, avatar: string | null}>} players - All players with statistics, most recent first.
+             * @property {string | null} playerKey - The player the statistics are for (null when there are none).
+             * @property {object | null} statistics - See StatisticsService.getStatistics.
+             */
+            Loaded: 'menu:statistics:loaded',
+             /**
+             * Fired *by StatisticsService* when the statistics could not be loaded.
+             * Listened for by StatisticsComponent.
+             * @event Events.Menu.Statistics.LoadFailed
+             * @type {object}
+             * @property {string} message - Error message describing the failure.
+             */
+            LoadFailed: 'menu:statistics:loadFailed',
+        },
+         /** @namespace Events.Menu.DailyChallenge */
+        DailyChallenge: {
+             /**
+             * Fired *by DailyChallengeComponent* when the daily challenge view is shown or another day is picked.
+             * Listened for by DailyChallengeService.
+             * @event Events.Menu.DailyChallenge.ShowRequested
+             * @type {object}
+             * @property {string} [date] - Day to show (YYYY-MM-DD); defaults to today.
+             */
+            ShowRequested: 'menu:dailyChallenge:showRequested',
+            /**
+             * Fired *by DailyChallengeService* with a day's leaderboard and the active player's calendar.
+             * Listened for by DailyChallengeComponent.
+             * @event Events.Menu.DailyChallenge.Loaded
+             * @type {object}
+             * @property {string} date - The day shown (YYYY-MM-DD).
+             * @property {string} today - Today's date (YYYY-MM-DD).
+             * @property {object | null} playerResult - The active player's result on that day (see DailyChallengeService).
+             * @property {string | null} shareText - The player's result as a line of text to share.
+             * @property {Array<{name: string, avatar: string | null, score: number, correctAnswers: number, totalQuestions: number, isCurrentPlayer: boolean}>} leaderboard - Best first.
+             * @property {string[]} completedDates - Days the active player completed the challenge.
+             */
+            Loaded: 'menu:dailyChallenge:loaded',
+             /**
+             * Fired *by DailyChallengeService* when the results could not be loaded.
+             * Listened for by DailyChallengeComponent.
+             * @event Events.Menu.DailyChallenge.LoadFailed
+             * @type {object}
+             * @property {string} message - Error message describing the failure.
+             */
+            LoadFailed: 'menu:dailyChallenge:loadFailed',
+        },
+         /** @namespace Events.Menu.Achievements */
+        Achievements: {
+             /**
+             * Fired *by AchievementsComponent* when the badge gallery is shown. Payload: None
+             * Listened for by AchievementService.
+             * @event Events.Menu.Achievements.ShowRequested
+             */
+            ShowRequested: 'menu:achievements:showRequested',
+            /**
+             * Fired *by AchievementService* with the badges of the active profile.
+             * Listened for by AchievementsComponent.
+             * @event Events.Menu.Achievements.Loaded
+             * @type {object}
+             * @property {{name: string, avatar: string} | null} profile - The active profile, null when nobody is picked.
+             * @property {Array<{id: string, icon: string, title: string, description: string, unlockedAt: string | null}>} badges - All badges in gallery order; unlockedAt is null for badges not earned yet.
+             * @property {number} unlockedCount - Number of badges earned.
+             */
+            Loaded: 'menu:achievements:loaded',
+             /**
+             * Fired *by AchievementService* when the badges could not be loaded.
+             * Listened for by AchievementsComponent.
+             * @event Events.Menu.Achievements.LoadFailed
+             * @type {object}
+             * @property {string} message - Error message describing the failure.
+             */
+            LoadFailed: 'menu:achievements:loadFailed',
+        },
+         /** @namespace Events.Menu.Worksheet */
+        Worksheet: {
+             /**
+             * Fired *by WorksheetService* when a worksheet is ready to be printed.
+             * Listened for by WorksheetPrintComponent.
+             * @event Events.Menu.Worksheet.Ready
+             * @type {object}
+             * @property {object} worksheet - See the Worksheet typedef in WorksheetService.
+             */
+            Ready: 'menu:worksheet:ready',
         },
          /** @namespace Events.Menu.CustomQuestions */
         CustomQuestions: {
@@ -588,8 +948,41 @@ const Events = {
             * @property {string} sheetId - The ID of the sheet being edited.
             * @property {string} name - The name of the sheet.
             * @property {string} questionsText - The raw questions text formatted for the textarea.
+            * @property {string | null} ownerProfileId - Profile the sheet is private to, null for a shared sheet.
             */
             SheetLoadedForEdit: 'menu:customQuestions:sheetLoadedForEdit',
+
+            /**
+            * Fired by the Coordinator when imported files have been parsed and are ready for review.
+            * Listened for by SheetImportDialog to show the sheets, name clashes and per-line errors.
+            * @event Events.Menu.CustomQuestions.ImportPrepared
+            * @type {object}
+            * @property {Array<{name: string, originalName: string, nameClash: boolean, questions: Array<object>}>} sheets -
+            *           Importable sheets; `name` is a suggested free name when `originalName` is already in use.
+            * @property {Array<{fileName: string, sheetName?: string, line: number | null, message: string}>} errors - Problems found per file/line.
+            * @property {string[]} existingNames - Names of the custom sheets that already exist.
+            * @property {'file' | 'link'} source - Whether the sheets come from imported files or a share link.
+            */
+            ImportPrepared: 'menu:customQuestions:importPrepared',
+
+            /**
+            * Fired by the Coordinator when imported sheets were saved.
+            * Listened for by CustomQuestionsComponent to refresh the list.
+            * @event Events.Menu.CustomQuestions.ImportSuccess
+            * @type {object}
+            * @property {string[]} sheetIds - The IDs of the newly saved sheets.
+            */
+            ImportSuccess: 'menu:customQuestions:importSuccess',
+
+            /**
+            * Fired by the Coordinator when a share link for a custom sheet was created.
+            * Listened for by SheetShareDialog to show the link and share buttons.
+            * @event Events.Menu.CustomQuestions.ShareLinkReady
+            * @type {object}
+            * @property {string} name - The name of the shared sheet.
+            * @property {string} url - The self-contained share link.
+            */
+            ShareLinkReady: 'menu:customQuestions:shareLinkReady',
         },
         /** @namespace Events.Menu.About */
         About: {
@@ -0,0 +1,23 @@
+/**
+ * The jokers ("hulplijnen") a player can use in single player.
+ *
+ * - usesPerGame:   How often the joker can be used in one game.
+ * - scorePenalty:  Points taken off the score of the question the joker was used on, also when the answer
+ *                  was wrong or too late (the question then costs points).
+ * - extraTimeMs:   (extraTime only) Time added to the running question.
+ *
+ * Each joker can be used once per question; '50/50' only on multiple choice questions.
+ */
+const Lifelines = Object.freeze({
+    fiftyFifty: Object.freeze({
+        usesPerGame: 1,
+        scorePenalty: 20,
+    }),
+    extraTime: Object.freeze({
+        usesPerGame: 2,
+        scorePenalty: 10,
+        extraTimeMs: 15000,
+    }),
+});
+
+export default Lifelines;
@@ -0,0 +1,109 @@
+/**
+ * The ways a correct (or wrong) answer can be scored. The strategy is picked per game (`settings.scoring`);
+ * BaseGameMode scores the timed solo modes with it and the multiplayer host scores every player with it.
+ * Modes with a scoring of their own (practice, flashcards, sprint) don't use a strategy.
+ */
+
+export const BASE_SCORE = 10; // Points for a correct answer
+export const MAX_TIME_BONUS = 50; // Extra points for answering at once, less the longer the player takes
+const STREAK_LENGTH = 3; // Correct answers in a row before the streak multiplier applies
+const STREAK_MULTIPLIER = 2;
+const WRONG_ANSWER_PENALTY = 10; // Negative marking: points taken off for a wrong answer or time-up
+
+/**
+ * What a strategy knows about the answered question.
+ * @typedef {object} ScoringContext
+ * @property {boolean} isCorrect - Whether the answer was correct; false when the time ran out.
+ * @property {number | null} elapsedMs - Time taken to answer, null when unknown.
+ * @property {number | null} durationMs - Time allowed per question, the reference for the time bonus; null without a timer.
+ * @property {number} correctStreak - Correct answers in a row before this one.
+ */
+
+/**
+ * How a question's score was earned, e.g. { total: 84, parts: [{ label: 'Goed', points: 10 }, { label: 'Snelheid', points: 32 }, { label: 'Reeks ×2', points: 42 }] }.
+ * @typedef {object} ScoreBreakdown
+ * @property {number} total - The score change for the question (negative for negative marking).
+ * @property {Array<{label: string, points: number}>} parts - The parts adding up to the total, empty for 0 points.
+ */
+
+/**
+ * @typedef {object} ScoringStrategy
+ * @property {string} name - Name shown when picking the scoring.
+ * @property {string} description - Short explanation for the player.
+ * @property {function(ScoringContext): ScoreBreakdown} score
+ */
+
+/**
+ * The classic score for a correct answer: the base score plus the time bonus. Answering quickly on a
+ * difficulty with less time gives a proportionally larger bonus, as it is based on the part of the time left.
+ * @param {ScoringContext} context
+ * @returns {Array<{label: string, points: number}>}
+ */
+function getClassicParts({ elapsedMs, durationMs }) {
+    const parts = [{ label: 'Goed', points: BASE_SCORE }];
+    if (durationMs > 0 && typeof elapsedMs === 'number' && elapsedMs >= 0) {
+        const timeFactor = Math.max(0, 1 - (elapsedMs / durationMs));
+        const timeBonus = Math.round(MAX_TIME_BONUS * timeFactor);
+        if (timeBonus > 0) parts.push({ label: 'Snelheid', points: timeBonus });
+    }
+    return parts;
+}
+
+/**
+ * @param {Array<{label: string, points: number}>} parts
+ * @returns {ScoreBreakdown}
+ */
+function toBreakdown(parts) {
+    return { total: parts.reduce((sum, part) => sum + part.points, 0), parts };
+}
+
+/**
+ * The scoring strategies by id, in the order they are offered.
+ * @type {Readonly<Object<string, ScoringStrategy>>}
+ */
+const ScoringStrategies = Object.freeze({
+    classic: Object.freeze({
+        name: 'Klassiek',
+        description: `${BASE_SCORE} punten per goed antwoord, plus tot ${MAX_TIME_BONUS} punten als je snel bent.`,
+        score: (context) => toBreakdown(context.isCorrect ? getClassicParts(context) : []),
+    }),
+    streak: Object.freeze({
+        name: 'Reeksbonus',
+        description: `Zoals klassiek, maar ${STREAK_MULTIPLIER}× zoveel punten als je al ${STREAK_LENGTH} keer op rij goed zat.`,
+        score: (context) => {
+            if (!context.isCorrect) return toBreakdown([]);
+            const parts = getClassicParts(context);
+            if (context.correctStreak >= STREAK_LENGTH) {
+                const points = toBreakdown(parts).total * (STREAK_MULTIPLIER - 1);
+                parts.push({ label: `Reeks ×${STREAK_MULTIPLIER}`, points });
+            }
+            return toBreakdown(parts);
+        },
+    }),
+    accuracy: Object.freeze({
+        name: 'Alleen goed telt',
+        description: `${BASE_SCORE} punten per goed antwoord, snelheid telt niet.`,
+        score: ({ isCorrect }) => toBreakdown(isCorrect ? [{ label: 'Goed', points: BASE_SCORE }] : []),
+    }),
+    negative: Object.freeze({
+        name: 'Strafpunten',
+        description: `Zoals klassiek, maar een fout antwoord (of te laat) kost ${WRONG_ANSWER_PENALTY} punten.`,
+        score: (context) => toBreakdown(context.isCorrect
+            ? getClassicParts(context)
+            : [{ label: 'Fout', points: -WRONG_ANSWER_PENALTY }]),
+    }),
+});
+
+export const DEFAULT_SCORING = 'classic';
+
+/**
+ * Returns a scoring strategy, falling back to the default one for unknown or missing ids
+ * (e.g. older settings, or settings from a host on an older version).
+ * @param {string | null | undefined} scoring - Strategy id from the game settings.
+ * @returns {ScoringStrategy}
+ */
+export function getScoringStrategy(scoring) {
+    return ScoringStrategies[scoring] || ScoringStrategies[DEFAULT_SCORING];
+}
+
+export default ScoringStrategies;
@@ -12,7 +12,9 @@ class Timer {
      */
     constructor(durationSeconds = 30) {
         this.durationMs = durationSeconds * 1000;
+        this.initialDurationMs = this.durationMs; // Duration the current run started with, used for scoring
         this.remainingMs = this.durationMs;
+        this.extraMs = 0; // Time added to the current run with addTime(), not counted for scoring
         this.startTime = null;
         this.intervalId = null;
         this.isRunning = false;
@@ -137,12 +139,39 @@ class Timer {
      */
     reset() {
         this.stop();
+        this.initialDurationMs = this.durationMs;
         this.remainingMs = this.durationMs;
+        this.extraMs = 0;
         this.lastElapsedMs = 0; // Also reset captured time
         this._initialStartTime = null; // Reset the initial start time
         console.log(`[Timer] Reset to ${this.durationMs}ms`);
     }
 
+    /**
+     * Changes the duration for the next run. A running timer keeps its current duration;
+     * the new one is used from the next reset().
+     * @param {number} durationSeconds - The new duration in seconds.
+     */
+    setDuration(durationSeconds) {
+        this.durationMs = durationSeconds * 1000;
+        console.log(`[Timer] Duration set to ${this.durationMs}ms (applies from the next reset)`);
+    }
+
+    /**
+     * Adds time to the running timer, e.g. for the 'extra time' joker. The time only counts for the
+     * current run; initialDurationMs, which scoring is based on, stays the same.
+     * @param {number} seconds - Seconds to add.
+     * @returns {boolean} False if the timer is not running.
+     */
+    addTime(seconds) {
+        if (!this.isRunning) return false;
+        this.extraMs += seconds * 1000;
+        this.remainingMs = this.getRemainingTime();
+        console.log(`[Timer] Added ${seconds}s, remaining: ${this.remainingMs}ms`);
+        this.emit('tick', this.remainingMs);
+        return true;
+    }
+
     /**
      * The internal tick function called by setInterval.
      * Calculates remaining time, emits 'tick' or 'end', and stops if finished.
@@ -160,7 +189,7 @@ class Timer {
         // Calculate elapsed time since the timer was originally started
         const elapsedTotal = Date.now() - this._initialStartTime;
         // Calculate remaining time based on the total duration and total elapsed time
-        const currentRemaining = Math.max(0, this.durationMs - elapsedTotal);
+        const currentRemaining = Math.max(0, this.initialDurationMs + this.extraMs - elapsedTotal);
         
         // Update remainingMs state (important if timer is stopped/queried)
         this.remainingMs = currentRemaining; 
@@ -184,7 +213,7 @@ class Timer {
          if (this.isRunning && this._initialStartTime) {
              // Calculate based on initial start time for accuracy
              const elapsed = Date.now() - this._initialStartTime;
-             return Math.max(0, this.durationMs - elapsed);
+             return Math.max(0, this.initialDurationMs + this.extraMs - elapsed);
          }
          return this.remainingMs; // Return stored remaining time if stopped
      }
@@ -10,6 +10,9 @@ const Views = Object.freeze({
     JoinLobby:          'JoinLobbyComponent',
     GameArea:           'GameAreaComponent', // Assuming this is registered name
     Highscores:         'Highscores',
+    Statistics:         'StatisticsComponent',
+    DailyChallenge:     'DailyChallengeComponent',
+    Achievements:       'AchievementsComponent',
     CustomQuestions:    'CustomQuestionsManager',
     About:              'AboutComponent',
     SheetSelection:     'SheetSelectionComponent',
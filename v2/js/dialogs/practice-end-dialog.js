@@ -1,12 +1,13 @@
 import BaseDialog from './base-dialog.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
+import answerLogUtils from '../utils/answerLogUtils.js';
 
 
 /**
  * @class PracticeEndDialog
  * @extends BaseDialog
- * Dialog shown at the end of a practice session.
+ * Dialog shown at the end of a practice or flashcard session, with the answer log and a button to practise the missed questions.
  */
 class PracticeEndDialog extends BaseDialog {
     /**
@@ -17,11 +18,19 @@ class PracticeEndDialog extends BaseDialog {
 
         this.tryAgainButton = this.rootElement.querySelector('#practiceTryAgainButton');
         this.menuButton = this.rootElement.querySelector('#practiceMenuButton');
+        this.masteryText = this.rootElement.querySelector('#practiceMasteryText');
+        this.answerLogSection = this.rootElement.querySelector('#practiceAnswerLogSection');
+        this.answerLogList = this.rootElement.querySelector('#practiceAnswerLog');
+        this.reviewMistakesButton = this.rootElement.querySelector('#practiceReviewMistakesButton');
 
-        if (!this.tryAgainButton || !this.menuButton) {
-            throw new Error(`[${this.name}] Missing required child elements: #practiceTryAgainButton or #practiceMenuButton.`);
+        if (!this.tryAgainButton || !this.menuButton || !this.masteryText || !this.answerLogSection || !this.answerLogList || !this.reviewMistakesButton) {
+            throw new Error(`[${this.name}] Missing required child elements: #practiceTryAgainButton, #practiceMenuButton, #practiceMasteryText or the answer log elements.`);
         }
 
+        this.missedQuestions = []; // Questions to practise again
+        this.lastSettings = null; // Settings of the finished round, reused for the review round
+        this.lastMode = 'practice'; // 'practice' or 'flashcards'; the next round is played the same way
+
         this._bindMethods();
         this._addEventListeners();
 
@@ -36,12 +45,14 @@ class PracticeEndDialog extends BaseDialog {
         this.handleGameFinished = this.handleGameFinished.bind(this);
         this.handleTryAgainClick = this.handleTryAgainClick.bind(this);
         this.handleMenuClick = this.handleMenuClick.bind(this);
+        this.handleReviewMistakesClick = this.handleReviewMistakesClick.bind(this);
     }
 
     /** Adds DOM event listeners. */
     _addEventListeners() {
         this.tryAgainButton.addEventListener('click', this.handleTryAgainClick);
         this.menuButton.addEventListener('click', this.handleMenuClick);
+        this.reviewMistakesButton.addEventListener('click', this.handleReviewMistakesClick);
     }
 
     /** Removes DOM event listeners. */
@@ -49,18 +60,33 @@ class PracticeEndDialog extends BaseDialog {
         // Assuming elements exist because constructor throws if they don't
         this.tryAgainButton.removeEventListener('click', this.handleTryAgainClick);
         this.menuButton.removeEventListener('click', this.handleMenuClick);
+        this.reviewMistakesButton.removeEventListener('click', this.handleReviewMistakesClick);
     }
 
     /**
      * Handles the Game.Finished event.
-     * If the mode is 'practice', shows the dialog.
+     * If the mode is 'practice' or 'flashcards', shows the dialog with how many practised questions are mastered
+     * and the answer log.
      * @param {object} payload - Event payload.
-     * @param {'single' | 'multiplayer' | 'practice'} payload.mode
+     * @param {'single' | 'multiplayer' | 'practice' | 'flashcards' | 'daily'} payload.mode
+     * @param {object} [payload.results] - Practice results, with `mastery: {masteredCount, totalCount}` (this round) and `answerLog`.
      * @private
      */
-    handleGameFinished({ mode }) {
-        if (mode === 'practice') {
-            console.log(`[${this.name}] Practice finished, showing dialog.`);
+    handleGameFinished({ mode, results }) {
+        if (mode === 'practice' || mode === 'flashcards') {
+            console.log(`[${this.name}] ${mode} finished, showing dialog.`);
+            this.lastMode = mode;
+            const mastery = results?.mastery;
+            this.masteryText.classList.toggle('hidden', !mastery?.totalCount);
+            if (mastery?.totalCount) {
+                this.masteryText.textContent = `Je kent nu ${mastery.masteredCount} van de ${mastery.totalCount} vragen uit deze ronde helemaal uit je hoofd.`;
+            }
+            const answerLog = results?.answerLog || [];
+            answerLogUtils.renderAnswerLog(this.answerLogList, answerLog);
+            this.answerLogSection.classList.toggle('hidden', answerLog.length === 0);
+            this.missedQuestions = answerLogUtils.getMissedQuestions(answerLog);
+            this.lastSettings = results?.settings || null;
+            this.reviewMistakesButton.classList.toggle('hidden', this.missedQuestions.length === 0);
             this.show(); // Show the dialog
         }
     }
@@ -69,10 +95,18 @@ class PracticeEndDialog extends BaseDialog {
     handleTryAgainClick() {
         console.log(`[${this.name}] Try again clicked.`);
         // Emit PlayAgainClicked with mode context
-        eventBus.emit(Events.UI.EndDialog.PlayAgainClicked, { mode: 'practice' }); 
+        eventBus.emit(Events.UI.EndDialog.PlayAgainClicked, { mode: this.lastMode }); 
         this.hide(); // Close the dialog
     }
 
+    /** Handles the review mistakes button click: starts a new round of the same mode with the missed questions. */
+    handleReviewMistakesClick() {
+        if (this.missedQuestions.length === 0) return;
+        console.log(`[${this.name}] Review mistakes clicked (${this.missedQuestions.length} questions).`);
+        eventBus.emit(Events.UI.EndDialog.ReviewMistakesClicked, { questions: this.missedQuestions, settings: this.lastSettings, mode: this.lastMode });
+        this.hide();
+    }
+
     /** Handles the return to menu button click. */
     handleMenuClick() {
         console.log(`[${this.name}] Return to menu clicked.`);
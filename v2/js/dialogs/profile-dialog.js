@@ -0,0 +1,291 @@
+import BaseDialog from './base-dialog.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import profileService, { PROFILE_AVATARS } from '../services/ProfileService.js';
+
+/**
+ * Dialog for picking who is playing, and for creating, renaming and deleting player profiles.
+ * Opened from the profile switcher in the main menu, or when a game needs a profile.
+ * Changes go to ProfileService through Events.UI.Profiles; the list is redrawn on Events.Profile.Changed.
+ * @extends BaseDialog
+ */
+class ProfileDialog extends BaseDialog {
+    /**
+     * Creates an instance of ProfileDialog.
+     */
+    constructor() {
+        super('#profileDialog', 'ProfileDialog');
+
+        this.listElement = this.rootElement.querySelector('#profileList');
+        this.emptyMessage = this.rootElement.querySelector('#profileListEmpty');
+        this.formTitle = this.rootElement.querySelector('#profileFormTitle');
+        this.nameInput = this.rootElement.querySelector('#profileNameInput');
+        this.avatarPicker = this.rootElement.querySelector('#profileAvatarPicker');
+        this.saveButton = this.rootElement.querySelector('#profileSaveButton');
+        this.cancelEditButton = this.rootElement.querySelector('#profileCancelEditButton');
+        this.closeButton = this.rootElement.querySelector('#profileCloseButton');
+
+        if (!this.listElement || !this.emptyMessage || !this.formTitle || !this.nameInput || !this.avatarPicker
+            || !this.saveButton || !this.cancelEditButton || !this.closeButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        this.profiles = profileService.getProfiles();
+        this.activeProfileId = profileService.getActiveProfile()?.id || null;
+        this.editingProfileId = null; // Profile being renamed, null when creating a new one
+        this.selectedAvatar = PROFILE_AVATARS[0];
+        this.awaitingSave = false; // Reset the form once ProfileService confirms the save
+
+        this._bindMethods();
+        this._addEventListeners();
+        this._renderAvatarPicker();
+        this.listen(Events.Profile.Changed, this.handleProfilesChanged);
+        this.listen(Events.UI.MainMenu.ProfileSwitcherClicked, this.handleOpenRequested);
+        this.listen(Events.Profile.SelectionRequested, this.handleOpenRequested);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleProfilesChanged = this.handleProfilesChanged.bind(this);
+        this.handleOpenRequested = this.handleOpenRequested.bind(this);
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleAvatarClick = this.handleAvatarClick.bind(this);
+        this.handleSave = this.handleSave.bind(this);
+        this.handleNameKeydown = this.handleNameKeydown.bind(this);
+        this.handleCancelEdit = this.handleCancelEdit.bind(this);
+        this.handleClose = this.handleClose.bind(this);
+    }
+
+    /** Adds specific DOM event listeners for this dialog. */
+    _addEventListeners() {
+        this.listElement.addEventListener('click', this.handleListClick);
+        this.avatarPicker.addEventListener('click', this.handleAvatarClick);
+        this.saveButton.addEventListener('click', this.handleSave);
+        this.nameInput.addEventListener('keydown', this.handleNameKeydown);
+        this.cancelEditButton.addEventListener('click', this.handleCancelEdit);
+        this.closeButton.addEventListener('click', this.handleClose);
+    }
+
+    /** Removes specific DOM event listeners attached by this component. */
+    _removeEventListeners() {
+        this.listElement.removeEventListener('click', this.handleListClick);
+        this.avatarPicker.removeEventListener('click', this.handleAvatarClick);
+        this.saveButton.removeEventListener('click', this.handleSave);
+        this.nameInput.removeEventListener('keydown', this.handleNameKeydown);
+        this.cancelEditButton.removeEventListener('click', this.handleCancelEdit);
+        this.closeButton.removeEventListener('click', this.handleClose);
+    }
+
+    /**
+     * Opens the dialog with an empty "new player" form.
+     */
+    handleOpenRequested() {
+        this._resetForm();
+        this._renderProfiles();
+        this.show();
+        if (this.profiles.length === 0) {
+            requestAnimationFrame(() => this.nameInput.focus());
+        }
+    }
+
+    /**
+     * Redraws the list after a change, and clears the form once a save went through.
+     * @param {object} payload - The Events.Profile.Changed payload.
+     * @param {object | null} payload.activeProfile
+     * @param {Array<object>} payload.profiles
+     */
+    handleProfilesChanged({ activeProfile, profiles }) {
+        this.profiles = profiles;
+        this.activeProfileId = activeProfile?.id || null;
+        if (this.awaitingSave) {
+            this.awaitingSave = false;
+            this._resetForm();
+        }
+        if (this.editingProfileId && !profiles.some(profile => profile.id === this.editingProfileId)) {
+            this._resetForm(); // The profile being renamed was deleted
+        }
+        this._renderProfiles();
+    }
+
+    /**
+     * Handles the pick, rename and delete buttons in the profile list.
+     * @param {MouseEvent} event
+     */
+    handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const profile = this.profiles.find(candidate => candidate.id === button.dataset.profileId);
+        if (!profile) return;
+
+        switch (button.dataset.action) {
+            case 'select':
+                console.debug(`[${this.name}] Profile selected: ${profile.id}`);
+                eventBus.emit(Events.UI.Profiles.SelectClicked, { profileId: profile.id });
+                this.hide();
+                break;
+            case 'edit':
+                this.editingProfileId = profile.id;
+                this.nameInput.value = profile.name;
+                this._selectAvatar(profile.avatar);
+                this.formTitle.textContent = `${profile.name} aanpassen`;
+                this.saveButton.textContent = 'Opslaan';
+                this.cancelEditButton.classList.remove('hidden');
+                this.nameInput.focus();
+                break;
+            case 'delete':
+                if (confirm(`Weet je zeker dat je ${profile.name} wilt verwijderen? De statistieken en oefenvoortgang van ${profile.name} worden gewist. Eigen vragenlijsten blijven bewaard.`)) {
+                    eventBus.emit(Events.UI.Profiles.DeleteClicked, { profileId: profile.id });
+                }
+                break;
+        }
+    }
+
+    /**
+     * Selects the clicked avatar.
+     * @param {MouseEvent} event
+     */
+    handleAvatarClick(event) {
+        const button = event.target.closest('button[data-avatar]');
+        if (button) this._selectAvatar(button.dataset.avatar);
+    }
+
+    /**
+     * Creates a new profile or saves the one being renamed.
+     */
+    handleSave() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Vul een naam in.', level: 'warn' });
+            this.nameInput.focus();
+            return;
+        }
+        this.awaitingSave = true;
+        if (this.editingProfileId) {
+            eventBus.emit(Events.UI.Profiles.UpdateClicked, { profileId: this.editingProfileId, name, avatar: this.selectedAvatar });
+        } else {
+            eventBus.emit(Events.UI.Profiles.CreateClicked, { name, avatar: this.selectedAvatar });
+        }
+    }
+
+    /**
+     * Saves with the Enter key.
+     * @param {KeyboardEvent} event
+     */
+    handleNameKeydown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.handleSave();
+        }
+    }
+
+    /**
+     * Stops renaming and goes back to the "new player" form.
+     */
+    handleCancelEdit() {
+        this._resetForm();
+    }
+
+    /**
+     * Closes the dialog.
+     */
+    handleClose() {
+        this.hide();
+    }
+
+    /**
+     * Empties the form and switches it to creating a new profile.
+     * @private
+     */
+    _resetForm() {
+        this.editingProfileId = null;
+        this.awaitingSave = false;
+        this.nameInput.value = '';
+        this.formTitle.textContent = 'Nieuwe speler';
+        this.saveButton.textContent = 'Toevoegen';
+        this.cancelEditButton.classList.add('hidden');
+        this._selectAvatar(PROFILE_AVATARS[this.profiles.length % PROFILE_AVATARS.length]); // A different default per player
+    }
+
+    /**
+     * Renders one row per profile: a pick button (avatar and name), a rename and a delete button.
+     * @private
+     */
+    _renderProfiles() {
+        this.listElement.innerHTML = '';
+        this.emptyMessage.classList.toggle('hidden', this.profiles.length > 0);
+        this.profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.classList.toggle('active-profile', profile.id === this.activeProfileId);
+
+            const selectButton = this._createListButton('select', profile.id, `${profile.avatar} ${profile.name}`, `Speel als ${profile.name}`);
+            selectButton.className = 'profile-select';
+            selectButton.setAttribute('aria-pressed', String(profile.id === this.activeProfileId));
+
+            item.append(
+                selectButton,
+                this._createListButton('edit', profile.id, '✏️', `${profile.name} aanpassen`),
+                this._createListButton('delete', profile.id, '🗑️', `${profile.name} verwijderen`)
+            );
+            this.listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {'select' | 'edit' | 'delete'} action
+     * @param {string} profileId
+     * @param {string} text
+     * @param {string} title
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createListButton(action, profileId, text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.dataset.profileId = profileId;
+        button.textContent = text;
+        button.title = title;
+        return button;
+    }
+
+    /**
+     * Renders the avatar choices.
+     * @private
+     */
+    _renderAvatarPicker() {
+        this.avatarPicker.innerHTML = '';
+        PROFILE_AVATARS.forEach(avatar => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.avatar = avatar;
+            button.textContent = avatar;
+            button.setAttribute('role', 'radio');
+            this.avatarPicker.appendChild(button);
+        });
+        this._selectAvatar(this.selectedAvatar);
+    }
+
+    /**
+     * Marks an avatar as chosen.
+     * @param {string} avatar
+     * @private
+     */
+    _selectAvatar(avatar) {
+        this.selectedAvatar = PROFILE_AVATARS.includes(avatar) ? avatar : PROFILE_AVATARS[0];
+        this.avatarPicker.querySelectorAll('button[data-avatar]').forEach(button => {
+            const isSelected = button.dataset.avatar === this.selectedAvatar;
+            button.classList.toggle('selected', isSelected);
+            button.setAttribute('aria-checked', String(isSelected));
+        });
+    }
+
+    /**
+     * Overrides base destroy method to remove specific DOM listeners.
+     */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
+
+export default ProfileDialog;
@@ -0,0 +1,143 @@
+import BaseDialog from './base-dialog.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import answerLogUtils from '../utils/answerLogUtils.js';
+
+/**
+ * Base class for the end dialogs of the solo modes that are played for a highscore table (sprint, survival):
+ * the new record message, the answer log, a practice round with the missed questions, playing again and returning to the menu.
+ * Subclasses show the results of their mode in `_showResults`.
+ */
+export default class RoundEndDialog extends BaseDialog {
+    /**
+     * @param {string} elementSelector - CSS selector for the dialog element.
+     * @param {string} componentName - Identifier for the component.
+     * @param {'sprint' | 'survival'} mode - The mode whose Game.Finished event shows the dialog, also the name of its highscore table.
+     * @param {object} elementIds - IDs of the shared child elements.
+     * @param {string} elementIds.newRecord - Message shown when the game set a record for its list.
+     * @param {string} elementIds.answerLogSection - Section around the answer log, hidden when nothing was answered.
+     * @param {string} elementIds.answerLog - List the answer log is rendered in.
+     * @param {string} elementIds.reviewMistakesButton
+     * @param {string} elementIds.tryAgainButton
+     * @param {string} elementIds.menuButton
+     */
+    constructor(elementSelector, componentName, mode, elementIds) {
+        super(elementSelector, componentName);
+
+        this.mode = mode;
+        this.newRecordElement = this.rootElement.querySelector(`#${elementIds.newRecord}`);
+        this.answerLogSection = this.rootElement.querySelector(`#${elementIds.answerLogSection}`);
+        this.answerLogList = this.rootElement.querySelector(`#${elementIds.answerLog}`);
+        this.reviewMistakesButton = this.rootElement.querySelector(`#${elementIds.reviewMistakesButton}`);
+        this.tryAgainButton = this.rootElement.querySelector(`#${elementIds.tryAgainButton}`);
+        this.menuButton = this.rootElement.querySelector(`#${elementIds.menuButton}`);
+
+        if (!this.newRecordElement || !this.answerLogSection || !this.answerLogList || !this.reviewMistakesButton || !this.tryAgainButton || !this.menuButton) {
+            throw new Error(`[${this.name}] Missing required child elements: ${Object.values(elementIds).map(id => `#${id}`).join(', ')}.`);
+        }
+
+        this.missedQuestions = []; // Questions to practise again
+        this.lastSettings = null; // Settings of the finished game, reused for the review round
+
+        this._bindMethods();
+        this._addEventListeners();
+
+        this.listen(Events.Game.Finished, this.handleGameFinished);
+        this.listen(Events.Highscore.RecordSet, this.handleRecordSet);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleGameFinished = this.handleGameFinished.bind(this);
+        this.handleRecordSet = this.handleRecordSet.bind(this);
+        this.handleTryAgainClick = this.handleTryAgainClick.bind(this);
+        this.handleMenuClick = this.handleMenuClick.bind(this);
+        this.handleReviewMistakesClick = this.handleReviewMistakesClick.bind(this);
+    }
+
+    /** Adds DOM event listeners. */
+    _addEventListeners() {
+        this.tryAgainButton.addEventListener('click', this.handleTryAgainClick);
+        this.menuButton.addEventListener('click', this.handleMenuClick);
+        this.reviewMistakesButton.addEventListener('click', this.handleReviewMistakesClick);
+    }
+
+    /** Removes DOM event listeners. */
+    _removeEventListeners() {
+        this.tryAgainButton.removeEventListener('click', this.handleTryAgainClick);
+        this.menuButton.removeEventListener('click', this.handleMenuClick);
+        this.reviewMistakesButton.removeEventListener('click', this.handleReviewMistakesClick);
+    }
+
+    /**
+     * Shows the results of the mode; implemented by the subclasses.
+     * @param {object} [results] - The results of the Game.Finished event.
+     * @protected
+     */
+    _showResults(results) {}
+
+    /**
+     * Handles the Game.Finished event, showing the dialog for games of this dialog's mode.
+     * @param {object} payload - Event payload.
+     * @param {string} payload.mode - The mode of the game that finished.
+     * @param {object} [payload.results] - Game results, with `answerLog` and `settings`.
+     * @private
+     */
+    handleGameFinished({ mode, results }) {
+        if (mode !== this.mode) return;
+        console.log(`[${this.name}] ${mode} finished, showing dialog.`);
+        this._showResults(results);
+        this.newRecordElement.classList.add('hidden'); // Shown by handleRecordSet once the score is stored
+
+        const answerLog = results?.answerLog || [];
+        answerLogUtils.renderAnswerLog(this.answerLogList, answerLog);
+        this.answerLogSection.classList.toggle('hidden', answerLog.length === 0);
+        this.missedQuestions = answerLogUtils.getMissedQuestions(answerLog);
+        this.lastSettings = results?.settings || null;
+        this.reviewMistakesButton.classList.toggle('hidden', this.missedQuestions.length === 0);
+        this.show();
+    }
+
+    /**
+     * Handles Events.Highscore.RecordSet: HighscoreManager stores the score after the dialog was opened,
+     * and tells when it is the best score of its list.
+     * @param {object} payload
+     * @param {'single' | 'sprint' | 'survival'} payload.table - The table the record is in.
+     * @private
+     */
+    handleRecordSet({ table }) {
+        if (table !== this.mode) return;
+        console.debug(`[${this.name}] New ${table} record for this sheet set.`);
+        this.newRecordElement.classList.remove('hidden');
+    }
+
+    /** Handles the try again button click: picks sheets for a new game of the same mode. */
+    handleTryAgainClick() {
+        console.log(`[${this.name}] Try again clicked.`);
+        eventBus.emit(Events.UI.EndDialog.PlayAgainClicked, { mode: this.mode });
+        this.hide();
+    }
+
+    /** Handles the review mistakes button click: starts a practice round with the missed questions. */
+    handleReviewMistakesClick() {
+        if (this.missedQuestions.length === 0) return;
+        console.log(`[${this.name}] Review mistakes clicked (${this.missedQuestions.length} questions).`);
+        eventBus.emit(Events.UI.EndDialog.ReviewMistakesClicked, { questions: this.missedQuestions, settings: this.lastSettings });
+        this.hide();
+    }
+
+    /** Handles the return to menu button click. */
+    handleMenuClick() {
+        console.log(`[${this.name}] Return to menu clicked.`);
+        eventBus.emit(Events.UI.EndDialog.ReturnToMenuClicked);
+        this.hide();
+    }
+
+    /**
+     * Overrides base destroy method to remove the DOM listeners.
+     */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
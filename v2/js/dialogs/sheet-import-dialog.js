@@ -0,0 +1,229 @@
+import BaseDialog from './base-dialog.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+const PREVIEW_QUESTION_COUNT = 3; // Questions shown per sheet so the user can see what they are adding
+
+/**
+ * Dialog for reviewing imported question sheets (from files or a share link) before they are saved.
+ * Lists the importable sheets with a short preview and a name field (pre-filled with a free name
+ * when the original name already exists), and every error found per file and line.
+ * Emits Events.UI.CustomQuestions.ImportConfirmed with the chosen sheets and names.
+ * @extends BaseDialog
+ */
+class SheetImportDialog extends BaseDialog {
+    /**
+     * Creates an instance of SheetImportDialog.
+     */
+    constructor() {
+        super('#sheetImportDialog', 'SheetImportDialog');
+
+        this.titleElement = this.rootElement.querySelector('#sheetImportTitle');
+        this.sheetListElement = this.rootElement.querySelector('#sheetImportList');
+        this.errorSection = this.rootElement.querySelector('#sheetImportErrorSection');
+        this.errorListElement = this.rootElement.querySelector('#sheetImportErrors');
+        this.confirmButton = this.rootElement.querySelector('#sheetImportConfirm');
+        this.cancelButton = this.rootElement.querySelector('#sheetImportCancel');
+
+        if (!this.titleElement || !this.sheetListElement || !this.errorSection || !this.errorListElement || !this.confirmButton || !this.cancelButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        /** @type {Array<{name: string, originalName: string, nameClash: boolean, questions: Array<object>}>} */
+        this.pendingSheets = [];
+        /** @type {string[]} */
+        this.existingNames = [];
+
+        this._bindMethods();
+        this._addEventListeners();
+        this.listen(Events.Menu.CustomQuestions.ImportPrepared, this.handleImportPrepared);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleImportPrepared = this.handleImportPrepared.bind(this);
+        this.handleConfirm = this.handleConfirm.bind(this);
+        this.handleCancel = this.handleCancel.bind(this);
+    }
+
+    /** Adds specific DOM event listeners for this dialog. */
+    _addEventListeners() {
+        this.confirmButton.addEventListener('click', this.handleConfirm);
+        this.cancelButton.addEventListener('click', this.handleCancel);
+    }
+
+    /** Removes specific DOM event listeners attached by this component. */
+    _removeEventListeners() {
+        this.confirmButton.removeEventListener('click', this.handleConfirm);
+        this.cancelButton.removeEventListener('click', this.handleCancel);
+    }
+
+    /**
+     * Renders the parsed import and opens the dialog.
+     * @param {object} payload - The Events.Menu.CustomQuestions.ImportPrepared payload.
+     * @param {Array<{name: string, originalName: string, nameClash: boolean, questions: Array<object>}>} payload.sheets
+     * @param {Array<{fileName: string, sheetName?: string, line: number | null, message: string}>} payload.errors
+     * @param {string[]} payload.existingNames
+     * @param {'file' | 'link'} [payload.source='file'] - A share link gets its own title and confirm text.
+     */
+    handleImportPrepared({ sheets, errors, existingNames, source = 'file' }) {
+        console.debug(`[${this.name}] Showing ${source} import of ${sheets.length} sheet(s) with ${errors.length} error(s).`);
+        this.pendingSheets = sheets;
+        this.existingNames = existingNames || [];
+        this.titleElement.textContent = source === 'link' ? 'Gedeelde vragenlijst' : 'Vragenlijsten importeren';
+        this.confirmButton.textContent = source === 'link' ? 'Toevoegen aan mijn lijsten' : 'Importeren';
+        this._renderSheets();
+        this._renderErrors(errors);
+        this.confirmButton.classList.toggle('hidden', sheets.length === 0);
+        this.cancelButton.textContent = sheets.length === 0 ? 'Sluiten' : 'Annuleren';
+        this.show();
+    }
+
+    /**
+     * Renders one row per importable sheet with an include checkbox and a name field.
+     * @private
+     */
+    _renderSheets() {
+        this.sheetListElement.innerHTML = '';
+        if (this.pendingSheets.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.textContent = 'Er is niets om te importeren.';
+            this.sheetListElement.appendChild(emptyItem);
+            return;
+        }
+
+        this.pendingSheets.forEach((sheet, index) => {
+            const item = document.createElement('li');
+            item.className = 'sheet-import-item';
+
+            const includeCheckbox = document.createElement('input');
+            includeCheckbox.type = 'checkbox';
+            includeCheckbox.checked = true;
+            includeCheckbox.className = 'sheet-import-include';
+            includeCheckbox.dataset.index = index;
+            includeCheckbox.title = 'Deze lijst importeren';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = sheet.name;
+            nameInput.className = 'sheet-import-name';
+            nameInput.dataset.index = index;
+            nameInput.maxLength = 60;
+
+            const countLabel = document.createElement('span');
+            countLabel.className = 'sheet-import-count';
+            countLabel.textContent = `${sheet.questions.length} ${sheet.questions.length === 1 ? 'vraag' : 'vragen'}`;
+
+            item.append(includeCheckbox, nameInput, countLabel, this._createPreview(sheet.questions));
+
+            if (sheet.nameClash) {
+                const clashNote = document.createElement('p');
+                clashNote.className = 'sheet-import-clash';
+                clashNote.textContent = `Je hebt al een lijst '${sheet.originalName}'. Deze wordt opgeslagen onder de naam hierboven; je mag die nog aanpassen.`;
+                item.appendChild(clashNote);
+            }
+            this.sheetListElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Creates a short preview list of the first questions of a sheet.
+     * @param {Array<{question: string, answer: string}>} questions
+     * @returns {HTMLUListElement}
+     * @private
+     */
+    _createPreview(questions) {
+        const previewList = document.createElement('ul');
+        previewList.className = 'sheet-import-preview';
+        questions.slice(0, PREVIEW_QUESTION_COUNT).forEach(({ question, answer }) => {
+            const previewItem = document.createElement('li');
+            previewItem.textContent = `${question} → ${answer}`;
+            previewList.appendChild(previewItem);
+        });
+        if (questions.length > PREVIEW_QUESTION_COUNT) {
+            const moreItem = document.createElement('li');
+            moreItem.textContent = `... en nog ${questions.length - PREVIEW_QUESTION_COUNT} meer`;
+            previewList.appendChild(moreItem);
+        }
+        return previewList;
+    }
+
+    /**
+     * Renders the import errors, one per line, or hides the section when there are none.
+     * @param {Array<{fileName: string, sheetName?: string, line: number | null, message: string}>} errors
+     * @private
+     */
+    _renderErrors(errors) {
+        this.errorListElement.innerHTML = '';
+        this.errorSection.classList.toggle('hidden', errors.length === 0);
+        errors.forEach(({ fileName, sheetName, line, message }) => {
+            const item = document.createElement('li');
+            const location = [fileName, sheetName ? `lijst '${sheetName}'` : null, line ? `regel ${line}` : null]
+                .filter(Boolean)
+                .join(', ');
+            item.textContent = `${location}: ${message}`;
+            this.errorListElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Validates the chosen names and emits the confirmed import.
+     * Names must be filled in, must not match an existing sheet and must be unique within the import.
+     */
+    handleConfirm() {
+        const chosenSheets = [];
+        const usedNames = new Set(this.existingNames.map(name => name.trim().toLowerCase()));
+        const nameInputs = this.sheetListElement.querySelectorAll('.sheet-import-name');
+
+        for (const nameInput of nameInputs) {
+            const index = Number(nameInput.dataset.index);
+            const includeCheckbox = this.sheetListElement.querySelector(`.sheet-import-include[data-index="${index}"]`);
+            if (!includeCheckbox?.checked) continue;
+
+            const name = nameInput.value.trim();
+            const nameKey = name.toLowerCase();
+            if (!name || usedNames.has(nameKey)) {
+                const message = name ? `Er is al een lijst met de naam '${name}'. Kies een andere naam.` : 'Geef elke lijst een naam.';
+                eventBus.emit(Events.System.ShowFeedback, { message, level: 'warn' });
+                nameInput.focus();
+                return;
+            }
+            usedNames.add(nameKey);
+            chosenSheets.push({ name, questions: this.pendingSheets[index].questions });
+        }
+
+        if (chosenSheets.length === 0) {
+            this.hide();
+            return;
+        }
+        console.debug(`[${this.name}] Import confirmed for ${chosenSheets.length} sheet(s).`);
+        eventBus.emit(Events.UI.CustomQuestions.ImportConfirmed, { sheets: chosenSheets });
+        this.hide();
+    }
+
+    /**
+     * Closes the dialog without importing anything.
+     */
+    handleCancel() {
+        console.debug(`[${this.name}] Import cancelled.`);
+        this.hide();
+    }
+
+    /**
+     * Hides the dialog and forgets the pending import.
+     */
+    hide() {
+        this.pendingSheets = [];
+        super.hide();
+    }
+
+    /**
+     * Overrides base destroy method to remove specific DOM listeners.
+     */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
+
+export default SheetImportDialog;
@@ -0,0 +1,100 @@
+import BaseDialog from './base-dialog.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+/**
+ * Dialog showing the share link of a custom question sheet,
+ * with a copy button and a WhatsApp share link (same pattern as the host lobby).
+ * @extends BaseDialog
+ */
+class SheetShareDialog extends BaseDialog {
+    /**
+     * Creates an instance of SheetShareDialog.
+     */
+    constructor() {
+        super('#sheetShareDialog', 'SheetShareDialog');
+
+        this.descriptionElement = this.rootElement.querySelector('#sheetShareDescription');
+        this.linkDisplay = this.rootElement.querySelector('#sheetShareLink');
+        this.copyButton = this.rootElement.querySelector('#sheetShareCopyButton');
+        this.whatsappButton = this.rootElement.querySelector('#sheetShareWhatsappButton');
+        this.closeButton = this.rootElement.querySelector('#sheetShareClose');
+
+        if (!this.descriptionElement || !this.linkDisplay || !this.copyButton || !this.whatsappButton || !this.closeButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        this.shareUrl = null;
+
+        this._bindMethods();
+        this._addEventListeners();
+        this.listen(Events.Menu.CustomQuestions.ShareLinkReady, this.handleShareLinkReady);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handleShareLinkReady = this.handleShareLinkReady.bind(this);
+        this.handleCopy = this.handleCopy.bind(this);
+        this.handleClose = this.handleClose.bind(this);
+    }
+
+    /** Adds specific DOM event listeners for this dialog. */
+    _addEventListeners() {
+        this.copyButton.addEventListener('click', this.handleCopy);
+        this.closeButton.addEventListener('click', this.handleClose);
+    }
+
+    /** Removes specific DOM event listeners attached by this component. */
+    _removeEventListeners() {
+        this.copyButton.removeEventListener('click', this.handleCopy);
+        this.closeButton.removeEventListener('click', this.handleClose);
+    }
+
+    /**
+     * Shows the link for the shared sheet.
+     * @param {object} payload - The Events.Menu.CustomQuestions.ShareLinkReady payload.
+     * @param {string} payload.name - Name of the shared sheet.
+     * @param {string} payload.url - The share link.
+     */
+    handleShareLinkReady({ name, url }) {
+        console.debug(`[${this.name}] Showing share link for '${name}' (${url.length} characters).`);
+        this.shareUrl = url;
+        this.descriptionElement.textContent = `Stuur deze link naar iemand anders. Die kan '${name}' dan toevoegen aan de eigen lijsten.`;
+        this.linkDisplay.textContent = url;
+        const whatsappText = encodeURIComponent(`Oefen mijn vragenlijst '${name}' in Unicorn Poep! Klik hier: ${url}`);
+        this.whatsappButton.href = `https://api.whatsapp.com/send?text=${whatsappText}`;
+        this.show();
+    }
+
+    /**
+     * Copies the share link to the clipboard.
+     */
+    async handleCopy() {
+        if (!this.shareUrl) return;
+        try {
+            await navigator.clipboard.writeText(this.shareUrl);
+            console.log(`[${this.name}] Share link copied.`);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Link gekopieerd!', level: 'success', duration: 1500 });
+        } catch (err) {
+            console.error(`[${this.name}] Failed to copy share link:`, err);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Kopiëren mislukt', level: 'error' });
+        }
+    }
+
+    /**
+     * Closes the dialog.
+     */
+    handleClose() {
+        this.hide();
+    }
+
+    /**
+     * Overrides base destroy method to remove specific DOM listeners.
+     */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
+
+export default SheetShareDialog;
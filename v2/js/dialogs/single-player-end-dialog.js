@@ -1,11 +1,15 @@
 import BaseDialog from './base-dialog.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
+import answerLogUtils from '../utils/answerLogUtils.js';
+
+const LIFELINE_NAMES = { fiftyFifty: '50/50', extraTime: 'extra tijd' };
 
 
 /**
  * Dialog shown at the end of a single-player game.
- * Displays the final score and allows saving to highscores or restarting.
+ * Displays the final score and the answer log, and allows saving to highscores, restarting
+ * or practising the missed questions.
  * @extends BaseDialog
  */
 class SinglePlayerEndDialog extends BaseDialog {
@@ -17,19 +21,28 @@ class SinglePlayerEndDialog extends BaseDialog {
 
         // Query essential elements
         this.finalScoreElement = this.rootElement.querySelector('#finalScore');
+        this.lifelinesUsedElement = this.rootElement.querySelector('#spLifelinesUsed'); // Optional
+        this.newRecordElement = this.rootElement.querySelector('#spNewRecord'); // Optional
         this.playerNameInput = this.rootElement.querySelector('#playerName');
         this.saveButton = this.rootElement.querySelector('#saveHighscore');
         this.restartButton = this.rootElement.querySelector('#restartGame');
         this.menuButton = this.rootElement.querySelector('#spEndMenuButton'); // Use the correct ID from HTML
+        this.answerLogSection = this.rootElement.querySelector('#spAnswerLogSection');
+        this.answerLogList = this.rootElement.querySelector('#spAnswerLog');
+        this.reviewMistakesButton = this.rootElement.querySelector('#spReviewMistakesButton');
 
         // Verify essential elements exist
-        if (!this.finalScoreElement || !this.playerNameInput || !this.saveButton || !this.restartButton || !this.menuButton) {
+        if (!this.finalScoreElement || !this.playerNameInput || !this.saveButton || !this.restartButton || !this.menuButton
+            || !this.answerLogSection || !this.answerLogList || !this.reviewMistakesButton) {
             const missing = [
                 !this.finalScoreElement && '#finalScore',
                 !this.playerNameInput && '#playerName',
                 !this.saveButton && '#saveHighscore',
                 !this.restartButton && '#restartGame',
-                !this.menuButton && '#spEndMenuButton'
+                !this.menuButton && '#spEndMenuButton',
+                !this.answerLogSection && '#spAnswerLogSection',
+                !this.answerLogList && '#spAnswerLog',
+                !this.reviewMistakesButton && '#spReviewMistakesButton'
             ].filter(Boolean).join(', ');
             console.error(`[${this.name}] Could not find all required child elements (${missing}) within ${this.selector}. Dialog cannot function.`);
             throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
@@ -41,6 +54,8 @@ class SinglePlayerEndDialog extends BaseDialog {
         this._addGameEventListeners(); // Add listener for game events
 
         this.currentScore = 0; // Store the score passed via show()
+        this.missedQuestions = []; // Questions to practise again
+        this.lastSettings = null; // Settings of the finished game, reused for the review round
     }
 
     /** Binds component methods to the class instance. */
@@ -48,7 +63,9 @@ class SinglePlayerEndDialog extends BaseDialog {
         this.handleSave = this.handleSave.bind(this);
         this.handleRestart = this.handleRestart.bind(this);
         this.handleMenu = this.handleMenu.bind(this);
+        this.handleReviewMistakes = this.handleReviewMistakes.bind(this);
         this.handleGameFinished = this.handleGameFinished.bind(this); // Bind game event handler
+        this.handleRecordSet = this.handleRecordSet.bind(this);
     }
 
     /** Adds specific DOM event listeners for this dialog. */
@@ -56,12 +73,14 @@ class SinglePlayerEndDialog extends BaseDialog {
         this.saveButton.addEventListener('click', this.handleSave);
         this.restartButton.addEventListener('click', this.handleRestart);
         this.menuButton.addEventListener('click', this.handleMenu);
+        this.reviewMistakesButton.addEventListener('click', this.handleReviewMistakes);
         this.rootElement.addEventListener('close', this._boundHandleClose);
     }
 
     /** Adds listeners for game-related events via eventBus. @private */
     _addGameEventListeners() {
         this.listen(Events.Game.Finished, this.handleGameFinished);
+        this.listen(Events.Highscore.RecordSet, this.handleRecordSet);
     }
 
     /**
@@ -70,19 +89,74 @@ class SinglePlayerEndDialog extends BaseDialog {
      * @param {string} payload.mode - The mode of the game that finished.
      * @param {object} payload.results - The results object.
      * @param {number} [payload.results.score] - The final score (specific to single player).
+     * @param {Array<object>} [payload.results.answerLog] - One entry per answered question.
+     * @param {Object<string, number>} [payload.results.lifelinesUsed] - Jokers used, per joker id.
      * @private
      */
     handleGameFinished({ mode, results }) {
         if (mode === 'single') {
             console.log(`[${this.name}] Game.Finished event received for single player. Results:`, results);
+            this._showAnswerLog(results?.answerLog || [], results?.settings);
+            this._showLifelinesUsed(results?.lifelinesUsed);
+            this.newRecordElement?.classList.add('hidden'); // Shown by handleRecordSet once the score is stored
             const finalScore = results?.score;
             // Pass the score to show method (which handles validation)
-            this.show(finalScore);
+            this.show(finalScore, results?.playerName);
         } else {
              console.debug(`[${this.name}] Ignoring Game.Finished event for mode: ${mode}`);
         }
     }
 
+    /**
+     * Handles Events.Highscore.RecordSet: HighscoreManager stores the score after the dialog was opened,
+     * and tells when it is the best score on these sheets and difficulty.
+     * @param {object} payload
+     * @param {'single' | 'sprint' | 'survival'} payload.table - The table the record is in.
+     * @private
+     */
+    handleRecordSet({ table }) {
+        if (table !== 'single' || !this.newRecordElement) return;
+        console.debug(`[${this.name}] New record for this sheet set.`);
+        this.newRecordElement.classList.remove('hidden');
+    }
+
+    /**
+     * Fills the answer log and shows the review button when questions were missed.
+     * @param {Array<object>} answerLog
+     * @param {object} [settings] - Settings of the finished game.
+     * @private
+     */
+    _showAnswerLog(answerLog, settings) {
+        answerLogUtils.renderAnswerLog(this.answerLogList, answerLog);
+        this.answerLogSection.classList.toggle('hidden', answerLog.length === 0);
+        this.missedQuestions = answerLogUtils.getMissedQuestions(answerLog);
+        this.lastSettings = settings || null;
+        this.reviewMistakesButton.classList.toggle('hidden', this.missedQuestions.length === 0);
+    }
+
+    /**
+     * Shows which jokers were used, e.g. "Jokers gebruikt: 50/50 (1×), extra tijd (2×)".
+     * @param {Object<string, number>} [lifelinesUsed]
+     * @private
+     */
+    _showLifelinesUsed(lifelinesUsed) {
+        if (!this.lifelinesUsedElement) return;
+        const used = Object.entries(lifelinesUsed || {}).filter(([, count]) => count > 0);
+        this.lifelinesUsedElement.classList.toggle('hidden', used.length === 0);
+        this.lifelinesUsedElement.textContent = used.length === 0 ? ''
+            : `Jokers gebruikt: ${used.map(([id, count]) => `${LIFELINE_NAMES[id] || id} (${count}×)`).join(', ')}`;
+    }
+
+    /**
+     * Handles the review mistakes button click: starts a practice round with the missed questions.
+     */
+    handleReviewMistakes() {
+        if (this.missedQuestions.length === 0) return;
+        console.debug(`[${this.name}] Review mistakes clicked (${this.missedQuestions.length} questions).`);
+        eventBus.emit(Events.UI.EndDialog.ReviewMistakesClicked, { questions: this.missedQuestions, settings: this.lastSettings });
+        this.hide();
+    }
+
     /**
      * Handles the native 'close' event of the dialog element.
      * Clears the input when dismissed (e.g., via ESC).
@@ -139,8 +213,9 @@ class SinglePlayerEndDialog extends BaseDialog {
     /**
      * Shows the dialog, updates the displayed score, and prepares the input field.
      * @param {number} score - The final score to display.
+     * @param {string} [playerName=''] - Pre-fills the name input (the active profile's name).
      */
-    show(score) {
+    show(score, playerName = '') {
         // Validate score input
         if (typeof score !== 'number' || isNaN(score)) {
             console.error(`[${this.name}] Invalid score provided to show():`, score);
@@ -155,7 +230,7 @@ class SinglePlayerEndDialog extends BaseDialog {
             this.playerNameInput.disabled = false; // Enable name input
         }
 
-        this.playerNameInput.value = ''; // Clear previous name input
+        this.playerNameInput.value = playerName; // Replaces the previous name input
 
         super.show(); // Call BaseDialog showModal
 
@@ -185,6 +260,7 @@ class SinglePlayerEndDialog extends BaseDialog {
         this.saveButton.removeEventListener('click', this.handleSave);
         this.restartButton.removeEventListener('click', this.handleRestart);
         this.menuButton.removeEventListener('click', this.handleMenu);
+        this.reviewMistakesButton.removeEventListener('click', this.handleReviewMistakes);
         this.rootElement.removeEventListener('close', this._boundHandleClose);
     }
 }
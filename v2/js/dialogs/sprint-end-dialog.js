@@ -0,0 +1,47 @@
+import RoundEndDialog from './round-end-dialog.js';
+
+
+/**
+ * @class SprintEndDialog
+ * @extends RoundEndDialog
+ * Dialog shown when the clock of a sprint runs out: the score, the right and wrong answers and the
+ * answer log. The score is put in the sprint highscore table by HighscoreManager, so there is nothing to save here.
+ */
+class SprintEndDialog extends RoundEndDialog {
+    /**
+     * Creates an instance of SprintEndDialog.
+     */
+    constructor() {
+        super('#sprintEndDialog', 'SprintEndDialog', 'sprint', {
+            newRecord: 'sprintNewRecord',
+            answerLogSection: 'sprintAnswerLogSection',
+            answerLog: 'sprintAnswerLog',
+            reviewMistakesButton: 'sprintReviewMistakesButton',
+            tryAgainButton: 'sprintTryAgainButton',
+            menuButton: 'sprintMenuButton'
+        });
+
+        this.scoreElement = this.rootElement.querySelector('#sprintFinalScore');
+        this.summaryElement = this.rootElement.querySelector('#sprintSummary');
+
+        if (!this.scoreElement || !this.summaryElement) {
+            throw new Error(`[${this.name}] Missing required child elements: #sprintFinalScore, #sprintSummary.`);
+        }
+
+        console.log(`[${this.name}] Initialized.`);
+    }
+
+    /**
+     * Shows the score and the right and wrong answers of the sprint.
+     * @override
+     * @param {object} [results] - Sprint results (`score`, `correctAnswers`, `wrongAnswers`, `durationSeconds`, `answerLog`).
+     * @protected
+     */
+    _showResults(results) {
+        const minutes = Math.round((results?.durationSeconds || 0) / 60);
+        this.scoreElement.textContent = results?.score ?? 0;
+        this.summaryElement.textContent = `${results?.correctAnswers ?? 0} goed en ${results?.wrongAnswers ?? 0} fout in ${minutes} ${minutes === 1 ? 'minuut' : 'minuten'}.`;
+    }
+}
+
+export default SprintEndDialog;
@@ -0,0 +1,46 @@
+import RoundEndDialog from './round-end-dialog.js';
+
+
+/**
+ * @class SurvivalEndDialog
+ * @extends RoundEndDialog
+ * Dialog shown when a survival run is over: the length of the run, the points and the answer log.
+ * The run is put in the "longest run" highscore table by HighscoreManager.
+ */
+class SurvivalEndDialog extends RoundEndDialog {
+    /**
+     * Creates an instance of SurvivalEndDialog.
+     */
+    constructor() {
+        super('#survivalEndDialog', 'SurvivalEndDialog', 'survival', {
+            newRecord: 'survivalNewRecord',
+            answerLogSection: 'survivalAnswerLogSection',
+            answerLog: 'survivalAnswerLog',
+            reviewMistakesButton: 'survivalReviewMistakesButton',
+            tryAgainButton: 'survivalTryAgainButton',
+            menuButton: 'survivalMenuButton'
+        });
+
+        this.runLengthElement = this.rootElement.querySelector('#survivalRunLength');
+        this.summaryElement = this.rootElement.querySelector('#survivalSummary');
+
+        if (!this.runLengthElement || !this.summaryElement) {
+            throw new Error(`[${this.name}] Missing required child elements: #survivalRunLength, #survivalSummary.`);
+        }
+
+        console.log(`[${this.name}] Initialized.`);
+    }
+
+    /**
+     * Shows the length of the run and the points scored.
+     * @override
+     * @param {object} [results] - Survival results (`runLength`, `score`, `totalQuestions`, `answerLog`).
+     * @protected
+     */
+    _showResults(results) {
+        this.runLengthElement.textContent = results?.runLength ?? 0;
+        this.summaryElement.textContent = `${results?.totalQuestions ?? 0} vragen gespeeld, ${results?.score ?? 0} punten.`;
+    }
+}
+
+export default SurvivalEndDialog;
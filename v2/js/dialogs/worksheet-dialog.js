@@ -0,0 +1,107 @@
+import BaseDialog from './base-dialog.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+const DEFAULT_QUESTION_COUNT = 20;
+
+/**
+ * Dialog for printing a worksheet from the sheets selected in the sheet selection.
+ * Asks for the number of questions, the layout (multiple choice or an open line to write on)
+ * and whether to add an answer key, then emits Events.UI.Worksheet.PrintClicked.
+ * @extends BaseDialog
+ */
+class WorksheetDialog extends BaseDialog {
+    /**
+     * Creates an instance of WorksheetDialog.
+     */
+    constructor() {
+        super('#worksheetDialog', 'WorksheetDialog');
+
+        this.descriptionElement = this.rootElement.querySelector('#worksheetDescription');
+        this.questionCountInput = this.rootElement.querySelector('#worksheetQuestionCount');
+        this.layoutRadios = this.rootElement.querySelectorAll('input[name="worksheetLayout"]');
+        this.answerKeyCheckbox = this.rootElement.querySelector('#worksheetAnswerKey');
+        this.printButton = this.rootElement.querySelector('#worksheetPrintButton');
+        this.cancelButton = this.rootElement.querySelector('#worksheetCancelButton');
+
+        if (!this.descriptionElement || !this.questionCountInput || this.layoutRadios.length === 0
+            || !this.answerKeyCheckbox || !this.printButton || !this.cancelButton) {
+            throw new Error(`[${this.name}] Missing required child elements within ${this.selector}. Check HTML structure.`);
+        }
+
+        this.sheetIds = [];
+        this.difficulty = null;
+
+        this._bindMethods();
+        this._addEventListeners();
+        this.listen(Events.UI.SheetSelection.PrintWorksheetClicked, this.handlePrintWorksheetClicked);
+    }
+
+    /** Binds component methods to the class instance. */
+    _bindMethods() {
+        this.handlePrintWorksheetClicked = this.handlePrintWorksheetClicked.bind(this);
+        this.handlePrint = this.handlePrint.bind(this);
+        this.handleCancel = this.handleCancel.bind(this);
+    }
+
+    /** Adds specific DOM event listeners for this dialog. */
+    _addEventListeners() {
+        this.printButton.addEventListener('click', this.handlePrint);
+        this.cancelButton.addEventListener('click', this.handleCancel);
+    }
+
+    /** Removes specific DOM event listeners attached by this component. */
+    _removeEventListeners() {
+        this.printButton.removeEventListener('click', this.handlePrint);
+        this.cancelButton.removeEventListener('click', this.handleCancel);
+    }
+
+    /**
+     * Opens the dialog for the selected sheets. The layout starts on the answer mode picked in the sheet selection.
+     * @param {object} payload - The Events.UI.SheetSelection.PrintWorksheetClicked payload.
+     * @param {string[]} payload.sheetIds
+     * @param {string} payload.difficulty
+     * @param {'choice' | 'typed'} payload.answerMode
+     */
+    handlePrintWorksheetClicked({ sheetIds, difficulty, answerMode }) {
+        this.sheetIds = sheetIds;
+        this.difficulty = difficulty;
+        const layout = answerMode === 'typed' ? 'open' : 'choice';
+        this.layoutRadios.forEach(radio => { radio.checked = radio.value === layout; });
+        if (!this.questionCountInput.value) this.questionCountInput.value = DEFAULT_QUESTION_COUNT;
+        this.descriptionElement.textContent = `Een werkblad met willekeurige vragen uit ${sheetIds.length === 1 ? 'de gekozen lijst' : `de ${sheetIds.length} gekozen lijsten`}, om uit te printen.`;
+        this.show();
+    }
+
+    /** Requests the worksheet with the chosen options and closes the dialog. */
+    handlePrint() {
+        const questionCount = parseInt(this.questionCountInput.value, 10);
+        if (!Number.isInteger(questionCount) || questionCount < 1) {
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Vul in hoeveel vragen er op het werkblad moeten.', level: 'warn' });
+            this.questionCountInput.focus();
+            return;
+        }
+        const layout = [...this.layoutRadios].find(radio => radio.checked)?.value === 'open' ? 'open' : 'choice';
+        eventBus.emit(Events.UI.Worksheet.PrintClicked, {
+            sheetIds: this.sheetIds,
+            difficulty: this.difficulty,
+            questionCount,
+            layout,
+            includeAnswerKey: this.answerKeyCheckbox.checked
+        });
+        this.hide();
+    }
+
+    /** Closes the dialog without printing. */
+    handleCancel() {
+        this.hide();
+    }
+
+    /** Removes DOM listeners on destroy. */
+    destroy() {
+        this._removeEventListeners();
+        super.destroy();
+    }
+}
+
+export default WorksheetDialog;
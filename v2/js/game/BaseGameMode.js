@@ -2,10 +2,21 @@ import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 
 import QuizEngine from '../services/QuizEngine.js';
+import { getScoringStrategy } from '../core/scoring-strategies.js';
 
-// --- Constants for scoring (moved from SinglePlayerGame) ---
-const BASE_SCORE = 10;
-const MAX_TIME_BONUS = 50;
+/**
+ * One answered question, kept by the game mode for the end-of-game review.
+ * @typedef {object} AnswerLogEntry
+ * @property {string} question - The question text.
+ * @property {string | null} submittedAnswer - The chosen or typed answer, null when the time ran out.
+ * @property {string} correctAnswer - The correct answer.
+ * @property {boolean} isCorrect
+ * @property {number | null} timeMs - Time taken to answer.
+ * @property {string[]} options - Answer options that were shown (empty for typed answers).
+ * @property {object} questionData - The full QuizEngine question, used to practise it again.
+ * @property {import('../core/scoring-strategies.js').ScoreBreakdown} [score] - How the points for the question
+ *           were earned, in modes scored with a scoring strategy.
+ */
 
 /**
  * Provides the base structure and common logic for different game modes.
@@ -19,26 +30,38 @@ const MAX_TIME_BONUS = 50;
  * 2. Implement the necessary hooks (_beforeNextQuestion, _afterQuestionPresented, etc.)
  *    to correctly start, stop, and reset `this.timer` during the game flow.
  * 
- * The `_calculateScore` method relies on `this.timer.initialDurationMs` and
- * `this.timer.getElapsedTime()` to calculate time-based bonuses, indirectly
- * incorporating difficulty through the timer's configuration set by the subclass.
+ * The `_calculateScore` method scores answers with the scoring strategy of the settings
+ * (`settings.scoring`, see core/scoring-strategies.js). It relies on `this.timer.initialDurationMs`
+ * and `this.timer.getElapsedTime()` for the time bonus, indirectly incorporating difficulty
+ * through the timer's configuration set by the subclass.
  */
 class BaseGameMode {
     /**
      * @param {string} modeIdentifier - A string identifying the mode (e.g., 'practice', 'single', 'multiplayer').
      * @param {object} settings - Game settings specific to the mode.
      * @param {string} [playerName] - Optional player name.
+     * @param {string | null} [profileId=null] - ID of the active player profile, if any.
      */
-    constructor(modeIdentifier, settings, playerName = 'Player') {
+    constructor(modeIdentifier, settings, playerName = 'Player', profileId = null) {
         console.log(`[BaseGameMode:${modeIdentifier}] Initializing with settings:`, settings, `Player: ${playerName}`);
         this.mode = modeIdentifier;
         this.settings = settings;
         this.playerName = playerName; // Store player name, useful for results
+        this.profileId = profileId;
+        this.playerKey = profileId || playerName; // Key for data kept per player (progress, statistics)
         this.quizEngine = QuizEngine;
         this.isFinished = false;
         this.lastAnswerCorrect = null; // Used for delaying next question after feedback
         this._boundHandleAnswerSubmitted = null; // Store bound listener
         this.currentQuestionIndex = -1; // Initialize index tracking
+        /** @type {AnswerLogEntry[]} */
+        this.answerLog = []; // Every answered question, for the review at the end
+        this.currentAnswerOptions = []; // Options shown for the current question
+        this.questionStartedAt = null; // Timestamp the current question was shown
+        this.scoringStrategy = getScoringStrategy(settings?.scoring);
+        this.correctStreak = 0; // Correct answers in a row, for the scoring strategy
+        /** @type {import('../core/scoring-strategies.js').ScoreBreakdown | null} */
+        this.lastScoreBreakdown = null; // How the score of the current question was earned
 
         this._registerBaseListeners();
     }
@@ -63,12 +86,14 @@ class BaseGameMode {
     async start() {
         console.log(`[BaseGameMode:${this.mode}] Starting game...`);
         try {
-            await this.quizEngine.loadQuestions(this.settings.sheetIds, this.settings.difficulty);
+            await this.quizEngine.loadQuestions(this.settings.sheetIds, this.settings.difficulty, this._getLoadOptions());
             if (this.quizEngine.getQuestionCount() === 0) {
                 throw new Error("No questions loaded for the selected sheets/difficulty.");
             }
             this.isFinished = false;
             this.lastAnswerCorrect = null;
+            this.answerLog = [];
+            this.correctStreak = 0;
             // Emit game started event
             eventBus.emit(Events.Game.Started, { mode: this.mode, settings: this.settings, role: 'player' });
             // Load the first question
@@ -94,6 +119,7 @@ class BaseGameMode {
         this._beforeNextQuestion(); // Hook for subclasses (e.g., stop timer)
 
         this.lastAnswerCorrect = null; // Reset correctness indicator for UI
+        this.lastScoreBreakdown = null;
         // Calculate based on internal state
         const nextIndex = this.currentQuestionIndex + 1;
 
@@ -105,19 +131,24 @@ class BaseGameMode {
             if (questionData) {
                 // UPDATE internal index after successfully getting data
                 this.currentQuestionIndex = nextIndex;
-                const totalQuestions = this.quizEngine.getQuestionCount();
+                const totalQuestions = this._getAnnouncedQuestionCount();
+                const answerMode = this._getAnswerMode();
+                // Use internal index for getting answers (typed questions and flashcards show no options)
+                this.currentAnswerOptions = answerMode === 'choice' ? this.quizEngine.getShuffledAnswers(this.currentQuestionIndex) : [];
                 // Use internal index for logging
-                console.log(`[BaseGameMode:${this.mode}] Presenting question ${this.currentQuestionIndex + 1}/${totalQuestions}`);
+                console.log(`[BaseGameMode:${this.mode}] Presenting question ${this.currentQuestionIndex + 1}/${totalQuestions ?? '-'}`);
                 eventBus.emit(Events.Game.QuestionNew, {
                     // Use internal index for event
                     questionIndex: this.currentQuestionIndex,
                     totalQuestions: totalQuestions,
                     questionData: {
                         question: questionData.question,
-                        // Use internal index for getting answers
-                        answers: this.quizEngine.getShuffledAnswers(this.currentQuestionIndex)
+                        answerMode: answerMode,
+                        answers: this.currentAnswerOptions,
+                        ...(answerMode === 'flashcard' && { answer: questionData.answer }) // Back of the card
                     }
                 });
+                this.questionStartedAt = Date.now();
                 this._afterQuestionPresented(); // Hook for subclasses (e.g., start timer)
             } else {
                 console.error(`[BaseGameMode:${this.mode}] Could not retrieve question data for index ${nextIndex}`);
@@ -146,15 +177,26 @@ class BaseGameMode {
         console.log(`[BaseGameMode:${this.mode}] Answer submitted for question ${currentIndex + 1}:`, answer);
         this._beforeAnswerCheck(); // Hook for subclasses (e.g., stop timer)
 
-        const checkResult = this.quizEngine.checkAnswer(currentIndex, answer);
+        const checkResult = this.quizEngine.checkAnswer(currentIndex, answer, {
+            allowTypos: this._getAnswerMode() === 'typed'
+        });
         this.lastAnswerCorrect = checkResult.isCorrect;
+        const question = this.quizEngine.getQuestionData(currentIndex);
+        const logEntry = this._logAnswer(question, answer, checkResult);
+        this._onQuestionAnswered(question, checkResult); // Hook for per-question tracking
         const scoreDelta = this._calculateScore(checkResult.isCorrect);
+        if (logEntry && this.lastScoreBreakdown) logEntry.score = this.lastScoreBreakdown;
 
         eventBus.emit(Events.Game.AnswerChecked, {
             isCorrect: checkResult.isCorrect,
+            isExact: checkResult.isExact,
             scoreDelta: scoreDelta,
             correctAnswer: checkResult.correctAnswer,
-            submittedAnswer: answer
+            submittedAnswer: answer,
+            questionId: question?.id,
+            question: question?.question,
+            sheetId: question?.sheetId,
+            timeMs: logEntry?.timeMs ?? null
         });
 
         this._afterAnswerChecked(checkResult.isCorrect, scoreDelta); // Hook for subclasses (e.g., update total score)
@@ -164,7 +206,40 @@ class BaseGameMode {
             if (!this.isFinished && this.lastAnswerCorrect !== null) { // Check ensures we don't proceed if finished during delay
                  this.nextQuestion();
             }
-        }, 1500); // Standard delay
+        }, this._getNextQuestionDelayMs());
+    }
+
+    /**
+     * Adds an answered question to the answer log.
+     * @param {object | null} question - The QuizEngine question.
+     * @param {string | null} submittedAnswer - The answer given, null when the time ran out.
+     * @param {{isCorrect: boolean, correctAnswer: string | null}} checkResult
+     * @returns {AnswerLogEntry | null} The new entry, or null without a question.
+     * @protected
+     */
+    _logAnswer(question, submittedAnswer, checkResult) {
+        if (!question) return null;
+        const entry = {
+            question: question.question,
+            submittedAnswer: typeof submittedAnswer === 'string' ? submittedAnswer : null,
+            correctAnswer: checkResult.correctAnswer ?? question.answer,
+            isCorrect: checkResult.isCorrect,
+            timeMs: this.questionStartedAt !== null ? Date.now() - this.questionStartedAt : null,
+            options: [...this.currentAnswerOptions],
+            questionData: question
+        };
+        this.answerLog.push(entry);
+        return entry;
+    }
+
+    /**
+     * Returns how the player answers questions in this game.
+     * @returns {'choice' | 'typed' | 'flashcard'} 'typed' when the player types answers, 'choice' for multiple choice (default).
+     *          FlashcardGame overrides this with 'flashcard'.
+     * @protected
+     */
+    _getAnswerMode() {
+        return this.settings?.answerMode === 'typed' ? 'typed' : 'choice';
     }
 
     /**
@@ -178,9 +253,11 @@ class BaseGameMode {
 
         const baseResults = {
             playerName: this.playerName,
+            profileId: this.profileId,
             totalQuestions: this.quizEngine.getQuestionCount(),
             correctAnswers: this.quizEngine.getCorrectCount(),
-            settings: this.settings
+            settings: this.settings,
+            answerLog: [...this.answerLog]
         };
 
         const finalResults = this._getFinalResults(baseResults);
@@ -219,6 +296,34 @@ class BaseGameMode {
 
     // --- Hooks for Subclasses --- 
 
+    /**
+     * Hook returning extra options for QuizEngine.loadQuestions (e.g. a custom round selection).
+     * The base implementation passes an explicit question list from `settings.questions` (e.g. a review round).
+     * @returns {object} Options object.
+     * @protected
+     */
+    _getLoadOptions() {
+        return Array.isArray(this.settings?.questions) ? { questions: this.settings.questions } : {};
+    }
+
+    /**
+     * Hook returning the number of questions announced with every Game.QuestionNew.
+     * @returns {number | null} The round length, or null when the round has no fixed length (e.g. a sprint).
+     * @protected
+     */
+    _getAnnouncedQuestionCount() {
+        return this.quizEngine.getQuestionCount();
+    }
+
+    /**
+     * Hook returning how long the answer feedback stays visible before the next question.
+     * @returns {number} Delay in milliseconds.
+     * @protected
+     */
+    _getNextQuestionDelayMs() {
+        return 1500; // Standard delay
+    }
+
     /** Hook called before checking the next question index. (e.g., stop timer) @protected */
     _beforeNextQuestion() { }
 
@@ -229,59 +334,56 @@ class BaseGameMode {
     _beforeAnswerCheck() { }
 
     /**
-     * Hook to calculate score delta for an answer. Base implementation provides time bonus.
+     * Hook called right after an answer was checked, with the question it belongs to
+     * (e.g., to keep per-question progress).
+     * @param {import('../services/QuizEngine.js').Question} question - The answered question (includes its stable `id`).
+     * @param {{isCorrect: boolean, isExact: boolean, correctAnswer: string | null}} checkResult - Result from QuizEngine.checkAnswer.
+     * @protected
+     */
+    _onQuestionAnswered(question, checkResult) { }
+
+    /**
+     * Hook to calculate score delta for an answer. The base implementation asks the game's scoring
+     * strategy (see core/scoring-strategies.js), keeps how the score was earned in `lastScoreBreakdown`
+     * and tracks the correct streak the streak strategy needs.
      *
-     * **How Scoring Works:**
-     * - **Base Score:** You get 10 points for a correct answer.
-     * - **Time Bonus:** You get up to 50 *extra* points based on how fast you answer.
      * - **Difficulty:** Difficulty (set by the specific game mode like SinglePlayerGame)
-     *   determines the total time allowed per question (via `this.timer.initialDurationMs`).
-     *   Answering quickly on a *harder* difficulty (less total time) gives a proportionally
-     *   *larger* time bonus than answering in the same absolute time on an easier difficulty.
-     *   The bonus is calculated based on the percentage of the allowed time remaining.
+     *   determines the total time allowed per question, which the time bonus is measured against.
+     * - **Variable time:** The allowed time comes from `_getScoringDurationMs()`. Modes where
+     *   the time per question changes during a game (adaptive difficulty) return a fixed
+     *   reference there, so the same answer speed is worth the same points on every level.
      *
      * @param {boolean} isCorrect - Whether the answer was correct.
-     * @param {number} [elapsedMs] - Optional: The elapsed time in MS for score calculation (used by MP Host).
+     * @param {number} [elapsedMs] - Optional: The elapsed time in MS for score calculation.
      *                              If not provided, the method attempts to use `this.timer.getElapsedTime()`.
-     * @returns {number} The score change (BASE_SCORE + time bonus for correct, 0 otherwise).
+     * @returns {number} The score change; negative when the strategy penalises wrong answers.
      * @protected
      */
     _calculateScore(isCorrect, elapsedMs = null) {
-        if (!isCorrect) {
-            return 0;
-        }
-
-        // Determine elapsed time: Use provided value or get from local timer
         let timeToUseMs = elapsedMs;
-        if (timeToUseMs === null && this.timer && typeof this.timer.getElapsedTime === 'function') {
+        if (timeToUseMs === null && typeof this.timer?.getElapsedTime === 'function') {
             timeToUseMs = this.timer.getElapsedTime();
-        } else if (timeToUseMs === null) {
-            // No elapsed time provided and no local timer/method found
-            console.log(`[BaseGameMode:${this.mode}] Score Calc: Correct! No timer/elapsed time found. Awarding base score.`);
-            return BASE_SCORE;
         }
 
-        // Check if a timer duration exists
-        if (this.timer && this.timer.initialDurationMs > 0) {
-            const durationMs = this.timer.initialDurationMs;
-
-            if (durationMs > 0 && timeToUseMs >= 0) { // elapsed can be 0
-                 const elapsedSec = timeToUseMs / 1000;
-                 const durationSec = durationMs / 1000;
-                 const timeFactor = Math.max(0, 1 - (elapsedSec / durationSec));
-                 const timeBonus = Math.round(MAX_TIME_BONUS * timeFactor);
-                 const totalScoreDelta = BASE_SCORE + timeBonus;
-                 console.log(`[BaseGameMode:${this.mode}] Score Calc: Correct! elapsed=${elapsedSec.toFixed(2)}s, duration=${durationSec}s, factor=${timeFactor.toFixed(2)}, bonus=${timeBonus}, totalDelta=${totalScoreDelta}`);
-                 return totalScoreDelta;
-            } else {
-                 console.warn(`[BaseGameMode:${this.mode}] Score Calc: Correct, but durationMs (${durationMs}) or elapsedMs (${timeToUseMs}) invalid. Awarding base score.`);
-                 return BASE_SCORE;
-            }
-        } else {
-            // No timer duration found, award base score only
-            console.log(`[BaseGameMode:${this.mode}] Score Calc: Correct! No timer duration found. Awarding base score.`);
-            return BASE_SCORE;
-        }
+        const breakdown = this.scoringStrategy.score({
+            isCorrect,
+            elapsedMs: timeToUseMs,
+            durationMs: this._getScoringDurationMs(),
+            correctStreak: this.correctStreak
+        });
+        this.correctStreak = isCorrect ? this.correctStreak + 1 : 0;
+        this.lastScoreBreakdown = breakdown;
+        console.log(`[BaseGameMode:${this.mode}] Score Calc: ${isCorrect ? 'correct' : 'wrong'}, elapsed=${timeToUseMs}ms, delta=${breakdown.total}`, breakdown.parts);
+        return breakdown.total;
+    }
+
+    /**
+     * Returns the time per question that the time bonus in `_calculateScore` is measured against.
+     * @returns {number | null} Duration in milliseconds, or null when the mode has no timer.
+     * @protected
+     */
+    _getScoringDurationMs() {
+        return this.timer?.initialDurationMs ?? null;
     }
 
     /**
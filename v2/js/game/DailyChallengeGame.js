@@ -0,0 +1,65 @@
+import SinglePlayerGame from './SinglePlayerGame.js';
+
+/**
+ * The daily challenge: a timed single-player round that is the same for everybody on a given date.
+ * The round is built from a seed (see QuizEngine.loadQuestions), so all players get the same
+ * questions in the same order with the same answer options, and the scores can be compared.
+ * Reports its events with mode 'daily'; DailyChallengeService keeps the results.
+ * @extends SinglePlayerGame
+ */
+class DailyChallengeGame extends SinglePlayerGame {
+    /**
+     * Creates a daily challenge game.
+     * @param {object} settings - Settings from DailyChallengeService.getChallengeSettings.
+     * @param {string[]} settings.sheetIds - The sheets of the challenge, in a fixed order.
+     * @param {string} settings.difficulty - Fixed difficulty of the challenge.
+     * @param {string} settings.date - Date of the challenge (YYYY-MM-DD).
+     * @param {string} settings.seed - Seed for the questions and answer order.
+     * @param {number} settings.questionCount - Number of questions in the challenge.
+     * @param {string} playerName - The name of the player.
+     * @param {string | null} [profileId=null] - ID of the active player profile, if any.
+     */
+    constructor(settings, playerName, profileId = null) {
+        super(settings, playerName, profileId, 'daily');
+        console.log(`[DailyChallengeGame] Daily challenge of ${settings.date} for ${playerName}.`);
+    }
+
+    /**
+     * Everybody plays the challenge the same way, so there are no jokers.
+     * @override
+     * @returns {Object<string, number>}
+     * @protected
+     */
+    _getLifelineLimits() {
+        return {};
+    }
+
+    /**
+     * Loads a reproducible round of settings.questionCount questions.
+     * @override
+     * @returns {object}
+     * @protected
+     */
+    _getLoadOptions() {
+        return {
+            seed: this.settings.seed,
+            selectRound: (questions) => questions.slice(0, this.settings.questionCount)
+        };
+    }
+
+    /**
+     * Adds the challenge date to the results.
+     * @override
+     * @param {object} baseResults - Results from BaseGameMode.
+     * @returns {object}
+     * @protected
+     */
+    _getFinalResults(baseResults) {
+        return {
+            ...super._getFinalResults(baseResults),
+            date: this.settings.date
+        };
+    }
+}
+
+export default DailyChallengeGame;
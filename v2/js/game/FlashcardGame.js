@@ -0,0 +1,112 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+import PracticeGame from './PracticeGame.js';
+
+const NEXT_CARD_DELAY_MS = 400; // Short pause for the feedback; the answer was already on the card
+const KNEW_IT_LABEL = 'Wist ik';
+const DID_NOT_KNOW_LABEL = 'Wist ik niet';
+
+/**
+ * Flashcard study mode ("Kaartjes leren"): every question is shown as a card that the player flips
+ * to see the answer, after which they grade themselves with "knew it" or "didn't".
+ * There is nothing to check and no score. The self-grades go into the same history as answers in the
+ * other modes: the Leitner boxes of SpacedRepetitionService (which picks the cards and records the
+ * grades as in practice mode, see PracticeGame) and, through Game.AnswerChecked, the statistics.
+ * @extends PracticeGame
+ */
+class FlashcardGame extends PracticeGame {
+    /**
+     * Creates a flashcard game instance.
+     * @param {object} settings - Game settings.
+     * @param {string[]} settings.sheetIds - Array of sheet IDs to use.
+     * @param {string} settings.difficulty - Only decides the number of cards per round via QuizEngine.
+     * @param {Array<object>} [settings.questions] - Explicit cards (e.g. the ones not known in the previous round).
+     * @param {string} [playerName='Player'] - Name of the player.
+     * @param {string | null} [profileId=null] - Profile whose practice progress is used and updated.
+     */
+    constructor(settings, playerName = 'Player', profileId = null) {
+        super(settings, playerName, profileId, 'flashcards');
+        this._boundHandleSelfGraded = this._handleSelfGraded.bind(this);
+        eventBus.on(Events.UI.GameArea.SelfGraded, this._boundHandleSelfGraded);
+        console.log(`[FlashcardGame] Initialized.`);
+    }
+
+    /**
+     * Cards are answered by self-grading; QuestionNew carries the answer for the back of the card.
+     * @override
+     * @returns {'flashcard'}
+     * @protected
+     */
+    _getAnswerMode() {
+        return 'flashcard';
+    }
+
+    /**
+     * Handles the player's self-grade of the current card, the flashcard counterpart of
+     * BaseGameMode._handleAnswerSubmitted: logs it, records it (PracticeGame._onQuestionAnswered) and shows the next card.
+     * @param {object} payload - Events.UI.GameArea.SelfGraded payload.
+     * @param {boolean} payload.knewIt
+     * @private
+     */
+    _handleSelfGraded({ knewIt }) {
+        if (this.isFinished || this.lastAnswerCorrect !== null || this.currentQuestionIndex < 0) {
+            console.log(`[FlashcardGame] Ignoring self-grade (finished or already graded).`);
+            return;
+        }
+        const question = this.quizEngine.getQuestionData(this.currentQuestionIndex);
+        const checkResult = { isCorrect: !!knewIt, isExact: true, correctAnswer: question?.answer ?? null };
+        this.lastAnswerCorrect = checkResult.isCorrect;
+        const logEntry = this._logAnswer(question, knewIt ? KNEW_IT_LABEL : DID_NOT_KNOW_LABEL, checkResult); // Shown as the answer in the end dialog
+        this._onQuestionAnswered(question, checkResult);
+
+        eventBus.emit(Events.Game.AnswerChecked, {
+            isCorrect: checkResult.isCorrect,
+            isExact: true,
+            scoreDelta: 0,
+            correctAnswer: checkResult.correctAnswer,
+            submittedAnswer: null,
+            selfGraded: true,
+            questionId: question?.id,
+            question: question?.question,
+            sheetId: question?.sheetId,
+            timeMs: logEntry?.timeMs ?? null
+        });
+
+        setTimeout(() => {
+            if (!this.isFinished && this.lastAnswerCorrect !== null) {
+                this.nextQuestion();
+            }
+        }, NEXT_CARD_DELAY_MS);
+    }
+
+    /**
+     * Counts the known cards from the log, as QuizEngine only counts answers it checked.
+     * The mastery summary comes from PracticeGame.
+     * @override
+     * @param {object} baseResults
+     * @returns {object}
+     * @protected
+     */
+    _getFinalResults(baseResults) {
+        return {
+            ...super._getFinalResults(baseResults),
+            correctAnswers: this.answerLog.filter(entry => entry.isCorrect).length
+        };
+    }
+
+    /**
+     * Removes the self-grade listener as well.
+     * @override
+     * @protected
+     */
+    _cleanupListeners() {
+        super._cleanupListeners();
+        if (this._boundHandleSelfGraded) {
+            eventBus.off(Events.UI.GameArea.SelfGraded, this._boundHandleSelfGraded);
+            this._boundHandleSelfGraded = null;
+        }
+    }
+}
+
+export default FlashcardGame;
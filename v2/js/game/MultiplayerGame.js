@@ -1,9 +1,12 @@
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import QuizEngine from '../services/QuizEngine.js';
+import questionsManager from '../services/QuestionsManager.js';
 import webRTCManager from '../services/WebRTCManager.js'; // Corrected Path & Case
 import Timer from '../core/timer.js';
 import miscUtils from '../utils/miscUtils.js'; // Changed to default import
+import { getDifficultyProfile } from '../core/difficulty-constants.js';
+import { getScoringStrategy } from '../core/scoring-strategies.js';
 
 // Message types sent BY THE HOST
 const MSG_TYPE = {
@@ -28,7 +31,7 @@ const MSG_TYPE = {
 class MultiplayerGame {
     /**
      * Creates a multiplayer game host instance.
-     * @param {object} settings - Game settings (sheetIds, difficulty).
+     * @param {object} settings - Game settings (sheetIds, difficulty, scoring). The settings are sent to the clients as well.
      * @param {string} localPlayerName - Name of the local player (host).
      */
     constructor(settings, localPlayerName) {
@@ -37,8 +40,11 @@ class MultiplayerGame {
         this.settings = settings;
         this.localPlayerName = localPlayerName;
         this.quizEngine = QuizEngine;
-        this.timer = new Timer(30000); // Host controls timer (using ms now)
+        // Host controls timer; duration per question follows the same difficulty profile as single player
+        this.timer = new Timer(getDifficultyProfile(settings?.difficulty).questionDurationMs / 1000);
         this.playerScores = new Map(); // Map<peerId, number>
+        this.playerStreaks = new Map(); // Map<peerId, number> - Correct answers in a row, for the scoring strategy
+        this.scoringStrategy = getScoringStrategy(settings?.scoring);
         this.playerFinished = new Map(); // Map<peerId, boolean> - Tracks players who answered current question
         this.playerAnswers = new Map(); // Map<peerId, any> - Stores submitted answers for the current question
         this.isGameOver = false;
@@ -53,6 +59,7 @@ class MultiplayerGame {
     /** Initialize scores based on current player list. @private */
     _initializePlayerState(players) {
         this.playerScores.clear();
+        this.playerStreaks.clear();
         this.playerFinished.clear();
         // Ensure host is in the list if not already added by WebRTCManager init
         const hostId = webRTCManager.getMyPeerId();
@@ -252,24 +259,25 @@ class MultiplayerGame {
         currentPlayers.forEach((playerData, peerId) => {
             const answerData = this.playerAnswers.get(peerId); // Get stored answer { answer: any, receivedTime: number }
             let isCorrect = false;
-            let scoreDelta = 0;
+            let elapsedMs = null;
 
             if (answerData) {
                 // Player submitted an answer
                 isCorrect = (answerData.answer === correctAnswer);
-                if (isCorrect) {
-                    // Calculate elapsed time based on when host received answer
-                    const elapsedMs = answerData.receivedTime - this._questionStartTime;
-                    // Calculate score using base method with specific elapsed time
-                    scoreDelta = this._calculateScore(true, elapsedMs);
-                }
-            } else {
-                // Player did not submit an answer (timed out or disconnected before answering)
-                isCorrect = false;
-                scoreDelta = 0;
+                // Calculate elapsed time based on when host received answer
+                elapsedMs = answerData.receivedTime - this._questionStartTime;
             }
-
-            // Update player score (only add if correct)
+            // A player without an answer (timed out or disconnected before answering) is scored as wrong
+            const streak = this.playerStreaks.get(peerId) || 0;
+            const scoreDelta = this.scoringStrategy.score({
+                isCorrect,
+                elapsedMs,
+                durationMs: this.timer.initialDurationMs,
+                correctStreak: streak
+            }).total;
+            this.playerStreaks.set(peerId, isCorrect ? streak + 1 : 0);
+
+            // Update player score; negative marking can take it below 0
             const currentScore = this.playerScores.get(peerId) || 0;
             const newTotalScore = currentScore + scoreDelta;
             this.playerScores.set(peerId, newTotalScore);
@@ -359,15 +367,23 @@ class MultiplayerGame {
         // (e.g., game ended by command or error, not natural completion)
         // For simplicity, assume scores are up-to-date or calculate final standings here if needed.
 
+        const sheetIds = this.settings?.sheetIds || [];
         const finalResults = {
             scores: Object.fromEntries(this.playerScores), // Convert Map to object for serialization
             rankings: this._calculateRankings(),
+            settings: { sheetIds, difficulty: this.settings?.difficulty },
+            // Names resolved here, as clients may not have the host's (custom) sheets; for the match history
+            sheetNames: sheetIds.map(id => questionsManager.getSheetDisplayName(id) || id),
             // Add any other relevant host-calculated final data
         };
         console.log("[MultiplayerGame Host] Broadcasting GAME_OVER:", finalResults);
-        webRTCManager.broadcastMessage(MSG_TYPE.GAME_OVER, finalResults);
+        webRTCManager.broadcastMessage(MSG_TYPE.GAME_OVER, { results: finalResults });
             // Emit locally for host UI
-            eventBus.emit(Events.Game.Finished, { mode: 'multiplayer', results: finalResults, role: 'host' });
+            eventBus.emit(Events.Game.Finished, {
+                mode: 'multiplayer',
+                results: { ...finalResults, localPeerId: webRTCManager.getMyPeerId() },
+                role: 'host'
+            });
         // Client logic removed
 
         this._cleanupListeners();
@@ -516,6 +532,7 @@ class MultiplayerGame {
         this.quizEngine = null;
         this.timer = null;
         this.playerScores = null;
+        this.playerStreaks = null;
         this.playerFinished = null;
         this.playerAnswers = null;
     }
@@ -2,23 +2,30 @@ import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 
 import QuizEngine from '../services/QuizEngine.js'; // Import QuizEngine
+import spacedRepetitionService from '../services/SpacedRepetitionService.js';
 import BaseGameMode from './BaseGameMode.js';
 // import Timer from '../utils/timer.js'; // Optional: Timer might not be needed for practice
 
 /**
  * Manages the state and logic for a practice game session.
  * Extends BaseGameMode, providing the specific behavior for practice mode
- * (e.g., no scoring).
+ * (e.g., no scoring). Rounds are picked by SpacedRepetitionService, which also
+ * records every answer per player and question. FlashcardGame reuses this spaced repetition behaviour.
  */
 class PracticeGame extends BaseGameMode {
     /**
      * Creates a practice game instance.
      * @param {object} settings - Game settings.
      * @param {string[]} settings.sheetIds - Array of sheet IDs to use.
-     * @param {string} settings.difficulty - Difficulty level ('easy', 'medium', 'hard').
+     * @param {string} settings.difficulty - Difficulty level ('easy', 'medium', 'hard'). Without a timer it only
+     *                                        affects the content (answer options and round length) via QuizEngine.
+     * @param {string} [playerName='Player'] - Name of the player.
+     * @param {string | null} [profileId=null] - Profile whose practice progress is used and updated
+     *        (without a profile, the progress is kept under the player name).
+     * @param {string} [modeIdentifier='practice'] - Mode name, overridden by modes built on practice (flashcards).
      */
-    constructor(settings) {
-        super('practice', settings);
+    constructor(settings, playerName = 'Player', profileId = null, modeIdentifier = 'practice') {
+        super(modeIdentifier, settings, playerName, profileId);
         console.log(`[PracticeGame] Initialized.`);
     }
 
@@ -34,7 +41,56 @@ class PracticeGame extends BaseGameMode {
         return 0; // No score in practice mode
     }
 
-    // Hooks from BaseGameMode can be overridden here if needed.
+    /**
+     * Lets spaced repetition pick the round, favouring due and weak questions
+     * (not used for an explicit question list, which is played completely).
+     * @override
+     * @returns {object}
+     * @protected
+     */
+    _getLoadOptions() {
+        return {
+            ...super._getLoadOptions(),
+            selectRound: (questions, maxQuestions) => spacedRepetitionService.selectRound(this.playerKey, questions, maxQuestions)
+        };
+    }
+
+    /**
+     * Records the answer in the player's Leitner boxes.
+     * @override
+     * @param {object} question - The answered question.
+     * @param {{isCorrect: boolean}} checkResult
+     * @protected
+     */
+    _onQuestionAnswered(question, checkResult) {
+        if (!question?.id) return;
+        spacedRepetitionService.recordAnswer(this.playerKey, question.id, checkResult.isCorrect);
+    }
+
+    /**
+     * Adds how many of the practised questions the player has mastered (`mastery`), and how many
+     * of all questions of the chosen sheets (`sheetMastery`; null for a review round, which only
+     * holds the questions picked for it).
+     * @override
+     * @param {object} baseResults
+     * @returns {object}
+     * @protected
+     */
+    _getFinalResults(baseResults) {
+        const questionIds = [];
+        for (let i = 0; i < this.quizEngine.getQuestionCount(); i++) {
+            const question = this.quizEngine.getQuestionData(i);
+            if (question?.id) questionIds.push(question.id);
+        }
+        const isReviewRound = Array.isArray(this.settings?.questions);
+        return {
+            ...baseResults,
+            mastery: spacedRepetitionService.getMasterySummary(this.playerKey, questionIds),
+            sheetMastery: isReviewRound
+                ? null
+                : spacedRepetitionService.getMasterySummary(this.playerKey, this.quizEngine.getPoolQuestionIds())
+        };
+    }
 }
 
 export default PracticeGame;
@@ -3,17 +3,9 @@ import Events from '../core/event-constants.js';
 
 import BaseGameMode from './BaseGameMode.js';
 import Timer from '../core/timer.js';
-
-// Difficulty to Timer Duration mapping (in milliseconds)
-const DIFFICULTY_DURATIONS_MS = {
-    easy: 60000,
-    medium: 30000,
-    hard: 10000,
-};
-
-// Constants for scoring
-const BASE_SCORE = 10;
-const MAX_TIME_BONUS = 50;
+import { getDifficultyProfile, DEFAULT_DIFFICULTY, AdaptiveTiming } from '../core/difficulty-constants.js';
+import Lifelines from '../core/lifeline-constants.js';
+import arrayUtils from '../utils/arrayUtils.js';
 
 /**
  * Manages the state and logic for a single-player game session.
@@ -24,25 +16,41 @@ class SinglePlayerGame extends BaseGameMode {
      * Creates a single-player game instance.
      * @param {object} settings - Game settings.
      * @param {string[]} settings.sheetIds - Array of sheet IDs to use.
-     * @param {'easy'|'medium'|'hard'|string} settings.difficulty - Difficulty level.
+     * @param {'easy'|'medium'|'hard'|'adaptive'|string} settings.difficulty - Difficulty level. 'adaptive' changes
+     *        the time per question with the player's performance (see AdaptiveTiming).
+     * @param {string} [settings.scoring] - Scoring strategy id (see core/scoring-strategies.js), classic by default.
      * @param {string} playerName - The name of the player.
+     * @param {string | null} [profileId=null] - ID of the active player profile, if any.
+     * @param {string} [modeIdentifier='single'] - Mode reported in the game events, for timed modes built on this one.
      */
-    constructor(settings, playerName) {
-        // Call BaseGameMode constructor with 'single' identifier and player name
-        super('single', settings, playerName);
+    constructor(settings, playerName, profileId = null, modeIdentifier = 'single') {
+        // Call BaseGameMode constructor with the mode identifier and player name
+        super(modeIdentifier, settings, playerName, profileId);
         console.log(`[SinglePlayerGame] Initialized for player: ${playerName}, difficulty: ${settings.difficulty}`);
 
         // Determine timer duration based on difficulty
-        this.difficulty = settings.difficulty || 'medium'; // Default to medium if undefined
-        const durationMs = DIFFICULTY_DURATIONS_MS[this.difficulty] || DIFFICULTY_DURATIONS_MS.medium;
+        this.difficulty = settings.difficulty || DEFAULT_DIFFICULTY; // Default to medium if undefined
+        this.isAdaptive = this.difficulty === 'adaptive';
+        this.adaptiveLevel = AdaptiveTiming.startLevel;
+        this.adaptiveLevelChange = 0; // Direction of the last level change, announced with the next question
+        this.fastAnswerStreak = 0;
+        const durationMs = this.isAdaptive
+            ? this._getAdaptiveDurationMs(this.adaptiveLevel)
+            : getDifficultyProfile(this.difficulty).questionDurationMs;
         const durationSeconds = durationMs / 1000; // Convert MS to Seconds for Timer constructor
 
         // Pass duration in SECONDS to the Timer constructor
         this.timer = new Timer(durationSeconds); 
         this.score = 0;
 
+        // Jokers: uses per game, and the ones used on the current question (they cost points on that question)
+        this.lifelineLimits = this._getLifelineLimits();
+        this.lifelinesUsed = Object.fromEntries(Object.keys(this.lifelineLimits).map(id => [id, 0]));
+        this.lifelinesThisQuestion = new Set();
+
         // Register timer-specific listeners IN ADDITION to base listeners
         this._registerTimerListeners();
+        this._registerLifelineListeners();
         // Note: BaseGameMode constructor already called _registerBaseListeners
     }
 
@@ -55,6 +63,77 @@ class SinglePlayerGame extends BaseGameMode {
         console.log(`[SinglePlayerGame] Registered timer listeners.`);
     }
 
+    /** Registers the joker listener, for games that have jokers. @private */
+    _registerLifelineListeners() {
+        this._boundHandleLifelineClicked = null;
+        if (Object.keys(this.lifelineLimits).length === 0) return;
+        this._boundHandleLifelineClicked = this._handleLifelineClicked.bind(this);
+        eventBus.on(Events.UI.GameArea.LifelineClicked, this._boundHandleLifelineClicked);
+    }
+
+    /**
+     * Returns the jokers of this game and how often each can be used.
+     * @returns {Object<string, number>} Uses per game, per joker id (see core/lifeline-constants.js).
+     * @protected
+     */
+    _getLifelineLimits() {
+        return Object.fromEntries(Object.entries(Lifelines).map(([id, lifeline]) => [id, lifeline.usesPerGame]));
+    }
+
+    /**
+     * @param {string} lifeline - Joker id.
+     * @returns {boolean} Whether the joker can be used on the current question.
+     * @private
+     */
+    _canUseLifeline(lifeline) {
+        if (!(lifeline in this.lifelineLimits)) return false;
+        if (this.isFinished || this.currentQuestionIndex < 0 || this.lastAnswerCorrect !== null) return false;
+        if (this.lifelinesUsed[lifeline] >= this.lifelineLimits[lifeline] || this.lifelinesThisQuestion.has(lifeline)) return false;
+        if (lifeline === 'fiftyFifty') return this.currentAnswerOptions.length > 2; // Needs wrong answers to take away
+        if (lifeline === 'extraTime') return this.timer.isRunning;
+        return true;
+    }
+
+    /** Emits the jokers left for the current question. @private */
+    _emitLifelinesUpdated() {
+        if (Object.keys(this.lifelineLimits).length === 0) return;
+        const lifelines = Object.fromEntries(Object.keys(this.lifelineLimits).map(id => [id, {
+            remaining: this.lifelineLimits[id] - this.lifelinesUsed[id],
+            usable: this._canUseLifeline(id)
+        }]));
+        eventBus.emit(Events.Game.LifelinesUpdated, { lifelines });
+    }
+
+    /**
+     * Uses a joker on the current question: '50/50' takes away half of the wrong answers,
+     * 'extra time' adds time to the timer.
+     * @param {object} payload - Events.UI.GameArea.LifelineClicked payload.
+     * @param {'fiftyFifty' | 'extraTime'} payload.lifeline
+     * @private
+     */
+    _handleLifelineClicked({ lifeline }) {
+        if (!this._canUseLifeline(lifeline)) {
+            console.log(`[SinglePlayerGame] Joker '${lifeline}' cannot be used now, ignoring.`);
+            return;
+        }
+
+        const usedPayload = { lifeline };
+        if (lifeline === 'fiftyFifty') {
+            const correctAnswer = this.quizEngine.getCorrectAnswer(this.currentQuestionIndex);
+            const wrongAnswers = this.currentAnswerOptions.filter(answer => answer !== correctAnswer);
+            usedPayload.removedAnswers = arrayUtils.shuffleArray(wrongAnswers).slice(0, Math.ceil(wrongAnswers.length / 2));
+        } else if (lifeline === 'extraTime') {
+            usedPayload.extraTimeMs = Lifelines.extraTime.extraTimeMs;
+            this.timer.addTime(usedPayload.extraTimeMs / 1000);
+        }
+
+        this.lifelinesUsed[lifeline]++;
+        this.lifelinesThisQuestion.add(lifeline);
+        console.log(`[SinglePlayerGame] Joker '${lifeline}' used (${this.lifelinesUsed[lifeline]}/${this.lifelineLimits[lifeline]}).`);
+        eventBus.emit(Events.Game.LifelineUsed, usedPayload);
+        this._emitLifelinesUpdated();
+    }
+
     /** Handles timer ticks, emitting the TimeTick event. @private */
     _handleTimerTick(remainingTime) {
         eventBus.emit(Events.Game.TimeTick, { remainingTimeMs: remainingTime });
@@ -67,23 +146,30 @@ class SinglePlayerGame extends BaseGameMode {
      */
     _handleTimeUp() {
         if (this.isFinished) return;
-        const currentIndex = this.quizEngine.currentQuestionIndex;
+        const currentIndex = this.currentQuestionIndex;
         console.log(`[SinglePlayerGame] Time's up for question ${currentIndex + 1}`);
         eventBus.emit(Events.Game.TimeUp);
 
         // Treat time up as an incorrect answer
         this.lastAnswerCorrect = false; // Mark as answered (incorrectly)
         const correctAnswer = this.quizEngine.getCorrectAnswer(currentIndex);
-        const scoreDelta = this._calculateScore(false); // Score delta is 0
+        const scoreDelta = this._calculateScore(false); // 0, or a penalty with negative marking or a joker
+        const question = this.quizEngine.getQuestionData(currentIndex);
+        const logEntry = this._logAnswer(question, null, { isCorrect: false, correctAnswer });
+        if (logEntry && this.lastScoreBreakdown) logEntry.score = this.lastScoreBreakdown;
 
         eventBus.emit(Events.Game.AnswerChecked, {
             isCorrect: false,
             scoreDelta: scoreDelta,
             correctAnswer: correctAnswer,
-            submittedAnswer: null // Indicate time out
+            submittedAnswer: null, // Indicate time out
+            questionId: question?.id,
+            question: question?.question,
+            sheetId: question?.sheetId,
+            timeMs: logEntry?.timeMs ?? null
         });
 
-        this._afterAnswerChecked(false, scoreDelta); // Update score (if needed, though delta is 0)
+        this._afterAnswerChecked(false, scoreDelta); // Update score
 
         // Automatically move to the next question after a short delay
         setTimeout(() => {
@@ -102,8 +188,19 @@ class SinglePlayerGame extends BaseGameMode {
 
     /** Reset and start timer after a new question is presented. @override @protected */
     _afterQuestionPresented() {
+        this.lifelinesThisQuestion.clear();
         this.timer.reset();
+        if (this.isAdaptive) {
+            eventBus.emit(Events.Game.AdaptiveLevelUpdated, {
+                level: this.adaptiveLevel,
+                levelCount: AdaptiveTiming.levelDurationsMs.length,
+                questionDurationMs: this.timer.initialDurationMs,
+                change: this.adaptiveLevelChange
+            });
+            this.adaptiveLevelChange = 0;
+        }
         this.timer.start();
+        this._emitLifelinesUpdated();
     }
 
     /** Stop timer when an answer is submitted. @override @protected */
@@ -112,7 +209,8 @@ class SinglePlayerGame extends BaseGameMode {
     }
 
     /**
-     * Update total score and emit ScoreUpdated event after answer check.
+     * Update total score and emit ScoreUpdated event after answer check. The total is not clamped at 0, so
+     * with negative marking it always equals the sum of the per-question breakdowns in the answer log.
      * @override
      * @param {boolean} isCorrect - Whether the answer was correct.
      * @param {number} scoreDelta - The score change.
@@ -121,6 +219,80 @@ class SinglePlayerGame extends BaseGameMode {
     _afterAnswerChecked(isCorrect, scoreDelta) {
         this.score += scoreDelta;
         eventBus.emit(Events.Game.ScoreUpdated, { totalScore: this.score });
+        if (this.isAdaptive) {
+            this._updateAdaptiveLevel(isCorrect);
+        }
+    }
+
+    /**
+     * Adaptive difficulty: goes one level up (less time) after a streak of fast correct answers,
+     * and one level down (more time) after a wrong answer or time-up. The new time per question
+     * is used from the next question on.
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @private
+     */
+    _updateAdaptiveLevel(isCorrect) {
+        const levelCount = AdaptiveTiming.levelDurationsMs.length;
+        let newLevel = this.adaptiveLevel;
+        if (!isCorrect) {
+            this.fastAnswerStreak = 0;
+            newLevel = Math.max(1, this.adaptiveLevel - 1);
+        } else if (this.timer.getElapsedTime() <= this.timer.initialDurationMs * AdaptiveTiming.fastAnswerRatio) {
+            this.fastAnswerStreak++;
+            if (this.fastAnswerStreak >= AdaptiveTiming.fastStreakToLevelUp) {
+                this.fastAnswerStreak = 0;
+                newLevel = Math.min(levelCount, this.adaptiveLevel + 1);
+            }
+        } else {
+            this.fastAnswerStreak = 0; // Correct but slow: stay on this level
+        }
+
+        if (newLevel === this.adaptiveLevel) return;
+        this.adaptiveLevelChange = newLevel > this.adaptiveLevel ? 1 : -1;
+        this.adaptiveLevel = newLevel;
+        this.timer.setDuration(this._getAdaptiveDurationMs(newLevel) / 1000);
+        console.log(`[SinglePlayerGame] Adaptive level is now ${newLevel}/${levelCount}.`);
+    }
+
+    /**
+     * @param {number} level - Adaptive level, 1-based.
+     * @returns {number} Time per question in milliseconds for that level.
+     * @private
+     */
+    _getAdaptiveDurationMs(level) {
+        return AdaptiveTiming.levelDurationsMs[level - 1];
+    }
+
+    /**
+     * The strategy's score, minus the penalty of every joker used on this question. The penalty applies
+     * whatever the answer, so a joker followed by a wrong answer costs points, shown as a 'Joker' part.
+     * @override
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @param {number} [elapsedMs] - See BaseGameMode._calculateScore.
+     * @returns {number}
+     * @protected
+     */
+    _calculateScore(isCorrect, elapsedMs = null) {
+        const score = super._calculateScore(isCorrect, elapsedMs);
+        if (this.lifelinesThisQuestion.size === 0) return score;
+        let penalty = 0;
+        this.lifelinesThisQuestion.forEach(lifeline => { penalty += Lifelines[lifeline].scorePenalty; });
+        this.lastScoreBreakdown = {
+            total: score - penalty,
+            parts: [...this.lastScoreBreakdown.parts, { label: 'Joker', points: -penalty }]
+        };
+        return score - penalty;
+    }
+
+    /**
+     * On the adaptive difficulty the time bonus is measured against the starting time,
+     * so a level with less time doesn't cost points for the same answer speed.
+     * @override
+     * @returns {number | null}
+     * @protected
+     */
+    _getScoringDurationMs() {
+        return this.isAdaptive ? this._getAdaptiveDurationMs(AdaptiveTiming.startLevel) : super._getScoringDurationMs();
     }
 
     /** Stop timer before finishing the game. @override @protected */
@@ -140,7 +312,9 @@ class SinglePlayerGame extends BaseGameMode {
         // const results = super._getFinalResults(baseResults);
         return {
             ...baseResults, // Include base results (player, counts, settings)
-            score: this.score // Add the final score
+            score: this.score, // Add the final score
+            ...(this.isAdaptive && { adaptiveLevel: this.adaptiveLevel }), // Level reached on the adaptive difficulty
+            ...(Object.keys(this.lifelineLimits).length > 0 && { lifelinesUsed: { ...this.lifelinesUsed } }) // Jokers used, per joker id
         };
     }
 
@@ -164,6 +338,11 @@ class SinglePlayerGame extends BaseGameMode {
             }
         }
          console.log("[SinglePlayerGame] Cleaned up timer listeners.");
+
+        if (this._boundHandleLifelineClicked) {
+            eventBus.off(Events.UI.GameArea.LifelineClicked, this._boundHandleLifelineClicked);
+            this._boundHandleLifelineClicked = null;
+        }
     }
 
     /**
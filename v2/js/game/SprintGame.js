@@ -0,0 +1,181 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+import BaseGameMode from './BaseGameMode.js';
+import Timer from '../core/timer.js';
+
+export const SPRINT_DURATIONS_SECONDS = Object.freeze([60, 120, 180]);
+const DEFAULT_DURATION_SECONDS = 60;
+const POINTS_PER_CORRECT_ANSWER = 1;
+const WRONG_ANSWER_PENALTY = 1; // Guessing should not pay off
+const NEXT_QUESTION_DELAY_MS = 500; // Short feedback; the clock keeps running
+
+/**
+ * Sprint ("time attack"): one clock for the whole round instead of a timer per question.
+ * Questions keep coming until the time is up, the loaded questions are asked again when the player
+ * gets through all of them. Every correct answer is a point, every wrong answer costs one
+ * (the score never goes below 0). Sprint scores have their own highscore table in HighscoreManager.
+ * @extends BaseGameMode
+ */
+class SprintGame extends BaseGameMode {
+    /**
+     * Creates a sprint game instance.
+     * @param {object} settings - Game settings.
+     * @param {string[]} settings.sheetIds - Array of sheet IDs to use.
+     * @param {string} [settings.difficulty] - Decides the number of answer options.
+     * @param {number} [settings.durationSeconds=60] - Length of the sprint, one of SPRINT_DURATIONS_SECONDS.
+     * @param {string} playerName - The name of the player.
+     * @param {string | null} [profileId=null] - ID of the active player profile, if any.
+     */
+    constructor(settings, playerName, profileId = null) {
+        super('sprint', settings, playerName, profileId);
+        this.durationSeconds = SPRINT_DURATIONS_SECONDS.includes(settings.durationSeconds)
+            ? settings.durationSeconds
+            : DEFAULT_DURATION_SECONDS;
+        this.timer = new Timer(this.durationSeconds);
+        this.score = 0;
+        this.wrongAnswers = 0;
+
+        this._boundHandleTimerTick = this._handleTimerTick.bind(this);
+        this._boundHandleTimeUp = this._handleTimeUp.bind(this);
+        this.timer.on('tick', this._boundHandleTimerTick);
+        this.timer.on('end', this._boundHandleTimeUp);
+        console.log(`[SprintGame] Initialized for player: ${playerName}, ${this.durationSeconds}s.`);
+    }
+
+    /** Handles timer ticks, emitting the TimeTick event. @private */
+    _handleTimerTick(remainingTime) {
+        eventBus.emit(Events.Game.TimeTick, { remainingTimeMs: remainingTime });
+    }
+
+    /**
+     * Ends the sprint when the clock runs out; the question on screen is not counted.
+     * @private
+     */
+    _handleTimeUp() {
+        if (this.isFinished) return;
+        console.log(`[SprintGame] Time's up after ${this.answerLog.length} answers.`);
+        eventBus.emit(Events.Game.TimeUp);
+        this.finishGame();
+    }
+
+    // --- Implement BaseGameMode Hooks ---
+
+    /**
+     * Uses every loaded question, not just a round of the difficulty's length.
+     * @override
+     * @returns {object}
+     * @protected
+     */
+    _getLoadOptions() {
+        return {
+            ...super._getLoadOptions(),
+            selectRound: (questions) => questions
+        };
+    }
+
+    /**
+     * The round has no fixed length.
+     * @override
+     * @returns {null}
+     * @protected
+     */
+    _getAnnouncedQuestionCount() {
+        return null;
+    }
+
+    /**
+     * @override
+     * @returns {number}
+     * @protected
+     */
+    _getNextQuestionDelayMs() {
+        return NEXT_QUESTION_DELAY_MS;
+    }
+
+    /** Asks the questions again when the player got through all of them. @override @protected */
+    _beforeNextQuestion() {
+        if (this.quizEngine.isQuizComplete(this.currentQuestionIndex + 1)) {
+            this.quizEngine.appendShuffledPool();
+        }
+    }
+
+    /** Starts the clock with the first question. @override @protected */
+    _afterQuestionPresented() {
+        if (this.currentQuestionIndex === 0) {
+            this.timer.reset();
+            this.timer.start();
+        }
+    }
+
+    /**
+     * @override
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @returns {number} A point for a correct answer, the penalty for a wrong one.
+     * @protected
+     */
+    _calculateScore(isCorrect) {
+        return isCorrect ? POINTS_PER_CORRECT_ANSWER : -WRONG_ANSWER_PENALTY;
+    }
+
+    /**
+     * Updates the score (never below 0) and emits ScoreUpdated.
+     * @override
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @param {number} scoreDelta - The score change.
+     * @protected
+     */
+    _afterAnswerChecked(isCorrect, scoreDelta) {
+        if (!isCorrect) this.wrongAnswers++;
+        this.score = Math.max(0, this.score + scoreDelta);
+        eventBus.emit(Events.Game.ScoreUpdated, { totalScore: this.score });
+    }
+
+    /** Stop the clock before finishing the game. @override @protected */
+    _beforeFinish() {
+        this.timer.stop();
+    }
+
+    /**
+     * Adds the score, the number of wrong answers and the length of the sprint. totalQuestions
+     * is the number of questions answered, as the round itself has no length.
+     * @override
+     * @param {object} baseResults - Results from BaseGameMode.
+     * @returns {object}
+     * @protected
+     */
+    _getFinalResults(baseResults) {
+        return {
+            ...baseResults,
+            totalQuestions: this.answerLog.length,
+            wrongAnswers: this.wrongAnswers,
+            score: this.score,
+            durationSeconds: this.durationSeconds
+        };
+    }
+
+    /**
+     * Cleans up base listeners and timer listeners.
+     * @override
+     * @protected
+     */
+    _cleanupListeners() {
+        super._cleanupListeners();
+        if (this.timer) {
+            this.timer.off('tick', this._boundHandleTimerTick);
+            this.timer.off('end', this._boundHandleTimeUp);
+        }
+    }
+
+    /**
+     * Destroys the game instance, ensuring the clock is stopped.
+     * @override
+     */
+    destroy() {
+        this.timer?.stop();
+        super.destroy();
+        this.timer = null;
+    }
+}
+
+export default SprintGame;
@@ -0,0 +1,152 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+import SinglePlayerGame from './SinglePlayerGame.js';
+import { SurvivalTiming } from '../core/difficulty-constants.js';
+
+export const SURVIVAL_LIVES = 3;
+
+/**
+ * Survival ("Overleven"): an endless timed round. The player starts with SURVIVAL_LIVES hearts and every
+ * wrong answer or time-up costs one; the run ends when the hearts are gone. The time per question gets
+ * shorter as the run goes on (see SurvivalTiming), the loaded questions are asked again when the player
+ * gets through all of them. The difficulty only decides the answer options, the adaptive timing is not used.
+ * The length of the run (correct answers) goes in its own highscore table in HighscoreManager.
+ * @extends SinglePlayerGame
+ */
+class SurvivalGame extends SinglePlayerGame {
+    /**
+     * Creates a survival game instance.
+     * @param {object} settings - Game settings.
+     * @param {string[]} settings.sheetIds - Array of sheet IDs to use.
+     * @param {string} [settings.difficulty] - Decides the number of answer options.
+     * @param {string} playerName - The name of the player.
+     * @param {string | null} [profileId=null] - ID of the active player profile, if any.
+     */
+    constructor(settings, playerName, profileId = null) {
+        super(settings, playerName, profileId, 'survival');
+        this.isAdaptive = false; // The time per question follows SurvivalTiming instead
+        this.timer.setDuration(this._getQuestionDurationMs(0) / 1000);
+        this.lives = SURVIVAL_LIVES;
+        console.log(`[SurvivalGame] Initialized for player: ${playerName}, ${this.lives} lives.`);
+    }
+
+    /**
+     * @param {number} questionIndex - 0-based index of the question in the run.
+     * @returns {number} Time for that question in milliseconds.
+     * @private
+     */
+    _getQuestionDurationMs(questionIndex) {
+        const steps = Math.floor(questionIndex / SurvivalTiming.questionsPerStep);
+        return Math.max(SurvivalTiming.minDurationMs, SurvivalTiming.startDurationMs - steps * SurvivalTiming.stepMs);
+    }
+
+    /** Emits the hearts left. @private */
+    _emitLivesUpdated(lost = false) {
+        eventBus.emit(Events.Game.LivesUpdated, { lives: this.lives, maxLives: SURVIVAL_LIVES, lost });
+    }
+
+    /**
+     * Ends the run once the hearts are gone, after the feedback on the last answer.
+     * @override
+     */
+    nextQuestion() {
+        if (!this.isFinished && this.lives <= 0) {
+            console.log(`[SurvivalGame] Out of lives after ${this.answerLog.length} questions.`);
+            this.finishGame();
+            return;
+        }
+        super.nextQuestion();
+    }
+
+    // --- Implement BaseGameMode Hooks ---
+
+    /**
+     * A run has no jokers, so runs can be compared on the leaderboard.
+     * @override
+     * @returns {Object<string, number>}
+     * @protected
+     */
+    _getLifelineLimits() {
+        return {};
+    }
+
+    /**
+     * Uses every loaded question, not just a round of the difficulty's length.
+     * @override
+     * @returns {object}
+     * @protected
+     */
+    _getLoadOptions() {
+        return {
+            ...super._getLoadOptions(),
+            selectRound: (questions) => questions
+        };
+    }
+
+    /**
+     * The run has no fixed length.
+     * @override
+     * @returns {null}
+     * @protected
+     */
+    _getAnnouncedQuestionCount() {
+        return null;
+    }
+
+    /**
+     * Asks the questions again when the player got through all of them, and sets the
+     * (shorter) time for the next question.
+     * @override
+     * @protected
+     */
+    _beforeNextQuestion() {
+        super._beforeNextQuestion();
+        const nextIndex = this.currentQuestionIndex + 1;
+        if (this.quizEngine.isQuizComplete(nextIndex)) {
+            this.quizEngine.appendShuffledPool();
+        }
+        this.timer.setDuration(this._getQuestionDurationMs(nextIndex) / 1000);
+    }
+
+    /** Announces the hearts with the first question. @override @protected */
+    _afterQuestionPresented() {
+        super._afterQuestionPresented();
+        if (this.currentQuestionIndex === 0) {
+            this._emitLivesUpdated();
+        }
+    }
+
+    /**
+     * Updates the score, and takes a heart for a wrong answer or time-up.
+     * @override
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @param {number} scoreDelta - The score change.
+     * @protected
+     */
+    _afterAnswerChecked(isCorrect, scoreDelta) {
+        super._afterAnswerChecked(isCorrect, scoreDelta);
+        if (isCorrect) return;
+        this.lives = Math.max(0, this.lives - 1);
+        console.log(`[SurvivalGame] Lost a life, ${this.lives} left.`);
+        this._emitLivesUpdated(true);
+    }
+
+    /**
+     * Adds the length of the run (correct answers). totalQuestions is the number of questions
+     * answered, as the run itself has no length.
+     * @override
+     * @param {object} baseResults - Results from BaseGameMode.
+     * @returns {object}
+     * @protected
+     */
+    _getFinalResults(baseResults) {
+        return {
+            ...super._getFinalResults(baseResults),
+            totalQuestions: this.answerLog.length,
+            runLength: this.answerLog.filter(entry => entry.isCorrect).length
+        };
+    }
+}
+
+export default SurvivalGame;
@@ -0,0 +1,247 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import AchievementRules, { SOLO_MODES } from '../core/achievement-rules.js';
+import storageService, { StorageKeys } from './StorageService.js';
+import profileService from './ProfileService.js';
+import webRTCManager from './WebRTCManager.js';
+import dateUtils from '../utils/dateUtils.js';
+
+/**
+ * Totals kept per profile, used by the conditions in achievement-rules.js.
+ * @typedef {object} AchievementStats
+ * @property {number} gamesFinished - Games played to the end.
+ * @property {number} correctAnswers - Correct answers in the solo modes (see SOLO_MODES in achievement-rules.js).
+ * @property {number} multiplayerGames
+ * @property {number} multiplayerWins
+ * @property {number} dailyChallenges
+ * @property {string | null} lastPlayedDate - YYYY-MM-DD of the last game with answers.
+ * @property {number} dayStreak - Days in a row played, up to lastPlayedDate.
+ */
+
+/**
+ * Awards badges ("achievements"). The badges are declared in core/achievement-rules.js: each rule names
+ * the event after which it is checked and a condition on that event, the game being played and the
+ * totals of the player. This service keeps those totals and the earned badges per profile, listens for
+ * the events the rules need, and announces a new badge with a toast. Without an active profile nothing
+ * is tracked.
+ */
+class AchievementService {
+    constructor() {
+        console.info("[AchievementService] Initializing...");
+        /** @type {Object.<string, {unlocked: Object.<string, string>, stats: AchievementStats}>} Profile ID -> badges earned (ID -> ISO time) and totals */
+        this.players = {};
+        this.game = { mode: null, correctStreak: 0 }; // The game being played
+        this.loadPromise = this.loadAchievements();
+
+        eventBus.on(Events.Game.Started, this.handleGameStarted.bind(this));
+        const ruleEvents = new Set(AchievementRules.map(rule => rule.event));
+        ruleEvents.forEach(eventName => {
+            eventBus.on(eventName, (payload) => this.handleRuleEvent(eventName, payload || {}));
+        });
+        eventBus.on(Events.Menu.Achievements.ShowRequested, this.handleShowRequest.bind(this));
+        eventBus.on(Events.Profile.Deleted, this.handleProfileDeleted.bind(this));
+    }
+
+    /**
+     * Loads the stored badges. Unreadable data is left in storage and reported.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadAchievements() {
+        try {
+            const stored = await storageService.get(StorageKeys.Achievements);
+            if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                this.players = stored;
+                console.log(`[AchievementService] Loaded badges of ${Object.keys(this.players).length} profiles.`);
+            }
+        } catch (error) {
+            console.error("[AchievementService] Error loading badges:", error);
+            this.loadFailed = true;
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     * @private
+     */
+    async saveAchievements() {
+        try {
+            await storageService.set(StorageKeys.Achievements, this.players);
+        } catch (error) {
+            // StorageService already informed the user
+            console.error("[AchievementService] Error saving badges:", error);
+        }
+    }
+
+    /**
+     * @param {string} profileId
+     * @returns {{unlocked: Object.<string, string>, stats: AchievementStats}} The stored entry, created when missing.
+     * @private
+     */
+    _getPlayer(profileId) {
+        if (!this.players[profileId]) {
+            this.players[profileId] = {
+                unlocked: {},
+                stats: { gamesFinished: 0, correctAnswers: 0, multiplayerGames: 0, multiplayerWins: 0, dailyChallenges: 0, lastPlayedDate: null, dayStreak: 0 }
+            };
+        }
+        return this.players[profileId];
+    }
+
+    /**
+     * Starts tracking a new game.
+     * @param {object} payload - Events.Game.Started payload.
+     * @param {string} payload.mode
+     * @private
+     */
+    handleGameStarted({ mode }) {
+        this.game = { mode, correctStreak: 0 };
+    }
+
+    /**
+     * Updates the game and player totals for an event, then checks the rules that wait for it.
+     * The game is updated before loading finishes, so quick answers are counted in order.
+     * @param {string} eventName
+     * @param {object} payload
+     * @private
+     */
+    async handleRuleEvent(eventName, payload) {
+        if (eventName === Events.Game.AnswerChecked && SOLO_MODES.includes(this.game.mode)) {
+            this.game.correctStreak = payload.isCorrect ? this.game.correctStreak + 1 : 0;
+        }
+        const game = { ...this.game };
+
+        await this.loadPromise;
+        if (this.loadFailed) return; // Don't overwrite badges that could not be read
+        const profileId = payload.results?.profileId || profileService.getActiveProfile()?.id;
+        if (!profileId) return;
+        const player = this._getPlayer(profileId);
+        let statsChanged = false;
+        if (eventName === Events.Game.Finished) {
+            statsChanged = this._updateStats(player.stats, payload);
+        }
+
+        const earned = AchievementRules.filter(rule => rule.event === eventName && !player.unlocked[rule.id])
+            .filter(rule => {
+                try {
+                    return rule.condition({ payload, game, player: player.stats });
+                } catch (error) {
+                    console.error(`[AchievementService] Rule '${rule.id}' failed:`, error);
+                    return false;
+                }
+            });
+        if (earned.length > 0) {
+            const now = new Date().toISOString();
+            earned.forEach(rule => {
+                player.unlocked[rule.id] = now;
+                eventBus.emit(Events.Achievement.Unlocked, {
+                    profileId,
+                    achievement: { id: rule.id, icon: rule.icon, title: rule.title, description: rule.description }
+                });
+            });
+            console.log(`[AchievementService] '${profileId}' earned: ${earned.map(rule => rule.id).join(', ')}.`);
+            const names = earned.map(rule => `${rule.icon} ${rule.title}`).join(', ');
+            eventBus.emit(Events.System.ShowFeedback, {
+                message: `🏅 ${earned.length > 1 ? 'Nieuwe badges' : 'Nieuwe badge'}: ${names}!`,
+                level: 'success',
+                duration: 4000
+            });
+        }
+        if (statsChanged || earned.length > 0) {
+            await this.saveAchievements();
+        }
+    }
+
+    /**
+     * Adds a finished game to the player's totals. Games stopped before the first answer don't count.
+     * @param {AchievementStats} stats - Updated in place.
+     * @param {object} payload - Events.Game.Finished payload.
+     * @returns {boolean} True when the totals changed.
+     * @private
+     */
+    _updateStats(stats, { mode, results }) {
+        if (!results) return false;
+        if (mode === 'multiplayer') {
+            const rankings = Array.isArray(results.rankings) ? results.rankings : [];
+            if (rankings.length === 0) return false;
+            stats.multiplayerGames++;
+            // A win needs an opponent and no shared first place
+            const myPeerId = webRTCManager.getMyPeerId();
+            if (rankings.length > 1 && rankings[0].peerId === myPeerId && rankings[0].score > rankings[1].score) {
+                stats.multiplayerWins++;
+            }
+        } else if (SOLO_MODES.includes(mode)) {
+            const answerCount = results.answerLog?.length || 0;
+            if (answerCount === 0) return false;
+            stats.correctAnswers += results.correctAnswers || 0;
+            if (mode === 'daily') stats.dailyChallenges++;
+            if (answerCount < results.totalQuestions) {
+                this._updateDayStreak(stats);
+                return true; // Stopped early: the answers count, the game does not
+            }
+        } else {
+            return false;
+        }
+        stats.gamesFinished++;
+        this._updateDayStreak(stats);
+        return true;
+    }
+
+    /**
+     * Counts today in the streak of days played.
+     * @param {AchievementStats} stats - Updated in place.
+     * @private
+     */
+    _updateDayStreak(stats) {
+        const today = new Date();
+        const todayKey = dateUtils.toDateKey(today);
+        if (stats.lastPlayedDate === todayKey) return;
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        stats.dayStreak = stats.lastPlayedDate === dateUtils.toDateKey(yesterday) ? stats.dayStreak + 1 : 1;
+        stats.lastPlayedDate = todayKey;
+    }
+
+    /**
+     * Sends all badges, earned or not, of the active profile for the badge gallery.
+     * @private
+     */
+    async handleShowRequest() {
+        await this.loadPromise;
+        if (this.loadFailed) {
+            eventBus.emit(Events.Menu.Achievements.LoadFailed, { message: 'De badges konden niet worden geladen.' });
+            return;
+        }
+        const profile = profileService.getActiveProfile();
+        const unlocked = (profile && this.players[profile.id]?.unlocked) || {};
+        const badges = AchievementRules.map(rule => ({
+            id: rule.id,
+            icon: rule.icon,
+            title: rule.title,
+            description: rule.description,
+            unlockedAt: unlocked[rule.id] || null
+        }));
+        eventBus.emit(Events.Menu.Achievements.Loaded, {
+            profile: profile ? { name: profile.name, avatar: profile.avatar } : null,
+            badges,
+            unlockedCount: badges.filter(badge => badge.unlockedAt).length
+        });
+    }
+
+    /**
+     * Removes the badges of a deleted profile.
+     * @param {object} payload - Events.Profile.Deleted payload.
+     * @param {string} payload.profileId
+     * @private
+     */
+    async handleProfileDeleted({ profileId }) {
+        await this.loadPromise;
+        if (this.loadFailed || !this.players[profileId]) return;
+        delete this.players[profileId];
+        await this.saveAchievements();
+        console.log(`[AchievementService] Removed the badges of deleted profile ${profileId}.`);
+    }
+}
+
+// Create and export a singleton instance
+const achievementService = new AchievementService();
+export default achievementService;
@@ -0,0 +1,125 @@
+// Alternates are written as "Antwoord / Alternatief". Spaces around the slash are required
+// so answers like "1/2" or "km/u" are not split.
+const ALTERNATE_SEPARATOR_REGEX = /\s+\/\s+/;
+
+/**
+ * Decides whether a submitted answer matches the correct answer of a question.
+ * Always ignores case, surrounding/duplicate whitespace and diacritics ("Belgie" === "België"),
+ * and accepts every alternate listed as "Antwoord / Alternatief".
+ * For typed answers it can additionally tolerate small typos based on edit distance.
+ */
+class AnswerMatcher {
+    constructor() {
+        console.log("[AnswerMatcher] Initializing answer matching service.");
+    }
+
+    /**
+     * Normalizes a text for comparison: strips diacritics, lowercases and collapses whitespace.
+     * @param {string} text
+     * @returns {string}
+     */
+    normalize(text) {
+        if (typeof text !== 'string') return '';
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '') // Remove combining diacritical marks
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Returns all accepted variants of a correct answer ("Parijs / Paris" => ["Parijs", "Paris"]).
+     * @param {string} correctAnswer
+     * @returns {string[]}
+     */
+    getAcceptedAnswers(correctAnswer) {
+        if (typeof correctAnswer !== 'string') return [];
+        return correctAnswer.split(ALTERNATE_SEPARATOR_REGEX).map(alt => alt.trim()).filter(alt => alt.length > 0);
+    }
+
+    /**
+     * Returns the preferred (first) variant of a correct answer, for display purposes.
+     * @param {string} correctAnswer
+     * @returns {string}
+     */
+    getPrimaryAnswer(correctAnswer) {
+        return this.getAcceptedAnswers(correctAnswer)[0] || correctAnswer;
+    }
+
+    /**
+     * Calculates the Levenshtein edit distance between two strings.
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    getEditDistance(a, b) {
+        if (a === b) return 0;
+        if (a.length === 0) return b.length;
+        if (b.length === 0) return a.length;
+
+        let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const currentRow = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+                currentRow[j] = Math.min(
+                    previousRow[j] + 1,                    // Deletion
+                    currentRow[j - 1] + 1,                 // Insertion
+                    previousRow[j - 1] + substitutionCost  // Substitution
+                );
+            }
+            previousRow = currentRow;
+        }
+        return previousRow[b.length];
+    }
+
+    /**
+     * Returns how many typos are tolerated for a (normalized) answer.
+     * Numbers and very short answers must be exact, otherwise "7" would match "8".
+     * @param {string} normalizedAnswer
+     * @returns {number}
+     * @private
+     */
+    _getAllowedDistance(normalizedAnswer) {
+        if (/\d/.test(normalizedAnswer) || normalizedAnswer.length <= 3) return 0;
+        if (normalizedAnswer.length <= 7) return 1;
+        return 2;
+    }
+
+    /**
+     * Checks a submitted answer against the correct answer (and its alternates).
+     * @param {string} submittedAnswer - The answer given by the player.
+     * @param {string} correctAnswer - The correct answer as written in the sheet.
+     * @param {object} [options]
+     * @param {boolean} [options.allowTypos=false] - Whether small typos are accepted (typed answers only;
+     *                                               for multiple choice a close distractor must stay wrong).
+     * @returns {{isCorrect: boolean, isExact: boolean}} isExact is false when the answer was accepted with typos.
+     */
+    match(submittedAnswer, correctAnswer, { allowTypos = false } = {}) {
+        const submitted = this.normalize(submittedAnswer);
+        if (!submitted) {
+            return { isCorrect: false, isExact: false };
+        }
+
+        // The full answer text counts as well, so multiple choice buttons showing "A / B" still match.
+        const candidates = [correctAnswer, ...this.getAcceptedAnswers(correctAnswer)].map(ans => this.normalize(ans));
+        if (candidates.includes(submitted)) {
+            return { isCorrect: true, isExact: true };
+        }
+
+        if (allowTypos) {
+            const isClose = candidates.some(candidate =>
+                this.getEditDistance(submitted, candidate) <= this._getAllowedDistance(candidate)
+            );
+            if (isClose) {
+                return { isCorrect: true, isExact: false };
+            }
+        }
+        return { isCorrect: false, isExact: false };
+    }
+}
+
+// Create and export a singleton instance
+const answerMatcher = new AnswerMatcher();
+export default answerMatcher;
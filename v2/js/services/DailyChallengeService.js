@@ -0,0 +1,242 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import Views from '../core/view-constants.js';
+import storageService, { StorageKeys } from './StorageService.js';
+import questionsManager from './QuestionsManager.js';
+import profileService from './ProfileService.js';
+import dateUtils from '../utils/dateUtils.js';
+
+const DAILY_QUESTION_COUNT = 10;
+const DAILY_DIFFICULTY = 'medium'; // Fixed, so everybody plays the same options and time per question
+const MAX_STORED_DAYS = 366; // Older results are dropped
+
+/**
+ * One player's result of the daily challenge.
+ * @typedef {object} DailyResult
+ * @property {string} date - Challenge date (YYYY-MM-DD).
+ * @property {string} playerKey - Profile ID, or the player name when playing without a profile.
+ * @property {string} name - Player name at the time of playing.
+ * @property {number} score
+ * @property {number} correctAnswers
+ * @property {number} totalQuestions
+ * @property {boolean[]} answers - Per question whether it was answered correctly, in order.
+ * @property {string} completedAt - ISO timestamp.
+ */
+
+/**
+ * Manages the daily challenge ("Dagelijkse uitdaging"): the same quiz for every player on a given date.
+ * Builds the settings of the day's round (the seed makes QuizEngine pick the same questions and answer
+ * order on every device), keeps one result per player per day for the daily leaderboard and the
+ * calendar of completed days, and formats a result as a short text to share.
+ */
+class DailyChallengeService {
+    constructor() {
+        console.info("[DailyChallengeService] Initializing...");
+        /** @type {DailyResult[]} */
+        this.results = [];
+        this.loadPromise = this.loadResults();
+
+        eventBus.on(Events.Game.Finished, this.handleGameFinished.bind(this));
+        eventBus.on(Events.Menu.DailyChallenge.ShowRequested, this.handleShowRequest.bind(this));
+        eventBus.on(Events.Profile.Deleted, this.handleProfileDeleted.bind(this));
+    }
+
+    /**
+     * Loads the stored results. Unreadable data is left in storage and reported.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadResults() {
+        try {
+            const stored = await storageService.get(StorageKeys.DailyChallenge);
+            if (Array.isArray(stored)) {
+                this.results = stored.filter(result => result && typeof result.date === 'string' && typeof result.score === 'number');
+                console.log(`[DailyChallengeService] Loaded ${this.results.length} daily results.`);
+            }
+        } catch (error) {
+            console.error("[DailyChallengeService] Error loading daily results:", error);
+            this.loadFailed = true;
+        }
+    }
+
+    /**
+     * Saves the results, dropping those older than MAX_STORED_DAYS.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async saveResults() {
+        const oldestDate = dateUtils.toDateKey(Date.now() - MAX_STORED_DAYS * 24 * 60 * 60 * 1000);
+        this.results = this.results.filter(result => result.date >= oldestDate);
+        try {
+            await storageService.set(StorageKeys.DailyChallenge, this.results);
+        } catch (error) {
+            // StorageService already informed the user
+            console.error("[DailyChallengeService] Error saving daily results:", error);
+        }
+    }
+
+    /**
+     * Builds the game settings of a day's challenge: all built-in sheets in a fixed order
+     * (custom sheets differ per device), a fixed difficulty and the seed of the day.
+     * @param {string} [date] - YYYY-MM-DD, defaults to today.
+     * @returns {Promise<object>} Settings for DailyChallengeGame.
+     * @throws {Error} If there are no built-in sheets.
+     */
+    async getChallengeSettings(date = dateUtils.toDateKey()) {
+        await questionsManager.initialize(); // Resolves at once when already initialized
+        const sheetIds = questionsManager.getAvailableSheets()
+            .filter(sheet => !sheet.isCustom)
+            .map(sheet => sheet.id)
+            .sort();
+        if (sheetIds.length === 0) {
+            throw new Error('Er zijn geen vragenlijsten voor de uitdaging.');
+        }
+        return {
+            sheetIds,
+            difficulty: DAILY_DIFFICULTY,
+            answerMode: 'choice',
+            date,
+            seed: `daily:${date}`,
+            questionCount: DAILY_QUESTION_COUNT
+        };
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD.
+     * @param {string} playerKey
+     * @returns {DailyResult | null}
+     */
+    getResult(date, playerKey) {
+        return this.results.find(result => result.date === date && result.playerKey === playerKey) || null;
+    }
+
+    /**
+     * Whether a player already played a day's challenge. Only the first attempt counts.
+     * @param {string} date - YYYY-MM-DD.
+     * @param {string} playerKey
+     * @returns {Promise<boolean>}
+     */
+    async hasPlayed(date, playerKey) {
+        await this.loadPromise;
+        return !!this.getResult(date, playerKey);
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD.
+     * @returns {DailyResult[]} The results of that day, best first (earlier finish wins a tie).
+     */
+    getLeaderboard(date) {
+        return this.results
+            .filter(result => result.date === date)
+            .sort((a, b) => b.score - a.score || a.completedAt.localeCompare(b.completedAt));
+    }
+
+    /**
+     * @param {string} playerKey
+     * @returns {string[]} Dates (YYYY-MM-DD) on which the player completed the challenge.
+     */
+    getCompletedDates(playerKey) {
+        return this.results.filter(result => result.playerKey === playerKey).map(result => result.date).sort();
+    }
+
+    /**
+     * Formats a result as one line to share, e.g.
+     * "🦄 Unicorn Poep uitdaging 19 oktober 2026: 8/10 🟩🟩🟥🟩🟩🟩🟩🟥🟩🟩 412 punten".
+     * @param {DailyResult} result
+     * @returns {string}
+     */
+    formatShareText(result) {
+        const [year, month, day] = result.date.split('-').map(Number);
+        const dateText = new Date(year, month - 1, day).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+        const squares = result.answers.map(isCorrect => isCorrect ? '🟩' : '🟥').join('');
+        return `🦄 Unicorn Poep uitdaging ${dateText}: ${result.correctAnswers}/${result.totalQuestions} ${squares} ${result.score} punten`;
+    }
+
+    /**
+     * Stores the result of a finished daily challenge, unless the player already had one for that day.
+     * Shows the daily challenge view when the round was played to the end.
+     * @param {object} payload - Events.Game.Finished payload.
+     * @param {string} payload.mode
+     * @param {object} payload.results
+     * @private
+     */
+    async handleGameFinished({ mode, results }) {
+        if (mode !== 'daily' || !results?.date) return;
+        await this.loadPromise;
+        const playerKey = results.profileId || results.playerName;
+        const answerLog = results.answerLog || [];
+        if (this.getResult(results.date, playerKey)) {
+            console.warn(`[DailyChallengeService] ${playerKey} already has a result for ${results.date}, ignoring this one.`);
+        } else {
+            this.results.push({
+                date: results.date,
+                playerKey,
+                name: results.playerName,
+                score: results.score || 0,
+                correctAnswers: results.correctAnswers || 0,
+                totalQuestions: results.totalQuestions || answerLog.length,
+                answers: answerLog.map(entry => !!entry.isCorrect),
+                completedAt: new Date().toISOString()
+            });
+            await this.saveResults();
+            console.log(`[DailyChallengeService] Saved the ${results.date} result of ${playerKey}: ${results.score}.`);
+        }
+        // Leaving the game early also counts as the attempt, but goes back to the main menu
+        if (answerLog.length >= results.totalQuestions) {
+            eventBus.emit(Events.Navigation.ShowView, { viewName: Views.DailyChallenge, data: { date: results.date } });
+        }
+    }
+
+    /**
+     * Sends the leaderboard of a day, the player's result and calendar.
+     * The player is the active profile.
+     * @param {object} [payload] - Events.Menu.DailyChallenge.ShowRequested payload.
+     * @param {string} [payload.date] - Day to show, defaults to today.
+     * @private
+     */
+    async handleShowRequest({ date } = {}) {
+        await this.loadPromise;
+        if (this.loadFailed) {
+            eventBus.emit(Events.Menu.DailyChallenge.LoadFailed, { message: 'De uitdagingen konden niet worden geladen.' });
+            return;
+        }
+        const today = dateUtils.toDateKey();
+        const shownDate = date || today;
+        const playerKey = profileService.getActiveProfile()?.id || null;
+        const playerResult = playerKey ? this.getResult(shownDate, playerKey) : null;
+        eventBus.emit(Events.Menu.DailyChallenge.Loaded, {
+            date: shownDate,
+            today,
+            playerResult,
+            shareText: playerResult ? this.formatShareText(playerResult) : null,
+            leaderboard: this.getLeaderboard(shownDate).map(result => ({
+                name: profileService.getProfile(result.playerKey)?.name || result.name,
+                avatar: profileService.getProfile(result.playerKey)?.avatar || null,
+                score: result.score,
+                correctAnswers: result.correctAnswers,
+                totalQuestions: result.totalQuestions,
+                isCurrentPlayer: result.playerKey === playerKey
+            })),
+            completedDates: playerKey ? this.getCompletedDates(playerKey) : []
+        });
+    }
+
+    /**
+     * Removes the results of a deleted profile.
+     * @param {object} payload - Events.Profile.Deleted payload.
+     * @param {string} payload.profileId
+     * @private
+     */
+    async handleProfileDeleted({ profileId }) {
+        await this.loadPromise;
+        const remaining = this.results.filter(result => result.playerKey !== profileId);
+        if (remaining.length === this.results.length) return;
+        this.results = remaining;
+        await this.saveResults();
+        console.log(`[DailyChallengeService] Removed the daily results of deleted profile ${profileId}.`);
+    }
+}
+
+// Create and export a singleton instance
+const dailyChallengeService = new DailyChallengeService();
+export default dailyChallengeService;
@@ -0,0 +1,211 @@
+import arrayUtils from '../utils/arrayUtils.js';
+import answerMatcher from './AnswerMatcher.js';
+
+const INTEGER_REGEX = /^-?\d+$/;
+const MULTIPLICATION_REGEX = /(-?\d+)\s*[x×*]\s*(-?\d+)/i;
+const ADDITION_SUBTRACTION_REGEX = /(-?\d+)\s*([+\-−])\s*(-?\d+)/;
+
+/**
+ * Works out a sum column by column without carrying between the columns, the way the typical
+ * carry/borrow mistakes are made: `combineDigits` gets the digits of a column (0 when a number is shorter).
+ * @param {number} a - Non-negative whole number.
+ * @param {number} b - Non-negative whole number.
+ * @param {function(number, number): number} combineDigits - Returns the result digit for a column.
+ * @returns {number}
+ */
+function combineColumns(a, b, combineDigits) {
+    let result = 0;
+    for (let place = 1; place <= Math.max(a, b); place *= 10) {
+        const digitA = Math.floor(a / place) % 10;
+        const digitB = Math.floor(b / place) % 10;
+        result += combineDigits(digitA, digitB) * place;
+    }
+    return result;
+}
+
+/**
+ * @typedef {object} DistractorStrategy
+ * @property {string} name - Identifier used for logging.
+ * @property {'integer' | 'text'} answerType - The answer type this strategy generates distractors for.
+ * @property {function(import('./QuizEngine.js').Question): string[]} generate - Returns candidate wrong answers
+ *           for a question. May contain duplicates or the correct answer; the caller filters those out.
+ */
+
+/**
+ * Near-miss generator for whole-number answers: off-by-one/two, off-by-ten,
+ * swapped digits and, when the question is a multiplication ("7 x 9"), the neighbouring table results.
+ * @type {DistractorStrategy}
+ */
+const numericNearMissStrategy = {
+    name: 'numericNearMiss',
+    answerType: 'integer',
+    generate(question) {
+        const correct = parseInt(question.answer.trim(), 10);
+        const candidates = [correct - 1, correct + 1, correct - 2, correct + 2, correct - 10, correct + 10];
+
+        // Swapped digits (63 -> 36), ignoring the sign
+        const digits = String(Math.abs(correct));
+        if (digits.length >= 2) {
+            const swapped = parseInt(digits.split('').reverse().join(''), 10);
+            candidates.push(correct < 0 ? -swapped : swapped);
+        }
+
+        // Neighbouring table results (7 x 9 -> 7 x 8, 7 x 10, 6 x 9, 8 x 9)
+        const multiplication = question.question.match(MULTIPLICATION_REGEX);
+        if (multiplication) {
+            const a = parseInt(multiplication[1], 10);
+            const b = parseInt(multiplication[2], 10);
+            if (a * b === correct) {
+                candidates.push(a * (b - 1), a * (b + 1), (a - 1) * b, (a + 1) * b);
+            }
+        }
+
+        // Typical carry/borrow mistakes: applying the wrong operation, forgetting the carry (38 + 45 -> 73),
+        // and subtracting the smaller digit from the larger one instead of borrowing (52 - 27 -> 35).
+        // Forgetting to take off the borrowed ten is the off-by-ten above.
+        const sumOrDifference = question.question.match(ADDITION_SUBTRACTION_REGEX);
+        if (sumOrDifference) {
+            const a = parseInt(sumOrDifference[1], 10);
+            const b = parseInt(sumOrDifference[3], 10);
+            const isAddition = sumOrDifference[2] === '+';
+            candidates.push(isAddition ? a - b : a + b);
+            if (isAddition && a >= 0 && b >= 0 && a + b === correct) {
+                candidates.push(combineColumns(a, b, (digitA, digitB) => (digitA + digitB) % 10));
+            } else if (!isAddition && a >= b && b >= 0 && a - b === correct) {
+                candidates.push(combineColumns(a, b, (digitA, digitB) => Math.abs(digitA - digitB)));
+            }
+        }
+
+        // Keep distractors non-negative when the correct answer is
+        return candidates
+            .filter(value => Number.isFinite(value) && (correct < 0 || value >= 0))
+            .map(value => String(value));
+    }
+};
+
+/**
+ * Generic strategy for text answers. Text has no structure to derive near misses from,
+ * so it contributes nothing and the caller falls back to other answers from the pool.
+ * @type {DistractorStrategy}
+ */
+const textStrategy = {
+    name: 'text',
+    answerType: 'text',
+    generate() {
+        return [];
+    }
+};
+
+/**
+ * Picks and runs distractor strategies based on the type of the correct answer,
+ * and orders candidates by how close they are to the correct answer.
+ * Strategies can be added with registerStrategy (e.g. for dates or fractions).
+ */
+class DistractorGenerator {
+    constructor() {
+        console.log("[DistractorGenerator] Initializing distractor strategies.");
+        /** @type {DistractorStrategy[]} */
+        this.strategies = [];
+        this.registerStrategy(numericNearMissStrategy);
+        this.registerStrategy(textStrategy);
+    }
+
+    /**
+     * Registers a strategy. Strategies for the same answer type run in registration order.
+     * @param {DistractorStrategy} strategy
+     */
+    registerStrategy(strategy) {
+        if (!strategy || typeof strategy.generate !== 'function' || !strategy.answerType) {
+            console.error("[DistractorGenerator] Cannot register invalid strategy:", strategy);
+            return;
+        }
+        this.strategies.push(strategy);
+        console.debug(`[DistractorGenerator] Registered strategy '${strategy.name}' for answer type '${strategy.answerType}'.`);
+    }
+
+    /**
+     * Determines the answer type used to select strategies.
+     * @param {string} answer
+     * @returns {'integer' | 'text'}
+     */
+    getAnswerType(answer) {
+        return typeof answer === 'string' && INTEGER_REGEX.test(answer.trim()) ? 'integer' : 'text';
+    }
+
+    /**
+     * Generates ordered candidate distractors for a question.
+     * Strategy results come first, followed by the pool answers as a fallback; both groups
+     * are ordered by the requested closeness. The result may still contain the correct answer
+     * or duplicates, callers pick unique entries until they have enough.
+     * @param {import('./QuizEngine.js').Question} question - The question to generate distractors for.
+     * @param {object} options
+     * @param {string[]} [options.poolAnswers=[]] - Answers of other questions in the round.
+     * @param {'far' | 'mixed' | 'close'} [options.closeness='mixed'] - See orderByCloseness.
+     * @param {function(): number} [options.random=Math.random] - Source of random numbers for the ordering.
+     * @returns {string[]}
+     */
+    generate(question, { poolAnswers = [], closeness = 'mixed', random = Math.random } = {}) {
+        const answerType = this.getAnswerType(question.answer);
+        let generated = [];
+        this.strategies
+            .filter(strategy => strategy.answerType === answerType)
+            .forEach(strategy => {
+                try {
+                    generated = generated.concat(strategy.generate(question));
+                } catch (error) {
+                    console.error(`[DistractorGenerator] Strategy '${strategy.name}' failed for question '${question.question}':`, error);
+                }
+            });
+
+        // Numbers from the pool are less convincing than near misses, so they only fill up.
+        return [
+            ...this.orderByCloseness(question.answer, generated, closeness, random),
+            ...this.orderByCloseness(question.answer, poolAnswers, closeness, random)
+        ];
+    }
+
+    /**
+     * Orders candidate wrong answers by how much they resemble the correct answer.
+     * Candidates are shuffled first so equally close answers still vary between rounds.
+     * @param {string} correctAnswer
+     * @param {string[]} candidates
+     * @param {'far' | 'mixed' | 'close'} closeness - 'close' puts the most alike first, 'far' the least alike, 'mixed' is random.
+     * @param {function(): number} [random=Math.random] - Source of random numbers for the shuffle.
+     * @returns {string[]} A new, ordered array.
+     */
+    orderByCloseness(correctAnswer, candidates, closeness, random = Math.random) {
+        const shuffled = arrayUtils.shuffleArray(candidates.filter(c => typeof c === 'string'), random);
+        if (closeness !== 'close' && closeness !== 'far') {
+            return shuffled;
+        }
+        const withDistance = shuffled.map(candidate => ({
+            candidate,
+            distance: this.getAnswerDistance(correctAnswer, candidate)
+        }));
+        withDistance.sort((a, b) => closeness === 'close' ? a.distance - b.distance : b.distance - a.distance);
+        return withDistance.map(entry => entry.candidate);
+    }
+
+    /**
+     * Calculates how different two answers are.
+     * Numbers are compared by relative difference, text by edit distance relative to its length.
+     * @param {string} a
+     * @param {string} b
+     * @returns {number} 0 for identical answers, larger for more different answers.
+     */
+    getAnswerDistance(a, b) {
+        const numA = Number(a.replace(',', '.'));
+        const numB = Number(b.replace(',', '.'));
+        if (a.trim() !== '' && b.trim() !== '' && Number.isFinite(numA) && Number.isFinite(numB)) {
+            return Math.abs(numA - numB) / Math.max(Math.abs(numA), 1);
+        }
+        const normA = answerMatcher.normalize(a);
+        const normB = answerMatcher.normalize(b);
+        const maxLength = Math.max(normA.length, normB.length, 1);
+        return answerMatcher.getEditDistance(normA, normB) / maxLength;
+    }
+}
+
+// Create and export a singleton instance
+const distractorGenerator = new DistractorGenerator();
+export default distractorGenerator;
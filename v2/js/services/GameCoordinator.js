@@ -6,10 +6,19 @@ import Views from '../core/view-constants.js'; // Import Views constants
 import SinglePlayerGame from '../game/SinglePlayerGame.js'; // Corrected path case
 import MultiplayerGame from '../game/MultiplayerGame.js'; // Corrected path case
 import PracticeGame from '../game/PracticeGame.js';     // Corrected path case
+import FlashcardGame from '../game/FlashcardGame.js';
+import SprintGame from '../game/SprintGame.js';
+import SurvivalGame from '../game/SurvivalGame.js';
+import DailyChallengeGame from '../game/DailyChallengeGame.js';
 
 // Import services
 import questionsManager from './QuestionsManager.js'; // Import QuestionsManager
 import webRTCManager from './WebRTCManager.js';      // Assuming singleton
+import profileService from './ProfileService.js';
+import dailyChallengeService from './DailyChallengeService.js';
+import dateUtils from '../utils/dateUtils.js';
+
+const DEFAULT_PLAYER_NAME = 'Speler'; // Used when a game is started without an active profile
 
 /**
  * Coordinates the creation and management of different game modes.
@@ -45,10 +54,16 @@ class GameCoordinator {
         // Listen for UI events signaling intent
         eventBus.on(Events.UI.MainMenu.StartSinglePlayerClicked, this.handleRequestSinglePlayer.bind(this));
         eventBus.on(Events.UI.MainMenu.StartPracticeClicked, this.handleRequestPractice.bind(this));
+        eventBus.on(Events.UI.MainMenu.StartFlashcardsClicked, this.handleRequestFlashcards.bind(this));
+        eventBus.on(Events.UI.MainMenu.StartSprintClicked, this.handleRequestSprint.bind(this));
+        eventBus.on(Events.UI.MainMenu.StartSurvivalClicked, this.handleRequestSurvival.bind(this));
+        eventBus.on(Events.UI.DailyChallenge.StartClicked, this.handleStartDailyChallenge.bind(this));
         eventBus.on(Events.UI.MainMenu.JoinMultiplayerClicked, this.handleRequestMultiplayerChoice.bind(this)); // Navigate to MP Choice screen
 
         // Listen for generic StartRequested event (likely from SheetSelection or future direct starts)
         eventBus.on(Events.Game.StartRequested, this.handleStartRequested.bind(this)); 
+        eventBus.on(Events.UI.EndDialog.ReviewMistakesClicked, this.handleReviewMistakes.bind(this));
+        eventBus.on(Events.UI.EndDialog.PlayAgainClicked, this.handlePlayAgain.bind(this));
 
         // Multiplayer specific UI flows
         eventBus.on(Events.UI.MultiplayerChoice.HostClicked, this.handleStartMultiplayerHost.bind(this));
@@ -83,6 +98,7 @@ class GameCoordinator {
             eventBus.emit(Events.System.ShowFeedback, { message: 'Je bent al in een spel!', level: 'warn' });
             return;
         }
+        if (!this._ensureActiveProfile()) return;
         // Navigate to Sheet Selection, passing the intended mode
         eventBus.emit(Events.Navigation.ShowView, { viewName: Views.SheetSelection, data: { mode: 'single' } });
     }
@@ -99,16 +115,118 @@ class GameCoordinator {
             eventBus.emit(Events.System.ShowFeedback, { message: 'Je bent al in een spel!', level: 'warn' });
             return;
         }
+        if (!this._ensureActiveProfile()) return;
         // Navigate to Sheet Selection, passing the intended mode
         eventBus.emit(Events.Navigation.ShowView, { viewName: Views.SheetSelection, data: { mode: 'practice' } });
     }
 
+    /**
+     * Handles the request to study with flashcards from the Main Menu.
+     * Navigates to the SheetSelection view.
+     * @private
+     */
+    handleRequestFlashcards() {
+        console.log("[GameCoordinator] Received StartFlashcardsClicked from MainMenu. Navigating to Sheet Selection.");
+        if (this.activeGame) {
+            console.warn("[GameCoordinator] Cannot navigate to sheet selection, a game is active.");
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Je bent al in een spel!', level: 'warn' });
+            return;
+        }
+        if (!this._ensureActiveProfile()) return;
+        eventBus.emit(Events.Navigation.ShowView, { viewName: Views.SheetSelection, data: { mode: 'flashcards' } });
+    }
+
+    /**
+     * Handles the request to run a sprint from the Main Menu.
+     * Navigates to the SheetSelection view, where the length of the sprint is picked as well.
+     * @private
+     */
+    handleRequestSprint() {
+        console.log("[GameCoordinator] Received StartSprintClicked from MainMenu. Navigating to Sheet Selection.");
+        if (this.activeGame) {
+            console.warn("[GameCoordinator] Cannot navigate to sheet selection, a game is active.");
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Je bent al in een spel!', level: 'warn' });
+            return;
+        }
+        if (!this._ensureActiveProfile()) return;
+        eventBus.emit(Events.Navigation.ShowView, { viewName: Views.SheetSelection, data: { mode: 'sprint' } });
+    }
+
+    /**
+     * Handles the request to start a survival run from the Main Menu.
+     * Navigates to the SheetSelection view.
+     * @private
+     */
+    handleRequestSurvival() {
+        console.log("[GameCoordinator] Received StartSurvivalClicked from MainMenu. Navigating to Sheet Selection.");
+        if (this.activeGame) {
+            console.warn("[GameCoordinator] Cannot navigate to sheet selection, a game is active.");
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Je bent al in een spel!', level: 'warn' });
+            return;
+        }
+        if (!this._ensureActiveProfile()) return;
+        eventBus.emit(Events.Navigation.ShowView, { viewName: Views.SheetSelection, data: { mode: 'survival' } });
+    }
+
+    /**
+     * Handles "play again" in an end dialog: back to the sheet selection for the same mode.
+     * @param {object} payload - Event payload from Events.UI.EndDialog.PlayAgainClicked.
+     * @param {'single' | 'practice' | 'flashcards' | 'sprint' | 'survival'} payload.mode
+     * @private
+     */
+    handlePlayAgain({ mode }) {
+        if (this.activeGame) return;
+        console.log(`[GameCoordinator] Play again requested for ${mode}. Navigating to Sheet Selection.`);
+        eventBus.emit(Events.Navigation.ShowView, { viewName: Views.SheetSelection, data: { mode } });
+    }
+
+    /**
+     * Handles the request to play today's daily challenge from the daily challenge view.
+     * Every player gets one attempt per day, so the challenge only starts when the active
+     * profile has not played it yet.
+     * @private
+     */
+    async handleStartDailyChallenge() {
+        if (this.activeGame) {
+            console.warn("[GameCoordinator] Cannot start the daily challenge, a game is active.");
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Je bent al in een spel!', level: 'warn' });
+            return;
+        }
+        if (!this._ensureActiveProfile()) return;
+        const date = dateUtils.toDateKey();
+        if (await dailyChallengeService.hasPlayed(date, profileService.getActiveProfile().id)) {
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Je hebt de uitdaging van vandaag al gespeeld. Morgen is er een nieuwe!', level: 'info' });
+            return;
+        }
+        try {
+            const settings = await dailyChallengeService.getChallengeSettings(date);
+            await this.handleStartRequested({ mode: 'daily', settings });
+        } catch (error) {
+            console.error("[GameCoordinator] Could not prepare the daily challenge:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: error.message || 'De uitdaging kon niet worden gestart.', level: 'error' });
+        }
+    }
+
+    /**
+     * Checks that somebody is picked to play. Scores, statistics and practice progress are kept per
+     * profile, so single player and practice ask for a profile first.
+     * @returns {boolean} True if a profile is active; otherwise the profile picker is requested.
+     * @private
+     */
+    _ensureActiveProfile() {
+        if (profileService.getActiveProfile()) return true;
+        console.log("[GameCoordinator] No active profile, requesting profile selection.");
+        eventBus.emit(Events.System.ShowFeedback, { message: 'Kies eerst wie er speelt!', level: 'info' });
+        eventBus.emit(Events.Profile.SelectionRequested);
+        return false;
+    }
+
     /**
      * Handles the generic request to start a game, typically from SheetSelectionComponent.
      * @param {object} payload - Event payload from Events.Game.StartRequested
-     * @param {'single' | 'practice' | 'multiplayer-host' | 'multiplayer-join'} payload.mode - The requested game mode.
+     * @param {'single' | 'practice' | 'flashcards' | 'daily' | 'sprint' | 'survival' | 'multiplayer-host' | 'multiplayer-join'} payload.mode - The requested game mode.
      * @param {object} payload.settings - Game settings (e.g., sheetIds, difficulty).
-     * @param {string} [payload.playerName] - Player's name (may be needed for some modes).
+     * @param {string} [payload.playerName] - Player's name; defaults to the name of the active profile.
      * @param {string} [payload.hostId] - Host ID if joining.
      * @private
      */
@@ -126,20 +244,44 @@ class GameCoordinator {
         // Use a small delay to allow the loading screen to render
         await new Promise(resolve => setTimeout(resolve, 100)); 
 
+        const profile = profileService.getActiveProfile();
+        const gamePlayerName = playerName || profile?.name || DEFAULT_PLAYER_NAME;
+        const profileId = profile?.id || null;
+
         try {
             switch (mode) {
                 case 'single':
                     console.log(`[GameCoordinator] Starting Single Player game with settings:`, settings);
-                    // TODO: Get player name if not provided? Using placeholder for now.
-                    const spPlayerName = playerName || 'Sanne'; 
-                    this.activeGame = new SinglePlayerGame(settings, spPlayerName, this.questionsManager);
+                    this.activeGame = new SinglePlayerGame(settings, gamePlayerName, profileId);
                     await this.activeGame.start(); // start() should be async if it loads questions
                     break;
                 case 'practice':
                     console.log(`[GameCoordinator] Starting Practice game with settings:`, settings);
-                    this.activeGame = new PracticeGame(settings, this.questionsManager);
+                    // Practice progress is kept per profile
+                    this.activeGame = new PracticeGame(settings, gamePlayerName, profileId);
                     await this.activeGame.start(); // start() should be async
                     break;
+                case 'flashcards':
+                    console.log(`[GameCoordinator] Starting Flashcard game with settings:`, settings);
+                    // Self-grades update the same practice progress as practice mode
+                    this.activeGame = new FlashcardGame(settings, gamePlayerName, profileId);
+                    await this.activeGame.start();
+                    break;
+                case 'sprint':
+                    console.log(`[GameCoordinator] Starting Sprint game with settings:`, settings);
+                    this.activeGame = new SprintGame(settings, gamePlayerName, profileId);
+                    await this.activeGame.start();
+                    break;
+                case 'survival':
+                    console.log(`[GameCoordinator] Starting Survival game with settings:`, settings);
+                    this.activeGame = new SurvivalGame(settings, gamePlayerName, profileId);
+                    await this.activeGame.start();
+                    break;
+                case 'daily':
+                    console.log(`[GameCoordinator] Starting the daily challenge of ${settings.date}`);
+                    this.activeGame = new DailyChallengeGame(settings, gamePlayerName, profileId);
+                    await this.activeGame.start();
+                    break;
                 case 'multiplayer-host':
                      console.error("[GameCoordinator] Starting multiplayer host via StartRequested is not the standard flow. Use MultiplayerChoice -> HostClicked.");
                      // If needed, could call handleStartMultiplayerHost here, but it's cleaner via UI events.
@@ -169,6 +311,32 @@ class GameCoordinator {
         }
     }
 
+    /**
+     * Starts a practice round with only the questions missed in the previous game.
+     * Cards not known in a flashcard round are studied again as flashcards.
+     * @param {object} payload - Event payload from Events.UI.EndDialog.ReviewMistakesClicked.
+     * @param {Array<object>} payload.questions - The missed questions.
+     * @param {object} [payload.settings] - Settings of the finished game.
+     * @param {'practice' | 'flashcards'} [payload.mode='practice'] - Mode of the review round.
+     * @private
+     */
+    handleReviewMistakes({ questions, settings, mode }) {
+        if (!Array.isArray(questions) || questions.length === 0) {
+            console.warn("[GameCoordinator] ReviewMistakesClicked without questions, ignoring.");
+            return;
+        }
+        console.log(`[GameCoordinator] Starting review round with ${questions.length} missed questions.`);
+        this.handleStartRequested({
+            mode: mode === 'flashcards' ? 'flashcards' : 'practice',
+            settings: {
+                sheetIds: settings?.sheetIds || [],
+                difficulty: settings?.difficulty,
+                answerMode: settings?.answerMode,
+                questions
+            }
+        });
+    }
+
     /**
      * Handles the request to navigate to the Multiplayer Choice screen.
      * @private
@@ -1,18 +1,122 @@
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
+import storageService, { StorageKeys } from './StorageService.js';
+import questionsManager from './QuestionsManager.js';
+import profileService from './ProfileService.js';
+import { DEFAULT_SCORING } from '../core/scoring-strategies.js';
 
+const MAX_HIGHSCORES = 10; // Entries shown in the highscores list
+const MAX_STORED_PER_LIST = 50; // Entries kept in storage per list (sheet set, difficulty, sprint length), for the per-profile filter
+const MAX_MATCHES = 20; // Matches shown in the match history
+const MAX_STORED_MATCHES = 200; // Matches kept in storage; the win/loss counts are based on these
+const LEGACY_SHEET_KEY_PREFIX = 'v1:'; // Sheet key of V1 scores whose sheets no longer exist
+// The difficulty V1 added to the sheet names of a score, e.g. " (Hard)" or " (Multiplayer Hard)"
+const V1_DIFFICULTY_SUFFIX = / \((?:Multiplayer(?: (?:Easy|Medium|Hard))?|Easy|Medium|Hard)\)$/i;
 
-const HIGHSCORE_STORAGE_KEY = 'unicornpoep_highscores_v2';
-const MAX_HIGHSCORES = 10;
+/**
+ * The highscore tables and their storage keys: the test ('single'), the sprint and the longest survival runs.
+ * Within a table scores only compete with scores of the same sheet set (`sheetKey`) and difficulty, like the
+ * V1 app kept a list per sheet combination and difficulty. Sprint entries also hold `durationSeconds`,
+ * as only sprints of the same length can be compared, and test entries hold the scoring strategy (`scoring`),
+ * as e.g. the streak bonus gives much higher totals than counting only correct answers.
+ */
+const HighscoreTables = Object.freeze({
+    single: StorageKeys.Highscores,
+    sprint: StorageKeys.SprintHighscores,
+    survival: StorageKeys.SurvivalHighscores,
+});
+
+/**
+ * Identifies a sheet set, independent of the order the sheets were picked in.
+ * @param {string[]} [sheetIds]
+ * @returns {string | null} The sorted sheet IDs joined with ',', null without sheets (e.g. a review round).
+ */
+function getSheetKey(sheetIds) {
+    return Array.isArray(sheetIds) && sheetIds.length > 0 ? [...sheetIds].sort().join(',') : null;
+}
+
+/**
+ * Describes the sheet set of a game for a stored entry.
+ * @param {string[]} [sheetIds]
+ * @param {string[]} [sheetNames] - Display names in the order of sheetIds (multiplayer results name them on the host);
+ *        looked up in QuestionsManager when missing.
+ * @returns {{sheetKey: string | null, level: string | null}} `level` lists the sheet names in the order of the sheet key.
+ */
+function describeSheets(sheetIds, sheetNames = []) {
+    const sheetKey = getSheetKey(sheetIds);
+    if (!sheetKey) return { sheetKey: null, level: null };
+    const level = sheetIds
+        .map((id, index) => ({ id, name: sheetNames[index] || questionsManager.getSheetDisplayName(id) || id }))
+        .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .map(sheet => sheet.name)
+        .join(', ');
+    return { sheetKey, level };
+}
+
+/**
+ * Maps a score migrated from V1 onto the sheet set it was played on. V1 stored the sheet names in the
+ * order they were picked followed by the difficulty, e.g. "Tafel van 7, Tafel van 3 (Hard)".
+ * When a name doesn't match exactly one current sheet, the score keeps a legacy sheet set of its own.
+ * @param {object} entry - A stored score entry with the V1 name in `level` and no `sheetKey`.
+ * @param {Array<{id: string, name: string}>} sheets - The available sheets, see QuestionsManager.getAvailableSheets.
+ * @returns {object} A copy of the entry with `sheetKey` and `level`.
+ */
+function mapV1Entry(entry, sheets) {
+    const sheetNames = entry.level.replace(V1_DIFFICULTY_SUFFIX, '');
+    const sheetIds = sheetNames.split(', ').map(name => {
+        const matching = sheets.filter(sheet => sheet.name === name);
+        return matching.length === 1 ? matching[0].id : null;
+    });
+    if (sheetIds.every(Boolean)) {
+        return { ...entry, ...describeSheets(sheetIds) };
+    }
+    return { ...entry, sheetKey: `${LEGACY_SHEET_KEY_PREFIX}${sheetNames}`, level: `${sheetNames} (oude lijst)` };
+}
+
+/**
+ * The sheet set a stored entry belongs to. Scores migrated from V1 get a `sheetKey` when the table is loaded
+ * (see mapV1Entry); until then their `level` holds the V1 sheet combination, so they are grouped by that.
+ * @param {object} entry - A stored score entry.
+ * @returns {string | null}
+ */
+function getEntrySheetKey(entry) {
+    return entry.sheetKey || entry.level || null;
+}
+
+/**
+ * The scoring strategy a stored entry was scored with. Entries from before the strategies (and the sprint
+ * and survival entries, which don't use one) were scored the classic way.
+ * @param {object} entry - A stored score entry.
+ * @returns {string}
+ */
+function getEntryScoring(entry) {
+    return entry.scoring || DEFAULT_SCORING;
+}
+
+/**
+ * Identifies the list an entry competes in within its table: the same sheet set, difficulty, scoring and sprint length.
+ * @param {object} entry - A stored score entry.
+ * @returns {string}
+ */
+function getListKey(entry) {
+    return JSON.stringify([getEntrySheetKey(entry), entry.difficulty || null, getEntryScoring(entry), entry.durationSeconds ?? null]);
+}
 
 /**
  * Manages loading, saving, and retrieving high scores.
- * Uses localStorage for persistence.
+ * Uses StorageService for persistence.
  */
 class HighscoreManager {
     constructor() {
         console.info("[HighscoreManager] Initializing...");
-        this.highscores = this.loadHighscores();
+        /** @type {Object<string, Array<object>>} Score lists per table, see HighscoreTables */
+        this.tables = Object.fromEntries(Object.keys(HighscoreTables).map(table => [table, []]));
+        /** @type {Array<object>} Multiplayer matches played on this device, most recent first */
+        this.matches = [];
+        this.loadPromise = Promise.all([
+            ...Object.keys(HighscoreTables).map(table => this.loadHighscores(table)),
+            this.loadMatchHistory()
+        ]);
 
         // Listen for game finished events to potentially add new scores
         eventBus.on(Events.Game.Finished, this.handleGameFinished.bind(this));
@@ -21,73 +125,194 @@ class HighscoreManager {
     }
 
     /**
-     * Loads high scores from local storage.
-     * @returns {Array<object>} The loaded high scores, sorted descending by score.
+     * Returns the list of a table.
+     * @param {'single' | 'sprint' | 'survival'} table
+     * @returns {Array<object>}
+     * @private
+     */
+    _getTable(table) {
+        return this.tables[table] || this.tables.single;
+    }
+
+    /**
+     * Checks whether a stored entry belongs to the list described by the filter; missing filter values match every entry.
+     * @param {object} entry - A stored score entry.
+     * @param {object} filter
+     * @param {string} [filter.profileId]
+     * @param {string} [filter.sheetKey]
+     * @param {string} [filter.difficulty]
+     * @param {string} [filter.scoring]
+     * @param {number} [filter.durationSeconds]
+     * @returns {boolean}
+     * @private
+     */
+    _matchesFilter(entry, { profileId, sheetKey, difficulty, scoring, durationSeconds }) {
+        return (!profileId || entry.profileId === profileId)
+            && (!sheetKey || getEntrySheetKey(entry) === sheetKey)
+            && (!difficulty || entry.difficulty === difficulty)
+            && (!scoring || getEntryScoring(entry) === scoring)
+            && (durationSeconds === undefined || entry.durationSeconds === durationSeconds);
+    }
+
+    /**
+     * Loads the high scores of a table from storage, sorted descending by score.
+     * Unreadable data is left in storage (and reported) instead of being reset.
+     * @param {'single' | 'sprint' | 'survival'} [table='single']
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadHighscores(table = 'single') {
+        try {
+            const scores = await storageService.get(HighscoreTables[table]);
+            if (scores === undefined) {
+                console.log("[HighscoreManager] No scores stored yet. Starting with empty list.");
+                return;
+            }
+            // Basic validation
+            if (!Array.isArray(scores)) {
+                console.warn("[HighscoreManager] Invalid high score data found in storage. Ignoring it.");
+                return;
+            }
+            const validScores = scores.filter(s => s && typeof s === 'object' && 'name' in s && typeof s.score === 'number');
+            if (validScores.length < scores.length) {
+                console.warn(`[HighscoreManager] Skipped ${scores.length - validScores.length} invalid score entries.`);
+            }
+            const sortedScores = validScores.sort((a, b) => b.score - a.score);
+            this.tables[table] = sortedScores;
+            console.log(`[HighscoreManager] Loaded ${sortedScores.length} ${table} scores from storage.`);
+            await this._mapV1Scores(table);
+        } catch (error) {
+            console.error("[HighscoreManager] Error loading high scores from storage:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Kon de highscores niet laden.', level: 'error' });
+        }
+    }
+
+    /**
+     * Gives the scores migrated from V1 the sheet key of their sheet set (see mapV1Entry), so they join
+     * the lists of V2 scores on the same sheets, and saves the table once they are mapped.
+     * Leaves them as they are when the sheets can't be loaded.
+     * @param {'single' | 'sprint' | 'survival'} table
+     * @returns {Promise<void>}
      * @private
      */
-    loadHighscores() {
+    async _mapV1Scores(table) {
+        const scores = this._getTable(table);
+        if (!scores.some(entry => !entry.sheetKey && entry.level)) return;
         try {
-            const storedScores = localStorage.getItem(HIGHSCORE_STORAGE_KEY);
-            if (storedScores) {
-                const scores = JSON.parse(storedScores);
-                // Basic validation
-                if (Array.isArray(scores) && scores.every(s => typeof s === 'object' && 'name' in s && 'score' in s)) {
-                     console.log(`[HighscoreManager] Loaded ${scores.length} scores from localStorage.`);
-                     // Ensure scores are sorted
-                     return scores.sort((a, b) => b.score - a.score);
-                } else {
-                    console.warn("[HighscoreManager] Invalid data found in localStorage. Resetting high scores.");
-                    localStorage.removeItem(HIGHSCORE_STORAGE_KEY);
-                }
+            await questionsManager.initialize(); // Resolves at once when already initialized
+        } catch (error) {
+            console.warn("[HighscoreManager] Sheets not available, V1 scores keep their V1 names for now.", error);
+            return;
+        }
+        const sheets = questionsManager.getAvailableSheets();
+        this.tables[table] = scores.map(entry => (!entry.sheetKey && entry.level ? mapV1Entry(entry, sheets) : entry));
+        console.log(`[HighscoreManager] Mapped the V1 scores of the ${table} table to sheet sets.`);
+        await this.saveHighscores(table);
+    }
+
+    /**
+     * Loads the multiplayer match history from storage.
+     * Unreadable data is left in storage (and reported) instead of being reset.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadMatchHistory() {
+        try {
+            const matches = await storageService.get(StorageKeys.MatchHistory);
+            if (matches === undefined) return;
+            if (!Array.isArray(matches)) {
+                console.warn("[HighscoreManager] Invalid match history found in storage. Ignoring it.");
+                return;
             }
+            this.matches = matches.filter(m => m && typeof m === 'object' && typeof m.score === 'number' && Array.isArray(m.opponents));
+            console.log(`[HighscoreManager] Loaded ${this.matches.length} matches from storage.`);
+        } catch (error) {
+            console.error("[HighscoreManager] Error loading match history from storage:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Kon de gespeelde potjes niet laden.', level: 'error' });
+        }
+    }
+
+    /**
+     * Saves the multiplayer match history to storage.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async saveMatchHistory() {
+        try {
+            await storageService.set(StorageKeys.MatchHistory, this.matches);
         } catch (error) {
-            console.error("[HighscoreManager] Error loading high scores from localStorage:", error);
+            // StorageService already informed the user
+            console.error("[HighscoreManager] Error saving match history to storage:", error);
         }
-        console.log("[HighscoreManager] No valid scores found in localStorage. Starting with empty list.");
-        return [];
     }
 
     /**
-     * Saves the current high scores list to local storage.
+     * Saves the high scores list of a table to storage.
+     * @param {'single' | 'sprint' | 'survival'} [table='single']
+     * @returns {Promise<void>}
      * @private
      */
-    saveHighscores() {
+    async saveHighscores(table = 'single') {
         try {
-            localStorage.setItem(HIGHSCORE_STORAGE_KEY, JSON.stringify(this.highscores));
-            console.log(`[HighscoreManager] Saved ${this.highscores.length} scores to localStorage.`);
+            const scores = this._getTable(table);
+            await storageService.set(HighscoreTables[table], scores);
+            console.log(`[HighscoreManager] Saved ${scores.length} ${table} scores to storage.`);
         } catch (error) {
-            console.error("[HighscoreManager] Error saving high scores to localStorage:", error);
-            eventBus.emit(Events.System.ShowFeedback, { message: 'Could not save high score.', level: 'error' });
+            // StorageService already informed the user
+            console.error("[HighscoreManager] Error saving high scores to storage:", error);
         }
     }
 
     /**
-     * Adds a new score to the high scores list if it qualifies.
-     * Keeps the list sorted and capped at MAX_HIGHSCORES.
+     * Adds a new score to the high scores list if it qualifies for the top MAX_HIGHSCORES of its sheet set and difficulty.
+     * Keeps the stored table sorted, with at most MAX_STORED_PER_LIST entries per list, so lists with low scores
+     * (e.g. easy sheets) keep their entries. Emits Events.Highscore.RecordSet when the score is the best of its list.
      * @param {string} name - Player name.
      * @param {number} score - Achieved score.
-     * @returns {boolean} True if the score was added, false otherwise.
+     * @param {string | null} [profileId=null] - Profile that achieved the score, for the per-profile list.
+     * @param {object} [options]
+     * @param {'single' | 'sprint' | 'survival'} [options.table='single'] - The table to add the score to.
+     * @param {number} [options.durationSeconds] - (sprint) Length of the sprint.
+     * @param {string[]} [options.sheetIds] - Sheets the score was achieved on.
+     * @param {string} [options.difficulty] - Difficulty the score was achieved on.
+     * @param {string} [options.scoring] - (single) Scoring strategy the score was achieved with.
+     * @returns {Promise<boolean>} True if the score was added, false otherwise.
      */
-    addHighscore(name, score) {
+    async addHighscore(name, score, profileId = null, { table = 'single', durationSeconds, sheetIds, difficulty, scoring } = {}) {
+        await this.loadPromise;
+
         if (typeof name !== 'string' || typeof score !== 'number' || score <= 0) {
             console.warn(`[HighscoreManager] Invalid score attempt: Name='${name}', Score=${score}`);
             return false;
         }
 
-        const newScoreEntry = { name, score, date: new Date().toISOString() };
+        const { sheetKey, level } = describeSheets(sheetIds);
+        const newScoreEntry = { name, score, date: new Date().toISOString(), profileId, sheetKey, level, difficulty: difficulty || null };
+        if (table === 'sprint') newScoreEntry.durationSeconds = durationSeconds;
+        if (table === 'single') newScoreEntry.scoring = scoring || DEFAULT_SCORING;
+        const scores = this._getTable(table);
+        // Only scores on the same sheets and difficulty (and sprints of the same length) compete
+        const listKey = getListKey(newScoreEntry);
+        const competing = scores.filter(entry => getListKey(entry) === listKey);
+        const isRecord = competing.length === 0 || score > competing[0].score;
 
         // Check if the score is high enough
-        if (this.highscores.length < MAX_HIGHSCORES || score > this.highscores[this.highscores.length - 1].score) {
-            this.highscores.push(newScoreEntry);
-            this.highscores.sort((a, b) => b.score - a.score); // Sort descending by score
+        if (competing.length < MAX_HIGHSCORES || score > competing[MAX_HIGHSCORES - 1].score) {
+            scores.push(newScoreEntry);
+            scores.sort((a, b) => b.score - a.score); // Sort descending by score
 
-            // Keep only the top N scores
-            if (this.highscores.length > MAX_HIGHSCORES) {
-                this.highscores.length = MAX_HIGHSCORES;
+            // Keep only the top N scores of this list in storage; the new entry is in its top MAX_HIGHSCORES
+            const dropped = new Set(scores.filter(entry => getListKey(entry) === listKey).slice(MAX_STORED_PER_LIST));
+            if (dropped.size > 0) {
+                this.tables[table] = scores.filter(entry => !dropped.has(entry));
             }
 
-            console.log(`[HighscoreManager] Added new high score: ${name} - ${score}. List size: ${this.highscores.length}`);
-            this.saveHighscores();
+            console.log(`[HighscoreManager] Added new ${table} high score: ${name} - ${score}. Table size: ${this._getTable(table).length}`);
+            await this.saveHighscores(table);
+            if (isRecord) {
+                console.log(`[HighscoreManager] New ${table} record for '${newScoreEntry.level}' (${newScoreEntry.difficulty}): ${score}.`);
+                eventBus.emit(Events.Highscore.RecordSet, { table, entry: { ...newScoreEntry } });
+            }
             return true;
         } else {
             console.log(`[HighscoreManager] Score ${score} by ${name} not high enough to make the list.`);
@@ -96,48 +321,165 @@ class HighscoreManager {
     }
 
     /**
-     * Returns the current list of high scores.
+     * Returns the top MAX_HIGHSCORES high scores.
+     * @param {object} [filter={}]
+     * @param {string} [filter.profileId] - Only scores of this profile.
+     * @param {'single' | 'sprint' | 'survival'} [filter.table='single'] - The table to read.
+     * @param {string} [filter.sheetKey] - Only scores on this sheet set; all sheet sets when omitted.
+     * @param {string} [filter.difficulty] - Only scores on this difficulty; all difficulties when omitted.
+     * @param {string} [filter.scoring] - (single) Only scores with this scoring strategy; all strategies when omitted.
+     * @param {number} [filter.durationSeconds] - (sprint) Only sprints of this length.
      * @returns {Array<object>} A copy of the high scores list.
      */
-    getHighscores() {
-        return [...this.highscores]; // Return a copy to prevent external modification
+    getHighscores({ profileId, table = 'single', sheetKey, difficulty, scoring, durationSeconds } = {}) {
+        const scores = this._getTable(table).filter(entry => this._matchesFilter(entry, { profileId, sheetKey, difficulty, scoring, durationSeconds }));
+        return scores.slice(0, MAX_HIGHSCORES); // Return a copy to prevent external modification
+    }
+
+    /**
+     * Records a finished multiplayer game from the view of the local player: their placement and score,
+     * and the names and scores of the other players.
+     * @param {object} results - Multiplayer results (`rankings`, `settings`, `sheetNames`, `localPeerId`).
+     * @returns {Promise<object | null>} The stored match, or null when the local player is not in the rankings.
+     */
+    async addMatch(results) {
+        await this.loadPromise;
+
+        const rankings = Array.isArray(results?.rankings) ? results.rankings : [];
+        const own = rankings.find(ranking => ranking.peerId === results.localPeerId);
+        if (!own || rankings.length < 2) {
+            console.warn("[HighscoreManager] Multiplayer results without the local player or opponents, match not recorded.");
+            return null;
+        }
+
+        const { sheetKey, level } = describeSheets(results.settings?.sheetIds, results.sheetNames);
+        const match = {
+            date: new Date().toISOString(),
+            profileId: profileService.getActiveProfile()?.id || null,
+            name: own.name,
+            score: own.score,
+            // Players with the same score share a place
+            placement: 1 + rankings.filter(ranking => ranking.score > own.score).length,
+            playerCount: rankings.length,
+            opponents: rankings.filter(ranking => ranking !== own).map(({ name, score }) => ({ name, score })),
+            sheetKey,
+            level,
+            difficulty: results.settings?.difficulty || null
+        };
+        this.matches.unshift(match);
+        if (this.matches.length > MAX_STORED_MATCHES) {
+            this.matches.length = MAX_STORED_MATCHES;
+        }
+        console.log(`[HighscoreManager] Recorded match: place ${match.placement} of ${match.playerCount}, ${match.score} points.`);
+        await this.saveMatchHistory();
+        return match;
+    }
+
+    /**
+     * Returns the most recent MAX_MATCHES matches and the head-to-head results per opponent name:
+     * a win when the local player scored more than that opponent, a loss when less.
+     * @param {object} [filter={}]
+     * @param {string} [filter.profileId] - Only matches of this profile.
+     * @param {string} [filter.sheetKey] - Only matches on this sheet set.
+     * @param {string} [filter.difficulty] - Only matches on this difficulty.
+     * @returns {{matches: Array<object>, opponents: Array<{name: string, wins: number, losses: number, draws: number}>}}
+     *          Opponents sorted by the number of games played against them.
+     */
+    getMatchHistory({ profileId, sheetKey, difficulty } = {}) {
+        const matches = this.matches.filter(match => this._matchesFilter(match, { profileId, sheetKey, difficulty }));
+        const opponents = new Map();
+        matches.forEach(match => match.opponents.forEach(opponent => {
+            const record = opponents.get(opponent.name) || { name: opponent.name, wins: 0, losses: 0, draws: 0 };
+            if (match.score > opponent.score) record.wins++;
+            else if (match.score < opponent.score) record.losses++;
+            else record.draws++;
+            opponents.set(opponent.name, record);
+        }));
+        const gamesPlayed = (record) => record.wins + record.losses + record.draws;
+        return {
+            matches: matches.slice(0, MAX_MATCHES),
+            opponents: [...opponents.values()].sort((a, b) => gamesPlayed(b) - gamesPlayed(a) || a.name.localeCompare(b.name, 'nl'))
+        };
+    }
+
+    /**
+     * Returns the sheet sets that have scores in a table, for the sheet filter of the highscores view.
+     * @param {'single' | 'sprint' | 'survival' | 'matches'} [table='single']
+     * @returns {Array<{sheetKey: string, level: string}>} Sorted by name.
+     */
+    getSheetSets(table = 'single') {
+        const sheetSets = new Map();
+        const entries = table === 'matches' ? this.matches : this._getTable(table);
+        entries.forEach(entry => {
+            const sheetKey = getEntrySheetKey(entry);
+            if (sheetKey && !sheetSets.has(sheetKey)) {
+                sheetSets.set(sheetKey, { sheetKey, level: entry.level || sheetKey });
+            }
+        });
+        return [...sheetSets.values()].sort((a, b) => a.level.localeCompare(b.level, 'nl'));
     }
 
     /**
      * Handles the Game.Finished event to potentially add a new high score.
-     * Only considers single-player game results for now.
+     * Only considers single-player, sprint and survival results for now; sprints and survival runs go in their own table.
+     * Multiplayer games are kept in the match history instead.
      * @param {object} payload - Event payload.
-     * @param {'single' | 'multiplayer' | 'practice'} payload.mode - Game mode.
+     * @param {'single' | 'multiplayer' | 'practice' | 'sprint' | 'survival'} payload.mode - Game mode.
      * @param {object} payload.results - Game results.
      * @private
      */
-    handleGameFinished({ mode, results }) {
+    async handleGameFinished({ mode, results }) {
+        const list = { sheetIds: results?.settings?.sheetIds, difficulty: results?.settings?.difficulty };
         // Only record high scores for single player mode for now
         if (mode === 'single' && results && typeof results.score === 'number') {
             // Assume results contains playerName, adjust if needed based on actual payload
             const playerName = results.playerName || 'Player'; // Use a default if name isn't passed
-            this.addHighscore(playerName, results.score);
+            await this.addHighscore(playerName, results.score, results.profileId || null, { ...list, scoring: results.settings?.scoring });
+        } else if (mode === 'sprint' && results && typeof results.score === 'number') {
+            await this.addHighscore(results.playerName || 'Player', results.score, results.profileId || null,
+                { ...list, table: 'sprint', durationSeconds: results.durationSeconds });
+        } else if (mode === 'survival' && results && typeof results.runLength === 'number') {
+            await this.addHighscore(results.playerName || 'Player', results.runLength, results.profileId || null, { ...list, table: 'survival' });
         } else if (mode === 'practice') {
             console.log("[HighscoreManager] Practice mode finished, no high score recorded.");
-        } else if (mode === 'multiplayer') {
-            console.log("[HighscoreManager] Multiplayer mode finished, individual high score recording TBD.");
-             // TODO: Decide how/if to record MP high scores (e.g., highest score in the match?)
+        } else if (mode === 'multiplayer' && results) {
+            // Not a highscore: the placement only means something against the same opponents
+            await this.addMatch(results);
         }
     }
 
     /**
      * Handles the request to show the high scores view.
-     * Emits the Loaded event with the current scores.
+     * Emits the Loaded event with the current scores and the sheet sets of the table; for 'matches'
+     * with the match history instead of scores.
+     * @param {object} [payload] - Events.Menu.Highscores.ShowRequested payload.
+     * @param {string} [payload.profileId] - Only show the scores of this profile.
+     * @param {'single' | 'sprint' | 'survival' | 'matches'} [payload.table='single'] - The table to show.
+     * @param {string} [payload.sheetKey] - Only scores on this sheet set.
+     * @param {string} [payload.difficulty] - Only scores on this difficulty.
+     * @param {string} [payload.scoring] - (single) Only scores with this scoring strategy.
+     * @param {number} [payload.durationSeconds] - (sprint) Only sprints of this length.
      * @private
      */
-     handleShowRequest() {
+     async handleShowRequest({ profileId, table = 'single', sheetKey, difficulty, scoring, durationSeconds } = {}) {
         console.log("[HighscoreManager] Received ShowRequested event for Highscores.");
         try {
-             // Ensure scores are loaded (they should be by constructor, but check again)
-             if (!this.highscores) {
-                 this.highscores = this.loadHighscores();
-             }
-            eventBus.emit(Events.Menu.Highscores.Loaded, { scores: this.getHighscores() });
+            // Ensure scores are loaded (started by the constructor)
+            await this.loadPromise;
+            if (table === 'matches') {
+                eventBus.emit(Events.Menu.Highscores.Loaded, {
+                    scores: [],
+                    table,
+                    sheetSets: this.getSheetSets(table),
+                    ...this.getMatchHistory({ profileId, sheetKey, difficulty })
+                });
+                return;
+            }
+            eventBus.emit(Events.Menu.Highscores.Loaded, {
+                scores: this.getHighscores({ profileId, table, sheetKey, difficulty, scoring, durationSeconds }),
+                table,
+                sheetSets: this.getSheetSets(table)
+            });
             // The UIManager or HighscoresComponent will handle navigation
         } catch (error) {
             console.error("[HighscoreManager] Error handling highscore show request:", error);
@@ -250,9 +250,10 @@ class MultiplayerClientManager {
                  break;
 
             case 'game_over':
-                // Payload example: { results: { rankings: [...], scores: {...} } }
+                // Payload example: { results: { rankings: [...], scores: {...}, settings: {...}, sheetNames: [...] } }
                 this.isGameActive = false;
-                eventBus.emit(Events.Game.Finished, { mode: 'multiplayer', results: payload.results });
+                // localPeerId tells which ranking is ours (HighscoreManager keeps the match history)
+                eventBus.emit(Events.Game.Finished, { mode: 'multiplayer', results: { ...payload.results, localPeerId: webRTCManager.getMyPeerId() } });
                 this.resetState();
                 break;
 
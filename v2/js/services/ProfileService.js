@@ -0,0 +1,245 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import storageService, { StorageKeys } from './StorageService.js';
+
+const MAX_NAME_LENGTH = 20;
+
+/**
+ * Avatars a profile can pick from.
+ * @type {ReadonlyArray<string>}
+ */
+export const PROFILE_AVATARS = Object.freeze(['🦄', '🐱', '🐶', '🐼', '🦊', '🐸', '🐵', '🐯', '🐙', '🦖', '🐝', '🐧']);
+
+/**
+ * @typedef {object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} avatar - One of PROFILE_AVATARS.
+ * @property {string} createdAt - ISO timestamp.
+ */
+
+/**
+ * Manages the local player profiles, so several children can share one device.
+ * One profile is active at a time: its name is used in the games, and highscores,
+ * statistics, practice progress and private custom sheets are kept per profile ID.
+ * Emits Events.Profile.Changed after loading and after every change.
+ */
+class ProfileService {
+    constructor() {
+        console.info("[ProfileService] Initializing...");
+        /** @type {Profile[]} */
+        this.profiles = [];
+        this.activeProfileId = null;
+        this.loadPromise = this.loadProfiles();
+
+        eventBus.on(Events.UI.Profiles.CreateClicked, this.handleCreateClicked.bind(this));
+        eventBus.on(Events.UI.Profiles.SelectClicked, this.handleSelectClicked.bind(this));
+        eventBus.on(Events.UI.Profiles.UpdateClicked, this.handleUpdateClicked.bind(this));
+        eventBus.on(Events.UI.Profiles.DeleteClicked, this.handleDeleteClicked.bind(this));
+    }
+
+    /**
+     * Loads the profiles from storage and announces the active profile.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadProfiles() {
+        try {
+            const stored = await storageService.get(StorageKeys.Profiles);
+            if (stored && Array.isArray(stored.profiles)) {
+                this.profiles = stored.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string');
+                this.activeProfileId = this.getProfile(stored.activeProfileId) ? stored.activeProfileId : null;
+            }
+            console.log(`[ProfileService] Loaded ${this.profiles.length} profile(s).`);
+        } catch (error) {
+            console.error("[ProfileService] Error loading profiles:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Kon de spelers niet laden.', level: 'error' });
+        }
+        this._emitChanged();
+    }
+
+    /**
+     * Saves the profiles and announces the change.
+     * @returns {Promise<void>}
+     * @throws {Error} If storing fails (StorageService already informs the user).
+     * @private
+     */
+    async _saveAndAnnounce() {
+        await storageService.set(StorageKeys.Profiles, { profiles: this.profiles, activeProfileId: this.activeProfileId });
+        this._emitChanged();
+    }
+
+    /** @private */
+    _emitChanged() {
+        eventBus.emit(Events.Profile.Changed, { activeProfile: this.getActiveProfile(), profiles: this.getProfiles() });
+    }
+
+    /**
+     * Resolves once the stored profiles are loaded.
+     * @returns {Promise<void>}
+     */
+    ready() {
+        return this.loadPromise;
+    }
+
+    /**
+     * @returns {Profile[]} A copy of all profiles, in creation order.
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * @param {string} profileId
+     * @returns {Profile | null}
+     */
+    getProfile(profileId) {
+        const profile = this.profiles.find(candidate => candidate.id === profileId);
+        return profile ? { ...profile } : null;
+    }
+
+    /**
+     * @returns {Profile | null} The profile that is playing, or null when none is picked yet.
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    /**
+     * Checks a profile name and returns it trimmed.
+     * @param {string} name
+     * @param {string | null} ignoreProfileId - The profile being renamed.
+     * @returns {string}
+     * @throws {Error} With a message for the user when the name is empty, too long or already used.
+     * @private
+     */
+    _validateName(name, ignoreProfileId) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) throw new Error('Vul een naam in.');
+        if (trimmed.length > MAX_NAME_LENGTH) throw new Error(`Een naam mag maximaal ${MAX_NAME_LENGTH} tekens lang zijn.`);
+        const taken = this.profiles.some(profile => profile.id !== ignoreProfileId && profile.name.toLowerCase() === trimmed.toLowerCase());
+        if (taken) throw new Error(`Er is al een speler met de naam '${trimmed}'.`);
+        return trimmed;
+    }
+
+    /**
+     * Creates a profile and makes it the active one.
+     * @param {string} name
+     * @param {string} [avatar] - Defaults to the first avatar.
+     * @returns {Promise<Profile>}
+     * @throws {Error} If the name is invalid or the profile could not be stored.
+     */
+    async createProfile(name, avatar) {
+        await this.loadPromise;
+        const profile = {
+            id: `profile_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            name: this._validateName(name, null),
+            avatar: PROFILE_AVATARS.includes(avatar) ? avatar : PROFILE_AVATARS[0],
+            createdAt: new Date().toISOString()
+        };
+        this.profiles.push(profile);
+        this.activeProfileId = profile.id;
+        await this._saveAndAnnounce();
+        console.log(`[ProfileService] Created profile '${profile.name}' (${profile.id}).`);
+        return { ...profile };
+    }
+
+    /**
+     * Renames a profile and/or changes its avatar.
+     * @param {string} profileId
+     * @param {{name?: string, avatar?: string}} changes
+     * @returns {Promise<void>}
+     * @throws {Error} If the profile does not exist, the name is invalid or storing fails.
+     */
+    async updateProfile(profileId, { name, avatar }) {
+        await this.loadPromise;
+        const profile = this.profiles.find(candidate => candidate.id === profileId);
+        if (!profile) throw new Error('Deze speler bestaat niet meer.');
+        if (name !== undefined) profile.name = this._validateName(name, profileId);
+        if (PROFILE_AVATARS.includes(avatar)) profile.avatar = avatar;
+        await this._saveAndAnnounce();
+        console.log(`[ProfileService] Updated profile ${profileId}.`);
+    }
+
+    /**
+     * Makes a profile the active one.
+     * @param {string} profileId
+     * @returns {Promise<void>}
+     * @throws {Error} If the profile does not exist or storing fails.
+     */
+    async setActiveProfile(profileId) {
+        await this.loadPromise;
+        if (!this.getProfile(profileId)) throw new Error('Deze speler bestaat niet meer.');
+        this.activeProfileId = profileId;
+        await this._saveAndAnnounce();
+        console.log(`[ProfileService] Active profile is now ${profileId}.`);
+    }
+
+    /**
+     * Deletes a profile. When it was the active one, no profile is active afterwards.
+     * Emits Events.Profile.Deleted so services can remove what they kept for the profile.
+     * @param {string} profileId
+     * @returns {Promise<void>}
+     * @throws {Error} If the profile does not exist or storing fails.
+     */
+    async deleteProfile(profileId) {
+        await this.loadPromise;
+        if (!this.getProfile(profileId)) throw new Error('Deze speler bestaat niet meer.');
+        this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+        if (this.activeProfileId === profileId) this.activeProfileId = null;
+        await this._saveAndAnnounce();
+        eventBus.emit(Events.Profile.Deleted, { profileId });
+        console.log(`[ProfileService] Deleted profile ${profileId}.`);
+    }
+
+    /**
+     * Runs a profile action for a UI event and reports failures to the user.
+     * @param {function(): Promise<any>} action
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runUiAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error("[ProfileService] Profile action failed:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: error.message || 'Er ging iets mis.', level: 'warn' });
+        }
+    }
+
+    /**
+     * @param {object} payload - Events.UI.Profiles.CreateClicked payload.
+     * @private
+     */
+    handleCreateClicked({ name, avatar }) {
+        return this._runUiAction(() => this.createProfile(name, avatar));
+    }
+
+    /**
+     * @param {object} payload - Events.UI.Profiles.SelectClicked payload.
+     * @private
+     */
+    handleSelectClicked({ profileId }) {
+        return this._runUiAction(() => this.setActiveProfile(profileId));
+    }
+
+    /**
+     * @param {object} payload - Events.UI.Profiles.UpdateClicked payload.
+     * @private
+     */
+    handleUpdateClicked({ profileId, name, avatar }) {
+        return this._runUiAction(() => this.updateProfile(profileId, { name, avatar }));
+    }
+
+    /**
+     * @param {object} payload - Events.UI.Profiles.DeleteClicked payload.
+     * @private
+     */
+    handleDeleteClicked({ profileId }) {
+        return this._runUiAction(() => this.deleteProfile(profileId));
+    }
+}
+
+// Create and export a singleton instance
+const profileService = new ProfileService();
+export default profileService;
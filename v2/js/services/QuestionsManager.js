@@ -1,30 +1,51 @@
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
+import templateUtils from '../utils/templateUtils.js';
+import sheetLinter from './SheetLinter.js';
+import storageService, { StorageKeys } from './StorageService.js';
 
 // Configuration and constants
 const CONFIG_PATH = './config.json'; // Path to the config file relative to index.html
 const DEFAULT_SHEET_DIR = './'; // Base directory for default sheets
-const CUSTOM_SHEETS_STORAGE_KEY = 'customSheets';
+const DISTRACTOR_SEPARATOR = '|'; // Separates the correct answer from explicit wrong answers
+const CUSTOM_SHEETS_GROUP = 'Mijn vragenlijsten'; // Group shown for the user's own sheets
+const CUSTOM_SHEETS_ICON = '✏️';
+
+/**
+ * Metadata of a default sheet file, from an entry in config.json.
+ * An entry is either a file name string ("tafels.txt") or an object with at least `file`.
+ * @typedef {object} SheetMetadata
+ * @property {string} file - File name of the sheet, relative to DEFAULT_SHEET_DIR.
+ * @property {string} title - Display title of the sheet (defaults to the file name without extension).
+ * @property {string} group - Group shown in the selection screen, e.g. "Rekenen" (defaults to the title).
+ * @property {string | null} grade - Target grade or age, e.g. "groep 4-5".
+ * @property {string[]} tags - Extra search terms.
+ * @property {string | null} icon - Emoji or short text shown before the group/title.
+ */
 
 /**
  * Manages loading and accessing question sheet data.
- * Handles fetching default sheets (discovered via config.json) and custom sheets (localStorage).
+ * Handles fetching default sheets (discovered via config.json) and custom sheets (StorageService).
  */
 class QuestionsManager {
     constructor() {
-        this.customSheets = new Map(); // Stores { name, questions: [{ question, answer }] }
+        this.customSheets = new Map(); // Stores { name, questions: [{ question, answer }], ownerProfileId? }
         this.loadedQuestionsCache = new Map(); // Caches parsed CATEGORY OBJECTS keyed by FILE ID (e.g., 'tafels')
-        this.selectableItems = []; // Holds { id: string, name: string, isCustom: boolean } for UI
+        this.selectableItems = []; // Holds { id, name, isCustom, sheetTitle, group, grade, tags, icon } for UI
+        this.activeProfileId = null; // Private custom sheets of other profiles are not selectable
         this.isInitialized = false;
         this.initializationPromise = null;
         this.initialize();
 
+        eventBus.on(Events.Profile.Changed, this._handleProfileChanged.bind(this));
+        eventBus.on(Events.Profile.Deleted, this._handleProfileDeleted.bind(this));
+
         console.info("[QuestionsManager] Instance created. Initialization started.");
     }
 
     /**
      * Initializes the QuestionsManager by discovering default sheets from config.json
-     * and loading custom sheets from localStorage.
+     * and loading custom sheets from storage.
      * @returns {Promise<void>} A promise that resolves when initialization is complete.
      */
     async initialize() {
@@ -38,7 +59,7 @@ class QuestionsManager {
                 await this._discoverAndParseDefaultSheets();
 
                 // Load custom sheets and add them to selectable items
-                this._loadCustomSheetsAndAddToSelectable();
+                await this._loadCustomSheetsAndAddToSelectable();
 
                 this.isInitialized = true;
                 console.log(`[QuestionsManager] Initialization complete. ${this.selectableItems.length} selectable items available.`);
@@ -99,49 +120,38 @@ class QuestionsManager {
                 return; // Stop discovery
             }
 
-            const loadPromises = config.sheets.map(async (sheetFilename) => {
-                if (typeof sheetFilename !== 'string' || !sheetFilename.endsWith('.txt')) {
-                    console.warn(`[QuestionsManager] Skipping invalid sheet entry in config: ${sheetFilename}`);
-                    return; // Skip this file
+            const sheetEntries = config.sheets
+                .map(entry => this._normalizeSheetEntry(entry))
+                .filter(Boolean);
+
+            // Load in parallel, but add the categories in config order so groups stay stable
+            const loadResults = await Promise.allSettled(sheetEntries.map(metadata => this._loadDefaultSheet(metadata)));
+            loadResults.forEach((result, index) => {
+                const metadata = sheetEntries[index];
+                if (result.status === 'rejected') {
+                    console.error(`[QuestionsManager] Failed to load/parse sheet ${metadata.file}:`, result.reason);
+                    return; // Do not add to selectableItems if load/parse fails
                 }
-                const fileId = sheetFilename.replace('.txt', '');
-                const path = `${DEFAULT_SHEET_DIR}${sheetFilename}`;
-
-                try {
-                    // console.debug(`[QuestionsManager] Fetching ${path}...`);
-                    const response = await fetch(path);
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status} for ${path}`);
-                    }
-                    const sheetText = await response.text();
-                    // Parse into category object { "Cat Name": [...] }
-                    const parsedCategoryObject = this._parseSheetText(sheetText, fileId);
-
-                    // Cache the full parsed object keyed by fileId
-                    if (Object.keys(parsedCategoryObject).length > 0) {
-                        this.loadedQuestionsCache.set(fileId, parsedCategoryObject);
-                        // console.debug(`[QuestionsManager] Cached category object for file: ${fileId}`);
-
-                        // Add each category title to selectableItems
-                        Object.keys(parsedCategoryObject).forEach(categoryTitle => {
-                            this.selectableItems.push({
-                                id: `${fileId}:${categoryTitle}`, // Composite ID
-                                name: categoryTitle,
-                                isCustom: false
-                            });
-                            discoveredCount++;
-                            // console.debug(`[QuestionsManager] Added selectable category: ${categoryTitle} (ID: ${fileId}:${categoryTitle})`);
-                        });
-                    } else {
-                         console.warn(`[QuestionsManager] No categories/questions parsed from ${sheetFilename}, skipping.`);
-                    }
-                } catch (loadError) {
-                    console.error(`[QuestionsManager] Failed to load/parse sheet ${sheetFilename}:`, loadError);
-                    // Do not add to selectableItems if load/parse fails
+                const { fileId, categoryTitles } = result.value;
+                if (categoryTitles.length === 0) {
+                    console.warn(`[QuestionsManager] No categories/questions parsed from ${metadata.file}, skipping.`);
+                    return;
                 }
+                // Add each category title to selectableItems
+                categoryTitles.forEach(categoryTitle => {
+                    this.selectableItems.push({
+                        id: `${fileId}:${categoryTitle}`, // Composite ID
+                        name: categoryTitle,
+                        isCustom: false,
+                        sheetTitle: metadata.title,
+                        group: metadata.group,
+                        grade: metadata.grade,
+                        tags: metadata.tags,
+                        icon: metadata.icon
+                    });
+                    discoveredCount++;
+                });
             });
-
-            await Promise.allSettled(loadPromises); // Wait for all files to be processed
             console.log(`[QuestionsManager] Discovered and parsed ${discoveredCount} categories from default sheets.`);
 
         } catch (error) {
@@ -150,162 +160,255 @@ class QuestionsManager {
         }
     }
 
+    /**
+     * Turns a config.json sheet entry into sheet metadata.
+     * Supports the original string format ("tafels.txt") and the object format
+     * ({ file, title?, group?, grade?, tags?, icon? }).
+     * @param {string | object} entry - The entry from config.sheets.
+     * @returns {SheetMetadata | null} The metadata, or null for an invalid entry.
+     * @private
+     */
+    _normalizeSheetEntry(entry) {
+        const fields = typeof entry === 'string' ? { file: entry } : entry;
+        if (!fields || typeof fields !== 'object' || typeof fields.file !== 'string' || !fields.file.endsWith('.txt')) {
+            console.warn("[QuestionsManager] Skipping invalid sheet entry in config:", entry);
+            return null;
+        }
+        const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+        const title = optionalText(fields.title) || fields.file.replace('.txt', '');
+        return {
+            file: fields.file,
+            title,
+            group: optionalText(fields.group) || title,
+            grade: typeof fields.grade === 'number' ? String(fields.grade) : optionalText(fields.grade),
+            tags: Array.isArray(fields.tags) ? fields.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim()) : [],
+            icon: optionalText(fields.icon)
+        };
+    }
+
+    /**
+     * Fetches and parses one default sheet file and caches its categories.
+     * @param {SheetMetadata} metadata
+     * @returns {Promise<{fileId: string, categoryTitles: string[]}>}
+     * @throws {Error} If fetching or parsing fails.
+     * @private
+     */
+    async _loadDefaultSheet(metadata) {
+        const fileId = metadata.file.replace('.txt', '');
+        const path = `${DEFAULT_SHEET_DIR}${metadata.file}`;
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${path}`);
+        }
+        const sheetText = await response.text();
+        // Parse into category object { "Cat Name": [...] }
+        const parsedCategoryObject = this._parseSheetText(sheetText, fileId);
+        const categoryTitles = Object.keys(parsedCategoryObject);
+        if (categoryTitles.length > 0) {
+            // Cache the full parsed object keyed by fileId
+            this.loadedQuestionsCache.set(fileId, parsedCategoryObject);
+        }
+        return { fileId, categoryTitles };
+    }
+
     /** Loads custom sheets and adds their metadata to the selectableItems list. */
-    _loadCustomSheetsAndAddToSelectable() {
-        console.log("[QuestionsManager] Loading custom sheets from localStorage...");
-        // Load data first (uses CUSTOM_SHEETS_STORAGE_KEY = 'customSheets')
-        this._loadCustomSheets(); // This populates this.customSheets Map
+    async _loadCustomSheetsAndAddToSelectable() {
+        await this._loadCustomSheets(); // This populates this.customSheets Map
 
         // Now add them to the selectable list
-        this.customSheets.forEach((sheetData, sheetId) => {
-            this.selectableItems.push({
-                id: sheetId, // Use the custom sheet's unique ID
-                name: sheetData.name || 'Naamloos', // Use stored name
-                isCustom: true
-            });
-        });
+        this._syncCustomSelectableItems();
          console.log(`[QuestionsManager] Added ${this.customSheets.size} custom sheets to selectable items.`);
     }
 
-    /** Loads custom sheets from localStorage. */
-    _loadCustomSheets() {
-        console.log("[QuestionsManager] Loading custom sheets from localStorage...");
+    /**
+     * Loads custom sheets from storage.
+     * Read errors leave the stored data untouched; the app then continues without custom sheets.
+     */
+    async _loadCustomSheets() {
+        console.log("[QuestionsManager] Loading custom sheets from storage...");
         try {
-            const storedData = localStorage.getItem(CUSTOM_SHEETS_STORAGE_KEY);
-            if (storedData) {
-                const parsedData = JSON.parse(storedData);
-                if (typeof parsedData === 'object' && parsedData !== null) {
-                    this.customSheets = new Map(Object.entries(parsedData));
-                    // console.log(`[QuestionsManager] Loaded ${this.customSheets.size} custom sheets data.`);
-                } else {
-                    console.warn("[QuestionsManager] Invalid data format found in localStorage for custom sheets. Starting fresh.");
-                    this.customSheets = new Map();
-                    localStorage.removeItem(CUSTOM_SHEETS_STORAGE_KEY);
-                }
+            const storedData = await storageService.get(StorageKeys.CustomSheets);
+            if (storedData && typeof storedData === 'object' && !Array.isArray(storedData)) {
+                this.customSheets = new Map(Object.entries(storedData));
             } else {
-                // console.log("[QuestionsManager] No custom sheets found in localStorage.");
+                if (storedData !== undefined) {
+                    console.warn("[QuestionsManager] Unexpected data format for custom sheets in storage. Ignoring it.");
+                }
                 this.customSheets = new Map();
             }
         } catch (error) {
-            console.error("[QuestionsManager] Error loading custom sheets from localStorage:", error);
+            console.error("[QuestionsManager] Error loading custom sheets from storage:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Kon eigen vragenlijsten niet laden.', level: 'error' });
             this.customSheets = new Map();
         }
     }
 
-    /** Saves the current custom sheets map to localStorage. */
-    _saveCustomSheets() {
-        try {
-            // Convert Map to object for JSON serialization
-            const objectToStore = Object.fromEntries(this.customSheets);
-            localStorage.setItem(CUSTOM_SHEETS_STORAGE_KEY, JSON.stringify(objectToStore));
-            console.debug("[QuestionsManager] Custom sheets saved to localStorage.");
-        } catch (error) {
-            console.error("[QuestionsManager] Error saving custom sheets to localStorage:", error);
-            eventBus.emit(Events.System.ErrorOccurred, { message: 'Kon eigen vragenlijsten niet opslaan.', error });
-        }
+    /**
+     * Saves the current custom sheets map to storage.
+     * @returns {Promise<void>}
+     * @throws {Error} If storing fails (StorageService already informs the user).
+     */
+    async _saveCustomSheets() {
+        // Convert Map to object for storage
+        await storageService.set(StorageKeys.CustomSheets, Object.fromEntries(this.customSheets));
+        console.debug("[QuestionsManager] Custom sheets saved to storage.");
     }
 
     /**
      * Parses text content with categories into a structured object.
-     * Mimics V1 parsing logic.
-     * @param {string} text - The raw text content with categories separated by double newlines.
+     * Categories are blocks separated by empty lines, each starting with a title line (V1 format).
+     * @param {string} text - The raw text content with categories separated by empty lines.
      * @param {string} sheetIdForLogging - The sheet ID for error messages.
-     * @returns {Object.<string, Array<{question: string, answer: string}>>} Object mapping category title to question array.
-     * @throws {Error} If parsing fails on any line.
+     * @returns {Object.<string, Array<{question: string, answer: string}>>} Object mapping category title to question array (questions may carry `distractors`).
+     * @throws {Error} If any line is invalid (the message points to the first invalid line).
      * @private
      */
     _parseSheetText(text, sheetIdForLogging) {
-        // V1 Parsing Logic
-        const categories = text.replace(/\r/g, '').trim().split('\n\n');
-        const questionsData = {};
-        let firstErrorLine = -1;
-        let firstErrorMessage = null;
-
-        categories.forEach((categoryBlock, catIndex) => {
-            if (firstErrorMessage) return; // Stop if error found
-
-            const lines = categoryBlock.split('\n');
-            if (lines.length === 0) return; // Skip empty blocks
-
-            const titleLine = lines.shift();
-            // Handle potential parsing issue if title line is missing or empty
-            if (!titleLine) {
-                 console.warn(`[QuestionsManager] Empty block or missing title in sheet '${sheetIdForLogging}', category index ${catIndex}. Skipping.`);
-                 return;
-            }
-            const title = titleLine.trim().replace(/:$/, '').trim(); // Remove trailing colon if present
-             if (!title) {
-                 console.warn(`[QuestionsManager] Invalid empty title found in sheet '${sheetIdForLogging}', category index ${catIndex}. Skipping category.`);
-                 return; // Skip category with empty title
-            }
+        const { categories, issues } = this.lintSheetText(text, { hasCategories: true });
+        const firstError = issues.find(issue => issue.severity === 'error');
+        if (firstError) {
+            const message = `Ongeldig formaat op regel ${firstError.line}, kolom ${firstError.column} in sheet '${sheetIdForLogging}': ${firstError.message}`;
+            console.error(`[QuestionsManager] Parsing error: ${message}`);
+            throw new Error(message);
+        }
 
-            questionsData[title] = []; // Initialize category array
-
-            lines.forEach((line, lineIndex) => {
-                if (firstErrorMessage) return; // Stop if error found
-
-                const trimmedLine = line.trim();
-                if (!trimmedLine || trimmedLine.startsWith('//')) return; // Skip empty lines or comments
-
-                const parts = trimmedLine.split('=>');
-                if (parts.length === 2) {
-                    const question = parts[0].trim();
-                    const answer = parts[1].trim();
-                    if (question && answer) {
-                        questionsData[title].push({ question, answer });
-                    } else {
-                        // Calculate approximate original line number
-                        let cumulativeLine = 1; // Start with title line
-                        for(let i = 0; i < catIndex; i++) {
-                           cumulativeLine += categories[i].split('\n').length + 1; // lines + newline separator
-                        }
-                        cumulativeLine += lineIndex + 1; // 0-based line index within category + title line offset
-
-                        firstErrorLine = cumulativeLine
-                        firstErrorMessage = `Ongeldig formaat op regel ~${firstErrorLine} in sheet '${sheetIdForLogging}' (Categorie: '${title}'): Lege vraag of antwoord.`;
-                    }
-                } else {
-                     let cumulativeLine = 1;
-                     for(let i = 0; i < catIndex; i++) {
-                        cumulativeLine += categories[i].split('\n').length + 1;
-                     }
-                     cumulativeLine += lineIndex + 1;
-
-                    firstErrorLine = cumulativeLine;
-                    firstErrorMessage = `Ongeldig formaat op regel ~${firstErrorLine} in sheet '${sheetIdForLogging}' (Categorie: '${title}'): Gebruik "Vraag => Antwoord".`;
-                }
-            });
-             // Remove category if it ended up empty (e.g., only contained comments)
-             if (questionsData[title].length === 0) {
-                 delete questionsData[title];
-             }
+        if (issues.length > 0) {
+            console.debug(`[QuestionsManager] Sheet '${sheetIdForLogging}' parsed with ${issues.length} warning(s).`, issues);
+        }
+        if (Object.keys(categories).length === 0 && text.trim() !== '') {
+            console.warn(`[QuestionsManager] No valid categories or questions found after parsing sheet '${sheetIdForLogging}'. Check format.`);
+        }
+
+        return categories;
+    }
+
+    /**
+     * Lints sheet text and reports every problem with its exact line and column (see SheetLinter).
+     * @param {string} text - The raw sheet text.
+     * @param {object} [options]
+     * @param {boolean} [options.hasCategories=false] - True for the category format of default sheets, false for custom sheets.
+     * @returns {import('./SheetLinter.js').LintResult}
+     */
+    lintSheetText(text, { hasCategories = false } = {}) {
+        return sheetLinter.lint(text, {
+            hasCategories,
+            buildQuestion: (questionPart, answerPart) => this._buildQuestion(questionPart, answerPart)
+        });
+    }
+
+    /**
+     * Splits the answer part of a sheet line ("Antwoord | Fout 1 | Fout 2") into
+     * the correct answer and its explicit distractors.
+     * Empty segments and distractors equal to the answer (case-insensitive) are dropped.
+     * @param {string} answerPart - Everything after the '=>' separator.
+     * @returns {{answer: string, distractors: string[]}}
+     * @private
+     */
+    _parseAnswerPart(answerPart) {
+        const [answerSegment, ...distractorSegments] = answerPart.split(DISTRACTOR_SEPARATOR);
+        const answer = answerSegment.trim();
+        const seen = new Set([answer.toLowerCase()]);
+        const distractors = [];
+        distractorSegments.forEach(segment => {
+            const distractor = segment.trim();
+            if (!distractor || seen.has(distractor.toLowerCase())) return;
+            seen.add(distractor.toLowerCase());
+            distractors.push(distractor);
         });
+        return { answer, distractors };
+    }
 
-        if (firstErrorMessage) {
-            console.error(`[QuestionsManager] Parsing error: ${firstErrorMessage}`);
-            throw new Error(firstErrorMessage);
+    /**
+     * Creates a question object from the two halves of a sheet line, only adding the distractors
+     * property when there are any. Lines with placeholders (e.g. "{a:1-10} x {b:1-10} => {a*b}")
+     * become template questions that are expanded when a round loads (see getQuestionsForSheet).
+     * @param {string} questionPart - Text before '=>'.
+     * @param {string} answerPart - Text after '=>' (answer, optional distractors and template count).
+     * @returns {{question: string, answer: string, distractors?: string[], template?: boolean, templateCount?: number} | null}
+     *          The question, or null if the question or answer is empty.
+     * @throws {Error} If the line is a template that cannot be generated.
+     * @private
+     */
+    _buildQuestion(questionPart, answerPart) {
+        const question = questionPart.trim();
+        const isTemplate = templateUtils.isTemplate(question) || templateUtils.isTemplate(answerPart);
+        let templateCount = null;
+        if (isTemplate) {
+            ({ answerPart, count: templateCount } = templateUtils.extractCount(answerPart));
+        }
+        const { answer, distractors } = this._parseAnswerPart(answerPart);
+        if (!question || !answer) {
+            return null;
         }
 
-        if (Object.keys(questionsData).length === 0 && categories.length > 0 && categories[0].trim() !== '') {
-            console.warn(`[QuestionsManager] No valid categories or questions found after parsing sheet '${sheetIdForLogging}'. Check format.`);
+        const result = distractors.length > 0 ? { question, answer, distractors } : { question, answer };
+        if (isTemplate) {
+            result.template = true;
+            if (templateCount) result.templateCount = templateCount;
+            templateUtils.instantiate(result); // Throws early on invalid placeholders
         }
+        return result;
+    }
 
-        return questionsData; // Return the category object
+    /**
+     * Replaces template questions with freshly generated concrete questions.
+     * Invalid templates (which should have been rejected while parsing) are skipped.
+     * @param {Array<object>} questions - Questions as stored for a sheet/category.
+     * @param {function(): number} [random=Math.random] - Source of random numbers for the generated values.
+     * @returns {Array<{question: string, answer: string, distractors?: string[]}>}
+     * @private
+     */
+    _expandTemplates(questions, random = Math.random) {
+        if (!questions.some(q => q.template)) {
+            return questions;
+        }
+        return questions.flatMap(q => {
+            if (!q.template) return [q];
+            try {
+                return templateUtils.expandTemplate(q, random);
+            } catch (error) {
+                console.error(`[QuestionsManager] Could not expand template '${q.question} => ${q.answer}':`, error);
+                return [];
+            }
+        });
     }
 
     // --- Custom Sheet Management ---
 
     /**
-     * Parses raw text (expected format: Question => Answer per line)
+     * Parses raw custom sheet text (one "Vraag => Antwoord [| Fout ...]" per line) without saving it.
+     * Every invalid line is reported, so imports and editors can show all problems at once.
+     * @param {string} questionsText - The raw text (Vraag => Antwoord | Fout | Fout format).
+     * @returns {{questions: Array<object>, errors: Array<{line: number, column: number, reason: string, message: string}>,
+     *           issues: Array<import('./SheetLinter.js').LintIssue>}}
+     *          The valid questions, one error per invalid line (1-based positions) and all lint issues including warnings.
+     */
+    parseCustomSheetText(questionsText) {
+        const { categories, issues } = this.lintSheetText(questionsText);
+        const errors = issues
+            .filter(issue => issue.severity === 'error')
+            .map(({ line, column, message }) => ({
+                line,
+                column,
+                reason: message,
+                message: `Ongeldig formaat op regel ${line}, kolom ${column}: ${message}`
+            }));
+        return { questions: categories[''] || [], errors, issues };
+    }
+
+    /**
+     * Parses raw text (expected format: Question => Answer [| Distractor ...] per line)
      * and saves it as a custom question sheet (flat array).
      * NOTE: This uses a different parsing than default sheets.
      * @param {string} sheetId - A unique ID for the sheet.
      * @param {string} name - The user-defined name for the sheet.
-     * @param {string} questionsText - The raw text input (Vraag => Antwoord format).
+     * @param {string} questionsText - The raw text input (Vraag => Antwoord | Fout | Fout format).
+     * @param {object} [options={}]
+     * @param {string | null} [options.ownerProfileId=null] - Makes the sheet private to this profile.
      * @returns {Promise<boolean>} True if successful, false otherwise.
-     * @throws {Error} If parsing fails.
+     * @throws {Error} If parsing fails (the message describes the first invalid line).
      */
-    async saveCustomSheetFromText(sheetId, name, questionsText) {
+    async saveCustomSheetFromText(sheetId, name, questionsText, { ownerProfileId = null } = {}) {
         await this._ensureInitialized();
         if (!sheetId || !name || typeof questionsText !== 'string') {
             console.error("[QuestionsManager] Invalid data provided for saveCustomSheetFromText.");
@@ -313,38 +416,17 @@ class QuestionsManager {
         }
         console.log(`[QuestionsManager] Parsing and saving custom sheet: ${name} (${sheetId})`);
         try {
-            // --- Parse flat list specifically for custom input ---
-            const lines = questionsText.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0 && !line.startsWith('//'));
-            const questions = [];
-            let firstErrorLine = -1;
-            let firstErrorMessage = null;
-            lines.forEach((line, index) => {
-                 if (firstErrorMessage) return;
-                 const parts = line.split('=>');
-                 if (parts.length === 2) {
-                     const question = parts[0].trim();
-                     const answer = parts[1].trim();
-                     if (question && answer) {
-                         questions.push({ question, answer });
-                     } else {
-                         firstErrorLine = index + 1;
-                         firstErrorMessage = `Ongeldig formaat op regel ${firstErrorLine}: Lege vraag of antwoord.`;
-                     }
-                 } else {
-                     firstErrorLine = index + 1;
-                     firstErrorMessage = `Ongeldig formaat op regel ${firstErrorLine}: Gebruik "Vraag => Antwoord".`;
-                 }
-            });
-             if (firstErrorMessage) throw new Error(firstErrorMessage);
-            // --- End flat list parsing ---
+            const { questions, errors } = this.parseCustomSheetText(questionsText);
+            if (errors.length > 0) throw new Error(errors[0].message);
 
             if (questions.length === 0) {
                 console.warn(`[QuestionsManager] No valid questions found in text for custom sheet ${name}, not saving.`);
                 throw new Error("Geen geldige vragen gevonden in de invoer.");
             }
             // Save the parsed data (as flat array for custom sheets)
-            this.customSheets.set(sheetId, { name, questions });
-            this._saveCustomSheets();
+            this.customSheets.set(sheetId, ownerProfileId ? { name, questions, ownerProfileId } : { name, questions });
+            await this._saveCustomSheets();
+            this._syncCustomSelectableItems();
             return true;
         } catch (error) {
             console.error(`[QuestionsManager] Error parsing or saving custom sheet ${name}:`, error);
@@ -369,7 +451,8 @@ class QuestionsManager {
         }
         console.log(`[QuestionsManager] Saving custom sheet: ${name} (${sheetId}) with ${questions.length} questions.`);
         this.customSheets.set(sheetId, { name, questions });
-        this._saveCustomSheets();
+        await this._saveCustomSheets();
+        this._syncCustomSelectableItems();
         return true;
     }
 
@@ -382,7 +465,8 @@ class QuestionsManager {
         await this._ensureInitialized();
         if (this.customSheets.has(sheetId)) {
             this.customSheets.delete(sheetId);
-            this._saveCustomSheets();
+            await this._saveCustomSheets();
+            this._syncCustomSelectableItems();
             console.log(`[QuestionsManager] Deleted custom sheet: ${sheetId}`);
             return true;
         }
@@ -390,21 +474,118 @@ class QuestionsManager {
         return false;
     }
 
+    /**
+     * Rebuilds the custom entries in selectableItems after custom sheets were added, renamed or removed,
+     * so lists built from getAvailableSheets() show the current custom sheets.
+     * Sheets private to another profile than the active one are left out.
+     * @private
+     */
+    _syncCustomSelectableItems() {
+        this.selectableItems = this.selectableItems.filter(item => !item.isCustom);
+        this.customSheets.forEach((sheetData, sheetId) => {
+            if (sheetData.ownerProfileId && sheetData.ownerProfileId !== this.activeProfileId) return;
+            const name = sheetData.name || 'Naamloos';
+            this.selectableItems.push({
+                id: sheetId, // Use the custom sheet's unique ID
+                name,
+                isCustom: true,
+                sheetTitle: name,
+                group: CUSTOM_SHEETS_GROUP,
+                grade: null,
+                tags: [],
+                icon: CUSTOM_SHEETS_ICON
+            });
+        });
+    }
+
+    /**
+     * Shows the private custom sheets of the newly active profile.
+     * @param {object} payload - Events.Profile.Changed payload.
+     * @param {object | null} payload.activeProfile
+     * @private
+     */
+    _handleProfileChanged({ activeProfile }) {
+        this.activeProfileId = activeProfile?.id || null;
+        this._syncCustomSelectableItems();
+    }
+
+    /**
+     * Keeps the private sheets of a deleted profile by sharing them with everyone.
+     * @param {object} payload - Events.Profile.Deleted payload.
+     * @param {string} payload.profileId
+     * @private
+     */
+    async _handleProfileDeleted({ profileId }) {
+        await this._ensureInitialized();
+        let changed = false;
+        this.customSheets.forEach(sheetData => {
+            if (sheetData.ownerProfileId !== profileId) return;
+            delete sheetData.ownerProfileId;
+            changed = true;
+        });
+        if (!changed) return;
+        this._syncCustomSelectableItems();
+        try {
+            await this._saveCustomSheets();
+        } catch (error) {
+            console.error("[QuestionsManager] Error saving custom sheets after profile deletion:", error);
+        }
+    }
+
+    /**
+     * Checks whether a custom sheet with the given name already exists (case-insensitive).
+     * @param {string} name - The name to check.
+     * @param {string} [ignoreSheetId] - A sheet ID to leave out, e.g. the sheet being renamed.
+     * @returns {boolean}
+     */
+    isCustomSheetNameTaken(name, ignoreSheetId = null) {
+        const wanted = (name || '').trim().toLowerCase();
+        for (const [sheetId, sheetData] of this.customSheets) {
+            if (sheetId !== ignoreSheetId && (sheetData.name || '').trim().toLowerCase() === wanted) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Suggests a name that no custom sheet uses yet by adding a number, e.g. "Tafels (2)".
+     * @param {string} name - The preferred name.
+     * @param {string[]} [reservedNames=[]] - Extra names to avoid (e.g. other sheets in the same import).
+     * @returns {string} The name itself when it is free, otherwise the first free numbered variant.
+     */
+    getUniqueCustomSheetName(name, reservedNames = []) {
+        const baseName = (name || '').trim() || 'Naamloos';
+        const reserved = new Set(reservedNames.map(n => n.trim().toLowerCase()));
+        const isFree = candidate => !this.isCustomSheetNameTaken(candidate) && !reserved.has(candidate.toLowerCase());
+        if (isFree(baseName)) return baseName;
+        let counter = 2;
+        while (!isFree(`${baseName} (${counter})`)) counter++;
+        return `${baseName} (${counter})`;
+    }
+
     /**
      * Formats an array of question objects back into text for the textarea.
-     * @param {Array<{question: string, answer: string}>} questions
+     * Explicit distractors are written back as "Vraag => Antwoord | Fout | Fout".
+     * Template questions keep their placeholders and optional "#N" count.
+     * @param {Array<{question: string, answer: string, distractors?: string[]}>} questions
      * @returns {string}
      */
     formatQuestionsForTextarea(questions) {
         if (!Array.isArray(questions)) return '';
-        return questions.map(q => `${q.question} => ${q.answer}`).join('\n');
+        return questions.map(q => {
+            const answerPart = [q.answer, ...(q.distractors || [])].join(` ${DISTRACTOR_SEPARATOR} `);
+            const countSuffix = q.template && q.templateCount ? ` #${q.templateCount}` : '';
+            return `${q.question} => ${answerPart}${countSuffix}`;
+        }).join('\n');
     }
 
     // --- Getting Sheets ---
 
     /**
      * Returns the combined list of selectable items (categories from default sheets + custom sheets).
-     * @returns {Array<{id: string, name: string, isCustom: boolean}>}
+     * Default categories carry the metadata of their sheet file; custom sheets are in the group CUSTOM_SHEETS_GROUP.
+     * @returns {Array<{id: string, name: string, isCustom: boolean, sheetTitle: string, group: string, grade: string | null, tags: string[], icon: string | null}>}
      */
     getAvailableSheets() {
         if (!this.isInitialized) {
@@ -417,11 +598,15 @@ class QuestionsManager {
     /**
      * Retrieves a flat array of questions for a given selectable item ID.
      * Handles custom sheets ID or composite IDs ('fileId:Category Title') for default sheets.
+     * Template rows are expanded into new concrete questions on every call.
      * @param {string} selectableId - The ID from the selectableItems list.
+     * @param {object} [options]
+     * @param {function(): number} [options.random] - Seeded random source for template rows, so they generate
+     *        the same questions on every device (daily challenge). Defaults to Math.random.
      * @returns {Promise<Array<{question: string, answer: string}>>} A promise resolving to the questions array.
      * @throws {Error} If the ID is invalid or questions cannot be retrieved.
      */
-    async getQuestionsForSheet(selectableId) {
+    async getQuestionsForSheet(selectableId, { random = Math.random } = {}) {
         await this._ensureInitialized();
 
         console.debug(`[QuestionsManager] getQuestionsForSheet requested for selectable ID: ${selectableId}`);
@@ -430,7 +615,7 @@ class QuestionsManager {
         if (this.customSheets.has(selectableId)) {
             console.debug(`[QuestionsManager] Returning questions from custom sheet: ${selectableId}`);
             const customSheetData = this.customSheets.get(selectableId);
-            return customSheetData.questions || [];
+            return this._expandTemplates(customSheetData.questions || [], random);
         }
 
         // 2. Try to parse as composite ID 'fileId:Category Title'
@@ -445,7 +630,7 @@ class QuestionsManager {
                 // Check if the specific category exists within the cached object
                 if (categoryObject && typeof categoryObject === 'object' && categoryObject.hasOwnProperty(categoryTitle)) {
                     console.debug(`[QuestionsManager] Returning questions for category '${categoryTitle}' from file '${fileId}'`);
-                    return categoryObject[categoryTitle] || []; // Return the array for that category
+                    return this._expandTemplates(categoryObject[categoryTitle] || [], random); // Template rows are generated per round
                 } else {
                     console.error(`[QuestionsManager] Category '${categoryTitle}' not found within cached data for file '${fileId}'.`);
                     throw new Error(`Categorie '${categoryTitle}' niet gevonden in bestand '${fileId}'.`);
@@ -464,20 +649,15 @@ class QuestionsManager {
 
     /**
      * Gets a display-friendly name for a given sheet ID.
-     * Placeholder implementation - adjust based on how sheet data is stored.
-     * @param {string} sheetId - The ID of the sheet (e.g., 'default_1', 'custom_abc').
+     * Default categories are shown with their sheet title when it adds information, e.g. "Rekenen: Makkelijk".
+     * @param {string} sheetId - The selectable ID (e.g., 'tafels:Tafel van 2', 'custom_abc').
      * @returns {string|null} The display name or null if not found.
      */
     getSheetDisplayName(sheetId) {
-        // Find in default categories
-        const defaultSheet = this.defaultCategories.find(cat => cat.id === sheetId);
-        if (defaultSheet) {
-            return defaultSheet.name;
-        }
-        // Find in custom sheets (assuming they are stored with id and name)
-        const customSheet = this.customSheets.find(sheet => sheet.id === sheetId);
-        if (customSheet) {
-            return customSheet.name; // Assuming custom sheets have a 'name' property
+        const item = this.selectableItems.find(selectable => selectable.id === sheetId);
+        if (item) {
+            const showSheetTitle = !item.isCustom && item.sheetTitle && !item.name.toLowerCase().includes(item.sheetTitle.toLowerCase());
+            return showSheetTitle ? `${item.sheetTitle}: ${item.name}` : item.name;
         }
         console.warn(`[QuestionsManager] Display name not found for sheetId: ${sheetId}`);
         return null; // Not found
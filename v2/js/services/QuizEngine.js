@@ -3,13 +3,18 @@ import Events from '../core/event-constants.js';
 // Import QuestionsManager
 import questionsManager from './QuestionsManager.js';
 import arrayUtils from '../utils/arrayUtils.js'; // Changed to default import
+import randomUtils from '../utils/randomUtils.js';
+import answerMatcher from './AnswerMatcher.js';
+import distractorGenerator from './DistractorGenerator.js';
+import { getDifficultyProfile, DEFAULT_DIFFICULTY } from '../core/difficulty-constants.js';
 
 /**
  * @typedef {object} Question
  * @property {string} question - The question text.
  * @property {string} answer - The correct answer text.
  * @property {string[]} [distractors] - Optional array of incorrect answer texts.
- * @property {string} [id] - Optional unique identifier for the question within its sheet.
+ * @property {string} [id] - Stable identifier: sheet ID plus normalized question text (see getQuestionId).
+ *           Stays the same across rounds, also for questions generated from templates.
  * @property {string} [sheetId] - The ID of the sheet this question belongs to.
  */
 
@@ -28,22 +33,50 @@ class QuizEngine {
         this.questions = []; // Array of all loaded questions for the current quiz round
         this.settings = null; // Store settings used for loading
         this.correctAnswerCount = 0; // Track correct answers internally for results
+        /** @type {Question[]} */
+        this.distractorPool = []; // All loaded questions, also those cut off by the round length
+        this.seed = null; // Set for reproducible rounds (daily challenge), null for a random round
+    }
+
+    /**
+     * Returns the difficulty profile for the currently loaded round.
+     * @returns {{optionCount: number, distractorCloseness: 'far' | 'mixed' | 'close', maxQuestions: number | null, questionDurationMs: number}}
+     */
+    getDifficultyProfile() {
+        return getDifficultyProfile(this.settings?.difficulty);
     }
 
     /**
      * Loads and shuffles questions from the specified sheet IDs and difficulty.
      * Stores the loaded questions internally.
+     * The difficulty determines the round length here, and the number and closeness
+     * of answer options in getShuffledAnswers (see core/difficulty-constants.js).
      * @param {string[]} sheetIds - Array of sheet IDs to load questions from.
-     * @param {string} [difficulty='medium'] - Difficulty level (currently unused by engine).
+     * @param {string} [difficulty='medium'] - Difficulty level ('easy', 'medium', 'hard').
+     * @param {object} [options]
+     * @param {function(Question[], number | null): (Question[] | Promise<Question[]>)} [options.selectRound] - Picks and
+     *        orders the questions of the round from all loaded questions and the maximum round length
+     *        (e.g. spaced repetition in practice mode). Defaults to shuffling and cutting off at the maximum.
+     * @param {Question[]} [options.questions] - Explicit questions for the round (e.g. a review of missed questions).
+     *        When given, the sheets are not loaded and every question is used, without round selection or limit.
+     * @param {string | null} [options.seed] - Makes the round reproducible: with the same seed and sheets, every
+     *        device gets the same questions (template rows included), in the same order and with the same
+     *        answer options. Without a seed the round is random.
      * @returns {Promise<void>}
      * @throws {Error} If no questions could be loaded.
      */
-    async loadQuestions(sheetIds, difficulty = 'medium') {
-        console.log(`[QuizEngine] Loading questions for sheets: ${sheetIds.join(', ')}`);
-        // Store settings for potential later use (e.g., difficulty affecting distractors)
-        this.settings = { sheetIds, difficulty };
+    async loadQuestions(sheetIds, difficulty = DEFAULT_DIFFICULTY, { selectRound = null, questions = null, seed = null } = {}) {
+        this.seed = seed;
+        if (Array.isArray(questions)) {
+            this._loadExplicitQuestions(sheetIds, difficulty, questions);
+            return;
+        }
+        console.log(`[QuizEngine] Loading questions for sheets: ${sheetIds.join(', ')} (difficulty: ${difficulty})`);
+        // Store settings, difficulty is used again when building answer options
+        this.settings = { sheetIds, difficulty: difficulty || DEFAULT_DIFFICULTY };
         // Reset internal state for new load
         this.questions = [];
+        this.distractorPool = [];
         this.correctAnswerCount = 0;
 
         eventBus.emit(Events.System.LoadingStart, { message: 'Vragen laden...' });
@@ -52,10 +85,14 @@ class QuizEngine {
 
             for (const sheetId of sheetIds) {
                 try {
-                    const sheetQuestions = await questionsManager.getQuestionsForSheet(sheetId);
+                    const sheetQuestions = await questionsManager.getQuestionsForSheet(sheetId, { random: this._getRandom(`sheet:${sheetId}`) });
                     if (sheetQuestions && sheetQuestions.length > 0) {
                         // Add sheetId context if not already present
-                        const processedQuestions = sheetQuestions.map(q => ({ ...q, sheetId: q.sheetId || sheetId }));
+                        const processedQuestions = sheetQuestions.map(q => ({
+                            ...q,
+                            sheetId: q.sheetId || sheetId,
+                            id: q.id || this.getQuestionId(q.sheetId || sheetId, q.question)
+                        }));
                         allLoadedQuestions = allLoadedQuestions.concat(processedQuestions);
                         console.log(`[QuizEngine] Loaded ${sheetQuestions.length} questions from ${sheetId}`);
                     } else {
@@ -73,14 +110,92 @@ class QuizEngine {
             }
 
             // Shuffle the combined list of questions
-            this.questions = arrayUtils.shuffleArray(allLoadedQuestions);
-            console.log(`[QuizEngine] Total ${this.questions.length} questions loaded and shuffled.`);
+            this.questions = arrayUtils.shuffleArray(allLoadedQuestions, this._getRandom('questions'));
+
+            // Limit the round length for the difficulty; distractors may still come from the full pool
+            this.distractorPool = [...this.questions];
+            const { maxQuestions } = this.getDifficultyProfile();
+            if (selectRound) {
+                this.questions = await selectRound([...this.questions], maxQuestions);
+            } else if (maxQuestions && this.questions.length > maxQuestions) {
+                this.questions = this.questions.slice(0, maxQuestions);
+            }
+            console.log(`[QuizEngine] Total ${this.questions.length} questions loaded and shuffled (pool: ${this.distractorPool.length}).`);
 
         } finally {
             eventBus.emit(Events.System.LoadingEnd);
         }
     }
 
+    /**
+     * Uses an explicit list of questions as the round, shuffled. They are also the distractor pool,
+     * so questions should carry their own distractors when there are only a few.
+     * @param {string[]} sheetIds - Sheet IDs the questions came from (kept in the settings).
+     * @param {string} difficulty
+     * @param {Question[]} questions
+     * @throws {Error} If the list contains no valid questions.
+     * @private
+     */
+    _loadExplicitQuestions(sheetIds, difficulty, questions) {
+        const validQuestions = questions.filter(q => q && typeof q.question === 'string' && typeof q.answer === 'string');
+        if (validQuestions.length === 0) {
+            throw new Error("No valid questions provided.");
+        }
+        this.settings = { sheetIds: sheetIds || [], difficulty: difficulty || DEFAULT_DIFFICULTY };
+        this.correctAnswerCount = 0;
+        this.questions = arrayUtils.shuffleArray(validQuestions.map(q => ({
+            ...q,
+            id: q.id || this.getQuestionId(q.sheetId || 'explicit', q.question)
+        })), this._getRandom('questions'));
+        this.distractorPool = [...this.questions];
+        console.log(`[QuizEngine] Loaded ${this.questions.length} explicit questions.`);
+    }
+
+    /**
+     * Returns the random source for one part of the round. With a seed every part gets its own
+     * generator, so the outcome doesn't depend on how often other parts drew numbers.
+     * @param {string} purpose - E.g. 'questions' or 'answers:3'.
+     * @returns {function(): number}
+     * @private
+     */
+    _getRandom(purpose) {
+        return this.seed ? randomUtils.createSeededRandom(`${this.seed}:${purpose}`) : Math.random;
+    }
+
+    /**
+     * Puts all loaded questions after the round once more, in a new order, for modes that keep
+     * asking until their time runs out (sprint). The last question asked is not repeated right away.
+     * @returns {number} Number of questions added.
+     */
+    appendShuffledPool() {
+        const lastQuestion = this.questions[this.questions.length - 1];
+        const added = arrayUtils.shuffleArray([...this.distractorPool], this._getRandom(`round:${this.questions.length}`));
+        if (added.length > 1 && added[0].id === lastQuestion?.id) {
+            added.push(added.shift());
+        }
+        this.questions.push(...added);
+        console.log(`[QuizEngine] Added ${added.length} questions again (round now ${this.questions.length}).`);
+        return added.length;
+    }
+
+    /**
+     * Builds the stable identity of a question, used to keep progress per question across rounds.
+     * @param {string} sheetId - The selectable sheet ID the question comes from.
+     * @param {string} questionText - The (generated) question text.
+     * @returns {string} E.g. 'tafels:Tafel van 7::7 x 8'.
+     */
+    getQuestionId(sheetId, questionText) {
+        return `${sheetId}::${answerMatcher.normalize(questionText)}`;
+    }
+
+    /**
+     * Returns the IDs of all loaded questions, also those cut off by the round length.
+     * @returns {string[]}
+     */
+    getPoolQuestionIds() {
+        return this.distractorPool.map(question => question.id).filter(Boolean);
+    }
+
     /**
      * Returns the total number of questions loaded for this round.
      * @returns {number}
@@ -116,7 +231,11 @@ class QuizEngine {
 
     /**
      * Generates and shuffles a list of potential answers for a given question index,
-     * including the correct answer and distractors (if available).
+     * including the correct answer and distractors.
+     * The difficulty profile decides how many options are shown and which distractors are picked:
+     * explicit distractors from the sheet ("Vraag => Antwoord | Fout | Fout") are preferred,
+     * then candidates from DistractorGenerator (near misses for numeric answers, then other answers
+     * from the pool), each ordered by closeness to the correct answer.
      * @param {number} index - The 0-based index of the question.
      * @returns {string[]} An array of shuffled answer strings, or empty array if index is invalid.
      */
@@ -126,68 +245,80 @@ class QuizEngine {
             return [];
         }
 
+        const { optionCount, distractorCloseness } = this.getDifficultyProfile();
+        const random = this._getRandom(`answers:${index}`);
+        const distractorCount = Math.max(1, optionCount - 1);
         const correctAnswer = currentQuestion.answer;
-        let allAnswers = [correctAnswer];
+        const normalize = (ans) => answerMatcher.normalize(ans);
+        const usedAnswers = new Set([normalize(correctAnswer)]);
+        const distractors = [];
 
-        // Add provided distractors
-        if (Array.isArray(currentQuestion.distractors) && currentQuestion.distractors.length > 0) {
-            allAnswers = allAnswers.concat(currentQuestion.distractors);
-        } else {
-            // Generate simple distractors from other answers in the pool if none provided
-            console.warn(`[QuizEngine] Question ${index} has no distractors. Generating simple ones.`);
-            const otherAnswers = this.questions
-                .map(q => q.answer)
-                // Filter out the correct answer and potential duplicates, ensure defined
-                .filter((ans, idx) => typeof ans === 'string' && ans.trim().toLowerCase() !== correctAnswer.trim().toLowerCase() && idx !== index)
-                 // Remove duplicates from potential distractors
-                .filter((ans, pos, self) => self.findIndex(a => a.trim().toLowerCase() === ans.trim().toLowerCase()) === pos)
-                .slice(0, 3); // Limit to max 3 distractors
+        /** Adds unique candidates (in the given order) until enough distractors are found. */
+        const addCandidates = (candidates) => {
+            for (const candidate of candidates) {
+                if (distractors.length >= distractorCount) break;
+                if (typeof candidate !== 'string' || usedAnswers.has(normalize(candidate))) continue;
+                usedAnswers.add(normalize(candidate));
+                distractors.push(candidate);
+            }
+        };
 
-            // Only add if we found any suitable distractors
-             if (otherAnswers.length > 0) {
-                  allAnswers = allAnswers.concat(otherAnswers);
-             } else {
-                  console.warn(`[QuizEngine] Could not generate distractors for question ${index}. Only correct answer will be shown.`);
-             }
+        // Add provided distractors first (skipping duplicates of the answer or each other)
+        if (Array.isArray(currentQuestion.distractors)) {
+            addCandidates(distractorGenerator.orderByCloseness(correctAnswer, currentQuestion.distractors, distractorCloseness, random));
         }
 
-        return arrayUtils.shuffleArray(allAnswers);
+        if (distractors.length < distractorCount) {
+            // Generate distractors based on the answer type, falling back to other answers in the pool
+            const poolAnswers = this.distractorPool
+                .filter(q => q.question !== currentQuestion.question)
+                .map(q => q.answer);
+            addCandidates(distractorGenerator.generate(currentQuestion, { poolAnswers, closeness: distractorCloseness, random }));
+            if (distractors.length === 0) {
+                console.warn(`[QuizEngine] Could not generate distractors for question ${index}. Only correct answer will be shown.`);
+            }
+        }
+
+        return arrayUtils.shuffleArray([correctAnswer, ...distractors], random);
     }
 
     /**
      * Checks a submitted answer against the correct answer for a given question index.
-     * Performs case-insensitive comparison after trimming whitespace.
+     * Matching is delegated to AnswerMatcher: case, whitespace and diacritics are ignored and
+     * alternates written as "Antwoord / Alternatief" are accepted. Typed answers may also contain small typos.
      * Increments internal correct answer count if correct.
      * @param {number} index - The 0-based index of the question to check against.
      * @param {string} submittedAnswer - The answer submitted by the player.
-     * @returns {{isCorrect: boolean, correctAnswer: string | null}} An object indicating if the answer was correct and the correct answer text.
+     * @param {object} [options]
+     * @param {boolean} [options.allowTypos=false] - Accept small spelling mistakes (used for typed answers).
+     * @returns {{isCorrect: boolean, isExact: boolean, correctAnswer: string | null}} An object indicating if the answer was correct,
+     *          whether it matched without typos, and the correct answer text.
      */
-    checkAnswer(index, submittedAnswer) {
+    checkAnswer(index, submittedAnswer, { allowTypos = false } = {}) {
         const question = this.getQuestionData(index);
         if (!question) {
             console.error(`[QuizEngine] checkAnswer called for invalid index: ${index}`);
-            return { isCorrect: false, correctAnswer: null };
+            return { isCorrect: false, isExact: false, correctAnswer: null };
         }
 
         const correctAnswer = question.answer;
-        let isCorrect = false;
+        let matchResult = { isCorrect: false, isExact: false };
 
-        // Perform case-insensitive comparison after trimming
         if (typeof submittedAnswer === 'string' && typeof correctAnswer === 'string') {
-            isCorrect = submittedAnswer.trim().toLowerCase() === correctAnswer.trim().toLowerCase();
+            matchResult = answerMatcher.match(submittedAnswer, correctAnswer, { allowTypos });
         } else {
             // Handle non-string comparison? For now, treat as incorrect.
             console.warn(`[QuizEngine] Comparing non-string answers for index ${index}: Submitted='${submittedAnswer}', Correct='${correctAnswer}'`);
         }
 
-        if (isCorrect) {
+        if (matchResult.isCorrect) {
              this.correctAnswerCount++;
-             console.log(`[QuizEngine] Answer for index ${index} is CORRECT. Total correct: ${this.correctAnswerCount}`);
+             console.log(`[QuizEngine] Answer for index ${index} is CORRECT${matchResult.isExact ? '' : ' (with typos)'}. Total correct: ${this.correctAnswerCount}`);
         } else {
             console.log(`[QuizEngine] Answer for index ${index} is INCORRECT.`);
         }
 
-        return { isCorrect: isCorrect, correctAnswer: correctAnswer };
+        return { isCorrect: matchResult.isCorrect, isExact: matchResult.isExact, correctAnswer: correctAnswer };
     }
     
     /**
@@ -206,63 +337,10 @@ class QuizEngine {
       getCorrectCount() {
           return this.correctAnswerCount;
       }
-
-    /**
-     * Generates distractor answers for a given correct answer.
-     * Tries to find related answers from the same sheet first.
-     * @param {string} correctAnswer - The correct answer.
-     * @param {string} currentSheetId - The sheet ID of the current question.
-     * @returns {string[]}
-     * @private
-     */
-    _generateDistractors(correctAnswer, currentSheetId) {
-        const distractors = new Set();
-
-        // Filter all loaded questions to find potential distractors
-        const allAnswers = this.questions.map(q => q.a);
-        const uniqueAnswers = [...new Set(allAnswers)];
-
-        // Prioritize answers from the same sheet (if possible and desired)
-        const sameSheetAnswers = this.questions
-            .filter(q => q.sheetId === currentSheetId && q.a !== correctAnswer)
-            .map(q => q.a);
-        const uniqueSameSheetAnswers = [...new Set(sameSheetAnswers)];
-
-        // Attempt to fill with same-sheet distractors first
-        arrayUtils.shuffleArray(uniqueSameSheetAnswers); // Use shuffleArray from arrayUtils
-        for (const answer of uniqueSameSheetAnswers) {
-            if (distractors.size >= MAX_DISTRACTORS) break;
-            if (answer !== correctAnswer) {
-                distractors.add(answer);
-            }
-        }
-
-        // If not enough distractors, fill with answers from other sheets
-        if (distractors.size < MAX_DISTRACTORS) {
-            const otherAnswers = uniqueAnswers.filter(a => a !== correctAnswer && !sameSheetAnswers.includes(a));
-            arrayUtils.shuffleArray(otherAnswers); // Use shuffleArray from arrayUtils
-            for (const answer of otherAnswers) {
-                if (distractors.size >= MAX_DISTRACTORS) break;
-                distractors.add(answer);
-            }
-        }
-
-        // Fallback: If still not enough, create simple variations (less ideal)
-        // This part is rudimentary and might need improvement
-        let fallbackCounter = 1;
-        while (distractors.size < MAX_DISTRACTORS) {
-            const fallback = `${correctAnswer}_v${fallbackCounter++}`;
-            if (!distractors.has(fallback)) {
-                distractors.add(fallback);
-            } else if (fallbackCounter > 100) {
-                 break; // Prevent infinite loop
-            }
-        }
-
-        return arrayUtils.shuffleArray(Array.from(distractors)); // Use shuffleArray from arrayUtils
-    }
 }
 
 // Create a singleton instance
 const quizEngine = new QuizEngine();
-export default quizEngine; 
\ No newline at end of file
+export default quizEngine; 
+// The class itself, for rounds built next to the game's instance (e.g. printed worksheets)
+export { QuizEngine };
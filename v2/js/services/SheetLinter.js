@@ -0,0 +1,228 @@
+import answerMatcher from './AnswerMatcher.js';
+import distractorGenerator from './DistractorGenerator.js';
+import { getDifficultyProfile, DEFAULT_DIFFICULTY } from '../core/difficulty-constants.js';
+
+const QUESTION_SEPARATOR = '=>';
+const COMMENT_PREFIX = '//';
+
+/**
+ * @typedef {object} LintIssue
+ * @property {number} line - 1-based line number in the original text.
+ * @property {number} column - 1-based column in the original line (tabs count as one column).
+ * @property {'error' | 'warning'} severity - Errors make the line unusable, warnings are questions that work but may confuse.
+ * @property {string} code - Stable identifier, e.g. 'missing-separator'.
+ * @property {string} message - Description for the user (Dutch, without the location).
+ */
+
+/**
+ * @typedef {object} LintResult
+ * @property {Object.<string, Array<object>>} categories - Valid questions per category title
+ *           (flat text uses a single category with an empty title).
+ * @property {LintIssue[]} issues - All problems, ordered by line and column.
+ */
+
+/**
+ * Checks sheet text line by line and reports every problem with its exact position,
+ * instead of stopping at the first error. Used by QuestionsManager for parsing and by
+ * CustomQuestionsComponent for live feedback in the editor.
+ *
+ * Turning a single line into a question is left to the caller (QuestionsManager._buildQuestion),
+ * so the linter and the parser can never disagree about what a valid line is.
+ */
+class SheetLinter {
+    constructor() {
+        console.log("[SheetLinter] Initialized.");
+    }
+
+    /**
+     * Lints sheet text.
+     * @param {string} text - The raw sheet text.
+     * @param {object} options
+     * @param {function(string, string): (object | null)} options.buildQuestion - Builds a question from the text before and
+     *        after '=>'. Returns null for an empty question/answer and throws for an invalid template.
+     * @param {boolean} [options.hasCategories=false] - True for default sheet files: blocks separated by empty lines,
+     *        each starting with a "Title:" line. False for custom sheets: every line is a question.
+     * @returns {LintResult}
+     */
+    lint(text, { buildQuestion, hasCategories = false }) {
+        const lines = typeof text === 'string' ? text.replace(/\r/g, '').split('\n') : [];
+        const issues = [];
+        const blocks = hasCategories ? this._splitIntoBlocks(lines) : [{ title: '', titleLine: null, lineIndexes: lines.map((_, i) => i) }];
+        const categories = {};
+
+        blocks.forEach(block => {
+            const entries = []; // { question, line, answerColumn }
+            block.lineIndexes.forEach(index => {
+                const entry = this._lintLine(lines[index], index + 1, buildQuestion, issues);
+                if (entry) entries.push(entry);
+            });
+            if (entries.length === 0) return;
+
+            if (Object.prototype.hasOwnProperty.call(categories, block.title)) {
+                issues.push(this._issue(block.titleLine, 1, 'warning', 'duplicate-category',
+                    `De categorie '${block.title}' bestaat al eerder in dit bestand; de vragen worden samengevoegd.`));
+            } else {
+                categories[block.title] = [];
+            }
+            this._checkDuplicates(entries, issues);
+            this._checkPoolSize(block, entries, issues);
+            categories[block.title].push(...entries.map(entry => entry.question));
+        });
+
+        issues.sort((a, b) => a.line - b.line || a.column - b.column);
+        return { categories, issues };
+    }
+
+    /**
+     * Splits category sheet lines into blocks. A block starts with a title line and ends at an empty line.
+     * Comment lines are ignored everywhere, also before a title.
+     * @param {string[]} lines
+     * @returns {Array<{title: string, titleLine: number, lineIndexes: number[]}>}
+     * @private
+     */
+    _splitIntoBlocks(lines) {
+        const blocks = [];
+        let current = null;
+        lines.forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                current = null; // An empty line ends the category
+                return;
+            }
+            if (trimmed.startsWith(COMMENT_PREFIX)) return;
+            if (!current) {
+                current = { title: trimmed.replace(/:$/, '').trim(), titleLine: index + 1, lineIndexes: [] };
+                blocks.push(current);
+                return;
+            }
+            current.lineIndexes.push(index);
+        });
+        return blocks;
+    }
+
+    /**
+     * Lints a single question line, reporting format errors.
+     * @param {string} line - The raw line.
+     * @param {number} lineNumber - 1-based line number.
+     * @param {function(string, string): (object | null)} buildQuestion
+     * @param {LintIssue[]} issues - Mutated: issues for this line are added.
+     * @returns {{question: object, line: number, answerColumn: number} | null} The parsed entry, or null when skipped/invalid.
+     * @private
+     */
+    _lintLine(line, lineNumber, buildQuestion, issues) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith(COMMENT_PREFIX)) return null;
+
+        const firstColumn = line.length - line.trimStart().length + 1;
+        const separatorIndex = line.indexOf(QUESTION_SEPARATOR);
+        if (separatorIndex === -1) {
+            issues.push(this._issue(lineNumber, firstColumn, 'error', 'missing-separator', 'Gebruik "Vraag => Antwoord".'));
+            return null;
+        }
+        const secondSeparatorIndex = line.indexOf(QUESTION_SEPARATOR, separatorIndex + QUESTION_SEPARATOR.length);
+        if (secondSeparatorIndex !== -1) {
+            issues.push(this._issue(lineNumber, secondSeparatorIndex + 1, 'error', 'multiple-separators',
+                'Er staat meer dan één "=>" op deze regel.'));
+            return null;
+        }
+
+        const questionPart = line.slice(0, separatorIndex);
+        const answerPart = line.slice(separatorIndex + QUESTION_SEPARATOR.length);
+        const answerColumn = separatorIndex + QUESTION_SEPARATOR.length + (answerPart.length - answerPart.trimStart().length) + 1;
+
+        if (!questionPart.trim()) {
+            issues.push(this._issue(lineNumber, firstColumn, 'error', 'empty-question', 'De vraag is leeg.'));
+            return null;
+        }
+
+        let question;
+        try {
+            question = buildQuestion(questionPart, answerPart);
+        } catch (templateError) {
+            const placeholderIndex = line.indexOf('{');
+            issues.push(this._issue(lineNumber, placeholderIndex === -1 ? firstColumn : placeholderIndex + 1, 'error',
+                'invalid-template', `Ongeldig sjabloon: ${templateError.message}`));
+            return null;
+        }
+        if (!question) {
+            issues.push(this._issue(lineNumber, Math.min(answerColumn, line.length + 1), 'error', 'empty-answer', 'Het antwoord is leeg.'));
+            return null;
+        }
+        return { question, line: lineNumber, answerColumn };
+    }
+
+    /**
+     * Reports repeated questions, and repeated answers that make multiple choice ambiguous
+     * (the same answer may then show up as a "wrong" option for another question).
+     * Template rows are skipped: their texts are generated per round.
+     * @param {Array<{question: object, line: number, answerColumn: number}>} entries - Valid lines of one category.
+     * @param {LintIssue[]} issues - Mutated.
+     * @private
+     */
+    _checkDuplicates(entries, issues) {
+        const firstQuestionLine = new Map();
+        const firstAnswerLine = new Map();
+        entries.forEach(({ question, line, answerColumn }) => {
+            if (question.template) return;
+
+            const questionKey = answerMatcher.normalize(question.question);
+            if (firstQuestionLine.has(questionKey)) {
+                issues.push(this._issue(line, 1, 'warning', 'duplicate-question',
+                    `Deze vraag staat ook al op regel ${firstQuestionLine.get(questionKey)}.`));
+            } else {
+                firstQuestionLine.set(questionKey, line);
+            }
+
+            const answerKey = answerMatcher.normalize(answerMatcher.getPrimaryAnswer(question.answer));
+            if (firstAnswerLine.has(answerKey)) {
+                issues.push(this._issue(line, answerColumn, 'warning', 'duplicate-answer',
+                    `Het antwoord '${question.answer}' is ook het antwoord op regel ${firstAnswerLine.get(answerKey)}. Bij meerkeuze kan dat verwarrend zijn.`));
+            } else {
+                firstAnswerLine.set(answerKey, line);
+            }
+        });
+    }
+
+    /**
+     * Warns when a category has too few different answers to fill the answer options of a
+     * multiple choice round. Questions with enough own distractors, number answers
+     * (near misses are generated) and templates don't need the pool.
+     * @param {{title: string, titleLine: number | null}} block
+     * @param {Array<{question: object, line: number}>} entries
+     * @param {LintIssue[]} issues - Mutated.
+     * @private
+     */
+    _checkPoolSize(block, entries, issues) {
+        const { optionCount } = getDifficultyProfile(DEFAULT_DIFFICULTY);
+        const needsPool = entries.some(({ question }) => !question.template
+            && (question.distractors?.length || 0) < optionCount - 1
+            && distractorGenerator.getAnswerType(question.answer) !== 'integer');
+        if (!needsPool) return;
+
+        const uniqueAnswers = new Set(entries.map(({ question }) => answerMatcher.normalize(question.answer)));
+        if (uniqueAnswers.size >= optionCount) return;
+
+        const subject = block.title ? `De categorie '${block.title}'` : 'Deze lijst';
+        issues.push(this._issue(block.titleLine ?? entries[0].line, 1, 'warning', 'too-few-questions',
+            `${subject} heeft maar ${uniqueAnswers.size} verschillende antwoorden. Voor meerkeuze zijn er minstens ${optionCount} nodig, ` +
+            `of geef zelf foute antwoorden op met ' | '.`));
+    }
+
+    /**
+     * Creates an issue object.
+     * @param {number} line
+     * @param {number} column
+     * @param {'error' | 'warning'} severity
+     * @param {string} code
+     * @param {string} message
+     * @returns {LintIssue}
+     * @private
+     */
+    _issue(line, column, severity, code, message) {
+        return { line, column, severity, code, message };
+    }
+}
+
+// Create and export a singleton instance
+const sheetLinter = new SheetLinter();
+export default sheetLinter;
@@ -0,0 +1,419 @@
+import questionsManager from './QuestionsManager.js';
+import compressionUtils from '../utils/compressionUtils.js';
+
+// File formats for exporting/importing custom sheets
+const BUNDLE_FORMAT = 'unicornpoep-sheets'; // Marks JSON files created by this app
+const BUNDLE_VERSION = 1;
+const CSV_DELIMITER = ';'; // Spreadsheet programs with Dutch settings expect ';'
+const CSV_HEADER = ['vraag', 'antwoord', 'fout 1', 'fout 2', 'fout 3'];
+const CSV_HEADER_NAMES = ['vraag', 'question'];
+const MAX_IMPORT_FILE_SIZE = 1024 * 1024; // 1 MB is far more than any question list needs
+
+// Share links: the sheet is compressed into the URL fragment (#sheet=...), so no server is involved
+const SHARE_FRAGMENT_KEY = 'sheet';
+const SHARE_PAYLOAD_VERSION = 1;
+const MAX_SHARE_URL_LENGTH = 8000; // Longer links get cut off by some chat apps and browsers
+const MAX_SHARED_SHEET_BYTES = 256 * 1024; // Cap on the decompressed payload of a received link
+const SHARED_SHEET_SOURCE_NAME = 'Gedeelde link'; // Shown as "file name" in import errors
+
+/**
+ * @typedef {object} ImportedSheet
+ * @property {string} name - Sheet name taken from the file name (txt/csv) or the bundle.
+ * @property {Array<object>} questions - Questions as parsed by QuestionsManager.parseCustomSheetText.
+ */
+
+/**
+ * @typedef {object} ImportError
+ * @property {string} fileName - The file the error was found in.
+ * @property {string} [sheetName] - The sheet within a JSON bundle, if applicable.
+ * @property {number | null} line - 1-based line (txt/csv) or question number (json), null for whole-file errors.
+ * @property {string} message - Description of the problem (Dutch, shown to the user).
+ */
+
+/**
+ * Converts custom sheets to downloadable files (native "=>" text, CSV or a JSON bundle)
+ * or self-contained share links, and parses those back into sheets. All question lines go through
+ * QuestionsManager.parseCustomSheetText, so imports accept exactly what the editor accepts.
+ */
+class SheetTransferService {
+    constructor() {
+        console.log("[SheetTransferService] Initialized.");
+    }
+
+    // --- Export ---
+
+    /**
+     * Creates an export file for one or more custom sheets.
+     * 'txt' and 'csv' export a single sheet; 'json' bundles all given sheets in one file.
+     * @param {string[]} sheetIds - IDs of the custom sheets to export.
+     * @param {'txt' | 'csv' | 'json'} format - The file format.
+     * @returns {{fileName: string, content: string, mimeType: string}}
+     * @throws {Error} If a sheet does not exist or the format is unknown.
+     */
+    createExport(sheetIds, format) {
+        const sheets = sheetIds.map(sheetId => {
+            const sheetData = questionsManager.customSheets.get(sheetId);
+            if (!sheetData) throw new Error(`Vragenlijst '${sheetId}' niet gevonden.`);
+            return { name: sheetData.name || 'Naamloos', questions: sheetData.questions || [] };
+        });
+        if (sheets.length === 0) throw new Error("Geen vragenlijsten om te exporteren.");
+
+        switch (format) {
+            case 'txt':
+                return {
+                    fileName: `${this._toFileName(sheets[0].name)}.txt`,
+                    content: questionsManager.formatQuestionsForTextarea(sheets[0].questions),
+                    mimeType: 'text/plain;charset=utf-8'
+                };
+            case 'csv':
+                return {
+                    fileName: `${this._toFileName(sheets[0].name)}.csv`,
+                    content: this._formatCsv(sheets[0].questions),
+                    mimeType: 'text/csv;charset=utf-8'
+                };
+            case 'json': {
+                const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), sheets };
+                const fileName = sheets.length === 1 ? this._toFileName(sheets[0].name) : 'unicornpoep-vragenlijsten';
+                return {
+                    fileName: `${fileName}.json`,
+                    content: JSON.stringify(bundle, null, 2),
+                    mimeType: 'application/json'
+                };
+            }
+            default:
+                throw new Error(`Onbekend exportformaat '${format}'.`);
+        }
+    }
+
+    /**
+     * Formats questions as CSV rows: question, answer, then one column per distractor.
+     * Template counts are kept as "#N" after the answer, like in the text format.
+     * @param {Array<object>} questions
+     * @returns {string}
+     * @private
+     */
+    _formatCsv(questions) {
+        const rows = [CSV_HEADER];
+        questions.forEach(q => {
+            const answer = q.template && q.templateCount ? `${q.answer} #${q.templateCount}` : q.answer;
+            rows.push([q.question, answer, ...(q.distractors || [])]);
+        });
+        // Excel needs the BOM to read UTF-8 (accents, ×) correctly
+        return '\uFEFF' + rows.map(row => row.map(cell => this._quoteCsvCell(cell)).join(CSV_DELIMITER)).join('\r\n');
+    }
+
+    /**
+     * Quotes a CSV cell when it contains the delimiter, quotes or line breaks.
+     * @param {string} value
+     * @returns {string}
+     * @private
+     */
+    _quoteCsvCell(value) {
+        const text = String(value ?? '');
+        return /[;,"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Turns a sheet name into a safe file name (without extension).
+     * @param {string} name
+     * @returns {string}
+     * @private
+     */
+    _toFileName(name) {
+        const safeName = name.trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_');
+        return safeName || 'vragenlijst';
+    }
+
+    // --- Share links ---
+
+    /**
+     * Creates a link that contains the whole sheet, compressed into the URL fragment.
+     * The fragment is never sent to a server, so the link works with any static hosting.
+     * @param {string} sheetId - ID of the custom sheet to share.
+     * @returns {Promise<{name: string, url: string}>}
+     * @throws {Error} If the sheet does not exist or the link would be too long.
+     */
+    async createShareLink(sheetId) {
+        const sheetData = questionsManager.customSheets.get(sheetId);
+        if (!sheetData) throw new Error(`Vragenlijst '${sheetId}' niet gevonden.`);
+
+        const name = sheetData.name || 'Naamloos';
+        // The text format is far more compact than the question objects
+        const payload = JSON.stringify({
+            v: SHARE_PAYLOAD_VERSION,
+            n: name,
+            t: questionsManager.formatQuestionsForTextarea(sheetData.questions || [])
+        });
+        const encoded = await compressionUtils.compressToBase64Url(payload);
+        const url = `${window.location.origin}${window.location.pathname}#${SHARE_FRAGMENT_KEY}=${encoded}`;
+
+        if (url.length > MAX_SHARE_URL_LENGTH) {
+            console.warn(`[SheetTransferService] Share link for '${name}' is ${url.length} characters (max ${MAX_SHARE_URL_LENGTH}).`);
+            throw new Error(`De lijst '${name}' is te groot om als link te delen. Maak de lijst korter of deel hem als bestand (Exporteren).`);
+        }
+        console.log(`[SheetTransferService] Created share link for '${name}' (${url.length} characters).`);
+        return { name, url };
+    }
+
+    /**
+     * Checks whether a URL fragment contains a shared sheet.
+     * @param {string} hash - The URL fragment, e.g. window.location.hash.
+     * @returns {boolean}
+     */
+    isShareFragment(hash) {
+        return typeof hash === 'string' && hash.startsWith(`#${SHARE_FRAGMENT_KEY}=`);
+    }
+
+    /**
+     * Decodes a shared sheet from a URL fragment. Everything in the link is treated as untrusted:
+     * the decompressed size is capped, the structure is checked and all lines go through the normal parser.
+     * @param {string} hash - The URL fragment, starting with '#sheet='.
+     * @returns {Promise<{sheets: ImportedSheet[], errors: ImportError[]}>} The same shape as parseImportFile.
+     * @throws {Error} If the link is damaged, incomplete or too large (message is shown to the user).
+     */
+    async parseShareFragment(hash) {
+        const encoded = hash.slice(SHARE_FRAGMENT_KEY.length + 2);
+        if (!encoded || encoded.length > MAX_SHARE_URL_LENGTH) {
+            throw new Error('Deze deellink is ongeldig of te lang.');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await compressionUtils.decompressFromBase64Url(encoded, MAX_SHARED_SHEET_BYTES));
+        } catch (error) {
+            console.warn("[SheetTransferService] Could not decode share link:", error);
+            throw new Error('Deze deellink is beschadigd of niet volledig gekopieerd.');
+        }
+        if (!payload || typeof payload.n !== 'string' || typeof payload.t !== 'string' || typeof payload.v !== 'number') {
+            throw new Error('Deze deellink bevat geen geldige vragenlijst.');
+        }
+        if (payload.v > SHARE_PAYLOAD_VERSION) {
+            throw new Error('Deze deellink is gemaakt met een nieuwere versie van Unicorn Poep.');
+        }
+
+        const sheetName = payload.n.trim().slice(0, 60) || 'Gedeelde lijst';
+        const { questions, errors } = questionsManager.parseCustomSheetText(payload.t);
+        return this._toImportResult(SHARED_SHEET_SOURCE_NAME, sheetName, questions,
+            errors.map(error => ({ fileName: SHARED_SHEET_SOURCE_NAME, line: error.line, message: error.reason })));
+    }
+
+    // --- Import ---
+
+    /**
+     * Parses an imported file into sheets. The format is chosen by extension (.txt, .csv, .json),
+     * falling back to JSON when the content looks like it.
+     * Invalid lines are skipped and reported; the remaining questions are still returned.
+     * @param {string} fileName - Name of the imported file.
+     * @param {string} content - The file contents.
+     * @returns {{sheets: ImportedSheet[], errors: ImportError[]}}
+     */
+    parseImportFile(fileName, content) {
+        console.log(`[SheetTransferService] Parsing imported file: ${fileName}`);
+        if (typeof content !== 'string' || content.trim() === '') {
+            return { sheets: [], errors: [{ fileName, line: null, message: 'Het bestand is leeg.' }] };
+        }
+        if (content.length > MAX_IMPORT_FILE_SIZE) {
+            return { sheets: [], errors: [{ fileName, line: null, message: 'Het bestand is te groot.' }] };
+        }
+        content = content.replace(/^\uFEFF/, '');
+
+        const extension = (fileName.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+        const baseName = fileName.replace(/\.[^.]+$/, '').replace(/_/g, ' ').trim() || 'Geïmporteerde lijst';
+
+        if (extension === 'json' || (extension !== 'csv' && extension !== 'txt' && content.trim().startsWith('{'))) {
+            return this._parseJsonBundle(fileName, content);
+        }
+        if (extension === 'csv') {
+            return this._parseCsvSheet(fileName, baseName, content);
+        }
+        return this._parseTextSheet(fileName, baseName, content);
+    }
+
+    /**
+     * Parses a native "Vraag => Antwoord" text file into one sheet.
+     * @param {string} fileName
+     * @param {string} sheetName
+     * @param {string} content
+     * @returns {{sheets: ImportedSheet[], errors: ImportError[]}}
+     * @private
+     */
+    _parseTextSheet(fileName, sheetName, content) {
+        const { questions, errors } = questionsManager.parseCustomSheetText(content);
+        return this._toImportResult(fileName, sheetName, questions,
+            errors.map(error => ({ fileName, line: error.line, message: error.reason })));
+    }
+
+    /**
+     * Parses a CSV file (question, answer, distractor columns) into one sheet.
+     * Rows are converted to the native text format and parsed from there; reported
+     * line numbers refer to the CSV file. A header row is skipped when present.
+     * @param {string} fileName
+     * @param {string} sheetName
+     * @param {string} content
+     * @returns {{sheets: ImportedSheet[], errors: ImportError[]}}
+     * @private
+     */
+    _parseCsvSheet(fileName, sheetName, content) {
+        let rows;
+        try {
+            rows = this._parseCsvRows(content);
+        } catch (error) {
+            return { sheets: [], errors: [{ fileName, line: null, message: error.message }] };
+        }
+        if (rows.length > 0 && CSV_HEADER_NAMES.includes((rows[0].cells[0] || '').trim().toLowerCase())) {
+            rows.shift();
+        }
+
+        const errors = [];
+        const textLines = [];
+        const csvLineNumbers = []; // Index in textLines -> line in the CSV file
+        rows.forEach(({ line, cells }) => {
+            const [question = '', answer = '', ...distractors] = cells.map(cell => cell.replace(/\s*\r?\n\s*/g, ' ').trim());
+            if (!question && !answer && distractors.every(d => !d)) return; // Empty row
+            if (question.includes('=>') || answer.includes('=>')) {
+                errors.push({ fileName, line, message: 'Een vraag of antwoord mag geen "=>" bevatten.' });
+                return;
+            }
+            textLines.push(`${question} => ${[answer, ...distractors.filter(d => d)].join(' | ')}`);
+            csvLineNumbers.push(line);
+        });
+
+        const parsed = questionsManager.parseCustomSheetText(textLines.join('\n'));
+        parsed.errors.forEach(error => {
+            errors.push({ fileName, line: csvLineNumbers[error.line - 1], message: error.reason });
+        });
+        errors.sort((a, b) => a.line - b.line);
+        return this._toImportResult(fileName, sheetName, parsed.questions, errors);
+    }
+
+    /**
+     * Splits CSV text into rows of cells. Supports quoted cells (with "" escapes and line breaks)
+     * and detects ';', ',' or tab as delimiter from the first line.
+     * @param {string} content
+     * @returns {Array<{line: number, cells: string[]}>} Rows with the 1-based line they start on.
+     * @throws {Error} If a quoted cell is not closed.
+     * @private
+     */
+    _parseCsvRows(content) {
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, CSV_DELIMITER);
+
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowStartLine = 1;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (char === '\n') line++;
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') continue; // '\n' ends the row
+                cells.push(cell);
+                rows.push({ line: rowStartLine, cells });
+                cells = [];
+                cell = '';
+                rowStartLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        if (inQuotes) {
+            throw new Error(`Aanhalingsteken niet afgesloten (vanaf regel ${rowStartLine}).`);
+        }
+        if (cell !== '' || cells.length > 0) {
+            cells.push(cell);
+            rows.push({ line: rowStartLine, cells });
+        }
+        return rows;
+    }
+
+    /**
+     * Parses a JSON bundle created by createExport. Each sheet's questions are validated
+     * by formatting them as text and parsing that, so invalid or tampered entries are reported per question.
+     * @param {string} fileName
+     * @param {string} content
+     * @returns {{sheets: ImportedSheet[], errors: ImportError[]}}
+     * @private
+     */
+    _parseJsonBundle(fileName, content) {
+        let bundle;
+        try {
+            bundle = JSON.parse(content);
+        } catch (error) {
+            return { sheets: [], errors: [{ fileName, line: null, message: 'Dit is geen geldig JSON-bestand.' }] };
+        }
+        if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.sheets)) {
+            return { sheets: [], errors: [{ fileName, line: null, message: 'Dit JSON-bestand is geen Unicorn Poep export.' }] };
+        }
+        if (bundle.version > BUNDLE_VERSION) {
+            console.warn(`[SheetTransferService] Bundle version ${bundle.version} is newer than supported version ${BUNDLE_VERSION}. Trying anyway.`);
+        }
+
+        const result = { sheets: [], errors: [] };
+        bundle.sheets.forEach((sheet, sheetIndex) => {
+            const sheetName = typeof sheet?.name === 'string' && sheet.name.trim() ? sheet.name.trim() : `Lijst ${sheetIndex + 1}`;
+            if (!Array.isArray(sheet?.questions)) {
+                result.errors.push({ fileName, sheetName, line: null, message: 'Deze lijst bevat geen vragen.' });
+                return;
+            }
+            const malformedLines = new Set();
+            const lines = sheet.questions.map((q, index) => {
+                const isValid = q && typeof q.question === 'string' && typeof q.answer === 'string'
+                    && !q.question.includes('\n') && !q.answer.includes('\n')
+                    && (q.distractors === undefined || (Array.isArray(q.distractors) && q.distractors.every(d => typeof d === 'string')));
+                if (isValid) return questionsManager.formatQuestionsForTextarea([q]);
+                // Keep a placeholder line so the parser's line numbers still match the question numbers
+                malformedLines.add(index + 1);
+                return '?';
+            });
+            const { questions, errors } = questionsManager.parseCustomSheetText(lines.join('\n'));
+            const sheetErrors = errors.map(error => ({
+                fileName,
+                sheetName,
+                line: error.line,
+                message: malformedLines.has(error.line) ? 'Deze vraag is beschadigd of onvolledig.' : error.reason
+            }));
+            const partial = this._toImportResult(fileName, sheetName, questions, sheetErrors);
+            result.sheets.push(...partial.sheets);
+            result.errors.push(...partial.errors);
+        });
+        return result;
+    }
+
+    /**
+     * Builds the import result for a single parsed sheet, reporting a sheet without valid questions as an error.
+     * @param {string} fileName
+     * @param {string} sheetName
+     * @param {Array<object>} questions
+     * @param {ImportError[]} errors
+     * @returns {{sheets: ImportedSheet[], errors: ImportError[]}}
+     * @private
+     */
+    _toImportResult(fileName, sheetName, questions, errors) {
+        if (questions.length === 0) {
+            errors.push({ fileName, sheetName, line: null, message: 'Geen geldige vragen gevonden.' });
+            return { sheets: [], errors };
+        }
+        return { sheets: [{ name: sheetName, questions }], errors };
+    }
+}
+
+// Create and export a singleton instance
+const sheetTransferService = new SheetTransferService();
+export default sheetTransferService;
@@ -0,0 +1,164 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import storageService, { StorageKeys } from './StorageService.js';
+import arrayUtils from '../utils/arrayUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Waiting time before a question in a Leitner box is due again, indexed by box (index 0 = box 1).
+ * A wrong answer moves a question back to box 1, a right answer moves it one box up.
+ */
+const BOX_INTERVALS_MS = [0, 1 * DAY_MS, 3 * DAY_MS, 7 * DAY_MS, 14 * DAY_MS];
+const MAX_BOX = BOX_INTERVALS_MS.length;
+const MASTERED_BOX = MAX_BOX; // Questions in the last box count as mastered
+
+/**
+ * @typedef {object} LeitnerRecord
+ * @property {number} box - Leitner box, 1 (new or just missed) to MAX_BOX.
+ * @property {number} correctCount - Times answered correctly.
+ * @property {number} incorrectCount - Times answered incorrectly.
+ * @property {number} lastAnsweredAt - Timestamp (ms) of the last answer.
+ * @property {number} dueAt - Timestamp (ms) from which the question should be practised again.
+ */
+
+/**
+ * Leitner-box spaced repetition for practice mode.
+ * Keeps per player (profile), per question (QuizEngine question ID) how often it was answered right and wrong,
+ * and in which box it is. Practice rounds are built from due and weak questions first, so questions
+ * a player keeps missing come back more often than the ones they already know.
+ */
+class SpacedRepetitionService {
+    constructor() {
+        /** @type {Object.<string, Object.<string, LeitnerRecord>>} Player key -> question ID -> record */
+        this.progress = {};
+        this.loadPromise = null;
+        eventBus.on(Events.Profile.Deleted, this.handleProfileDeleted.bind(this));
+        console.log("[SpacedRepetitionService] Initialized.");
+    }
+
+    /**
+     * Removes the practice progress of a deleted profile.
+     * @param {object} payload - Events.Profile.Deleted payload.
+     * @param {string} payload.profileId
+     * @private
+     */
+    async handleProfileDeleted({ profileId }) {
+        await this._ensureLoaded();
+        if (!this.progress[profileId]) return;
+        delete this.progress[profileId];
+        try {
+            await storageService.set(StorageKeys.PracticeProgress, this.progress);
+        } catch (error) {
+            console.error("[SpacedRepetitionService] Error saving practice progress:", error);
+        }
+    }
+
+    /**
+     * Loads the stored progress once. Unreadable data is left in storage and practice continues without history.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _ensureLoaded() {
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                try {
+                    const stored = await storageService.get(StorageKeys.PracticeProgress);
+                    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                        this.progress = stored;
+                    }
+                } catch (error) {
+                    console.error("[SpacedRepetitionService] Error loading practice progress:", error);
+                }
+            })();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Builds a practice round: due questions first (weakest box first, then most often missed),
+     * then questions that are not due yet (soonest first), so mastered questions that are not due only
+     * fill up the round when nothing else is left. The selected questions are shuffled, so the round
+     * does not start with all the hard ones.
+     * @param {string} playerKey - Profile ID, or the player name when playing without a profile.
+     * @param {Array<{id: string}>} questions - All candidate questions (with QuizEngine IDs).
+     * @param {number | null} maxQuestions - Round length, or null for all questions.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<Array<object>>} The questions for the round.
+     */
+    async selectRound(playerKey, questions, maxQuestions, now = Date.now()) {
+        await this._ensureLoaded();
+        const records = this.progress[playerKey] || {};
+        const ranked = arrayUtils.shuffleArray([...questions]).map(question => {
+            const record = records[question.id];
+            return {
+                question,
+                isDue: !record || record.dueAt <= now,
+                box: record ? record.box : 1,
+                missRate: record ? record.incorrectCount / Math.max(1, record.correctCount + record.incorrectCount) : 0,
+                dueAt: record ? record.dueAt : now
+            };
+        });
+        // Array.prototype.sort is stable, so equal items keep their shuffled order
+        ranked.sort((a, b) => (b.isDue - a.isDue)
+            || (a.isDue ? a.box - b.box || b.missRate - a.missRate : a.dueAt - b.dueAt));
+
+        const round = ranked.slice(0, maxQuestions || ranked.length).map(item => item.question);
+        const dueCount = ranked.filter(item => item.isDue).length;
+        console.log(`[SpacedRepetitionService] Round for '${playerKey}': ${round.length} of ${questions.length} questions (${dueCount} due).`);
+        return arrayUtils.shuffleArray(round);
+    }
+
+    /**
+     * Records an answer and moves the question to its new box.
+     * The in-memory state is updated right away; saving happens in the background.
+     * @param {string} playerKey - Profile ID, or the player name when playing without a profile.
+     * @param {string} questionId - QuizEngine question ID.
+     * @param {boolean} isCorrect
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<LeitnerRecord>} The updated record, once it has been saved.
+     */
+    async recordAnswer(playerKey, questionId, isCorrect, now = Date.now()) {
+        await this._ensureLoaded();
+        const playerRecords = this.progress[playerKey] || (this.progress[playerKey] = {});
+        const record = playerRecords[questionId] || { box: 1, correctCount: 0, incorrectCount: 0, lastAnsweredAt: null, dueAt: now };
+
+        if (isCorrect) {
+            record.box = Math.min(MAX_BOX, record.box + 1);
+            record.correctCount++;
+        } else {
+            record.box = 1;
+            record.incorrectCount++;
+        }
+        record.lastAnsweredAt = now;
+        record.dueAt = now + BOX_INTERVALS_MS[record.box - 1];
+        playerRecords[questionId] = record;
+        console.debug(`[SpacedRepetitionService] '${questionId}' for '${playerKey}' is now in box ${record.box}.`);
+
+        try {
+            await storageService.set(StorageKeys.PracticeProgress, this.progress);
+        } catch (error) {
+            // StorageService already informed the user
+            console.error("[SpacedRepetitionService] Error saving practice progress:", error);
+        }
+        return { ...record };
+    }
+
+    /**
+     * Counts how many of the given questions a player has mastered.
+     * Uses the in-memory state, so it is only complete after selectRound or recordAnswer has loaded it.
+     * @param {string} playerKey - Profile ID, or the player name when playing without a profile.
+     * @param {string[]} questionIds
+     * @returns {{masteredCount: number, totalCount: number}}
+     */
+    getMasterySummary(playerKey, questionIds) {
+        const records = this.progress[playerKey] || {};
+        const uniqueIds = [...new Set(questionIds)];
+        const masteredCount = uniqueIds.filter(id => records[id]?.box >= MASTERED_BOX).length;
+        return { masteredCount, totalCount: uniqueIds.length };
+    }
+}
+
+// Create and export a singleton instance
+const spacedRepetitionService = new SpacedRepetitionService();
+export default spacedRepetitionService;
@@ -0,0 +1,361 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import storageService, { StorageKeys } from './StorageService.js';
+import questionsManager from './QuestionsManager.js';
+import profileService from './ProfileService.js';
+import dateUtils from '../utils/dateUtils.js';
+
+const TRACKED_MODES = ['single', 'practice', 'flashcards', 'daily', 'sprint', 'survival']; // Multiplayer answers carry no question identity
+const MAX_STORED_GAMES = 500; // Per player, oldest are dropped first
+const MAX_STORED_ANSWERS = 5000; // Per player, oldest are dropped first
+const HISTORY_DAYS = 14; // Days shown in the games-played chart
+const ACCURACY_DAYS = 10; // Most recent active days shown in the accuracy chart
+const MAX_HARDEST_QUESTIONS = 10;
+const MIN_ATTEMPTS_FOR_HARDEST = 2; // A single miss does not make a question "hard"
+const MAX_RECENT_GAMES = 10;
+
+/**
+ * @typedef {object} StoredAnswer
+ * @property {number} at - Timestamp (ms).
+ * @property {string} mode - Game mode.
+ * @property {string} questionId
+ * @property {string} question
+ * @property {string} sheetId
+ * @property {boolean} isCorrect
+ * @property {number | null} timeMs
+ */
+
+/**
+ * @typedef {object} StoredGame
+ * @property {number} at - Timestamp (ms) the game finished.
+ * @property {string} mode
+ * @property {string[]} sheetIds
+ * @property {string | null} difficulty
+ * @property {number} totalQuestions
+ * @property {number} correctAnswers
+ * @property {number | null} score - Only for single player.
+ */
+
+/**
+ * Collects per-player learning statistics and computes the figures for the statistics view.
+ * Answers come in through Game.AnswerChecked and are stored for the player once Game.Finished
+ * tells who played, together with a summary of the game. Players are keyed by profile ID
+ * (or by name for games played without a profile).
+ */
+class StatisticsService {
+    constructor() {
+        console.info("[StatisticsService] Initializing...");
+        /** @type {Object.<string, {name: string, games: StoredGame[], answers: StoredAnswer[]}>} Player key -> statistics */
+        this.statistics = {};
+        this.currentMode = null; // Mode of the running game, null when no game is tracked
+        /** @type {StoredAnswer[]} */
+        this.pendingAnswers = []; // Answers of the running game
+        this.loadPromise = this.loadStatistics();
+
+        eventBus.on(Events.Game.Started, this.handleGameStarted.bind(this));
+        eventBus.on(Events.Game.AnswerChecked, this.handleAnswerChecked.bind(this));
+        eventBus.on(Events.Game.Finished, this.handleGameFinished.bind(this));
+        eventBus.on(Events.Menu.Statistics.ShowRequested, this.handleShowRequest.bind(this));
+        eventBus.on(Events.Profile.Deleted, this.handleProfileDeleted.bind(this));
+    }
+
+    /**
+     * Loads the statistics from storage. Unreadable data is left in storage and reported.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadStatistics() {
+        try {
+            const stored = await storageService.get(StorageKeys.Statistics);
+            if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                this.statistics = stored;
+                console.log(`[StatisticsService] Loaded statistics for ${Object.keys(stored).length} player(s).`);
+            }
+        } catch (error) {
+            console.error("[StatisticsService] Error loading statistics:", error);
+            this.loadFailed = true;
+        }
+    }
+
+    /**
+     * Saves the statistics to storage.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async saveStatistics() {
+        try {
+            await storageService.set(StorageKeys.Statistics, this.statistics);
+        } catch (error) {
+            // StorageService already informed the user
+            console.error("[StatisticsService] Error saving statistics:", error);
+        }
+    }
+
+    /**
+     * Starts collecting answers for a new game.
+     * @param {object} payload - Events.Game.Started payload.
+     * @param {string} payload.mode
+     * @private
+     */
+    handleGameStarted({ mode }) {
+        this.currentMode = TRACKED_MODES.includes(mode) ? mode : null;
+        this.pendingAnswers = [];
+    }
+
+    /**
+     * Collects a checked answer of the running game.
+     * @param {object} payload - Events.Game.AnswerChecked payload.
+     * @private
+     */
+    handleAnswerChecked({ isCorrect, questionId, question, sheetId, timeMs }) {
+        if (!this.currentMode || !questionId) return;
+        this.pendingAnswers.push({
+            at: Date.now(),
+            mode: this.currentMode,
+            questionId,
+            question,
+            sheetId,
+            isCorrect: !!isCorrect,
+            timeMs: typeof timeMs === 'number' ? timeMs : null
+        });
+    }
+
+    /**
+     * Stores the answers and a summary of the finished game for the player.
+     * @param {object} payload - Events.Game.Finished payload.
+     * @param {string} payload.mode
+     * @param {object} payload.results
+     * @private
+     */
+    async handleGameFinished({ mode, results }) {
+        if (!TRACKED_MODES.includes(mode) || mode !== this.currentMode || !results) return;
+        const answers = this.pendingAnswers;
+        this.currentMode = null;
+        this.pendingAnswers = [];
+        if (answers.length === 0) return; // Stopped before answering anything
+
+        await this.loadPromise;
+        const playerKey = results.profileId || results.playerName || 'Player';
+        const playerStats = this.statistics[playerKey] || (this.statistics[playerKey] = { name: '', games: [], answers: [] });
+        playerStats.name = results.playerName || playerKey;
+        playerStats.answers.push(...answers);
+        playerStats.games.push({
+            at: Date.now(),
+            mode,
+            sheetIds: results.settings?.sheetIds || [],
+            difficulty: results.settings?.difficulty || null,
+            totalQuestions: results.totalQuestions ?? answers.length,
+            correctAnswers: results.correctAnswers ?? answers.filter(a => a.isCorrect).length,
+            score: typeof results.score === 'number' ? results.score : null
+        });
+        playerStats.answers = playerStats.answers.slice(-MAX_STORED_ANSWERS);
+        playerStats.games = playerStats.games.slice(-MAX_STORED_GAMES);
+        console.log(`[StatisticsService] Recorded ${mode} game with ${answers.length} answers for '${playerKey}'.`);
+        await this.saveStatistics();
+    }
+
+    /**
+     * Removes the statistics of a deleted profile.
+     * @param {object} payload - Events.Profile.Deleted payload.
+     * @param {string} payload.profileId
+     * @private
+     */
+    async handleProfileDeleted({ profileId }) {
+        await this.loadPromise;
+        if (!this.statistics[profileId]) return;
+        delete this.statistics[profileId];
+        await this.saveStatistics();
+    }
+
+    /**
+     * Emits the statistics for the requested player, the active profile, or else the player who played last.
+     * @param {object} [payload] - Events.Menu.Statistics.ShowRequested payload.
+     * @param {string} [payload.playerKey]
+     * @private
+     */
+    async handleShowRequest({ playerKey } = {}) {
+        await this.loadPromise;
+        if (this.loadFailed) {
+            eventBus.emit(Events.Menu.Statistics.LoadFailed, { message: 'Kon de statistieken niet laden.' });
+            return;
+        }
+        const players = this.getPlayers();
+        const hasStatistics = (key) => players.some(player => player.key === key);
+        const activeProfileId = profileService.getActiveProfile()?.id;
+        const selectedKey = [playerKey, activeProfileId].find(hasStatistics) || players[0]?.key || null;
+        eventBus.emit(Events.Menu.Statistics.Loaded, {
+            players,
+            playerKey: selectedKey,
+            statistics: selectedKey ? this.getStatistics(selectedKey) : null
+        });
+    }
+
+    /**
+     * Returns the players with statistics, the one who played most recently first.
+     * Profiles are shown with their current name and avatar.
+     * @returns {Array<{key: string, name: string, avatar: string | null}>}
+     */
+    getPlayers() {
+        const lastPlayed = (key) => this.statistics[key].games.at(-1)?.at || 0;
+        return Object.keys(this.statistics)
+            .sort((a, b) => lastPlayed(b) - lastPlayed(a))
+            .map(key => {
+                const profile = profileService.getProfile(key);
+                return { key, name: profile?.name || this.statistics[key].name || key, avatar: profile?.avatar || null };
+            });
+    }
+
+    /**
+     * Computes the statistics of a player.
+     * @param {string} playerKey - Profile ID, or the player name for games without a profile.
+     * @param {number} [now=Date.now()]
+     * @returns {{
+     *   overall: {gamesPlayed: number, attempts: number, accuracy: number | null, averageTimeMs: number | null},
+     *   categories: Array<{sheetId: string, name: string, attempts: number, accuracy: number, averageTimeMs: number | null}>,
+     *   accuracyOverTime: {days: string[], series: Array<{name: string, points: Array<number | null>}>},
+     *   hardestQuestions: Array<{question: string, category: string, attempts: number, accuracy: number}>,
+     *   gamesPerDay: Array<{day: string, count: number}>,
+     *   recentGames: Array<StoredGame & {categories: string[]}>
+     * }} Accuracies are fractions (0-1).
+     */
+    getStatistics(playerKey, now = Date.now()) {
+        const { games = [], answers = [] } = this.statistics[playerKey] || {};
+        const categories = this._groupBy(answers, answer => answer.sheetId)
+            .map(([sheetId, sheetAnswers]) => ({
+                sheetId,
+                name: this._getCategoryName(sheetId),
+                attempts: sheetAnswers.length,
+                accuracy: this._accuracy(sheetAnswers),
+                averageTimeMs: this._averageTime(sheetAnswers)
+            }))
+            .sort((a, b) => b.attempts - a.attempts);
+
+        return {
+            overall: {
+                gamesPlayed: games.length,
+                attempts: answers.length,
+                accuracy: answers.length > 0 ? this._accuracy(answers) : null,
+                averageTimeMs: this._averageTime(answers)
+            },
+            categories,
+            accuracyOverTime: this._getAccuracyOverTime(answers, categories),
+            hardestQuestions: this._getHardestQuestions(answers),
+            gamesPerDay: this._getGamesPerDay(games, now),
+            recentGames: games.slice(-MAX_RECENT_GAMES).reverse()
+                .map(game => ({ ...game, categories: game.sheetIds.map(id => this._getCategoryName(id)) }))
+        };
+    }
+
+    /**
+     * Accuracy per day for the categories with the most answers, over the most recent days with answers.
+     * Days without answers for a category are null (a gap in the line).
+     * @param {StoredAnswer[]} answers
+     * @param {Array<{sheetId: string, name: string}>} categories - Sorted by attempts, descending.
+     * @returns {{days: string[], series: Array<{name: string, points: Array<number | null>}>}}
+     * @private
+     */
+    _getAccuracyOverTime(answers, categories) {
+        const days = [...new Set(answers.map(answer => dateUtils.toDateKey(answer.at)))].sort().slice(-ACCURACY_DAYS);
+        const series = categories.slice(0, 4).map(({ sheetId, name }) => {
+            const byDay = new Map(this._groupBy(answers.filter(a => a.sheetId === sheetId), a => dateUtils.toDateKey(a.at)));
+            return { name, points: days.map(day => (byDay.has(day) ? this._accuracy(byDay.get(day)) : null)) };
+        });
+        return { days, series };
+    }
+
+    /**
+     * The questions answered wrong most often (relative to their attempts).
+     * @param {StoredAnswer[]} answers
+     * @returns {Array<{question: string, category: string, attempts: number, accuracy: number}>}
+     * @private
+     */
+    _getHardestQuestions(answers) {
+        return this._groupBy(answers, answer => answer.questionId)
+            .filter(([, questionAnswers]) => questionAnswers.length >= MIN_ATTEMPTS_FOR_HARDEST)
+            .map(([, questionAnswers]) => ({
+                question: questionAnswers.at(-1).question,
+                category: this._getCategoryName(questionAnswers.at(-1).sheetId),
+                attempts: questionAnswers.length,
+                accuracy: this._accuracy(questionAnswers)
+            }))
+            .filter(item => item.accuracy < 1)
+            .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+            .slice(0, MAX_HARDEST_QUESTIONS);
+    }
+
+    /**
+     * Number of games per day for the last HISTORY_DAYS days (including today).
+     * @param {StoredGame[]} games
+     * @param {number} now
+     * @returns {Array<{day: string, count: number}>}
+     * @private
+     */
+    _getGamesPerDay(games, now) {
+        const counts = new Map();
+        games.forEach(game => {
+            const day = dateUtils.toDateKey(game.at);
+            counts.set(day, (counts.get(day) || 0) + 1);
+        });
+        const result = [];
+        for (let offset = HISTORY_DAYS - 1; offset >= 0; offset--) {
+            const date = new Date(now);
+            date.setDate(date.getDate() - offset);
+            const day = dateUtils.toDateKey(date);
+            result.push({ day, count: counts.get(day) || 0 });
+        }
+        return result;
+    }
+
+    /**
+     * Groups items by a key, keeping the order in which keys first appear.
+     * @template T
+     * @param {T[]} items
+     * @param {function(T): string} getKey
+     * @returns {Array<[string, T[]]>}
+     * @private
+     */
+    _groupBy(items, getKey) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = getKey(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        return [...groups.entries()];
+    }
+
+    /**
+     * @param {StoredAnswer[]} answers - At least one answer.
+     * @returns {number} Fraction answered correctly.
+     * @private
+     */
+    _accuracy(answers) {
+        return answers.filter(answer => answer.isCorrect).length / answers.length;
+    }
+
+    /**
+     * @param {StoredAnswer[]} answers
+     * @returns {number | null} Average answer time in ms, null when no times are known.
+     * @private
+     */
+    _averageTime(answers) {
+        const times = answers.map(answer => answer.timeMs).filter(time => typeof time === 'number');
+        return times.length > 0 ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : null;
+    }
+
+    /**
+     * Returns a display name for a sheet, also for sheets that no longer exist.
+     * @param {string} sheetId
+     * @returns {string}
+     * @private
+     */
+    _getCategoryName(sheetId) {
+        const isKnown = questionsManager.getAvailableSheets().some(sheet => sheet.id === sheetId);
+        if (isKnown) return questionsManager.getSheetDisplayName(sheetId);
+        return sheetId?.includes(':') ? sheetId.split(':').slice(1).join(':') : 'Verwijderde lijst';
+    }
+}
+
+// Create and export a singleton instance
+const statisticsService = new StatisticsService();
+export default statisticsService;
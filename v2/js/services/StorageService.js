@@ -0,0 +1,358 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+const DB_NAME = 'unicornpoep';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+const FALLBACK_KEY_PREFIX = 'unicornpoep_store:'; // localStorage keys used when IndexedDB is unavailable
+const APPLIED_MIGRATIONS_KEY = 'appliedMigrations';
+
+// Legacy localStorage keys that are migrated on first run
+const LEGACY_CUSTOM_SHEETS_KEY = 'customSheets';
+const LEGACY_HIGHSCORES_V2_KEY = 'unicornpoep_highscores_v2';
+const LEGACY_HIGHSCORES_V1_PREFIX = 'unicornpoep_highscore_'; // Per sheet/difficulty keys of the V1 app
+
+/**
+ * Keys of the records kept by the storage service.
+ * @enum {string}
+ */
+export const StorageKeys = Object.freeze({
+    /** Object mapping custom sheet ID to { name, questions }. */
+    CustomSheets: 'customSheets',
+    /** Array of highscore entries. */
+    Highscores: 'highscores',
+    /** Array of sprint highscore entries, which also hold the sprint length (see HighscoreManager). */
+    SprintHighscores: 'sprintHighscores',
+    /** Array of survival highscore entries; the score is the length of the run. */
+    SurvivalHighscores: 'survivalHighscores',
+    /** Array of multiplayer match entries, most recent first (see HighscoreManager). */
+    MatchHistory: 'matchHistory',
+    /** Object mapping player key to { questionId: LeitnerRecord } (see SpacedRepetitionService). */
+    PracticeProgress: 'practiceProgress',
+    /** Object mapping player key to { name, games, answers } (see StatisticsService). */
+    Statistics: 'statistics',
+    /** { profiles: Profile[], activeProfileId } (see ProfileService). */
+    Profiles: 'profiles',
+    /** Array of daily challenge results (see DailyChallengeService). */
+    DailyChallenge: 'dailyChallenge',
+    /** Object mapping profile ID to { unlocked, stats } (see AchievementService). */
+    Achievements: 'achievements',
+});
+
+/**
+ * IndexedDB schema upgrades, indexed by the version they upgrade to (index 0 = version 1).
+ * Each receives the database during `onupgradeneeded`; only upgrades above the old version run.
+ * @type {Array<function(IDBDatabase): void>}
+ */
+const SCHEMA_UPGRADES = [
+    (db) => db.createObjectStore(STORE_NAME),
+];
+
+/**
+ * Reads and parses a legacy localStorage key.
+ * Unreadable data is left in place (and logged) instead of being removed, so nothing is lost.
+ * @param {string} key
+ * @returns {any | undefined} The parsed value, or undefined if missing or unreadable.
+ */
+function readLegacyJson(key) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return undefined;
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        console.error(`[StorageService] Legacy key '${key}' contains invalid JSON. Left untouched.`, error);
+        return undefined;
+    }
+}
+
+/**
+ * Adds migrated highscores to the stored ones, skipping scores that are already there (same name,
+ * score and date), so a migration that runs again does not duplicate them.
+ * @param {Array<object> | undefined} existing - Stored highscore entries.
+ * @param {Array<object>} migrated - Entries from a legacy key.
+ * @returns {{scores: Array<object>, added: number}}
+ */
+function mergeHighscores(existing = [], migrated) {
+    const scoreKey = (entry) => JSON.stringify([entry.name, entry.score, entry.date]);
+    const seen = new Set(existing.map(scoreKey));
+    const added = migrated.filter(entry => {
+        const key = scoreKey(entry);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    return { scores: [...existing, ...added], added: added.length };
+}
+
+/**
+ * One-time data migrations from the old localStorage keys. They run in order, once per browser;
+ * applied IDs are recorded under APPLIED_MIGRATIONS_KEY. The legacy keys are kept as a backup
+ * (the V1 app in the root folder still reads its own keys). Recording the IDs can fail after the data
+ * was written, so every migration must be safe to run again.
+ * @type {Array<{id: string, run: function({get: Function, set: Function}): Promise<void>}>}
+ */
+const DATA_MIGRATIONS = [
+    {
+        id: 'localStorage-customSheets',
+        async run(storage) {
+            const sheets = readLegacyJson(LEGACY_CUSTOM_SHEETS_KEY);
+            if (sheets && typeof sheets === 'object' && !Array.isArray(sheets)) {
+                // Merged by sheet ID, stored sheets win: running this again changes nothing
+                const existing = (await storage.get(StorageKeys.CustomSheets)) || {};
+                await storage.set(StorageKeys.CustomSheets, { ...sheets, ...existing });
+                console.log(`[StorageService] Migrated ${Object.keys(sheets).length} custom sheets.`);
+            }
+        }
+    },
+    {
+        id: 'localStorage-highscores-v2',
+        async run(storage) {
+            const scores = readLegacyJson(LEGACY_HIGHSCORES_V2_KEY);
+            if (Array.isArray(scores)) {
+                const valid = scores.filter(s => s && typeof s === 'object' && typeof s.score === 'number');
+                const { scores: merged, added } = mergeHighscores(await storage.get(StorageKeys.Highscores), valid);
+                await storage.set(StorageKeys.Highscores, merged);
+                console.log(`[StorageService] Migrated ${added} V2 highscores.`);
+            }
+        }
+    },
+    {
+        id: 'localStorage-highscores-v1',
+        async run(storage) {
+            const migrated = [];
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(LEGACY_HIGHSCORES_V1_PREFIX))
+                .forEach(key => {
+                    const scores = readLegacyJson(key);
+                    if (!Array.isArray(scores)) return;
+                    scores
+                        .filter(s => s && typeof s === 'object' && typeof s.score === 'number')
+                        .forEach(s => migrated.push({
+                            name: s.player || 'Onbekend',
+                            score: s.score,
+                            date: s.date,
+                            level: s.gameName || null,
+                            difficulty: s.difficulty && s.difficulty !== 'N/A' ? s.difficulty : null,
+                            mode: s.mode === 'Multi' ? 'multiplayer' : 'single'
+                        }));
+                });
+            let added = 0;
+            if (migrated.length > 0) {
+                const merged = mergeHighscores(await storage.get(StorageKeys.Highscores), migrated);
+                added = merged.added;
+                await storage.set(StorageKeys.Highscores, merged.scores);
+            }
+            console.log(`[StorageService] Migrated ${added} V1 highscores.`);
+        }
+    },
+];
+
+/**
+ * Key-value backend on IndexedDB.
+ * @private
+ */
+class IndexedDbBackend {
+    /** @param {IDBDatabase} db */
+    constructor(db) {
+        this.db = db;
+        this.name = 'IndexedDB';
+    }
+
+    /**
+     * Opens (and if needed upgrades) the database.
+     * @returns {Promise<IndexedDbBackend>}
+     */
+    static open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    console.log(`[StorageService] Upgrading IndexedDB schema to version ${version}.`);
+                    SCHEMA_UPGRADES[version - 1](db);
+                }
+            };
+            request.onsuccess = () => resolve(new IndexedDbBackend(request.result));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab.'));
+        });
+    }
+
+    /**
+     * Runs a single request in a transaction and resolves with its result.
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest
+     * @returns {Promise<any>}
+     * @private
+     */
+    _request(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+        });
+    }
+
+    /** @param {string} key @returns {Promise<any>} */
+    get(key) { return this._request('readonly', store => store.get(key)); }
+
+    /** @param {string} key @param {any} value @returns {Promise<void>} */
+    set(key, value) { return this._request('readwrite', store => store.put(value, key)); }
+
+    /** @param {string} key @returns {Promise<void>} */
+    remove(key) { return this._request('readwrite', store => store.delete(key)); }
+}
+
+/**
+ * Key-value backend on localStorage (JSON), used when IndexedDB cannot be opened
+ * (e.g. some private browsing modes or file:// pages).
+ * @private
+ */
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<any>}
+     * @throws {Error} If the stored JSON is corrupt (the data is kept for recovery).
+     */
+    async get(key) {
+        const raw = localStorage.getItem(FALLBACK_KEY_PREFIX + key);
+        if (raw === null) return undefined;
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            // Do not reset: surface the problem and keep the raw data for recovery
+            throw new Error(`Opgeslagen gegevens voor '${key}' zijn beschadigd.`);
+        }
+    }
+
+    /** @param {string} key @param {any} value @returns {Promise<void>} */
+    async set(key, value) {
+        localStorage.setItem(FALLBACK_KEY_PREFIX + key, JSON.stringify(value));
+    }
+
+    /** @param {string} key @returns {Promise<void>} */
+    async remove(key) {
+        localStorage.removeItem(FALLBACK_KEY_PREFIX + key);
+    }
+}
+
+/**
+ * Single persistence layer for all app data.
+ * Stores records in IndexedDB (versioned schema) and falls back to localStorage when IndexedDB is unavailable.
+ * On first use it migrates the old localStorage keys (custom sheets and V1/V2 highscores).
+ * All methods are async and wait for the backend to be ready and migrations to finish.
+ */
+class StorageService {
+    constructor() {
+        /** @type {IndexedDbBackend | LocalStorageBackend | null} */
+        this.backend = null;
+        this.readyPromise = this._initialize();
+    }
+
+    /**
+     * Opens the best available backend and runs pending data migrations.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _initialize() {
+        try {
+            if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not supported.');
+            this.backend = await IndexedDbBackend.open();
+        } catch (error) {
+            console.warn("[StorageService] IndexedDB unavailable, falling back to localStorage.", error);
+            this.backend = new LocalStorageBackend();
+        }
+        console.info(`[StorageService] Using ${this.backend.name} (schema version ${DB_VERSION}).`);
+
+        try {
+            await this._runDataMigrations();
+        } catch (error) {
+            console.error("[StorageService] Data migration failed. Will retry on next start.", error);
+        }
+    }
+
+    /**
+     * Runs the data migrations that have not been applied yet, recording each one after it succeeds.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runDataMigrations() {
+        const applied = (await this.backend.get(APPLIED_MIGRATIONS_KEY)) || [];
+        for (const migration of DATA_MIGRATIONS) {
+            if (applied.includes(migration.id)) continue;
+            console.log(`[StorageService] Running migration '${migration.id}'...`);
+            await migration.run(this._rawAccess());
+            applied.push(migration.id);
+            await this.backend.set(APPLIED_MIGRATIONS_KEY, applied);
+        }
+    }
+
+    /**
+     * Gives migrations backend access without waiting for readyPromise (which they are part of).
+     * @returns {{get: function(string): Promise<any>, set: function(string, any): Promise<void>}}
+     * @private
+     */
+    _rawAccess() {
+        return {
+            get: (key) => this.backend.get(key),
+            set: (key, value) => this.backend.set(key, value),
+        };
+    }
+
+    /**
+     * Resolves once the backend is open and migrations have run.
+     * @returns {Promise<void>}
+     */
+    ready() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Reads a record.
+     * @param {string} key - One of StorageKeys.
+     * @returns {Promise<any>} The stored value, or undefined if there is none.
+     * @throws {Error} If the stored data cannot be read.
+     */
+    async get(key) {
+        await this.readyPromise;
+        return this.backend.get(key);
+    }
+
+    /**
+     * Writes a record. Failures are reported to the user, since they mean data will be lost on reload.
+     * @param {string} key - One of StorageKeys.
+     * @param {any} value - A structured-cloneable (and JSON-serializable) value.
+     * @returns {Promise<void>}
+     * @throws {Error} If the value could not be stored.
+     */
+    async set(key, value) {
+        await this.readyPromise;
+        try {
+            await this.backend.set(key, value);
+        } catch (error) {
+            console.error(`[StorageService] Failed to store '${key}':`, error);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Opslaan is mislukt. Is de opslag van je browser vol?', level: 'error' });
+            throw error;
+        }
+    }
+
+    /**
+     * Removes a record.
+     * @param {string} key - One of StorageKeys.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await this.readyPromise;
+        return this.backend.remove(key);
+    }
+}
+
+// Create and export a singleton instance
+const storageService = new StorageService();
+export default storageService;
@@ -0,0 +1,80 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import questionsManager from './QuestionsManager.js';
+import { QuizEngine } from './QuizEngine.js';
+
+const MAX_WORKSHEET_QUESTIONS = 100;
+
+/**
+ * A worksheet ready to be printed.
+ * @typedef {object} Worksheet
+ * @property {string} title - Names of the selected sheets.
+ * @property {'choice' | 'open'} layout - Multiple choice options, or a blank line to write the answer on.
+ * @property {boolean} includeAnswerKey - Whether an answer key page follows the questions.
+ * @property {Array<{question: string, answer: string, options: string[]}>} questions - options is empty in the open layout.
+ */
+
+/**
+ * Builds printable worksheets ("werkbladen") from the selected sheets, for teachers who want the questions on paper.
+ * The questions and answer options come from a QuizEngine instance of its own, so the paper version is
+ * shuffled and gets its distractors the same way as a round in the app, without touching a running game.
+ */
+class WorksheetService {
+    constructor() {
+        console.info("[WorksheetService] Initializing...");
+        eventBus.on(Events.UI.Worksheet.PrintClicked, this.handlePrintClicked.bind(this));
+    }
+
+    /**
+     * Builds a worksheet with random questions from the sheets.
+     * @param {object} options
+     * @param {string[]} options.sheetIds
+     * @param {string} [options.difficulty] - Decides the number of answer options and how alike they are.
+     * @param {number} options.questionCount - Fewer questions are used when the sheets don't have enough.
+     * @param {'choice' | 'open'} options.layout
+     * @param {boolean} options.includeAnswerKey
+     * @returns {Promise<Worksheet>}
+     * @throws {Error} If the questions could not be loaded.
+     */
+    async createWorksheet({ sheetIds, difficulty, questionCount, layout, includeAnswerKey }) {
+        const count = Math.min(MAX_WORKSHEET_QUESTIONS, Math.max(1, Math.floor(questionCount) || 1));
+        const engine = new QuizEngine();
+        await engine.loadQuestions(sheetIds, difficulty, {
+            selectRound: (questions) => questions.slice(0, count) // Already shuffled; ignores the round length of the difficulty
+        });
+
+        const questions = [];
+        for (let i = 0; i < engine.getQuestionCount(); i++) {
+            const question = engine.getQuestionData(i);
+            questions.push({
+                question: question.question,
+                answer: question.answer,
+                options: layout === 'choice' ? engine.getShuffledAnswers(i) : []
+            });
+        }
+
+        const sheetNames = new Map(questionsManager.getAvailableSheets().map(sheet => [sheet.id, sheet.name]));
+        const title = sheetIds.map(id => sheetNames.get(id) || id).join(', ');
+        console.log(`[WorksheetService] Worksheet '${title}' with ${questions.length} questions (${layout}).`);
+        return { title, layout, includeAnswerKey, questions };
+    }
+
+    /**
+     * Builds the requested worksheet and hands it to WorksheetPrintComponent.
+     * @param {object} payload - Events.UI.Worksheet.PrintClicked payload, see createWorksheet.
+     * @private
+     */
+    async handlePrintClicked(payload) {
+        try {
+            const worksheet = await this.createWorksheet(payload);
+            eventBus.emit(Events.Menu.Worksheet.Ready, { worksheet });
+        } catch (error) {
+            console.error("[WorksheetService] Could not create the worksheet:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: 'Het werkblad kon niet worden gemaakt.', level: 'error' });
+        }
+    }
+}
+
+// Create and export a singleton instance
+const worksheetService = new WorksheetService();
+export default worksheetService;
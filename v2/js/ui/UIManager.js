@@ -10,17 +10,26 @@ import HostLobbyComponent from '../components/host-lobby-component.js';
 import JoinLobbyComponent from '../components/join-lobby-component.js';
 import GameAreaComponent from '../components/game-area-component.js';
 import HighscoresComponent from '../components/highscores-component.js';
+import StatisticsComponent from '../components/statistics-component.js';
+import DailyChallengeComponent from '../components/daily-challenge-component.js';
+import AchievementsComponent from '../components/achievements-component.js';
 import CustomQuestionsComponent from '../components/custom-questions-component.js';
 import AboutComponent from '../components/about-component.js';
 import LoadingComponent from '../components/loading-component.js';
 import ToastComponent from '../components/toast-component.js';
+import WorksheetPrintComponent from '../components/worksheet-print-component.js';
 // Potentially SheetSelectionComponent if used
 import SheetSelectionComponent from '../components/sheet-selection-component.js'; 
 
 // --- Import Game Area Component Classes ---
 import QuestionDisplayComponent from '../components/question-display-component.js';
 import AnswerListComponent from '../components/answer-list-component.js';
+import AnswerInputComponent from '../components/answer-input-component.js';
+import FlashcardComponent from '../components/flashcard-component.js';
 import TimerDisplayComponent from '../components/timer-display-component.js';
+import AdaptiveLevelDisplayComponent from '../components/adaptive-level-display-component.js';
+import LifelinesComponent from '../components/lifelines-component.js';
+import LivesDisplayComponent from '../components/lives-display-component.js';
 import ProgressDisplayComponent from '../components/progress-display-component.js';
 import ScoreDisplayComponent from '../components/score-display-component.js';
 import GameFeedbackComponent from '../components/game-feedback-component.js';
@@ -32,9 +41,15 @@ import BaseDialog from '../dialogs/base-dialog.js'; // Import BaseDialog for typ
 import SinglePlayerEndDialog from '../dialogs/single-player-end-dialog.js';
 import MultiplayerEndDialog from '../dialogs/multiplayer-end-dialog.js';
 import PracticeEndDialog from '../dialogs/practice-end-dialog.js';
+import SprintEndDialog from '../dialogs/sprint-end-dialog.js';
+import SurvivalEndDialog from '../dialogs/survival-end-dialog.js';
 import NamePromptDialog from '../dialogs/name-prompt-dialog.js';
 import DisconnectionDialog from '../dialogs/disconnection-dialog.js';
 import ErrorDialog from '../dialogs/error-dialog.js';
+import SheetImportDialog from '../dialogs/sheet-import-dialog.js';
+import SheetShareDialog from '../dialogs/sheet-share-dialog.js';
+import ProfileDialog from '../dialogs/profile-dialog.js';
+import WorksheetDialog from '../dialogs/worksheet-dialog.js';
 import Views from '../core/view-constants.js'; // Ensure Views is imported
 
 /**
@@ -72,6 +87,9 @@ class UIManager {
             this.registerComponent(new JoinLobbyComponent());
             this.registerComponent(new GameAreaComponent());
             this.registerComponent(new HighscoresComponent());
+            this.registerComponent(new StatisticsComponent());
+            this.registerComponent(new DailyChallengeComponent());
+            this.registerComponent(new AchievementsComponent());
             this.registerComponent(new CustomQuestionsComponent());
             this.registerComponent(new AboutComponent());
             this.registerComponent(new SheetSelectionComponent()); // If used
@@ -79,6 +97,7 @@ class UIManager {
             // --- Instantiate Utility/Overlay Components (extend BaseComponent) ---
             this.registerComponent(new LoadingComponent());
             this.registerComponent(new ToastComponent());
+            this.registerComponent(new WorksheetPrintComponent());
             
             // --- Instantiate Game Area Components ---
             // Note: These are part of the 'GameArea' view but are registered
@@ -86,7 +105,12 @@ class UIManager {
             // might just be a container or removed if not needed.
             this.registerComponent(new QuestionDisplayComponent()); // Assumes #question selector internally
             this.registerComponent(new AnswerListComponent());       // Assumes #answerList selector internally
+            this.registerComponent(new AnswerInputComponent());      // Assumes #answerInput selector internally
+            this.registerComponent(new FlashcardComponent());        // Assumes #flashcard selector internally
             this.registerComponent(new TimerDisplayComponent());     // Assumes #timerDisplay selector internally
+            this.registerComponent(new AdaptiveLevelDisplayComponent()); // Assumes #adaptiveLevelDisplay selector internally
+            this.registerComponent(new LifelinesComponent());        // Assumes #lifelines selector internally
+            this.registerComponent(new LivesDisplayComponent());     // Assumes #livesDisplay selector internally
             this.registerComponent(new ProgressDisplayComponent());  // Assumes #progressDisplay selector internally
             this.registerComponent(new ScoreDisplayComponent());     // Assumes #scoreDisplay selector internally
             this.registerComponent(new GameFeedbackComponent());   // Assumes #gameFeedback selector internally
@@ -97,9 +121,15 @@ class UIManager {
             this.registerComponent(new SinglePlayerEndDialog());
             this.registerComponent(new MultiplayerEndDialog());
             this.registerComponent(new PracticeEndDialog());
+            this.registerComponent(new SprintEndDialog());
+            this.registerComponent(new SurvivalEndDialog());
             this.registerComponent(new NamePromptDialog());
             this.registerComponent(new DisconnectionDialog());
             this.registerComponent(new ErrorDialog());
+            this.registerComponent(new SheetImportDialog());
+            this.registerComponent(new SheetShareDialog());
+            this.registerComponent(new ProfileDialog());
+            this.registerComponent(new WorksheetDialog());
             
             // Ensure all VIEW components are initially hidden (BaseComponent handles this partly)
             this.hideAllViews(true); // Pass flag to skip hiding Loading component initially
@@ -0,0 +1,84 @@
+/**
+ * Helpers for the per-question answer log kept by the game modes (see BaseGameMode AnswerLogEntry),
+ * shared by the end-of-game dialogs.
+ */
+
+/**
+ * Formats a duration in milliseconds as seconds with one decimal, e.g. "3,2 s".
+ * @param {number | null} timeMs
+ * @returns {string} Empty string when unknown.
+ */
+function formatSeconds(timeMs) {
+    if (typeof timeMs !== 'number' || timeMs < 0) return '';
+    return `${(timeMs / 1000).toFixed(1).replace('.', ',')} s`;
+}
+
+/**
+ * Formats how the points of a question were earned, e.g. "+84 (goed +10, snelheid +32, reeks ×2 +42)".
+ * @param {import('../core/scoring-strategies.js').ScoreBreakdown} [score]
+ * @returns {string} Empty string without a breakdown.
+ */
+function formatScoreBreakdown(score) {
+    if (!score) return '';
+    const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`);
+    const parts = score.parts.map(part => `${part.label.toLowerCase()} ${formatPoints(part.points)}`);
+    return parts.length > 0 ? `${formatPoints(score.total)} (${parts.join(', ')})` : '0 punten';
+}
+
+/**
+ * Renders the answer log as list items: the question, the given answer, the correct answer
+ * for mistakes, the time taken and, in scored games, how the points were earned.
+ * @param {HTMLElement} listElement - The list (ol/ul) to fill; existing items are removed.
+ * @param {Array<object>} answerLog - AnswerLogEntry objects.
+ */
+function renderAnswerLog(listElement, answerLog) {
+    listElement.innerHTML = '';
+    (answerLog || []).forEach(entry => {
+        const item = document.createElement('li');
+        item.className = entry.isCorrect ? 'answer-log-correct' : 'answer-log-wrong';
+
+        const questionSpan = document.createElement('span');
+        questionSpan.className = 'answer-log-question';
+        questionSpan.textContent = `${entry.isCorrect ? '✔' : '✘'} ${entry.question}`;
+
+        const answerSpan = document.createElement('span');
+        answerSpan.className = 'answer-log-answer';
+        const given = entry.submittedAnswer === null ? 'geen antwoord (tijd op)' : entry.submittedAnswer;
+        answerSpan.textContent = entry.isCorrect ? given : `${given} → goed is: ${entry.correctAnswer}`;
+
+        const timeSpan = document.createElement('span');
+        timeSpan.className = 'answer-log-time';
+        timeSpan.textContent = formatSeconds(entry.timeMs);
+
+        item.append(questionSpan, answerSpan, timeSpan);
+        if (entry.score) {
+            const scoreSpan = document.createElement('span');
+            scoreSpan.className = 'answer-log-score';
+            scoreSpan.textContent = formatScoreBreakdown(entry.score);
+            item.appendChild(scoreSpan);
+        }
+        listElement.appendChild(item);
+    });
+}
+
+/**
+ * Returns the missed questions of an answer log, once each, ready to be practised again.
+ * The wrong options the player saw are kept as distractors, so multiple choice still has
+ * enough options in a round with only a few questions.
+ * @param {Array<object>} answerLog - AnswerLogEntry objects.
+ * @returns {Array<object>} QuizEngine question objects.
+ */
+function getMissedQuestions(answerLog) {
+    const missed = new Map(); // question id/text -> question
+    (answerLog || []).filter(entry => !entry.isCorrect && entry.questionData).forEach(entry => {
+        const question = entry.questionData;
+        const key = question.id || question.question;
+        if (missed.has(key)) return;
+        const shownDistractors = (entry.options || []).filter(option => option !== question.answer);
+        const distractors = [...new Set([...(question.distractors || []), ...shownDistractors])];
+        missed.set(key, distractors.length > 0 ? { ...question, distractors } : { ...question });
+    });
+    return [...missed.values()];
+}
+
+export default { renderAnswerLog, getMissedQuestions, formatSeconds, formatScoreBreakdown };
@@ -0,0 +1,138 @@
+/**
+ * Small SVG chart helpers for the statistics view (no charting library needed).
+ * Charts scale with their container through the viewBox; colours come from CSS classes
+ * (.chart-series-0 ... .chart-series-3) so they follow the app theme.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 34 };
+
+/**
+ * Creates an SVG element with attributes.
+ * @param {string} tagName
+ * @param {Object.<string, string | number>} [attributes={}]
+ * @param {string} [text] - Optional text content.
+ * @returns {SVGElement}
+ */
+function createSvgElement(tagName, attributes = {}, text) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Creates the chart root with horizontal grid lines and y-axis labels.
+ * @param {number} maxValue - Value at the top of the chart.
+ * @param {function(number): string} formatValue - Formats y-axis labels.
+ * @param {string} ariaLabel
+ * @returns {{svg: SVGSVGElement, toY: function(number): number}}
+ */
+function createChartFrame(maxValue, formatValue, ariaLabel) {
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        class: 'chart',
+        role: 'img',
+        'aria-label': ariaLabel
+    });
+    const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const toY = (value) => PADDING.top + plotHeight - (Math.min(value, maxValue) / maxValue) * plotHeight;
+
+    [0, 0.5, 1].forEach(fraction => {
+        const y = toY(maxValue * fraction);
+        svg.appendChild(createSvgElement('line', { x1: PADDING.left, x2: CHART_WIDTH - PADDING.right, y1: y, y2: y, class: 'chart-grid' }));
+        svg.appendChild(createSvgElement('text', { x: PADDING.left - 4, y: y + 3, class: 'chart-axis-label', 'text-anchor': 'end' },
+            formatValue(maxValue * fraction)));
+    });
+    return { svg, toY };
+}
+
+/**
+ * Adds x-axis labels, skipping labels when there are too many to fit.
+ * @param {SVGSVGElement} svg
+ * @param {string[]} labels
+ * @param {function(number): number} toX - Maps a label index to its x position.
+ */
+function addXLabels(svg, labels, toX) {
+    const step = Math.ceil(labels.length / 7);
+    labels.forEach((label, index) => {
+        if (index % step !== 0 && index !== labels.length - 1) return;
+        svg.appendChild(createSvgElement('text', { x: toX(index), y: CHART_HEIGHT - 6, class: 'chart-axis-label', 'text-anchor': 'middle' }, label));
+    });
+}
+
+/**
+ * Creates a line chart. Null points are gaps: the line is interrupted there.
+ * @param {Array<{name: string, points: Array<number | null>}>} series - At most four series, all as long as labels.
+ * @param {object} options
+ * @param {string[]} options.labels - X-axis labels.
+ * @param {number} [options.maxValue=1] - Value at the top of the chart.
+ * @param {function(number): string} [options.formatValue] - Formats y-axis labels and point tooltips.
+ * @param {string} [options.ariaLabel='']
+ * @returns {SVGSVGElement}
+ */
+function createLineChart(series, { labels, maxValue = 1, formatValue = String, ariaLabel = '' }) {
+    const { svg, toY } = createChartFrame(maxValue, formatValue, ariaLabel);
+    const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+    const toX = (index) => PADDING.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+    const lineGroup = svg.appendChild(createSvgElement('g'));
+    const pointGroup = svg.appendChild(createSvgElement('g')); // Points on top of all lines
+
+    series.forEach(({ name, points }, seriesIndex) => {
+        const seriesClass = `chart-series-${seriesIndex % 4}`;
+        let path = '';
+        let previousWasGap = true;
+        points.forEach((value, index) => {
+            if (value === null) {
+                previousWasGap = true;
+                return;
+            }
+            path += `${previousWasGap ? 'M' : 'L'}${toX(index).toFixed(1)},${toY(value).toFixed(1)} `;
+            previousWasGap = false;
+
+            const point = createSvgElement('circle', { cx: toX(index), cy: toY(value), r: 3, class: `chart-point ${seriesClass}` });
+            point.appendChild(createSvgElement('title', {}, `${name} (${labels[index]}): ${formatValue(value)}`));
+            pointGroup.appendChild(point);
+        });
+        if (path) lineGroup.appendChild(createSvgElement('path', { d: path.trim(), class: `chart-line ${seriesClass}` }));
+    });
+
+    addXLabels(svg, labels, toX);
+    return svg;
+}
+
+/**
+ * Creates a bar chart.
+ * @param {Array<{label: string, value: number, title?: string}>} bars - `title` names the bar in its tooltip (defaults to the label).
+ * @param {object} [options={}]
+ * @param {number} [options.maxValue] - Value at the top of the chart; defaults to the highest bar (at least 1).
+ * @param {function(number): string} [options.formatValue] - Formats y-axis labels and bar tooltips.
+ * @param {string} [options.ariaLabel='']
+ * @returns {SVGSVGElement}
+ */
+function createBarChart(bars, { maxValue, formatValue = String, ariaLabel = '' } = {}) {
+    const top = maxValue ?? Math.max(1, ...bars.map(bar => bar.value));
+    const { svg, toY } = createChartFrame(top, formatValue, ariaLabel);
+    const slotWidth = (CHART_WIDTH - PADDING.left - PADDING.right) / Math.max(bars.length, 1);
+    const toX = (index) => PADDING.left + slotWidth * (index + 0.5);
+
+    bars.forEach(({ label, value, title = label }, index) => {
+        const y = toY(value);
+        const bar = createSvgElement('rect', {
+            x: toX(index) - slotWidth * 0.35,
+            y,
+            width: slotWidth * 0.7,
+            height: Math.max(toY(0) - y, 0),
+            class: 'chart-bar chart-series-0'
+        });
+        bar.appendChild(createSvgElement('title', {}, `${title}: ${formatValue(value)}`));
+        svg.appendChild(bar);
+    });
+
+    addXLabels(svg, bars.map(bar => bar.label), toX);
+    return svg;
+}
+
+export default { createLineChart, createBarChart };
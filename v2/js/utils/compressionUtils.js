@@ -0,0 +1,90 @@
+/**
+ * Text compression helpers for putting data in URLs.
+ * Uses the browser's built-in CompressionStream ('deflate-raw') and URL-safe base64
+ * (A-Z a-z 0-9 - _, no padding), so the result can be used in a URL fragment as-is.
+ */
+
+const COMPRESSION_FORMAT = 'deflate-raw';
+
+/**
+ * Reads a byte stream into a single Uint8Array, aborting once it grows beyond maxBytes.
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {number} maxBytes
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the stream yields more than maxBytes.
+ */
+async function readStream(stream, maxBytes) {
+    const reader = stream.getReader();
+    const chunks = [];
+    let totalLength = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        totalLength += value.length;
+        if (totalLength > maxBytes) {
+            await reader.cancel();
+            throw new Error(`Data is groter dan ${maxBytes} bytes.`);
+        }
+        chunks.push(value);
+    }
+    const result = new Uint8Array(totalLength);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * Encodes bytes as URL-safe base64 without padding.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL-safe base64 (with or without padding) into bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text contains characters outside the base64url alphabet.
+ */
+function base64UrlToBytes(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+        throw new Error('Ongeldige tekens in gecodeerde data.');
+    }
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Compresses text and encodes it as URL-safe base64.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function compressToBase64Url(text) {
+    const stream = new Blob([new TextEncoder().encode(text)]).stream().pipeThrough(new CompressionStream(COMPRESSION_FORMAT));
+    return bytesToBase64Url(await readStream(stream, Infinity));
+}
+
+/**
+ * Decodes and decompresses text created by compressToBase64Url.
+ * The decompressed size is capped so a tiny crafted link cannot expand into a huge string.
+ * @param {string} encoded
+ * @param {number} maxBytes - Maximum size of the decompressed text in bytes.
+ * @returns {Promise<string>}
+ * @throws {Error} If the data is not valid, not compressed by us or too large.
+ */
+async function decompressFromBase64Url(encoded, maxBytes) {
+    const bytes = base64UrlToBytes(encoded);
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(COMPRESSION_FORMAT));
+    const decompressed = await readStream(stream, maxBytes);
+    return new TextDecoder('utf-8', { fatal: true }).decode(decompressed);
+}
+
+export default { compressToBase64Url, decompressFromBase64Url };
@@ -0,0 +1,13 @@
+/**
+ * Formats a date as a local calendar day (YYYY-MM-DD), so days change at the player's midnight.
+ * Used to key the daily challenge, the day streak and the statistics per day.
+ * @param {Date | number} [date=new Date()] - A date or a timestamp.
+ * @returns {string} E.g. '2025-03-07'.
+ */
+function toDateKey(date = new Date()) {
+    const day = new Date(date);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+}
+
+export default { toDateKey };
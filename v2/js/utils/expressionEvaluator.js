@@ -0,0 +1,103 @@
+/**
+ * Splits an arithmetic expression into number, identifier, operator and parenthesis tokens.
+ * @param {string} expression
+ * @returns {Array<{type: 'number' | 'name' | 'op', value: string | number}>}
+ * @throws {Error} If the expression contains an unsupported character.
+ */
+function tokenize(expression) {
+    const tokens = [];
+    let pos = 0;
+    while (pos < expression.length) {
+        const char = expression[pos];
+        if (/\s/.test(char)) {
+            pos++;
+        } else if (/[0-9.]/.test(char)) {
+            const match = expression.slice(pos).match(/^\d*\.?\d+/);
+            if (!match) throw new Error(`Ongeldig getal bij positie ${pos + 1} in "${expression}".`);
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            pos += match[0].length;
+        } else if (/[a-z_]/i.test(char)) {
+            const match = expression.slice(pos).match(/^[a-z_]\w*/i);
+            tokens.push({ type: 'name', value: match[0] });
+            pos += match[0].length;
+        } else if ('+-*/%()×:'.includes(char)) {
+            tokens.push({ type: 'op', value: char });
+            pos++;
+        } else {
+            throw new Error(`Ongeldig teken '${char}' in "${expression}".`);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Safely evaluates a small arithmetic expression without using eval/Function.
+ * Supports numbers, variables, + - * / % (also × and : for multiply/divide), parentheses and unary minus.
+ * Grammar: expr = term (('+'|'-') term)* ; term = factor (('*'|'/'|'%') factor)* ; factor = '-' factor | number | name | '(' expr ')'
+ * @param {string} expression - The expression, e.g. "a * b + 1".
+ * @param {Object.<string, number>} [variables={}] - Values for the variables used in the expression.
+ * @returns {number} The result.
+ * @throws {Error} If the expression is malformed, uses an unknown variable or divides by zero.
+ */
+function evaluateExpression(expression, variables = {}) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('Lege formule.');
+    }
+    const tokens = tokenize(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (token, ...ops) => token && token.type === 'op' && ops.includes(token.value);
+
+    const parseFactor = () => {
+        const token = tokens[index++];
+        if (!token) throw new Error(`Onverwacht einde van formule "${expression}".`);
+        if (isOp(token, '-')) return -parseFactor();
+        if (token.type === 'number') return token.value;
+        if (token.type === 'name') {
+            if (!Object.prototype.hasOwnProperty.call(variables, token.value)) {
+                throw new Error(`Onbekende variabele '${token.value}' in "${expression}".`);
+            }
+            return variables[token.value];
+        }
+        if (isOp(token, '(')) {
+            const value = parseExpr();
+            if (!isOp(tokens[index++], ')')) throw new Error(`Sluithaakje ontbreekt in "${expression}".`);
+            return value;
+        }
+        throw new Error(`Onverwacht '${token.value}' in "${expression}".`);
+    };
+
+    const parseTerm = () => {
+        let value = parseFactor();
+        while (isOp(peek(), '*', '×', '/', ':', '%')) {
+            const op = tokens[index++].value;
+            const right = parseFactor();
+            if ((op === '/' || op === ':' || op === '%') && right === 0) {
+                throw new Error(`Delen door nul in "${expression}".`);
+            }
+            if (op === '/' || op === ':') value /= right;
+            else if (op === '%') value %= right;
+            else value *= right;
+        }
+        return value;
+    };
+
+    const parseExpr = () => {
+        let value = parseTerm();
+        while (isOp(peek(), '+', '-')) {
+            const op = tokens[index++].value;
+            const right = parseTerm();
+            value = op === '+' ? value + right : value - right;
+        }
+        return value;
+    };
+
+    const result = parseExpr();
+    if (index < tokens.length) {
+        throw new Error(`Onverwacht '${tokens[index].value}' in "${expression}".`);
+    }
+    return result;
+}
+
+export default { evaluateExpression };
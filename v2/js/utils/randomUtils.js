@@ -0,0 +1,33 @@
+/**
+ * Hashes a text to a 32-bit unsigned integer (FNV-1a), e.g. to turn a date into a seed.
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always gives the same sequence, on every device, so it can replace
+ * Math.random where players must get identical rounds (the daily challenge).
+ * @param {string | number} seed - A text is hashed first.
+ * @returns {function(): number} Returns numbers in [0, 1), like Math.random.
+ */
+function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export default { hashString, createSeededRandom };
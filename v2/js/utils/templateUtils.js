@@ -0,0 +1,164 @@
+import expressionEvaluator from './expressionEvaluator.js';
+
+/**
+ * Template rows let a single sheet line generate many questions, e.g.
+ *   {a:1-10} x {b:1-10} => {a*b}
+ *   {a:1-99} + {b:1..99-a} => {a+b} #20
+ * - `{name:min-max}` defines a variable with a random whole number in the range (inclusive).
+ * - `{name:min..max}` does the same, but min and max may be formulas using earlier variables.
+ * - `{formula}` is replaced by the result of the formula (e.g. `{a*b}`, `{a}`).
+ *   `:` divides like `/` in formulas, so `{a:b}` is a division: `name:` only starts a definition
+ *   when a range (`min-max` or `min..max`) follows it.
+ * - An optional `#N` at the end of the line sets how many questions are generated.
+ */
+
+const PLACEHOLDER_REGEX = /\{([^{}]+)\}/g;
+const DEFINITION_REGEX = /^\s*([a-z_]\w*)\s*:\s*(.+)$/i;
+const SIMPLE_RANGE_REGEX = /^\s*(-?\d+)\s*-\s*(-?\d+)\s*$/;
+const COUNT_SUFFIX_REGEX = /\s+#(\d+)\s*$/;
+
+export const DEFAULT_TEMPLATE_COUNT = 10;
+export const MAX_TEMPLATE_COUNT = 100;
+const MAX_ATTEMPTS_PER_QUESTION = 20; // Gives up on duplicates when the range is too small
+
+/**
+ * Checks whether a text contains template placeholders.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isTemplate(text) {
+    return typeof text === 'string' && /\{[^{}]+\}/.test(text);
+}
+
+/**
+ * Splits an optional "#N" count suffix from the answer part of a template line.
+ * @param {string} answerPart - Text after '=>' (may include distractors).
+ * @returns {{answerPart: string, count: number | null}}
+ * @throws {Error} If the count is 0 or above MAX_TEMPLATE_COUNT.
+ */
+function extractCount(answerPart) {
+    const match = answerPart.match(COUNT_SUFFIX_REGEX);
+    if (!match) {
+        return { answerPart, count: null };
+    }
+    const count = parseInt(match[1], 10);
+    if (count < 1 || count > MAX_TEMPLATE_COUNT) {
+        throw new Error(`Aantal vragen (#${count}) moet tussen 1 en ${MAX_TEMPLATE_COUNT} liggen.`);
+    }
+    return { answerPart: answerPart.slice(0, match.index), count };
+}
+
+/**
+ * Formats a calculated value for display: whole numbers as-is, others rounded to 2 decimals with a comma.
+ * @param {number} value
+ * @returns {string}
+ * @throws {Error} If the value is not a finite number.
+ */
+function formatNumber(value) {
+    if (!Number.isFinite(value)) {
+        throw new Error(`Formule geeft geen geldig getal (${value}).`);
+    }
+    if (Number.isInteger(value)) return String(value);
+    return String(Math.round(value * 100) / 100).replace('.', ',');
+}
+
+/**
+ * Checks whether the text after `name:` is a range, which makes the placeholder a definition
+ * instead of a formula dividing by `:`.
+ * @param {string} rangeText - The part after the colon.
+ * @returns {boolean}
+ */
+function isRange(rangeText) {
+    return SIMPLE_RANGE_REGEX.test(rangeText) || rangeText.includes('..');
+}
+
+/**
+ * Picks a random whole number for a variable definition such as "1-10" or "1..99-a".
+ * @param {string} rangeText - The part after the colon.
+ * @param {Object.<string, number>} variables - Variables defined so far.
+ * @param {function(): number} random - Source of random numbers in [0, 1).
+ * @returns {number}
+ * @throws {Error} If the range is malformed or empty.
+ */
+function pickFromRange(rangeText, variables, random) {
+    let min;
+    let max;
+    const simpleRange = rangeText.match(SIMPLE_RANGE_REGEX);
+    if (simpleRange) {
+        min = parseInt(simpleRange[1], 10);
+        max = parseInt(simpleRange[2], 10);
+    } else if (rangeText.includes('..')) {
+        const [minText, maxText] = rangeText.split('..');
+        min = Math.ceil(expressionEvaluator.evaluateExpression(minText, variables));
+        max = Math.floor(expressionEvaluator.evaluateExpression(maxText, variables));
+    } else {
+        throw new Error(`Ongeldig bereik '${rangeText.trim()}'. Gebruik bijvoorbeeld {a:1-10} of {b:1..10-a}.`);
+    }
+    if (max < min) {
+        throw new Error(`Leeg bereik '${rangeText.trim()}' (${min} t/m ${max}).`);
+    }
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Replaces all placeholders in a text, defining new variables and evaluating formulas.
+ * @param {string} text
+ * @param {Object.<string, number>} variables - Mutated: new definitions are added.
+ * @param {function(): number} random - Source of random numbers in [0, 1).
+ * @returns {string}
+ * @private
+ */
+function fillPlaceholders(text, variables, random) {
+    return text.replace(PLACEHOLDER_REGEX, (_, content) => {
+        const definition = content.match(DEFINITION_REGEX);
+        if (definition && isRange(definition[2])) {
+            const [, name, rangeText] = definition;
+            variables[name] = pickFromRange(rangeText, variables, random);
+            return String(variables[name]);
+        }
+        return formatNumber(expressionEvaluator.evaluateExpression(content, variables));
+    });
+}
+
+/**
+ * Generates one concrete question from a template question.
+ * Placeholders are filled in order: question, answer, distractors, so definitions must come first.
+ * @param {{question: string, answer: string, distractors?: string[]}} templateQuestion
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1).
+ * @returns {{question: string, answer: string, distractors?: string[]}}
+ * @throws {Error} If any placeholder is invalid.
+ */
+function instantiate(templateQuestion, random = Math.random) {
+    const variables = {};
+    const question = fillPlaceholders(templateQuestion.question, variables, random);
+    const answer = fillPlaceholders(templateQuestion.answer, variables, random);
+    if (Array.isArray(templateQuestion.distractors) && templateQuestion.distractors.length > 0) {
+        const distractors = templateQuestion.distractors.map(d => fillPlaceholders(d, variables, random));
+        return { question, answer, distractors };
+    }
+    return { question, answer };
+}
+
+/**
+ * Expands a template question into concrete questions with unique question texts.
+ * Fewer questions are returned when the ranges do not allow enough unique combinations.
+ * @param {{question: string, answer: string, distractors?: string[], templateCount?: number}} templateQuestion
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1); a seeded
+ *        generator gives the same questions every time.
+ * @returns {Array<{question: string, answer: string, distractors?: string[]}>}
+ * @throws {Error} If the template is invalid.
+ */
+function expandTemplate(templateQuestion, random = Math.random) {
+    const count = templateQuestion.templateCount || DEFAULT_TEMPLATE_COUNT;
+    const generated = new Map(); // question text -> question
+    const maxAttempts = count * MAX_ATTEMPTS_PER_QUESTION;
+    for (let attempt = 0; attempt < maxAttempts && generated.size < count; attempt++) {
+        const concrete = instantiate(templateQuestion, random);
+        if (!generated.has(concrete.question)) {
+            generated.set(concrete.question, concrete);
+        }
+    }
+    return [...generated.values()];
+}
+
+export default { isTemplate, extractCount, expandTemplate, instantiate, formatNumber };